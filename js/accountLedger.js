@@ -0,0 +1,144 @@
+/**
+ * Account Ledger Module
+ *
+ * Works out account balances from the user's transactions and picks the
+ * account a statement line or bank alert belongs to from the last digits of
+ * the account or card number it quotes. An account's balance is its opening
+ * balance plus income and refunds received into it, less what was spent from
+ * it, so a credit card's balance goes negative as the amount owed grows.
+ * A transfer moves money from its account into its transfer account and
+ * counts as neither spending nor income.
+ *
+ * @module accountLedger
+ */
+
+/**
+ * Kinds of account money is held in
+ */
+const ACCOUNT_TYPES = [
+    { value: 'bank', label: 'Bank account' },
+    { value: 'credit_card', label: 'Credit card' },
+    { value: 'cash', label: 'Cash' },
+    { value: 'wallet', label: 'UPI / wallet' }
+];
+
+/**
+ * Fewest digits an account number ending can be matched on
+ */
+const MIN_SUFFIX_DIGITS = 3;
+
+/**
+ * Get the display label for an account type
+ *
+ * @param {string} type - One of ACCOUNT_TYPES' values
+ * @returns {string}
+ */
+function getAccountTypeLabel(type) {
+    const match = ACCOUNT_TYPES.find(accountType => accountType.value === type);
+    return match ? match.label : 'Account';
+}
+
+/**
+ * Get how a transaction changes its account's balance
+ * For a transfer this is the change to the account it was sent from.
+ *
+ * @param {{amount: number|string, transaction_type?: string}} transaction - Saved transaction
+ * @returns {number} Positive for money in, negative for money out
+ */
+function getBalanceChange(transaction) {
+    const amount = parseFloat(transaction.amount) || 0;
+    const type = transaction.transaction_type || 'expense';
+    return type === 'income' || type === 'refund' ? amount : -amount;
+}
+
+/**
+ * Work out each account's balance and this month's spending and income
+ *
+ * @param {Array<{id: string, opening_balance: number|string}>} accounts - The user's accounts
+ * @param {Array<{account_id: string|null, transfer_account_id?: string|null, amount: number|string, date: string, transaction_type?: string}>} transactions - Saved transactions
+ * @param {{year: number, month: number}} period - Month to total spending and income for (month 1-12)
+ * @returns {Array<{account: Object, balance: number, monthSpending: number, monthIncome: number, count: number}>}
+ * In the same order as accounts. monthSpending is net of refunds.
+ */
+function calculateAccountBalances(accounts, transactions, period) {
+    const prefix = `${period.year}-${String(period.month).padStart(2, '0')}-`;
+    const totals = new Map((accounts || []).map(account => [account.id, {
+        account,
+        balance: parseFloat(account.opening_balance) || 0,
+        monthSpending: 0,
+        monthIncome: 0,
+        count: 0
+    }]));
+
+    for (const transaction of transactions || []) {
+        const change = getBalanceChange(transaction);
+
+        if (transaction.transaction_type === 'transfer') {
+            const destination = totals.get(transaction.transfer_account_id);
+            if (destination) {
+                destination.balance -= change;
+                destination.count++;
+            }
+        }
+
+        const total = totals.get(transaction.account_id);
+        if (!total) continue;
+
+        total.balance += change;
+        total.count++;
+
+        if (transaction.transaction_type !== 'transfer' && String(transaction.date || '').startsWith(prefix)) {
+            if (transaction.transaction_type === 'income') {
+                total.monthIncome += change;
+            } else {
+                total.monthSpending -= change;
+            }
+        }
+    }
+
+    return Array.from(totals.values());
+}
+
+/**
+ * Keep only the digits of an account number ending
+ *
+ * @param {string|null} suffix - e.g. "XX1234" or "1234"
+ * @returns {string}
+ */
+function toSuffixDigits(suffix) {
+    return String(suffix || '').replace(/\D/g, '');
+}
+
+/**
+ * Find the account whose number ends with the digits a transaction quotes
+ * Banks quote three to six digits, so either ending may be the longer one.
+ * Nothing is picked when more than one account matches.
+ *
+ * @param {Array<{number_suffix?: string|null}>} accounts - The user's accounts
+ * @param {string|null} suffix - Account or card number ending from the transaction
+ * @returns {Object|null} The matching account, or null
+ */
+function findAccountBySuffix(accounts, suffix) {
+    const digits = toSuffixDigits(suffix);
+    if (digits.length < MIN_SUFFIX_DIGITS) {
+        return null;
+    }
+
+    const matches = (accounts || []).filter(account => {
+        const accountDigits = toSuffixDigits(account.number_suffix);
+        return accountDigits.length >= MIN_SUFFIX_DIGITS
+            && (accountDigits.endsWith(digits) || digits.endsWith(accountDigits));
+    });
+
+    return matches.length === 1 ? matches[0] : null;
+}
+
+// Export all account ledger functions
+export {
+    ACCOUNT_TYPES,
+    getAccountTypeLabel,
+    getBalanceChange,
+    calculateAccountBalances,
+    toSuffixDigits,
+    findAccountBySuffix
+};
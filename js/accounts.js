@@ -0,0 +1,337 @@
+/**
+ * Accounts Module
+ *
+ * Manages the user's accounts - bank accounts, credit cards, cash and UPI
+ * wallets - using Supabase. Every expense, income and import is assigned to
+ * an account, and balances are worked out from each account's opening
+ * balance and its transactions. The first account the user has is the
+ * default for transactions saved without one. All operations are scoped to
+ * the authenticated user via Row Level Security.
+ *
+ * @module accounts
+ */
+
+import { supabase } from './supabaseConfig.js';
+import { ACCOUNT_TYPES, toSuffixDigits, calculateAccountBalances } from './accountLedger.js';
+
+/**
+ * Account created for users who have none yet
+ */
+const DEFAULT_ACCOUNT = { name: 'Cash', type: 'cash', opening_balance: 0, number_suffix: null };
+
+/**
+ * Check an account's fields and normalize them for saving
+ *
+ * @param {{name?: string, type?: string, opening_balance?: number, number_suffix?: string|null}} account - Account fields
+ * @returns {{data: Object|null, error: Object|null}}
+ */
+function toAccountRecord(account) {
+    const record = {};
+    if (account.name !== undefined) {
+        record.name = String(account.name || '').trim();
+        if (!record.name) {
+            return { data: null, error: { message: 'Please enter an account name.' } };
+        }
+    }
+    if (account.type !== undefined) {
+        if (!ACCOUNT_TYPES.some(type => type.value === account.type)) {
+            return { data: null, error: { message: 'Please choose an account type.' } };
+        }
+        record.type = account.type;
+    }
+    if (account.opening_balance !== undefined) {
+        record.opening_balance = account.opening_balance === '' || account.opening_balance === null ? 0 : Number(account.opening_balance);
+        if (isNaN(record.opening_balance)) {
+            return { data: null, error: { message: 'Opening balance must be a valid number.' } };
+        }
+    }
+    if (account.number_suffix !== undefined) {
+        record.number_suffix = toSuffixDigits(account.number_suffix).slice(-6) || null;
+    }
+    return { data: record, error: null };
+}
+
+/**
+ * Get all accounts for the current user, default account first
+ *
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ */
+async function getAccounts() {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { data: null, error: { message: 'User not authenticated' } };
+        }
+
+        const { data, error } = await supabase
+            .from('accounts')
+            .select('*')
+            .eq('user_id', user.id)
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            console.error('Error fetching accounts:', error);
+            return { data: null, error: { message: 'Unable to load accounts.' } };
+        }
+
+        return { data: data || [], error: null };
+    } catch (err) {
+        console.error('Get accounts error:', err);
+        return { data: null, error: { message: 'An unexpected error occurred while loading accounts.' } };
+    }
+}
+
+/**
+ * Create an account
+ *
+ * @param {Object} account - The account data
+ * @param {string} account.name - Display name, e.g. "HDFC Savings"
+ * @param {string} account.type - One of ACCOUNT_TYPES' values
+ * @param {number} [account.opening_balance=0] - Balance before the first transaction recorded
+ * @param {string|null} [account.number_suffix] - Last digits of the account or card number
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+async function createAccount(account) {
+    try {
+        const { data: record, error: invalid } = toAccountRecord({
+            name: account.name || '',
+            type: account.type,
+            opening_balance: account.opening_balance !== undefined ? account.opening_balance : 0,
+            number_suffix: account.number_suffix || null
+        });
+        if (invalid) {
+            return { data: null, error: invalid };
+        }
+
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { data: null, error: { message: 'User not authenticated' } };
+        }
+
+        const { data, error } = await supabase
+            .from('accounts')
+            .insert({ user_id: user.id, ...record })
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Error creating account:', error);
+            return { data: null, error: { message: 'Unable to save account. An account with this name may already exist.' } };
+        }
+
+        return { data, error: null };
+    } catch (err) {
+        console.error('Create account error:', err);
+        return { data: null, error: { message: 'An unexpected error occurred while saving the account.' } };
+    }
+}
+
+/**
+ * Update an account
+ *
+ * @param {string} id - The account ID (UUID)
+ * @param {Object} updates - Fields to update
+ * @param {string} [updates.name] - Display name
+ * @param {string} [updates.type] - One of ACCOUNT_TYPES' values
+ * @param {number} [updates.opening_balance] - Balance before the first transaction recorded
+ * @param {string|null} [updates.number_suffix] - Last digits of the account or card number
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+async function updateAccount(id, updates) {
+    try {
+        const { data: updateData, error: invalid } = toAccountRecord(updates);
+        if (invalid) {
+            return { data: null, error: invalid };
+        }
+
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { data: null, error: { message: 'User not authenticated' } };
+        }
+
+        const { data, error } = await supabase
+            .from('accounts')
+            .update(updateData)
+            .eq('id', id)
+            .eq('user_id', user.id)  // Ensure user owns this account
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Error updating account:', error);
+            return { data: null, error: { message: 'Unable to update account. An account with this name may already exist.' } };
+        }
+
+        return { data, error: null };
+    } catch (err) {
+        console.error('Update account error:', err);
+        return { data: null, error: { message: 'An unexpected error occurred while updating the account.' } };
+    }
+}
+
+/**
+ * Delete an account, moving its transactions to another account first
+ *
+ * @param {string} id - The account ID (UUID)
+ * @param {string} moveToId - Account to move the deleted account's transactions to
+ * @returns {Promise<{error: Object|null}>}
+ */
+async function deleteAccount(id, moveToId) {
+    try {
+        if (!moveToId || moveToId === id) {
+            return { error: { message: 'Add another account to move this account\'s transactions to before deleting it.' } };
+        }
+
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { error: { message: 'User not authenticated' } };
+        }
+
+        const { error: moveError } = await supabase
+            .from('expenses')
+            .update({ account_id: moveToId })
+            .eq('user_id', user.id)
+            .eq('account_id', id);
+
+        if (moveError) {
+            console.error('Error moving account transactions:', moveError);
+            return { error: { message: 'Unable to move this account\'s transactions. Please try again.' } };
+        }
+
+        // Transfers into the account now go into the account its transactions moved to
+        const { error: transferError } = await supabase
+            .from('expenses')
+            .update({ transfer_account_id: moveToId })
+            .eq('user_id', user.id)
+            .eq('transfer_account_id', id);
+
+        if (transferError) {
+            console.error('Error moving account transfers:', transferError);
+            return { error: { message: 'Unable to move this account\'s transactions. Please try again.' } };
+        }
+
+        const { error } = await supabase
+            .from('accounts')
+            .delete()
+            .eq('id', id)
+            .eq('user_id', user.id);  // Ensure user owns this account
+
+        if (error) {
+            console.error('Error deleting account:', error);
+            return { error: { message: 'Unable to delete account. Please try again.' } };
+        }
+
+        return { error: null };
+    } catch (err) {
+        console.error('Delete account error:', err);
+        return { error: { message: 'An unexpected error occurred while deleting the account.' } };
+    }
+}
+
+/**
+ * Make sure the user has an account and every transaction is assigned to one
+ * Users without accounts get a Cash account, created once even when two tabs
+ * start together, and transactions saved before accounts existed are
+ * assigned to the default account.
+ *
+ * @returns {Promise<{data: Array|null, error: Object|null}>} The user's accounts
+ */
+async function ensureDefaultAccount() {
+    try {
+        const accountsResult = await getAccounts();
+        if (accountsResult.error) {
+            return accountsResult;
+        }
+
+        let accounts = accountsResult.data;
+        if (accounts.length === 0) {
+            const { data: account, error } = await createAccount(DEFAULT_ACCOUNT);
+            if (error) {
+                // Another tab may have created it first; account names are unique
+                const retry = await getAccounts();
+                if (retry.error || retry.data.length === 0) {
+                    return { data: null, error };
+                }
+                accounts = retry.data;
+            } else {
+                accounts = [account];
+            }
+        }
+
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { data: null, error: { message: 'User not authenticated' } };
+        }
+
+        const { error } = await supabase
+            .from('expenses')
+            .update({ account_id: accounts[0].id })
+            .eq('user_id', user.id)
+            .is('account_id', null);
+
+        if (error) {
+            console.error('Error assigning transactions to the default account:', error);
+            return { data: null, error: { message: 'Unable to assign transactions to an account.' } };
+        }
+
+        return { data: accounts, error: null };
+    } catch (err) {
+        console.error('Ensure default account error:', err);
+        return { data: null, error: { message: 'An unexpected error occurred while setting up accounts.' } };
+    }
+}
+
+/**
+ * Get each account's balance and this month's spending and income
+ *
+ * @returns {Promise<{data: Array<{account: Object, balance: number, monthSpending: number, monthIncome: number, count: number}>|null, error: Object|null}>}
+ */
+async function getAccountBalances() {
+    try {
+        const { data: accounts, error: accountsError } = await getAccounts();
+        if (accountsError) {
+            return { data: null, error: accountsError };
+        }
+
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { data: null, error: { message: 'User not authenticated' } };
+        }
+
+        const { data: transactions, error } = await supabase
+            .from('expenses')
+            .select('account_id, transfer_account_id, amount, date, transaction_type')
+            .eq('user_id', user.id)
+            .not('account_id', 'is', null);
+
+        if (error) {
+            console.error('Error fetching account transactions:', error);
+            return { data: null, error: { message: 'Unable to load account balances.' } };
+        }
+
+        const now = new Date();
+        return {
+            data: calculateAccountBalances(accounts, transactions, { year: now.getFullYear(), month: now.getMonth() + 1 }),
+            error: null
+        };
+    } catch (err) {
+        console.error('Get account balances error:', err);
+        return { data: null, error: { message: 'An unexpected error occurred while loading account balances.' } };
+    }
+}
+
+// Export all account functions
+export {
+    getAccounts,
+    createAccount,
+    updateAccount,
+    deleteAccount,
+    ensureDefaultAccount,
+    getAccountBalances
+};
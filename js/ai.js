@@ -16,7 +16,8 @@
  * - 8.8: Display message requesting more expense history when insufficient data
  */
 
-import { getBudget, getAvailableBudget } from './budget.js';
+import { getBudget } from './budget.js';
+import { getMonthlyIncomeTotals } from './income.js';
 import { getCurrentMonthTotal, getCategoryBreakdown, getMonthlyTotals, getTopCategories, getMonthOverMonthChange } from './analytics.js';
 import { predictNextMonth, calculateTrend } from './forecast.js';
 
@@ -48,7 +49,8 @@ const MIN_MONTHS_FOR_ANALYSIS = 1;
  * Analyze user's financial data to gather insights for recommendations
  * 
  * @returns {Promise<Object>} Financial analysis object containing:
- *   - monthlyIncome: User's monthly income
+ *   - monthlyIncome: Average income received in recent months, or the budget's monthly income if none is recorded
+ *   - incomeIsActual: Whether monthlyIncome comes from income received
  *   - savingsGoal: User's savings goal
  *   - availableBudget: Income minus savings goal
  *   - currentMonthTotal: Total expenses this month
@@ -66,7 +68,7 @@ async function analyzeFinances() {
         // Gather all financial data in parallel
         const [
             budgetResult,
-            availableBudget,
+            incomeTotals,
             currentMonthTotal,
             categoryBreakdown,
             monthlyTotals,
@@ -75,7 +77,7 @@ async function analyzeFinances() {
             forecast
         ] = await Promise.all([
             getBudget(),
-            getAvailableBudget(),
+            getMonthlyIncomeTotals(6),
             getCurrentMonthTotal(),
             getCategoryBreakdown(),
             getMonthlyTotals(6),
@@ -85,8 +87,16 @@ async function analyzeFinances() {
         ]);
 
         const budget = budgetResult.data;
-        const monthlyIncome = budget ? parseFloat(budget.monthly_income) : 0;
-        const savingsGoal = budget ? parseFloat(budget.savings_goal) : 0;
+        const savingsGoal = budget ? parseFloat(budget.savings_goal) || 0 : 0;
+
+        // Plan around the income actually received, averaged over the months it
+        // was received so a late salary or irregular freelance pay doesn't skew it
+        const monthsWithIncome = incomeTotals.filter(m => m.total > 0);
+        const incomeIsActual = monthsWithIncome.length > 0;
+        const monthlyIncome = incomeIsActual
+            ? monthsWithIncome.reduce((sum, m) => sum + m.total, 0) / monthsWithIncome.length
+            : (budget ? parseFloat(budget.monthly_income) : 0);
+        const availableBudget = Math.max(0, monthlyIncome - savingsGoal);
 
         // Determine if we have enough data for meaningful analysis
         const monthsWithData = monthlyTotals.filter(m => m.total > 0).length;
@@ -101,6 +111,7 @@ async function analyzeFinances() {
 
         return {
             monthlyIncome,
+            incomeIsActual,
             savingsGoal,
             availableBudget,
             currentMonthTotal,
@@ -118,6 +129,7 @@ async function analyzeFinances() {
         console.error('Analyze finances error:', err);
         return {
             monthlyIncome: 0,
+            incomeIsActual: false,
             savingsGoal: 0,
             availableBudget: 0,
             currentMonthTotal: 0,
@@ -538,7 +550,7 @@ async function getBudgetPlan() {
                 longTermPlan: null,
                 summary: '',
                 hasEnoughData: true,
-                message: 'First, go to Budget and add your monthly income. Then we can create your plan!'
+                message: 'First, go to Budget and add your monthly income or the income you\'ve received. Then we can create your plan!'
             };
         }
 
@@ -563,6 +575,7 @@ async function getBudgetPlan() {
             // Include analysis data for UI display
             analysis: {
                 monthlyIncome: analysis.monthlyIncome,
+                incomeIsActual: analysis.incomeIsActual,
                 currentMonthTotal: analysis.currentMonthTotal,
                 availableBudget: analysis.availableBudget,
                 savingsGoal: analysis.savingsGoal,
@@ -595,10 +608,15 @@ async function getBudgetPlan() {
  * @returns {string} Summary text
  */
 function generateSummary(analysis, categoryLimits, idealSavingsPercentage, tips) {
-    const { monthlyIncome, currentMonthTotal, availableBudget, trend, forecast } = analysis;
+    const { monthlyIncome, incomeIsActual, currentMonthTotal, availableBudget, trend, forecast } = analysis;
 
     const parts = [];
 
+    // Say where the income figure came from when it isn't the one the user typed in
+    if (incomeIsActual) {
+        parts.push(`This plan uses the ${new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR' }).format(monthlyIncome)} a month you've actually received.`);
+    }
+
     // Overall financial health - simple language
     const spendingRatio = currentMonthTotal / availableBudget;
     if (spendingRatio <= 0.8) {
@@ -17,7 +17,26 @@
  */
 
 import { supabase } from './supabaseConfig.js';
-import { getBudget, getAvailableBudget } from './budget.js';
+import { getIncomeBasis } from './budget.js';
+
+/**
+ * Transaction types left out of every spending total, as a PostgREST list
+ * Income is money received and transfers move money between the user's own
+ * accounts, so neither is spending.
+ */
+const NON_SPENDING_TYPES = '(income,transfer)';
+
+/**
+ * Get an expense row's contribution to spending
+ * Refunds reduce spending; income and transfer rows are excluded by the queries themselves
+ * 
+ * @param {{amount: string|number, transaction_type?: string}} expense - Expense row
+ * @returns {number} Signed spending amount
+ */
+function getSpendingAmount(expense) {
+    const amount = parseFloat(expense.amount);
+    return expense.transaction_type === 'refund' ? -amount : amount;
+}
 
 /**
  * Get the total expenses for the current month
@@ -45,8 +64,9 @@ async function getCurrentMonthTotal() {
 
         const { data: expenses, error } = await supabase
             .from('expenses')
-            .select('amount')
+            .select('amount, transaction_type')
             .eq('user_id', user.id)
+            .not('transaction_type', 'in', NON_SPENDING_TYPES)
             .gte('date', startDate)
             .lte('date', endDate);
 
@@ -57,7 +77,7 @@ async function getCurrentMonthTotal() {
 
         // Sum all expense amounts
         const total = (expenses || []).reduce((sum, expense) => {
-            return sum + parseFloat(expense.amount);
+            return sum + getSpendingAmount(expense);
         }, 0);
 
         return total;
@@ -95,8 +115,9 @@ async function getCategoryBreakdown() {
 
         const { data: expenses, error } = await supabase
             .from('expenses')
-            .select('category, amount')
+            .select('category, amount, transaction_type')
             .eq('user_id', user.id)
+            .not('transaction_type', 'in', NON_SPENDING_TYPES)
             .gte('date', startDate)
             .lte('date', endDate);
 
@@ -114,7 +135,7 @@ async function getCategoryBreakdown() {
         let overallTotal = 0;
 
         for (const expense of expenses) {
-            const amount = parseFloat(expense.amount);
+            const amount = getSpendingAmount(expense);
             overallTotal += amount;
 
             const existing = categoryMap.get(expense.category);
@@ -148,47 +169,49 @@ async function getCategoryBreakdown() {
 
 /**
  * Check if user is overspending based on budget settings
- * Overspending occurs when total expenses exceed (monthly_income - savings_goal)
+ * Overspending occurs when total expenses exceed (income - savings_goal), where
+ * income is what has been received this month or, until any has, monthly_income
  * 
- * @returns {Promise<{isOverspending: boolean, amount: number, availableBudget: number}>}
+ * @returns {Promise<{isOverspending: boolean, amount: number, availableBudget: number, incomeIsActual: boolean}>}
  * Returns overspending status and the amount over budget (if any)
  * 
  * Requirements: 5.4
  */
 async function checkOverspending() {
     try {
-        const [currentTotal, availableBudget] = await Promise.all([
+        const [currentTotal, basis] = await Promise.all([
             getCurrentMonthTotal(),
-            getAvailableBudget()
+            getIncomeBasis()
         ]);
 
-        // If no budget is set, available budget is 0, so any spending is "over"
-        // But we should only alert if there's actually a budget configured
-        const { data: budget } = await getBudget();
-
-        if (!budget) {
-            // No budget configured - can't determine overspending
+        // Only alert when there is income to measure spending against,
+        // either received this month or configured in the budget
+        if (!basis.hasBudget && !basis.isActual) {
             return {
                 isOverspending: false,
                 amount: 0,
-                availableBudget: 0
+                availableBudget: 0,
+                incomeIsActual: false
             };
         }
 
+        const availableBudget = basis.available;
         const isOverspending = currentTotal > availableBudget;
         const overAmount = isOverspending ? currentTotal - availableBudget : 0;
 
         return {
             isOverspending,
             amount: overAmount,
-            availableBudget
+            availableBudget,
+            incomeIsActual: basis.isActual
         };
     } catch (err) {
         console.error('Check overspending error:', err);
         return {
             isOverspending: false,
             amount: 0,
-            availableBudget: 0
+            availableBudget: 0,
+            incomeIsActual: false
         };
     }
 }
@@ -227,8 +250,9 @@ async function getMonthlyTotals(months = 6) {
 
         const { data: expenses, error } = await supabase
             .from('expenses')
-            .select('amount, date')
+            .select('amount, date, transaction_type')
             .eq('user_id', user.id)
+            .not('transaction_type', 'in', NON_SPENDING_TYPES)
             .gte('date', startDateStr)
             .lte('date', endDateStr);
 
@@ -263,7 +287,7 @@ async function getMonthlyTotals(months = 6) {
             const key = `${year}-${month}`;
 
             if (monthlyMap.has(key)) {
-                monthlyMap.get(key).total += parseFloat(expense.amount);
+                monthlyMap.get(key).total += getSpendingAmount(expense);
             }
         }
 
@@ -300,8 +324,9 @@ async function getTopCategories(limit = 5) {
         // Get all expenses for the user (all time)
         const { data: expenses, error } = await supabase
             .from('expenses')
-            .select('category, amount')
-            .eq('user_id', user.id);
+            .select('category, amount, transaction_type')
+            .eq('user_id', user.id)
+            .not('transaction_type', 'in', NON_SPENDING_TYPES);
 
         if (error) {
             console.error('Error fetching expenses for top categories:', error);
@@ -316,7 +341,7 @@ async function getTopCategories(limit = 5) {
         const categoryMap = new Map();
 
         for (const expense of expenses) {
-            const amount = parseFloat(expense.amount);
+            const amount = getSpendingAmount(expense);
             const existing = categoryMap.get(expense.category);
 
             if (existing) {
@@ -391,14 +416,16 @@ async function getMonthOverMonthChange() {
         const [currentResult, prevResult] = await Promise.all([
             supabase
                 .from('expenses')
-                .select('amount')
+                .select('amount, transaction_type')
                 .eq('user_id', user.id)
+                .not('transaction_type', 'in', NON_SPENDING_TYPES)
                 .gte('date', currentStartDate)
                 .lte('date', currentEndDate),
             supabase
                 .from('expenses')
-                .select('amount')
+                .select('amount, transaction_type')
                 .eq('user_id', user.id)
+                .not('transaction_type', 'in', NON_SPENDING_TYPES)
                 .gte('date', prevStartDate)
                 .lte('date', prevEndDate)
         ]);
@@ -414,8 +441,8 @@ async function getMonthOverMonthChange() {
         }
 
         // Calculate totals
-        const currentTotal = (currentResult.data || []).reduce((sum, e) => sum + parseFloat(e.amount), 0);
-        const prevTotal = (prevResult.data || []).reduce((sum, e) => sum + parseFloat(e.amount), 0);
+        const currentTotal = (currentResult.data || []).reduce((sum, e) => sum + getSpendingAmount(e), 0);
+        const prevTotal = (prevResult.data || []).reduce((sum, e) => sum + getSpendingAmount(e), 0);
 
         // Calculate percentage change
         let percentage = 0;
@@ -34,12 +34,79 @@ import {
     showLoading,
     hideLoading,
     renderDashboard,
-    initEventListeners
+    initEventListeners,
+    loadAccounts
 } from './ui.js';
 
 // Import transaction import module
 import { initImportDialog } from './transactionImport.js';
 
+// Import merchant aliases module
+import { backfillMerchants } from './merchantAliases.js';
+
+// Import recurring expenses module
+import { postDueRecurringExpenses } from './recurring.js';
+
+/**
+ * Merchant backfill in progress, so a second sign-in event doesn't start another
+ */
+let merchantSync = null;
+
+/**
+ * Record the merchant of expenses saved before merchants were tracked
+ * Runs in the background; the user's aliases are loaded on the way, so
+ * expenses added afterwards use them too
+ */
+function syncMerchants() {
+    if (merchantSync) return;
+
+    merchantSync = backfillMerchants({ missingOnly: true })
+        .then(({ error }) => {
+            if (error) {
+                console.error('Unable to update expense merchants:', error.message);
+            }
+        })
+        .finally(() => {
+            merchantSync = null;
+        });
+}
+
+/**
+ * Recurring expense run in progress, so a second sign-in event waits for it
+ * instead of posting the same occurrences again
+ */
+let recurringRun = null;
+
+/**
+ * Add recurring expenses that have fallen due since the app was last opened
+ * Templates set to remind are left for the user to add or skip on the
+ * Recurring screen.
+ *
+ * @returns {Promise<void>}
+ */
+function postRecurring() {
+    if (recurringRun) return recurringRun;
+
+    recurringRun = postDueRecurringExpenses()
+        .then(({ posted, reminders, error }) => {
+            if (error) {
+                console.error('Unable to add recurring expenses:', error.message);
+            }
+            if (posted > 0) {
+                showSuccess(`Added ${posted} recurring ${posted === 1 ? 'expense' : 'expenses'}`);
+            }
+            if (reminders.length > 0) {
+                const count = reminders.reduce((sum, reminder) => sum + reminder.dates.length, 0);
+                showSuccess(`${count} recurring ${count === 1 ? 'payment is' : 'payments are'} due. Open Recurring to add or skip ${count === 1 ? 'it' : 'them'}.`);
+            }
+        })
+        .finally(() => {
+            recurringRun = null;
+        });
+
+    return recurringRun;
+}
+
 /**
  * Verify core infrastructure components
  * Logs verification results to console
@@ -144,6 +211,9 @@ async function initApp() {
 
             // Initialize UI event listeners and load dashboard
             initEventListeners();
+            syncMerchants();
+            await loadAccounts();
+            await postRecurring();
             await renderDashboard();
         } else {
             // User is logged out - show auth view
@@ -160,6 +230,9 @@ async function initApp() {
 
         // Initialize UI event listeners and load dashboard
         initEventListeners();
+        syncMerchants();
+        await loadAccounts();
+        await postRecurring();
         await renderDashboard();
     }
 
@@ -13,6 +13,7 @@
  */
 
 import { supabase } from './supabaseConfig.js';
+import { getCurrentMonthIncome } from './income.js';
 
 /**
  * Get current budget settings for the authenticated user
@@ -96,32 +97,56 @@ async function saveBudget(monthlyIncome, savingsGoal) {
 }
 
 /**
- * Calculate the available spending budget
- * Available budget = monthly_income - savings_goal
- * 
- * @returns {Promise<number>} The available spending amount, or 0 if budget not set
- * 
- * Requirements: 4.3 (derived from budget settings)
+ * Get the income to budget against this month
+ * Income actually received this month is used once any has been recorded, so
+ * irregular earnings are reflected; until then the monthly_income from the
+ * budget settings stands in.
+ *
+ * @returns {Promise<{income: number, savingsGoal: number, available: number, isActual: boolean, hasBudget: boolean}>}
+ * available is income minus the savings goal, never below zero
  */
-async function getAvailableBudget() {
+async function getIncomeBasis() {
     try {
-        const { data: budget, error } = await getBudget();
+        const [{ data: budget }, received] = await Promise.all([
+            getBudget(),
+            getCurrentMonthIncome()
+        ]);
 
-        if (error || !budget) {
-            return 0;
-        }
+        const isActual = received > 0;
+        const income = isActual ? received : (budget ? parseFloat(budget.monthly_income) : 0);
+        const savingsGoal = budget ? parseFloat(budget.savings_goal) || 0 : 0;
 
-        const available = parseFloat(budget.monthly_income) - parseFloat(budget.savings_goal);
-        return Math.max(0, available); // Ensure non-negative
+        return {
+            income,
+            savingsGoal,
+            available: Math.max(0, income - savingsGoal), // Ensure non-negative
+            isActual,
+            hasBudget: Boolean(budget)
+        };
     } catch (err) {
-        console.error('Get available budget error:', err);
-        return 0;
+        console.error('Get income basis error:', err);
+        return { income: 0, savingsGoal: 0, available: 0, isActual: false, hasBudget: false };
     }
 }
 
+/**
+ * Calculate the available spending budget
+ * Available budget = this month's income - savings_goal, where income is what
+ * has been received this month or, if nothing has yet, monthly_income
+ * 
+ * @returns {Promise<number>} The available spending amount, or 0 if there is no income or budget
+ * 
+ * Requirements: 4.3 (derived from budget settings)
+ */
+async function getAvailableBudget() {
+    const { available } = await getIncomeBasis();
+    return available;
+}
+
 // Export all budget functions
 export {
     getBudget,
     saveBudget,
+    getIncomeBasis,
     getAvailableBudget
 };
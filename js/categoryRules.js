@@ -0,0 +1,330 @@
+/**
+ * Category Rules Module
+ *
+ * Manages the user's learned merchant→category rules using Supabase.
+ * A rule is saved whenever the user corrects a category during import or
+ * while editing an expense, and is applied to future imports and manual entries.
+ * Rules are matched in position order, so the first matching rule wins.
+ * All operations are scoped to the authenticated user via Row Level Security.
+ *
+ * @module categoryRules
+ *
+ * Requirements covered:
+ * - 4.7: Learn from user corrections
+ */
+
+import { supabase } from './supabaseConfig.js';
+import { getMerchantKey, setUserRules, matchUserRules, EXPENSE_CATEGORIES } from './classifier.js';
+import { getMerchantWords } from './merchantNormalizer.js';
+
+/**
+ * Number of expenses written in each request while re-applying rules
+ */
+const REAPPLY_CHUNK_SIZE = 200;
+
+/**
+ * Get all category rules for the current user in match order
+ *
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ */
+async function getCategoryRules() {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { data: null, error: { message: 'User not authenticated' } };
+        }
+
+        const { data, error } = await supabase
+            .from('category_rules')
+            .select('*')
+            .eq('user_id', user.id)
+            .order('position', { ascending: true })
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            console.error('Error fetching category rules:', error);
+            return { data: null, error: { message: 'Unable to load category rules.' } };
+        }
+
+        return { data: data || [], error: null };
+    } catch (err) {
+        console.error('Get category rules error:', err);
+        return { data: null, error: { message: 'An unexpected error occurred while loading category rules.' } };
+    }
+}
+
+/**
+ * Load the user's rules into the classifier
+ *
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ */
+async function loadCategoryRules() {
+    const result = await getCategoryRules();
+    if (!result.error) {
+        setUserRules(result.data);
+    }
+    return result;
+}
+
+/**
+ * Save a category correction as a rule for the description's merchant
+ * The rule is placed first so it wins over broader rules saved earlier
+ *
+ * @param {string} description - Transaction description or expense name
+ * @param {string} category - Category the user chose
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+async function learnCategoryRule(description, category) {
+    try {
+        const merchant = getMerchantKey(description);
+        if (!merchant || !EXPENSE_CATEGORIES.includes(category)) {
+            return { data: null, error: null };
+        }
+
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { data: null, error: { message: 'User not authenticated' } };
+        }
+
+        // Find the current top position
+        const { data: first, error: positionError } = await supabase
+            .from('category_rules')
+            .select('position')
+            .eq('user_id', user.id)
+            .order('position', { ascending: true })
+            .limit(1);
+
+        if (positionError) {
+            console.error('Error reading category rule order:', positionError);
+            return { data: null, error: { message: 'Unable to save category rule.' } };
+        }
+
+        const position = first && first.length > 0 ? first[0].position - 1 : 0;
+
+        const { data, error } = await supabase
+            .from('category_rules')
+            .upsert({
+                user_id: user.id,
+                merchant,
+                category,
+                position
+            }, {
+                onConflict: 'user_id,merchant'
+            })
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Error saving category rule:', error);
+            return { data: null, error: { message: 'Unable to save category rule.' } };
+        }
+
+        return { data, error: null };
+    } catch (err) {
+        console.error('Learn category rule error:', err);
+        return { data: null, error: { message: 'An unexpected error occurred while saving the category rule.' } };
+    }
+}
+
+/**
+ * Update a category rule
+ *
+ * @param {string} id - The rule ID (UUID)
+ * @param {Object} updates - Fields to update
+ * @param {string} [updates.merchant] - Merchant words to match
+ * @param {string} [updates.category] - Category to assign
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+async function updateCategoryRule(id, updates) {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { data: null, error: { message: 'User not authenticated' } };
+        }
+
+        const updateData = {};
+        if (updates.merchant !== undefined) {
+            const merchant = getMerchantWords(updates.merchant).join(' ');
+            if (!merchant) {
+                return { data: null, error: { message: 'Please enter a merchant name.' } };
+            }
+            updateData.merchant = merchant;
+        }
+        if (updates.category !== undefined) {
+            if (!EXPENSE_CATEGORIES.includes(updates.category)) {
+                return { data: null, error: { message: 'Please select a valid category.' } };
+            }
+            updateData.category = updates.category;
+        }
+
+        const { data, error } = await supabase
+            .from('category_rules')
+            .update(updateData)
+            .eq('id', id)
+            .eq('user_id', user.id)  // Ensure user owns this rule
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Error updating category rule:', error);
+            return { data: null, error: { message: 'Unable to update category rule. A rule for this merchant may already exist.' } };
+        }
+
+        return { data, error: null };
+    } catch (err) {
+        console.error('Update category rule error:', err);
+        return { data: null, error: { message: 'An unexpected error occurred while updating the category rule.' } };
+    }
+}
+
+/**
+ * Delete a category rule
+ *
+ * @param {string} id - The rule ID (UUID)
+ * @returns {Promise<{error: Object|null}>}
+ */
+async function deleteCategoryRule(id) {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { error: { message: 'User not authenticated' } };
+        }
+
+        const { error } = await supabase
+            .from('category_rules')
+            .delete()
+            .eq('id', id)
+            .eq('user_id', user.id);  // Ensure user owns this rule
+
+        if (error) {
+            console.error('Error deleting category rule:', error);
+            return { error: { message: 'Unable to delete category rule. Please try again.' } };
+        }
+
+        return { error: null };
+    } catch (err) {
+        console.error('Delete category rule error:', err);
+        return { error: { message: 'An unexpected error occurred while deleting the category rule.' } };
+    }
+}
+
+/**
+ * Save a new rule order
+ *
+ * @param {string[]} orderedIds - Rule IDs in the desired match order
+ * @returns {Promise<{error: Object|null}>}
+ */
+async function reorderCategoryRules(orderedIds) {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { error: { message: 'User not authenticated' } };
+        }
+
+        const results = await Promise.all(orderedIds.map((id, position) =>
+            supabase
+                .from('category_rules')
+                .update({ position })
+                .eq('id', id)
+                .eq('user_id', user.id)
+        ));
+
+        const failed = results.find(result => result.error);
+        if (failed) {
+            console.error('Error reordering category rules:', failed.error);
+            return { error: { message: 'Unable to save the new rule order. Please try again.' } };
+        }
+
+        return { error: null };
+    } catch (err) {
+        console.error('Reorder category rules error:', err);
+        return { error: { message: 'An unexpected error occurred while reordering category rules.' } };
+    }
+}
+
+/**
+ * Re-run the user's rules over all past expenses
+ * Only expenses whose merchant matches a rule are changed. Only the columns
+ * needed are read, and changed expenses are written REAPPLY_CHUNK_SIZE at a
+ * time as upserts on their ID; the other required columns are sent as read
+ * so the upsert only ever updates.
+ *
+ * @param {function(number, number): void} [onProgress] - Called with expenses written so far and the number to write
+ * @returns {Promise<{updated: number, failed: number, error: Object|null}>}
+ */
+async function reapplyCategoryRules(onProgress) {
+    try {
+        const rulesResult = await loadCategoryRules();
+        if (rulesResult.error) {
+            return { updated: 0, failed: 0, error: rulesResult.error };
+        }
+
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { updated: 0, failed: 0, error: { message: 'User not authenticated' } };
+        }
+
+        // Income and transfers have no spending category to correct
+        const { data: expenses, error } = await supabase
+            .from('expenses')
+            .select('id, user_id, expense_name, category, amount, date')
+            .eq('user_id', user.id)
+            .not('transaction_type', 'in', '(income,transfer)');
+
+        if (error) {
+            console.error('Error fetching expenses to re-apply rules:', error);
+            return { updated: 0, failed: 0, error: { message: 'Unable to load your expenses. Please refresh.' } };
+        }
+
+        const changes = [];
+        (expenses || []).forEach(expense => {
+            const rule = matchUserRules(expense.expense_name);
+            if (rule && rule.category !== expense.category) {
+                changes.push({ ...expense, category: rule.category });
+            }
+        });
+
+        let updated = 0;
+        let failed = 0;
+
+        for (let start = 0; start < changes.length; start += REAPPLY_CHUNK_SIZE) {
+            const chunk = changes.slice(start, start + REAPPLY_CHUNK_SIZE);
+            const { error: upsertError } = await supabase
+                .from('expenses')
+                .upsert(chunk, { onConflict: 'id' });
+
+            if (upsertError) {
+                console.error('Error updating expense categories:', upsertError);
+                failed += chunk.length;
+            } else {
+                updated += chunk.length;
+            }
+
+            if (onProgress) {
+                onProgress(updated + failed, changes.length);
+            }
+        }
+
+        return { updated, failed, error: null };
+    } catch (err) {
+        console.error('Reapply category rules error:', err);
+        return { updated: 0, failed: 0, error: { message: 'An unexpected error occurred while applying category rules.' } };
+    }
+}
+
+// Export all category rule functions
+export {
+    getCategoryRules,
+    loadCategoryRules,
+    learnCategoryRule,
+    updateCategoryRule,
+    deleteCategoryRule,
+    reorderCategoryRules,
+    reapplyCategoryRules
+};
@@ -0,0 +1,525 @@
+/**
+ * Category Classifier Module
+ *
+ * Assigns an expense category to imported transactions from their description.
+ * Classification runs through four layers, most specific first:
+ * 1. User rules - ordered merchant→category rules saved from the user's corrections
+ * 2. History rules - merchant→category pairs derived from past expenses
+ * 3. Keyword and regex rules - common Indian and international merchants
+ * 4. Fallback - 'Other' with zero confidence
+ *
+ * Every result carries a confidence score (0-1) so the preview can highlight
+ * rows that need a second look. Extra rules can be plugged in with addRule.
+ *
+ * @module classifier
+ *
+ * Requirements covered:
+ * - 4.1: Analyze the description to determine the category
+ * - 4.2: Rule-based pattern matching for common merchants
+ * - 4.4: Assign one of the predefined expense categories
+ * - 4.5: Assign "Other" when the category cannot be determined
+ * - 4.6: Display a confidence indicator
+ * - 4.7: Learn from user corrections
+ */
+
+import { getMerchantWords, MAX_MERCHANT_WORDS } from './merchantNormalizer.js';
+
+/**
+ * Valid expense categories
+ */
+const EXPENSE_CATEGORIES = [
+    'Food & Dining',
+    'Transportation',
+    'Shopping',
+    'Utilities',
+    'Entertainment',
+    'Healthcare',
+    'Subscriptions',
+    'Education',
+    'Housing',
+    'Personal Care',
+    'Travel',
+    'Other'
+];
+
+/**
+ * Transaction types stored on expense rows
+ * - expense: money spent (debits)
+ * - refund: money returned for a purchase, netted against its category
+ * - income: money received, kept out of spending totals
+ * - transfer: money moved between the user's own accounts, neither spent nor received
+ */
+const TRANSACTION_TYPES = ['expense', 'refund', 'income', 'transfer'];
+
+/**
+ * Category given to income rows, which have no spending category
+ */
+const INCOME_CATEGORY = 'Income';
+
+/**
+ * Category given to transfers between the user's own accounts
+ */
+const TRANSFER_CATEGORY = 'Transfer';
+
+/**
+ * Narration words that mark a credit as money coming back from a merchant
+ */
+const REFUND_PATTERN = /\b(refund|refunded|reversal|reversed|rev|cashback|cash back|chargeback|return|returned)\b/;
+
+/**
+ * Results below this confidence are highlighted for review in the preview
+ */
+const LOW_CONFIDENCE_THRESHOLD = 0.6;
+
+/**
+ * Confidence assigned to each kind of match
+ */
+const CONFIDENCE = {
+    file: 1,
+    learned: 0.95,
+    history: 0.85,
+    keyword: 0.9,
+    pattern: 0.75,
+    ambiguityPenalty: 0.3
+};
+
+/**
+ * Built-in classification rules
+ * Keywords match whole words in the normalized description; patterns are
+ * tested against the raw description and catch spellings keywords miss.
+ * Higher priority rules win when several categories match.
+ */
+const DEFAULT_RULES = [
+    {
+        id: 'food-dining',
+        category: 'Food & Dining',
+        priority: 10,
+        keywords: ['swiggy', 'zomato', 'uber eats', 'dominos', 'pizza', 'mcdonalds', 'kfc', 'starbucks', 'cafe', 'restaurant', 'food', 'bakery', 'eatsure', 'dunzo'],
+        pattern: /swiggy|zomato|domino'?s|mcdonald|burger\s*king|pizza\s*hut|restaurant/i
+    },
+    {
+        id: 'transportation',
+        category: 'Transportation',
+        priority: 10,
+        keywords: ['uber', 'ola', 'rapido', 'metro', 'petrol', 'fuel', 'diesel', 'parking', 'toll', 'fastag', 'irctc', 'railway'],
+        pattern: /indian\s*oil|bharat\s*petroleum|hpcl|iocl|fastag|irctc/i
+    },
+    {
+        id: 'shopping',
+        category: 'Shopping',
+        priority: 10,
+        keywords: ['amazon', 'flipkart', 'myntra', 'ajio', 'nykaa', 'meesho', 'mall', 'store', 'shop', 'retail', 'dmart', 'reliance', 'bigbasket', 'blinkit', 'zepto'],
+        pattern: /amazon|flipkart|myntra|big\s*basket|d\s*mart/i
+    },
+    {
+        id: 'utilities',
+        category: 'Utilities',
+        priority: 10,
+        keywords: ['electricity', 'water', 'gas', 'internet', 'broadband', 'wifi', 'mobile', 'recharge', 'bill pay', 'airtel', 'jio', 'bsnl', 'vodafone', 'bescom', 'tneb', 'lpg'],
+        pattern: /electricity|broadband|recharge|bill\s*pay|postpaid|prepaid/i
+    },
+    {
+        id: 'entertainment',
+        category: 'Entertainment',
+        priority: 10,
+        keywords: ['netflix', 'hotstar', 'spotify', 'youtube', 'movie', 'cinema', 'pvr', 'inox', 'bookmyshow', 'game', 'gaming', 'steam'],
+        pattern: /netflix|hotstar|spotify|book\s*my\s*show|prime\s*video/i
+    },
+    {
+        id: 'healthcare',
+        category: 'Healthcare',
+        priority: 10,
+        keywords: ['hospital', 'clinic', 'pharmacy', 'medical', 'doctor', 'health', 'apollo', 'medplus', '1mg', 'pharmeasy', 'diagnostics', 'lab'],
+        pattern: /hospital|pharma|medical|diagnostic/i
+    },
+    {
+        id: 'subscriptions',
+        category: 'Subscriptions',
+        priority: 8,
+        keywords: ['subscription', 'membership', 'premium', 'renewal', 'monthly fee', 'annual fee'],
+        pattern: /subscription|membership|auto\s*-?\s*debit|mandate/i
+    },
+    {
+        id: 'education',
+        category: 'Education',
+        priority: 10,
+        keywords: ['school', 'college', 'university', 'course', 'udemy', 'coursera', 'byjus', 'unacademy', 'books', 'education', 'tuition', 'fees'],
+        pattern: /school|college|university|tuition/i
+    },
+    {
+        id: 'housing',
+        category: 'Housing',
+        priority: 10,
+        keywords: ['rent', 'maintenance', 'society', 'housing', 'apartment', 'nobroker', 'landlord'],
+        pattern: /house\s*rent|rent\s*payment|society\s*maint/i
+    },
+    {
+        id: 'personal-care',
+        category: 'Personal Care',
+        priority: 10,
+        keywords: ['salon', 'spa', 'gym', 'fitness', 'grooming', 'beauty', 'urban company', 'cult'],
+        pattern: /salon|fitness|grooming/i
+    },
+    {
+        id: 'travel',
+        category: 'Travel',
+        priority: 10,
+        keywords: ['hotel', 'makemytrip', 'goibibo', 'airbnb', 'travel', 'trip', 'vacation', 'oyo', 'cleartrip', 'indigo', 'vistara', 'airlines', 'flight'],
+        pattern: /make\s*my\s*trip|goibibo|cleartrip|airbnb|airlines?/i
+    }
+];
+
+/**
+ * Rules added at runtime with addRule
+ * @type {Array<ClassificationRule>}
+ */
+let customRules = [];
+
+/**
+ * User rules in match order - the first rule whose merchant appears in a description wins
+ * @type {Array<{merchant: string, category: string}>}
+ */
+let userRules = [];
+
+/**
+ * Merchant→category pairs derived from past expenses, keyed by merchant key
+ * @type {Map<string, string>}
+ */
+let learnedRules = new Map();
+
+/**
+ * Normalize a description into lowercase space-separated words
+ *
+ * @param {string} description - Transaction description
+ * @returns {string} Normalized description
+ */
+function normalizeDescription(description) {
+    return String(description || '')
+        .toLowerCase()
+        .replace(/['’]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+/**
+ * Reduce a bank narration to a stable merchant key
+ * Uses the merchant normalizer, so "UPI/401234/CHAI POINT/Payment" and
+ * "POS 5521 CHAI POINT BANGALORE" share a key, and so do descriptions the
+ * user has aliased to the same merchant
+ *
+ * @param {string} description - Transaction description
+ * @returns {string} Merchant key, or empty string if nothing identifying remains
+ */
+function getMerchantKey(description) {
+    return getMerchantWords(description).slice(0, MAX_MERCHANT_WORDS).join(' ');
+}
+
+/**
+ * Get all classification rules, highest priority first
+ *
+ * @returns {Array<ClassificationRule>}
+ */
+function getRules() {
+    return [...DEFAULT_RULES, ...customRules].sort((a, b) => b.priority - a.priority);
+}
+
+/**
+ * Add a classification rule
+ *
+ * @param {{id: string, category: string, priority?: number, keywords?: string[], pattern?: RegExp}} rule - Rule to add
+ * @returns {boolean} True if the rule was added
+ */
+function addRule(rule) {
+    if (!rule || !EXPENSE_CATEGORIES.includes(rule.category)) {
+        return false;
+    }
+    if (!(rule.keywords && rule.keywords.length > 0) && !(rule.pattern instanceof RegExp)) {
+        return false;
+    }
+
+    customRules = customRules.filter(r => r.id !== rule.id);
+    customRules.push({
+        id: rule.id,
+        category: rule.category,
+        priority: typeof rule.priority === 'number' ? rule.priority : 10,
+        keywords: (rule.keywords || []).map(normalizeDescription).filter(Boolean),
+        pattern: rule.pattern || null
+    });
+    return true;
+}
+
+/**
+ * Remove all rules added with addRule
+ */
+function clearCustomRules() {
+    customRules = [];
+}
+
+/**
+ * Match a description against the keyword and regex rules
+ *
+ * @param {string} description - Transaction description
+ * @returns {{matched: boolean, category: string|null, rule: string|null, confidence: number}}
+ */
+function matchRules(description) {
+    const padded = ` ${normalizeDescription(description)} `;
+    const raw = String(description || '');
+    const matches = [];
+
+    for (const rule of getRules()) {
+        // Longest keyword wins so "uber eats" beats "uber"
+        const keyword = (rule.keywords || [])
+            .filter(k => padded.includes(` ${k} `))
+            .sort((a, b) => b.length - a.length)[0];
+
+        if (keyword) {
+            matches.push({ rule, confidence: CONFIDENCE.keyword, strength: keyword.length });
+        } else if (rule.pattern && rule.pattern.test(raw)) {
+            matches.push({ rule, confidence: CONFIDENCE.pattern, strength: 0 });
+        }
+    }
+
+    if (matches.length === 0) {
+        return { matched: false, category: null, rule: null, confidence: 0 };
+    }
+
+    matches.sort((a, b) =>
+        (b.rule.priority - a.rule.priority) ||
+        (b.confidence - a.confidence) ||
+        (b.strength - a.strength)
+    );
+
+    const [best, runnerUp] = matches;
+    let confidence = best.confidence;
+
+    // Two categories matching equally well is a guess - flag it for review
+    if (runnerUp &&
+        runnerUp.rule.category !== best.rule.category &&
+        runnerUp.rule.priority === best.rule.priority &&
+        runnerUp.confidence === best.confidence &&
+        runnerUp.strength === best.strength) {
+        confidence -= CONFIDENCE.ambiguityPenalty;
+    }
+
+    return { matched: true, category: best.rule.category, rule: best.rule.id, confidence };
+}
+
+/**
+ * Classify a single transaction from its description
+ *
+ * @param {{description: string}} transaction - Transaction to classify
+ * @returns {{category: string, confidence: number, method: 'learned'|'history'|'rule'|'none', rule: string|null}}
+ */
+function classifyTransaction(transaction) {
+    const description = transaction ? transaction.description : '';
+
+    const userRule = matchUserRules(description);
+    if (userRule) {
+        return { category: userRule.category, confidence: CONFIDENCE.learned, method: 'learned', rule: userRule.merchant };
+    }
+
+    const merchantKey = getMerchantKey(description);
+    if (merchantKey && learnedRules.has(merchantKey)) {
+        return { category: learnedRules.get(merchantKey), confidence: CONFIDENCE.history, method: 'history', rule: merchantKey };
+    }
+
+    const ruleMatch = matchRules(description);
+    if (ruleMatch.matched) {
+        return { category: ruleMatch.category, confidence: ruleMatch.confidence, method: 'rule', rule: ruleMatch.rule };
+    }
+
+    return { category: 'Other', confidence: 0, method: 'none', rule: null };
+}
+
+/**
+ * Decide whether a credit is a refund or income from its description
+ *
+ * @param {string} description - Transaction description
+ * @returns {'refund'|'income'}
+ */
+function classifyCreditType(description) {
+    return REFUND_PATTERN.test(normalizeDescription(description)) ? 'refund' : 'income';
+}
+
+/**
+ * Classify multiple transactions
+ * A valid category supplied by the file itself (a mapped category column) is kept.
+ * Credits are typed as refunds or income; refunds keep the merchant's category
+ * so they net against it, and income rows get INCOME_CATEGORY.
+ *
+ * @param {Array<{description: string, category?: string, direction?: string}>} transactions - Transactions to classify
+ * @returns {Array<Object>} Transactions with category, confidence, classificationMethod and transactionType set
+ */
+function classifyBatch(transactions) {
+    if (!Array.isArray(transactions)) {
+        return [];
+    }
+
+    return transactions.map(transaction => {
+        const transactionType = transaction.direction === 'credit'
+            ? classifyCreditType(transaction.description)
+            : 'expense';
+
+        if (transactionType === 'income') {
+            return { ...transaction, transactionType, category: INCOME_CATEGORY, confidence: CONFIDENCE.file, classificationMethod: 'income' };
+        }
+
+        if (EXPENSE_CATEGORIES.includes(transaction.category)) {
+            return { ...transaction, transactionType, confidence: CONFIDENCE.file, classificationMethod: 'file' };
+        }
+
+        const result = classifyTransaction(transaction);
+        return {
+            ...transaction,
+            transactionType,
+            category: result.category,
+            confidence: result.confidence,
+            classificationMethod: result.method
+        };
+    });
+}
+
+/**
+ * Check whether a classification result should be highlighted for review
+ *
+ * @param {{confidence: number}} transaction - Classified transaction
+ * @returns {boolean}
+ */
+function isLowConfidence(transaction) {
+    return !transaction || !(transaction.confidence >= LOW_CONFIDENCE_THRESHOLD);
+}
+
+/**
+ * Find the first user rule whose merchant appears in a description
+ * Merchants match on whole words, so a rule for "amazon" also covers "AMAZON PAY"
+ *
+ * @param {string} description - Transaction description
+ * @returns {{merchant: string, category: string}|null} The matching rule, or null
+ */
+function matchUserRules(description) {
+    if (userRules.length === 0) {
+        return null;
+    }
+
+    const padded = ` ${getMerchantWords(description).join(' ')} `;
+    return userRules.find(rule => padded.includes(` ${rule.merchant} `)) || null;
+}
+
+/**
+ * Remember a user's category choice for a merchant
+ * The rule is moved to the front so the latest correction wins over broader rules
+ *
+ * @param {string} description - Transaction description
+ * @param {string} category - Correct category
+ * @returns {boolean} True if a rule was learned
+ */
+function learnFromCorrection(description, category) {
+    const merchantKey = getMerchantKey(description);
+    if (!merchantKey || !EXPENSE_CATEGORIES.includes(category)) {
+        return false;
+    }
+
+    userRules = [{ merchant: merchantKey, category }, ...userRules.filter(rule => rule.merchant !== merchantKey)];
+    return true;
+}
+
+/**
+ * Replace the user rules
+ *
+ * @param {Array<{merchant: string, category: string}>} rules - User rules in match order
+ */
+function setUserRules(rules) {
+    userRules = (rules || [])
+        .filter(rule => rule && EXPENSE_CATEGORIES.includes(rule.category))
+        .map(rule => ({ merchant: getMerchantWords(rule.merchant).join(' '), category: rule.category }))
+        .filter(rule => rule.merchant);
+}
+
+/**
+ * Get the user rules in match order
+ *
+ * @returns {Array<{merchant: string, category: string}>}
+ */
+function getUserRules() {
+    return userRules.map(rule => ({ ...rule }));
+}
+
+/**
+ * Replace the history-derived merchant→category rules
+ *
+ * @param {Array<{merchant: string, category: string}>} rules - Learned rules
+ */
+function setLearnedRules(rules) {
+    learnedRules = new Map();
+    (rules || []).forEach(rule => {
+        if (rule.merchant && EXPENSE_CATEGORIES.includes(rule.category)) {
+            learnedRules.set(rule.merchant, rule.category);
+        }
+    });
+}
+
+/**
+ * Get the history-derived merchant→category rules
+ *
+ * @returns {Array<{merchant: string, category: string}>}
+ */
+function getLearnedRules() {
+    return Array.from(learnedRules, ([merchant, category]) => ({ merchant, category }));
+}
+
+/**
+ * Derive learned rules from past expenses
+ * Each merchant maps to the category the user filed it under most often;
+ * expenses left as 'Other' carry no signal and are ignored
+ *
+ * @param {Array<{expense_name: string, category: string}>} expenses - Past expenses
+ * @returns {Array<{merchant: string, category: string}>}
+ */
+function buildLearnedRules(expenses) {
+    const counts = new Map();
+
+    (expenses || []).forEach(expense => {
+        if (!expense || expense.category === 'Other' || !EXPENSE_CATEGORIES.includes(expense.category)) {
+            return;
+        }
+        const merchantKey = getMerchantKey(expense.expense_name);
+        if (!merchantKey) {
+            return;
+        }
+        const categoryCounts = counts.get(merchantKey) || {};
+        categoryCounts[expense.category] = (categoryCounts[expense.category] || 0) + 1;
+        counts.set(merchantKey, categoryCounts);
+    });
+
+    return Array.from(counts, ([merchant, categoryCounts]) => ({
+        merchant,
+        category: Object.entries(categoryCounts).sort((a, b) => b[1] - a[1])[0][0]
+    }));
+}
+
+// Export all classifier functions and constants
+export {
+    classifyTransaction,
+    classifyBatch,
+    classifyCreditType,
+    matchRules,
+    getRules,
+    addRule,
+    clearCustomRules,
+    isLowConfidence,
+    matchUserRules,
+    learnFromCorrection,
+    setUserRules,
+    getUserRules,
+    setLearnedRules,
+    getLearnedRules,
+    buildLearnedRules,
+    getMerchantKey,
+    normalizeDescription,
+    EXPENSE_CATEGORIES,
+    TRANSACTION_TYPES,
+    INCOME_CATEGORY,
+    TRANSFER_CATEGORY,
+    LOW_CONFIDENCE_THRESHOLD,
+    DEFAULT_RULES
+};
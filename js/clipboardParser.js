@@ -0,0 +1,93 @@
+/**
+ * Clipboard Parser Module
+ *
+ * Turns a table copied from net banking or a spreadsheet into tab-separated
+ * text, so pasted rows go through the same CSV parsing, column mapping and
+ * validation as an uploaded file. Spreadsheets already put tab-separated text
+ * on the clipboard; web pages put an HTML table there, which is read cell by
+ * cell so merged cells and line breaks inside cells don't shift the columns.
+ *
+ * @module clipboardParser
+ */
+
+/**
+ * Name given to the first paste; later pastes are numbered
+ */
+const PASTE_FILE_NAME = 'Pasted transactions';
+
+/**
+ * Get the text a table cell contributes to a tab-separated row
+ * Cells with quotes are quoted so parseLine reads them back unchanged.
+ *
+ * @param {Element} cell - td or th element
+ * @returns {string}
+ */
+function cellText(cell) {
+    // Line breaks would otherwise join the words either side
+    cell.querySelectorAll('br').forEach(br => br.replaceWith(' '));
+    const text = (cell.textContent || '').replace(/\s+/g, ' ').trim();
+    return text.includes('"') ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Read the rows of an HTML table
+ * The extra columns a merged cell covers are left empty so every row keeps
+ * its column positions; empty rows are dropped.
+ *
+ * @param {Element} table - table element
+ * @returns {string[][]}
+ */
+function tableToRows(table) {
+    return Array.from(table.rows)
+        .map(row => Array.from(row.cells).flatMap(cell => {
+            const span = Math.max(1, parseInt(cell.getAttribute('colspan'), 10) || 1);
+            return [cellText(cell), ...Array(span - 1).fill('')];
+        }))
+        .filter(cells => cells.some(text => text !== ''));
+}
+
+/**
+ * Convert the largest table in copied HTML to tab-separated text
+ *
+ * @param {string} html - HTML from the clipboard
+ * @returns {string|null} Tab-separated rows, or null if the HTML has no table
+ */
+function htmlTableToText(html) {
+    if (!html || !/<table/i.test(html)) {
+        return null;
+    }
+
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const tables = Array.from(doc.querySelectorAll('table'))
+        .map(tableToRows)
+        .filter(rows => rows.length > 0);
+    if (tables.length === 0) {
+        return null;
+    }
+
+    const largest = tables.reduce((best, rows) => rows.length > best.length ? rows : best);
+    return largest.map(cells => cells.join('\t')).join('\n');
+}
+
+/**
+ * Wrap pasted text in a file so it is imported like an uploaded one
+ *
+ * @param {string} text - Pasted rows or messages
+ * @param {string[]} [usedNames=[]] - Source names already in the preview
+ * @param {string} [extension='csv'] - 'csv' for a table, 'txt' for bank SMS alerts
+ * @returns {File}
+ */
+function createPastedFile(text, usedNames = [], extension = 'csv') {
+    let name = `${PASTE_FILE_NAME}.${extension}`;
+    for (let copy = 2; usedNames.includes(name); copy++) {
+        name = `${PASTE_FILE_NAME} (${copy}).${extension}`;
+    }
+    return new File([text], name, { type: extension === 'csv' ? 'text/csv' : 'text/plain' });
+}
+
+// Export all clipboard parsing functions
+export {
+    htmlTableToText,
+    createPastedFile,
+    PASTE_FILE_NAME
+};
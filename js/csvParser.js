@@ -7,13 +7,16 @@
  * @module csvParser
  * 
  * Requirements covered:
- * - 1.2: Validate .csv extension
+ * - 1.2: Validate supported file extensions (CSV, OFX/QFX, PDF, spreadsheets, images, SMS text)
  * - 1.5: Enforce 5MB file size limit
  * - 2.1: Parse CSV and extract transaction rows
  * - 2.8: Support different delimiters
  * - 2.9: Trim whitespace from parsed values
+ * - 9.3: Register CSV statements as a transaction source
  */
 
+import { registerTransactionSource } from './transactionSources.js';
+
 /**
  * Maximum file size in bytes (5MB)
  */
@@ -22,13 +25,13 @@ const MAX_FILE_SIZE = 5 * 1024 * 1024;
 /**
  * Supported file extensions
  */
-const SUPPORTED_EXTENSIONS = ['csv', 'pdf', 'png', 'jpg', 'jpeg'];
+const SUPPORTED_EXTENSIONS = ['csv', 'ofx', 'qfx', 'pdf', 'xlsx', 'xls', 'png', 'jpg', 'jpeg', 'txt', 'xml'];
 
 /**
  * Validation error messages
  */
 const VALIDATION_ERRORS = {
-    INVALID_EXTENSION: 'Please select a supported file (CSV, PDF, PNG, or JPG)',
+    INVALID_EXTENSION: 'Please select a supported file (CSV, OFX, QFX, PDF, XLSX, XLS, PNG, JPG, or SMS text)',
     FILE_TOO_LARGE: 'File size exceeds 5MB limit. Please select a smaller file.',
     EMPTY_FILE: 'The selected file is empty. Please select a valid file.',
     NO_FILE: 'No file selected'
@@ -66,10 +69,17 @@ function validateFile(file) {
 
     // Determine file type
     let fileType = 'csv';
-    if (extension === 'pdf') {
+    if (extension === 'ofx' || extension === 'qfx') {
+        fileType = 'ofx';
+    } else if (extension === 'pdf') {
         fileType = 'pdf';
+    } else if (extension === 'xlsx' || extension === 'xls') {
+        fileType = 'spreadsheet';
     } else if (['png', 'jpg', 'jpeg'].includes(extension)) {
         fileType = 'image';
+    } else if (extension === 'txt' || extension === 'xml') {
+        // Bank alerts saved as text or exported by an SMS backup app
+        fileType = 'sms';
     }
 
     return { valid: true, error: null, fileType };
@@ -154,14 +164,153 @@ function parseLine(line, delimiter) {
     return fields;
 }
 
+/**
+ * Number of lines searched for the header row when a statement has account details above its table
+ */
+const HEADER_SCAN_LINES = 30;
+
+/**
+ * Summary rows banks add below the transactions, matched against a single cell
+ * so narrations such as "TOTAL ENERGIES" aren't caught
+ */
+const SUMMARY_LABEL_PATTERN = /^((opening|closing|available|ledger|total)\s+balance\b|(grand\s+|sub\s*)?totals?\s*[:(]?\s*$|(grand\s+|sub\s*)?total\s+(debits?|credits?|withdrawals?|deposits?|amount|transactions?)\b|statement summary\b|(dr|cr|debit|credit)\s+count\b)/i;
+
+/**
+ * Legal and report text banks add below the transactions
+ */
+const FOOTER_TEXT_PATTERN = /computer[\s-]generated|end of (the )?statement|does not require (a )?signature|disclaimer|page \d+ of \d+|generated (on|at|by)\b|this is a system/i;
+
+/**
+ * Check whether a cell holds a number, such as an amount or balance
+ *
+ * @param {string} cell - Cell text
+ * @returns {boolean}
+ */
+function isNumericCell(cell) {
+    return /^[-+(]?\s*[^\d\s]{0,3}\s*\d[\d,.\s]*\)?\s*(cr|dr)?$/i.test(cell);
+}
+
+/**
+ * Get the most common column count among lines with at least two columns
+ *
+ * @param {string[][]} rows - Parsed lines
+ * @returns {number} Column count, or 0 if every line has a single column
+ */
+function getTableWidth(rows) {
+    const counts = new Map();
+    rows.forEach(cells => {
+        if (cells.length > 1) {
+            counts.set(cells.length, (counts.get(cells.length) || 0) + 1);
+        }
+    });
+    let width = 0;
+    counts.forEach((count, columns) => {
+        if (width === 0 || count > counts.get(width)) {
+            width = columns;
+        }
+    });
+    return width;
+}
+
+/**
+ * Find the line holding the transaction table's header
+ * Each of the first HEADER_SCAN_LINES lines is scored on how many required
+ * columns its cells name, whether it is as wide as the table below it, and
+ * whether it is all text. Account details above the table rarely name the
+ * columns or match the table's width, so the best scoring line wins and the
+ * earliest is kept on a tie.
+ *
+ * @param {string[]} lines - CSV lines
+ * @param {string} delimiter - Field delimiter
+ * @returns {number} Number of lines above the header row
+ */
+function detectHeaderRow(lines, delimiter) {
+    const rows = lines.map(line => line.trim() === '' ? [] : parseLine(line, delimiter));
+    const width = getTableWidth(rows);
+    let best = { index: 0, score: 0 };
+
+    rows.slice(0, HEADER_SCAN_LINES).forEach((cells, index) => {
+        if (cells.length < 2) {
+            return;
+        }
+        const recognised = 3 - detectColumnMapping(cells).missingColumns.length;
+        const fitsTable = cells.length === width;
+        if (recognised < 2 && !fitsTable) {
+            return;
+        }
+        const isText = cells.every(cell => cell !== '' && !isNumericCell(cell) && !parseDate(cell).valid);
+        const score = recognised * 10 + (fitsTable ? 2 : 0) + (isText ? 1 : 0);
+        if (score > best.score) {
+            best = { index, score };
+        }
+    });
+
+    return best.index;
+}
+
+/**
+ * Count the summary and legal lines at the end of a statement
+ * A trailing line is left out when a cell is a summary label such as
+ * "Closing Balance", or when it has no date and either reads like report
+ * text or doesn't have the table's column count.
+ *
+ * @param {string[]} lines - CSV lines, without trailing empty lines
+ * @param {number} dataStart - Index of the first data line
+ * @param {string} delimiter - Field delimiter
+ * @param {number} expectedColumns - Table column count
+ * @returns {number} Number of lines to leave out at the end
+ */
+function detectFooterRows(lines, dataStart, delimiter, expectedColumns) {
+    let footerRows = 0;
+
+    for (let i = lines.length - 1; i >= dataStart; i--) {
+        const line = lines[i];
+        if (line.trim() !== '') {
+            const cells = parseLine(line, delimiter);
+            const hasDate = cells.some(cell => parseDate(cell).valid);
+            const isSummary = cells.some(cell => SUMMARY_LABEL_PATTERN.test(cell));
+            const isFooter = isSummary
+                || (!hasDate && (FOOTER_TEXT_PATTERN.test(line) || cells.length !== expectedColumns));
+            if (!isFooter) {
+                break;
+            }
+        }
+        footerRows++;
+    }
+
+    return footerRows;
+}
+
+/**
+ * Pick the delimiter from the busiest of the first lines
+ * Preamble lines such as a bank name have few delimiters, so the header or a
+ * data row decides.
+ *
+ * @param {string[]} lines - CSV lines
+ * @returns {string}
+ */
+function detectTableDelimiter(lines) {
+    const busiest = lines.slice(0, HEADER_SCAN_LINES).reduce((best, line) => {
+        const count = (line.match(/[,;\t]/g) || []).length;
+        return count > best.count ? { line, count } : best;
+    }, { line: lines[0] || '', count: -1 });
+    return detectDelimiter(busiest.line);
+}
+
 /**
  * Parse CSV file content
+ * Statements often carry account details above the table and a closing
+ * balance or legal text below it. Unless set, the header row and the
+ * number of footer lines are detected, and both are returned so they can be
+ * shown and changed.
  * 
  * @param {string} content - Raw CSV content
  * @param {Object} [options] - Parsing options
  * @param {string} [options.delimiter] - Field delimiter (auto-detected if not provided)
  * @param {boolean} [options.hasHeader=true] - Whether first row is header
- * @returns {{data: string[][], headers: string[], errors: Array<{row: number, message: string}>, delimiter: string}}
+ * @param {number} [options.headerRow] - Number of lines to skip before the header (or first data) row (auto-detected if not provided)
+ * @param {number} [options.footerRows] - Number of lines to leave out at the end (auto-detected if not provided)
+ * @returns {{data: string[][], headers: string[], errors: Array<{row: number, message: string}>, delimiter: string, headerRow: number, footerRows: number}}
  * 
  * Requirements: 2.1, 2.8, 2.9
  */
@@ -169,7 +318,7 @@ function parseCSV(content, options = {}) {
     const errors = [];
 
     if (!content || typeof content !== 'string') {
-        return { data: [], headers: [], errors: [{ row: 0, message: 'Empty or invalid content' }], delimiter: ',' };
+        return { data: [], headers: [], errors: [{ row: 0, message: 'Empty or invalid content' }], delimiter: ',', headerRow: 0, footerRows: 0 };
     }
 
     // Normalize line endings and split into lines
@@ -180,28 +329,41 @@ function parseCSV(content, options = {}) {
         lines.pop();
     }
 
-    if (lines.length === 0) {
-        return { data: [], headers: [], errors: [{ row: 0, message: 'No data rows found' }], delimiter: ',' };
+    const hasHeader = options.hasHeader !== false;
+    const detectHeader = options.headerRow === undefined || options.headerRow === null;
+
+    // Skip preamble lines above the table
+    const headerRow = detectHeader
+        ? (hasHeader ? detectHeaderRow(lines, options.delimiter || detectTableDelimiter(lines)) : 0)
+        : Math.max(0, parseInt(options.headerRow, 10) || 0);
+
+    if (lines.length <= headerRow) {
+        return { data: [], headers: [], errors: [{ row: 0, message: 'No data rows found' }], delimiter: ',', headerRow, footerRows: 0 };
     }
 
     // Detect or use provided delimiter
-    const delimiter = options.delimiter || detectDelimiter(content);
-    const hasHeader = options.hasHeader !== false;
+    const delimiter = options.delimiter || detectDelimiter(lines.slice(headerRow).join('\n'));
 
     // Parse header row
     let headers = [];
-    let dataStartIndex = 0;
+    let dataStartIndex = headerRow;
 
-    if (hasHeader && lines.length > 0) {
-        headers = parseLine(lines[0], delimiter);
-        dataStartIndex = 1;
+    if (hasHeader) {
+        headers = parseLine(lines[headerRow], delimiter);
+        dataStartIndex = headerRow + 1;
     }
 
+    const expectedColumns = headers.length || parseLine(lines[headerRow], delimiter).length;
+
+    // Leave out summary and legal lines below the table
+    const footerRows = options.footerRows === undefined || options.footerRows === null
+        ? detectFooterRows(lines, dataStartIndex, delimiter, expectedColumns)
+        : Math.min(Math.max(0, parseInt(options.footerRows, 10) || 0), lines.length - dataStartIndex);
+
     // Parse data rows
     const data = [];
-    const expectedColumns = headers.length || (lines.length > 0 ? parseLine(lines[0], delimiter).length : 0);
 
-    for (let i = dataStartIndex; i < lines.length; i++) {
+    for (let i = dataStartIndex; i < lines.length - footerRows; i++) {
         const line = lines[i];
 
         // Skip empty lines
@@ -222,25 +384,59 @@ function parseCSV(content, options = {}) {
         data.push(row);
     }
 
-    return { data, headers, errors, delimiter };
+    return { data, headers, errors, delimiter, headerRow, footerRows };
 }
 
 /**
  * Predefined header mappings for common column names
- * Maps standard field names to arrays of possible header variations
+ * Maps standard field names to arrays of possible header variations.
+ * Statements with separate withdrawal and deposit columns map to debit and credit.
  */
 const HEADER_MAPPINGS = {
     date: ['date', 'transaction date', 'txn date', 'value date', 'posting date', 'trans date'],
-    amount: ['amount', 'debit', 'credit', 'withdrawal', 'deposit', 'transaction amount', 'txn amount'],
+    amount: ['amount', 'transaction amount', 'txn amount'],
+    debit: ['debit', 'withdrawal', 'withdrawals', 'paid out', 'money out'],
+    credit: ['credit', 'deposit', 'deposits', 'paid in', 'money in'],
     description: ['description', 'narration', 'particulars', 'details', 'remarks', 'transaction details', 'memo']
 };
 
+/**
+ * Headers of a column holding a Dr/Cr indicator next to a single amount column
+ * Matched exactly, since names like "Debit/Credit" would otherwise look like amount columns
+ */
+const DIRECTION_HEADERS = ['dr/cr', 'cr/dr', 'dr / cr', 'cr / dr', 'debit/credit', 'credit/debit', 'type', 'txn type', 'transaction type'];
+
+/**
+ * Find the first header matching any of the given patterns
+ *
+ * @param {string[]} normalizedHeaders - Lowercased, trimmed headers
+ * @param {string[]} patterns - Header variations to look for
+ * @param {Set<number>} used - Column indices already claimed by another field
+ * @param {boolean} [exact=false] - Require an exact match instead of containment
+ * @returns {number} Column index, or -1 if none matches
+ */
+function findHeader(normalizedHeaders, patterns, used, exact = false) {
+    for (let i = 0; i < normalizedHeaders.length; i++) {
+        const header = normalizedHeaders[i];
+        if (used.has(i)) {
+            continue;
+        }
+        if (patterns.some(pattern => header === pattern || (!exact && header.includes(pattern)))) {
+            used.add(i);
+            return i;
+        }
+    }
+    return -1;
+}
+
 /**
  * Detect column mappings from CSV headers
- * Matches headers against predefined column name mappings (case-insensitive)
+ * Matches headers against predefined column name mappings (case-insensitive).
+ * When a statement has both debit and credit columns they are returned as a
+ * pair and amount is -1; a lone debit column is used as the amount column.
  * 
  * @param {string[]} headers - CSV headers
- * @returns {{date: number, amount: number, description: number, detected: boolean, missingColumns: string[]}}
+ * @returns {{date: number, amount: number, debit: number, credit: number, direction: number, description: number, detected: boolean, missingColumns: string[]}}
  * 
  * Requirements: 2.3, 2.4
  */
@@ -248,6 +444,9 @@ function detectColumnMapping(headers) {
     const mapping = {
         date: -1,
         amount: -1,
+        debit: -1,
+        credit: -1,
+        direction: -1,
         description: -1,
         detected: false,
         missingColumns: []
@@ -260,39 +459,32 @@ function detectColumnMapping(headers) {
 
     // Normalize headers for case-insensitive matching
     const normalizedHeaders = headers.map(h => (h || '').toLowerCase().trim());
-
-    // Find date column
-    for (let i = 0; i < normalizedHeaders.length; i++) {
-        const header = normalizedHeaders[i];
-        if (HEADER_MAPPINGS.date.some(pattern => header === pattern || header.includes(pattern))) {
-            mapping.date = i;
-            break;
-        }
-    }
-
-    // Find amount column
-    for (let i = 0; i < normalizedHeaders.length; i++) {
-        const header = normalizedHeaders[i];
-        if (HEADER_MAPPINGS.amount.some(pattern => header === pattern || header.includes(pattern))) {
-            mapping.amount = i;
-            break;
-        }
+    const used = new Set();
+
+    mapping.date = findHeader(normalizedHeaders, HEADER_MAPPINGS.date, used);
+    mapping.direction = findHeader(normalizedHeaders, DIRECTION_HEADERS, used, true);
+    mapping.debit = findHeader(normalizedHeaders, HEADER_MAPPINGS.debit, used);
+    mapping.credit = findHeader(normalizedHeaders, HEADER_MAPPINGS.credit, used);
+    mapping.amount = findHeader(normalizedHeaders, HEADER_MAPPINGS.amount, used);
+    mapping.description = findHeader(normalizedHeaders, HEADER_MAPPINGS.description, used);
+
+    // Without a credit column there is nothing to pair, so debits are plain amounts
+    if (mapping.amount === -1 && mapping.debit !== -1 && mapping.credit === -1) {
+        mapping.amount = mapping.debit;
+        mapping.debit = -1;
     }
 
-    // Find description column
-    for (let i = 0; i < normalizedHeaders.length; i++) {
-        const header = normalizedHeaders[i];
-        if (HEADER_MAPPINGS.description.some(pattern => header === pattern || header.includes(pattern))) {
-            mapping.description = i;
-            break;
-        }
+    // An amount column takes precedence over a half-detected pair
+    if (mapping.amount !== -1) {
+        mapping.debit = -1;
+        mapping.credit = -1;
     }
 
     // Check for missing columns
     if (mapping.date === -1) {
         mapping.missingColumns.push('date');
     }
-    if (mapping.amount === -1) {
+    if (!hasAmountColumns(mapping)) {
         mapping.missingColumns.push('amount');
     }
     if (mapping.description === -1) {
@@ -305,16 +497,69 @@ function detectColumnMapping(headers) {
     return mapping;
 }
 
+/**
+ * Check whether a mapping has an amount column or a debit/credit column pair
+ *
+ * @param {{amount: number, debit?: number, credit?: number}} mapping - Column index mapping
+ * @returns {boolean}
+ */
+function hasAmountColumns(mapping) {
+    if (!mapping) {
+        return false;
+    }
+    if (typeof mapping.amount === 'number' && mapping.amount >= 0) {
+        return true;
+    }
+    return typeof mapping.debit === 'number' && mapping.debit >= 0 &&
+        typeof mapping.credit === 'number' && mapping.credit >= 0;
+}
+
+/**
+ * Read a Dr/Cr indicator cell
+ *
+ * @param {string} value - Indicator such as "Dr", "CR", "Debit" or "Credit"
+ * @returns {'debit'|'credit'|null}
+ */
+function parseDirection(value) {
+    const normalized = String(value ?? '').trim().toLowerCase().replace(/\.$/, '');
+    if (['dr', 'd', 'debit', 'withdrawal'].includes(normalized)) {
+        return 'debit';
+    }
+    if (['cr', 'c', 'credit', 'deposit'].includes(normalized)) {
+        return 'credit';
+    }
+    return null;
+}
+
+/**
+ * Check whether a debit or credit cell is empty
+ * Banks fill the unused side of a split row with blanks, dashes or zero
+ *
+ * @param {string} value - Cell value
+ * @returns {boolean}
+ */
+function isEmptyAmount(value) {
+    const digits = stripCurrency(value);
+    return digits === '' || digits === '-' || parseLocaleNumber(digits) === 0;
+}
+
 /**
  * Extract raw transactions from parsed CSV data using column mapping
  * 
  * @param {string[][]} data - Parsed CSV rows (without header)
- * @param {{date: number, amount: number, description: number}} mapping - Column index mapping
- * @returns {{transactions: Array<{date: string, amount: string, description: string, rowNumber: number}>, errors: Array<{row: number, message: string}>}}
+ * With a debit/credit column pair, each row's amount is taken from whichever
+ * side is filled and its direction recorded. A Dr/Cr indicator column sets the
+ * direction of a single amount column.
+ * 
+ * @param {{date: number, amount: number, description: number, debit?: number, credit?: number, direction?: number, category?: number}} mapping - Column index mapping
+ * @param {Object} [options] - Extraction options
+ * @param {boolean} [options.hasHeader=true] - Whether the source file had a header row (affects row numbers)
+ * @param {number} [options.headerRow=0] - Number of preamble lines skipped before the header (affects row numbers)
+ * @returns {{transactions: Array<{date: string, amount: string, description: string, rowNumber: number, direction?: string, category?: string}>, errors: Array<{row: number, message: string}>}}
  * 
  * Requirements: 2.1
  */
-function extractTransactions(data, mapping) {
+function extractTransactions(data, mapping, options = {}) {
     const transactions = [];
     const errors = [];
 
@@ -322,14 +567,19 @@ function extractTransactions(data, mapping) {
         return { transactions: [], errors: [{ row: 0, message: 'No data provided' }] };
     }
 
-    if (!mapping || mapping.date === -1 || mapping.amount === -1 || mapping.description === -1) {
+    if (!mapping || mapping.date === -1 || !hasAmountColumns(mapping) || mapping.description === -1) {
         return { transactions: [], errors: [{ row: 0, message: 'Invalid column mapping' }] };
     }
 
+    // Row numbers are 1-indexed and skip the preamble and header row when there is one
+    const rowOffset = (options.hasHeader === false ? 1 : 2) + (parseInt(options.headerRow, 10) || 0);
+    const hasCategoryColumn = typeof mapping.category === 'number' && mapping.category >= 0;
+    const hasSplitColumns = !(mapping.amount >= 0);
+    const hasDirectionColumn = !hasSplitColumns && typeof mapping.direction === 'number' && mapping.direction >= 0;
+
     for (let i = 0; i < data.length; i++) {
         const row = data[i];
-        // Row number is 1-indexed, and accounts for header row (+2: 1 for 0-index, 1 for header)
-        const rowNumber = i + 2;
+        const rowNumber = i + rowOffset;
 
         if (!row || !Array.isArray(row)) {
             errors.push({ row: rowNumber, message: 'Invalid row data' });
@@ -338,50 +588,139 @@ function extractTransactions(data, mapping) {
 
         // Extract values from mapped columns
         const dateValue = row[mapping.date] !== undefined ? row[mapping.date] : '';
-        const amountValue = row[mapping.amount] !== undefined ? row[mapping.amount] : '';
         const descriptionValue = row[mapping.description] !== undefined ? row[mapping.description] : '';
+        let amountValue = row[mapping.amount] !== undefined ? row[mapping.amount] : '';
+        let direction = null;
+
+        if (hasSplitColumns) {
+            const debitValue = row[mapping.debit] !== undefined ? row[mapping.debit] : '';
+            const creditValue = row[mapping.credit] !== undefined ? row[mapping.credit] : '';
+            if (!isEmptyAmount(debitValue)) {
+                amountValue = debitValue;
+                direction = 'debit';
+            } else if (!isEmptyAmount(creditValue)) {
+                amountValue = creditValue;
+                direction = 'credit';
+            } else {
+                amountValue = '';
+            }
+        } else if (hasDirectionColumn) {
+            direction = parseDirection(row[mapping.direction]);
+        }
 
-        transactions.push({
+        const transaction = {
             date: dateValue,
             amount: amountValue,
             description: descriptionValue,
             rowNumber: rowNumber
-        });
+        };
+
+        if (direction) {
+            transaction.direction = direction;
+        }
+
+        // Optional category column mapped by the user
+        if (hasCategoryColumn && row[mapping.category]) {
+            transaction.category = row[mapping.category];
+        }
+
+        transactions.push(transaction);
     }
 
     return { transactions, errors };
 }
 
+/**
+ * Locale used to break ties when a file's dates or numbers could be read
+ * either way, matching the en-IN formatting used across the app
+ */
+const DEFAULT_LOCALE = 'en-IN';
+
+/**
+ * Month name prefixes for dates like "05 Jan 2024" or "Sept 5, 2024"
+ */
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Convert a month name or abbreviation to its number
+ * 
+ * @param {string} name - Month name such as "Jan", "Sept" or "December"
+ * @returns {number} Month number (1-12), or NaN if unknown
+ */
+function monthFromName(name) {
+    const index = MONTH_NAMES.indexOf(String(name || '').slice(0, 3).toLowerCase());
+    return index === -1 ? NaN : index + 1;
+}
+
+/**
+ * Expand a two-digit year, reading 00-69 as 2000s and 70-99 as 1900s
+ * 
+ * @param {string} year - Two or four digit year
+ * @returns {number} Four digit year
+ */
+function expandYear(year) {
+    const value = parseInt(year, 10);
+    if (String(year).length > 2) {
+        return value;
+    }
+    return value + (value < 70 ? 2000 : 1900);
+}
+
 /**
  * Supported date formats for parsing
+ * Names are stored in import profiles to pin a bank's date format.
+ * Each format returns [year, month, day] from its regex match; parseDate
+ * rejects values that don't form a real calendar date.
  */
 const DATE_FORMATS = [
-    { regex: /^(\d{4})-(\d{2})-(\d{2})$/, parse: (m) => new Date(m[1], m[2] - 1, m[3]) },           // YYYY-MM-DD
-    { regex: /^(\d{2})\/(\d{2})\/(\d{4})$/, parse: (m) => new Date(m[3], m[2] - 1, m[1]) },        // DD/MM/YYYY
-    { regex: /^(\d{2})-(\d{2})-(\d{4})$/, parse: (m) => new Date(m[3], m[2] - 1, m[1]) },          // DD-MM-YYYY
-    { regex: /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, parse: (m) => new Date(m[3], m[1] - 1, m[2]) },    // MM/DD/YYYY (US format)
-    { regex: /^(\d{4})\/(\d{2})\/(\d{2})$/, parse: (m) => new Date(m[1], m[2] - 1, m[3]) }         // YYYY/MM/DD
+    { name: 'YYYY-MM-DD', regex: /^(\d{4})-(\d{1,2})-(\d{1,2})$/, parts: (m) => [m[1], m[2], m[3]] },
+    { name: 'DD/MM/YYYY', regex: /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, parts: (m) => [m[3], m[2], m[1]] },
+    { name: 'DD-MM-YYYY', regex: /^(\d{1,2})-(\d{1,2})-(\d{4})$/, parts: (m) => [m[3], m[2], m[1]] },
+    { name: 'MM/DD/YYYY', regex: /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, parts: (m) => [m[3], m[1], m[2]] }, // US format
+    { name: 'YYYY/MM/DD', regex: /^(\d{4})\/(\d{1,2})\/(\d{1,2})$/, parts: (m) => [m[1], m[2], m[3]] },
+    { name: 'MM-DD-YYYY', regex: /^(\d{1,2})-(\d{1,2})-(\d{4})$/, parts: (m) => [m[3], m[1], m[2]] },
+    { name: 'DD.MM.YYYY', regex: /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/, parts: (m) => [m[3], m[2], m[1]] },
+    { name: 'DD/MM/YY', regex: /^(\d{1,2})\/(\d{1,2})\/(\d{2})$/, parts: (m) => [expandYear(m[3]), m[2], m[1]] },
+    { name: 'MM/DD/YY', regex: /^(\d{1,2})\/(\d{1,2})\/(\d{2})$/, parts: (m) => [expandYear(m[3]), m[1], m[2]] },
+    { name: 'DD-MM-YY', regex: /^(\d{1,2})-(\d{1,2})-(\d{2})$/, parts: (m) => [expandYear(m[3]), m[2], m[1]] },
+    { name: 'DD.MM.YY', regex: /^(\d{1,2})\.(\d{1,2})\.(\d{2})$/, parts: (m) => [expandYear(m[3]), m[2], m[1]] },
+    // "05 Jan 2024", "05-Jan-24", "5th January, 2024"
+    {
+        name: 'DD MMM YYYY',
+        regex: /^(\d{1,2})(?:st|nd|rd|th)?[\s\-/.]+([a-z]{3,9})\.?,?[\s\-/.]+(\d{4}|\d{2})$/i,
+        parts: (m) => [expandYear(m[3]), monthFromName(m[2]), m[1]]
+    },
+    // "Jan 05, 2024", "Jan-05-24"
+    {
+        name: 'MMM DD YYYY',
+        regex: /^([a-z]{3,9})\.?[\s\-/.]+(\d{1,2})(?:st|nd|rd|th)?,?[\s\-/.]+(\d{4}|\d{2})$/i,
+        parts: (m) => [expandYear(m[3]), monthFromName(m[1]), m[2]]
+    }
 ];
 
 /**
  * Parse a date string into a Date object
  * 
  * @param {string} dateStr - Date string to parse
+ * @param {string} [formatName] - Restrict parsing to a single DATE_FORMATS entry
  * @returns {{valid: boolean, date: Date|null}}
  */
-function parseDate(dateStr) {
+function parseDate(dateStr, formatName) {
     if (!dateStr || typeof dateStr !== 'string') {
         return { valid: false, date: null };
     }
 
     const trimmed = dateStr.trim();
+    const formats = formatName ? DATE_FORMATS.filter(f => f.name === formatName) : DATE_FORMATS;
 
-    for (const format of DATE_FORMATS) {
+    for (const format of formats) {
         const match = trimmed.match(format.regex);
         if (match) {
-            const date = format.parse(match);
-            // Check if the date is valid
-            if (!isNaN(date.getTime())) {
+            const [year, month, day] = format.parts(match).map(Number);
+            const date = new Date(year, month - 1, day);
+            // Reject dates that roll over, such as 31/02 or a month of 13
+            if (!isNaN(date.getTime()) && date.getFullYear() === year &&
+                date.getMonth() === month - 1 && date.getDate() === day) {
                 return { valid: true, date };
             }
         }
@@ -390,25 +729,217 @@ function parseDate(dateStr) {
     return { valid: false, date: null };
 }
 
+/**
+ * Check whether a locale writes the month before the day
+ * 
+ * @param {string} [locale] - BCP 47 locale tag
+ * @returns {boolean}
+ */
+function isMonthFirstLocale(locale = DEFAULT_LOCALE) {
+    try {
+        const parts = new Intl.DateTimeFormat(locale).formatToParts(new Date(2024, 0, 15));
+        const types = parts.map(part => part.type);
+        return types.indexOf('month') < types.indexOf('day');
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Pick the date format for a whole file
+ * Every sample is tried against every format and the formats that read the
+ * most rows are kept. When more than one remains and they disagree on some
+ * date (e.g. DD/MM vs MM/DD with every day at 12 or below), the file is
+ * flagged as ambiguous and the locale's day/month order decides. When no
+ * format reads every row (e.g. "01/13/2024" next to "13/01/2024"), the file
+ * is flagged as inconsistent, and ambiguous too, with every format that
+ * read some row offered as a candidate, most rows first.
+ * 
+ * @param {string[]} dateStrings - Date values from every row
+ * @param {Object} [options] - Detection options
+ * @param {string} [options.locale] - Locale used to break ties
+ * @returns {{format: string|null, candidates: string[], ambiguous: boolean, inconsistent: boolean}}
+ */
+function detectDateFormat(dateStrings, options = {}) {
+    const samples = (Array.isArray(dateStrings) ? dateStrings : [])
+        .filter(value => typeof value === 'string' && value.trim() !== '');
+
+    const counts = DATE_FORMATS
+        .map(format => ({
+            name: format.name,
+            parsed: samples.filter(value => parseDate(value, format.name).valid).length
+        }))
+        .filter(count => count.parsed > 0);
+    const best = Math.max(0, ...counts.map(count => count.parsed));
+    const candidates = counts.filter(count => count.parsed === best).map(count => count.name);
+
+    if (candidates.length === 0) {
+        return { format: null, candidates: [], ambiguous: false, inconsistent: false };
+    }
+
+    // Candidates that agree on every date are interchangeable
+    const ambiguous = candidates.length > 1 && samples.some(value => {
+        const times = candidates
+            .map(name => parseDate(value, name))
+            .filter(result => result.valid)
+            .map(result => result.date.getTime());
+        return new Set(times).size > 1;
+    });
+
+    const monthFirst = isMonthFirstLocale(options.locale);
+    const preferred = candidates.find(name => name.startsWith('MM') === monthFirst) || candidates[0];
+
+    // No single format reads every row: let the user pick from all that read some
+    if (best < samples.length) {
+        const others = counts
+            .filter(count => count.name !== preferred)
+            .sort((a, b) => b.parsed - a.parsed)
+            .map(count => count.name);
+        return { format: preferred, candidates: [preferred, ...others], ambiguous: true, inconsistent: true };
+    }
+
+    return { format: preferred, candidates, ambiguous, inconsistent: false };
+}
+
+/**
+ * Currency codes and abbreviations written next to amounts
+ */
+const CURRENCY_CODES = /\b(?:rs|inr|usd|eur|gbp|chf|aed|sgd|aud|cad)\b\.?/gi;
+
+/**
+ * Remove currency symbols, currency codes and grouping spaces or apostrophes
+ * 
+ * @param {string} value - Raw amount text
+ * @returns {string} Amount text with only digits, separators and sign left
+ */
+function stripCurrency(value) {
+    return String(value ?? '')
+        .replace(CURRENCY_CODES, '')
+        .replace(/\p{Sc}/gu, '')
+        .replace(/[\s\u00a0\u202f']/g, '');
+}
+
+/**
+ * Guess the decimal separator from a single number
+ * The last of two different separators is the decimal one ("1.234,56",
+ * "1,23,456.78"); a repeated separator is grouping ("1.234.567"). A single
+ * separator followed by exactly three digits could be either.
+ * 
+ * @param {string} digits - Number text without currency or sign
+ * @returns {','|'.'|null} The separator, or null if it can't be told
+ */
+function guessDecimalSeparator(digits) {
+    const lastComma = digits.lastIndexOf(',');
+    const lastDot = digits.lastIndexOf('.');
+
+    if (lastComma === -1 && lastDot === -1) {
+        return null;
+    }
+    if (lastComma !== -1 && lastDot !== -1) {
+        return lastComma > lastDot ? ',' : '.';
+    }
+
+    const separator = lastComma !== -1 ? ',' : '.';
+    if (digits.split(separator).length > 2) {
+        return separator === ',' ? '.' : ',';
+    }
+    const decimals = digits.length - digits.lastIndexOf(separator) - 1;
+    return decimals === 3 ? null : separator;
+}
+
+/**
+ * Get the decimal separator a locale writes numbers with
+ * 
+ * @param {string} [locale] - BCP 47 locale tag
+ * @returns {','|'.'}
+ */
+function getLocaleDecimalSeparator(locale = DEFAULT_LOCALE) {
+    try {
+        const part = new Intl.NumberFormat(locale).formatToParts(1.5).find(p => p.type === 'decimal');
+        return part && part.value === ',' ? ',' : '.';
+    } catch {
+        return '.';
+    }
+}
+
+/**
+ * Pick the decimal separator for a whole file
+ * Each amount that shows its separator unambiguously casts a vote; when none
+ * does, the locale's separator is used.
+ * 
+ * @param {string[]} amountStrings - Amount values from every row
+ * @param {Object} [options] - Detection options
+ * @param {string} [options.locale] - Locale used when the amounts don't tell
+ * @returns {','|'.'}
+ */
+function detectDecimalSeparator(amountStrings, options = {}) {
+    const votes = { ',': 0, '.': 0 };
+
+    (Array.isArray(amountStrings) ? amountStrings : []).forEach(value => {
+        const digits = stripCurrency(value).replace(/(?:dr|cr)\.?$/i, '').replace(/[()+-]/g, '');
+        const separator = guessDecimalSeparator(digits);
+        if (separator) {
+            votes[separator]++;
+        }
+    });
+
+    if (votes[','] === votes['.']) {
+        return getLocaleDecimalSeparator(options.locale);
+    }
+    return votes[','] > votes['.'] ? ',' : '.';
+}
+
+/**
+ * Parse a number written in any common locale style
+ * Handles currency symbols and codes, "1,234.56", "1.234,56", "1 234,56",
+ * Indian lakh grouping "1,23,456.78", and a leading or trailing minus.
+ * 
+ * @param {string} value - Amount text
+ * @param {','|'.'} [decimalSeparator] - Decimal separator; guessed from the value when omitted
+ * @returns {number} The number, or NaN if the text isn't a number
+ */
+function parseLocaleNumber(value, decimalSeparator) {
+    let digits = stripCurrency(value);
+    let sign = 1;
+
+    if (/^[-+]/.test(digits)) {
+        sign = digits[0] === '-' ? -1 : 1;
+        digits = digits.slice(1);
+    } else if (digits.endsWith('-')) {
+        sign = -1;
+        digits = digits.slice(0, -1);
+    }
+
+    if (!/^[\d.,]*\d[\d.,]*$/.test(digits)) {
+        return NaN;
+    }
+
+    const decimal = decimalSeparator || guessDecimalSeparator(digits) || '.';
+    const normalized = decimal === ','
+        ? digits.replace(/\./g, '').replace(',', '.')
+        : digits.replace(/,/g, '');
+
+    if (!/^\d*\.?\d*$/.test(normalized)) {
+        return NaN;
+    }
+
+    return sign * parseFloat(normalized);
+}
+
 /**
  * Parse an amount string into a number
  * 
  * @param {string} amountStr - Amount string to parse
+ * @param {','|'.'} [decimalSeparator] - Decimal separator; guessed from the value when omitted
  * @returns {{valid: boolean, amount: number|null}}
  */
-function parseAmount(amountStr) {
+function parseAmount(amountStr, decimalSeparator) {
     if (amountStr === undefined || amountStr === null || amountStr === '') {
         return { valid: false, amount: null };
     }
 
-    // Convert to string if needed
-    const str = String(amountStr).trim();
-
-    // Remove currency symbols and thousand separators
-    const cleaned = str.replace(/[$€£₹,\s]/g, '');
-
-    // Parse the number
-    const amount = parseFloat(cleaned);
+    // Parse the number, allowing for currency symbols and locale separators
+    const amount = parseLocaleNumber(String(amountStr).trim(), decimalSeparator);
 
     if (isNaN(amount)) {
         return { valid: false, amount: null };
@@ -422,32 +953,85 @@ function parseAmount(amountStr) {
     return { valid: true, amount };
 }
 
+/**
+ * Parse an amount that may carry its sign as a marker
+ * Understands a leading minus, accounting parentheses "(450.00)" and a
+ * trailing "Dr"/"Cr" suffix. Credits come back negative, following the
+ * importer's expense-positive convention.
+ * 
+ * @param {string} amountStr - Amount string to parse
+ * @param {','|'.'} [decimalSeparator] - Decimal separator; guessed from the value when omitted
+ * @returns {{valid: boolean, amount: number|null, marked: boolean}} marked is true when a Cr/Dr suffix or parentheses set the sign
+ */
+function parseSignedAmount(amountStr, decimalSeparator) {
+    if (amountStr === undefined || amountStr === null || String(amountStr).trim() === '') {
+        return { valid: false, amount: null, marked: false };
+    }
+
+    let str = String(amountStr).trim();
+    let sign = 1;
+    let marked = false;
+
+    const suffix = str.match(/\s*(dr|cr)\.?$/i);
+    if (suffix) {
+        sign = suffix[1].toLowerCase() === 'cr' ? -1 : 1;
+        marked = true;
+        str = str.slice(0, suffix.index).trim();
+    }
+
+    const parenthesized = str.match(/^\((.*)\)$/);
+    if (parenthesized) {
+        sign = -sign;
+        marked = true;
+        str = parenthesized[1];
+    }
+
+    const amount = parseLocaleNumber(str, decimalSeparator);
+
+    if (isNaN(amount) || amount === 0) {
+        return { valid: false, amount: null, marked };
+    }
+
+    return { valid: true, amount: sign * amount, marked };
+}
+
 /**
  * Validate a single transaction row
  * 
- * @param {{date: string, amount: string, description: string, rowNumber: number}} transaction - Transaction to validate
- * @returns {{valid: boolean, errors: string[], parsedDate: Date|null, parsedAmount: number|null}}
+ * Credits are accepted when their direction is known, either from the row's
+ * direction (split columns, Dr/Cr indicator, sign convention) or from a Cr
+ * suffix or parentheses on the amount. A bare negative amount is rejected,
+ * since its meaning depends on the bank's sign convention.
+ * parsedAmount is always positive; parsedDirection says which way the money moved.
+ * 
+ * @param {{date: string, amount: string, description: string, rowNumber: number, rowLabel?: string, direction?: string}} transaction - Transaction to validate
+ * @param {Object} [options] - Validation options
+ * @param {string} [options.dateFormat] - DATE_FORMATS name to parse dates with
+ * @param {','|'.'} [options.decimalSeparator] - Decimal separator used by the file's amounts
+ * @returns {{valid: boolean, errors: string[], parsedDate: Date|null, parsedAmount: number|null, parsedDirection: string|null}}
  * 
  * Requirements: 2.5, 2.6, 2.7
  */
-function validateTransaction(transaction) {
+function validateTransaction(transaction, options = {}) {
     const errors = [];
     let parsedDate = null;
     let parsedAmount = null;
+    let parsedDirection = null;
 
     if (!transaction) {
-        return { valid: false, errors: ['Invalid transaction data'], parsedDate: null, parsedAmount: null };
+        return { valid: false, errors: ['Invalid transaction data'], parsedDate: null, parsedAmount: null, parsedDirection: null };
     }
 
-    const rowNum = transaction.rowNumber || '?';
+    // PDF rows are located by page and line rather than row number
+    const rowLabel = transaction.rowLabel || `Row ${transaction.rowNumber || '?'}`;
 
     // Validate date
     if (!transaction.date || transaction.date.trim() === '') {
-        errors.push(`Row ${rowNum}: Missing date`);
+        errors.push(`${rowLabel}: Missing date`);
     } else {
-        const dateResult = parseDate(transaction.date);
+        const dateResult = parseDate(transaction.date, options.dateFormat);
         if (!dateResult.valid) {
-            errors.push(`Row ${rowNum}: Invalid date format '${transaction.date}'`);
+            errors.push(`${rowLabel}: Invalid date format '${transaction.date}'`);
         } else {
             parsedDate = dateResult.date;
         }
@@ -455,48 +1039,272 @@ function validateTransaction(transaction) {
 
     // Validate amount
     if (transaction.amount === undefined || transaction.amount === null || String(transaction.amount).trim() === '') {
-        errors.push(`Row ${rowNum}: Missing amount`);
+        errors.push(`${rowLabel}: Missing amount`);
     } else {
-        const amountResult = parseAmount(transaction.amount);
+        const amountResult = parseSignedAmount(transaction.amount, options.decimalSeparator);
+        const knownDirection = transaction.direction === 'debit' || transaction.direction === 'credit';
         if (!amountResult.valid) {
             const amountStr = String(transaction.amount).trim();
-            if (parseFloat(amountStr.replace(/[$€£₹,\s]/g, '')) <= 0) {
-                errors.push(`Row ${rowNum}: Amount must be positive '${transaction.amount}'`);
+            if (parseLocaleNumber(amountStr, options.decimalSeparator) === 0) {
+                errors.push(`${rowLabel}: Amount must be positive '${transaction.amount}'`);
             } else {
-                errors.push(`Row ${rowNum}: Invalid amount '${transaction.amount}'`);
+                errors.push(`${rowLabel}: Invalid amount '${transaction.amount}'`);
             }
+        } else if (amountResult.amount < 0 && !amountResult.marked && !knownDirection) {
+            errors.push(`${rowLabel}: Amount must be positive '${transaction.amount}'`);
         } else {
-            parsedAmount = amountResult.amount;
+            parsedAmount = Math.abs(amountResult.amount);
+            if (knownDirection && !amountResult.marked) {
+                parsedDirection = transaction.direction;
+            } else {
+                parsedDirection = amountResult.amount < 0 ? 'credit' : 'debit';
+            }
         }
     }
 
     // Validate description
     if (!transaction.description || transaction.description.trim() === '') {
-        errors.push(`Row ${rowNum}: Missing description`);
+        errors.push(`${rowLabel}: Missing description`);
     }
 
     return {
         valid: errors.length === 0,
         errors,
         parsedDate,
-        parsedAmount
+        parsedAmount,
+        parsedDirection
+    };
+}
+
+/**
+ * Amount sign conventions used by bank exports
+ * - debit-positive: spending is shown as a positive amount (default)
+ * - debit-negative: spending is shown as a negative amount
+ */
+const SIGN_CONVENTIONS = ['debit-positive', 'debit-negative'];
+
+/**
+ * Apply a sign convention so amounts follow the importer's debit-positive convention
+ * Because the convention is known, negative amounts are then marked as credits.
+ * Rows that already carry a direction (split debit/credit columns) are left alone.
+ * 
+ * @param {Array<{amount: string, direction?: string}>} transactions - Raw transactions
+ * @param {string} convention - One of SIGN_CONVENTIONS
+ * @returns {Array<{amount: string, direction?: string}>} Transactions with normalized amount signs
+ */
+function applySignConvention(transactions, convention) {
+    if (!SIGN_CONVENTIONS.includes(convention) || !Array.isArray(transactions)) {
+        return transactions;
+    }
+
+    return transactions.map(transaction => {
+        const amount = String(transaction.amount ?? '').trim();
+        if (amount === '' || transaction.direction) {
+            return transaction;
+        }
+        let normalized = amount;
+        if (convention === 'debit-negative') {
+            normalized = amount.startsWith('-') ? amount.slice(1) : `-${amount.replace(/^\+/, '')}`;
+        }
+        return {
+            ...transaction,
+            amount: normalized,
+            direction: normalized.startsWith('-') ? 'credit' : 'debit'
+        };
+    });
+}
+
+/**
+ * Build a signature identifying a bank export layout from its header row
+ * Headerless files are identified by their column count
+ * 
+ * @param {string[]} headers - Parsed header row
+ * @param {number} [columnCount] - Column count, used when there is no header row
+ * @returns {string} Layout signature
+ */
+function getHeaderSignature(headers, columnCount = 0) {
+    if (!Array.isArray(headers) || headers.length === 0) {
+        return `columns:${columnCount}`;
+    }
+    return headers.map(h => (h || '').toLowerCase().replace(/\s+/g, ' ').trim()).join('|');
+}
+
+/**
+ * Score how much a file's first bytes look like a delimited table
+ * A line naming the required columns makes it near certain; otherwise most
+ * lines sharing a column count is enough to try. Binary content is never CSV.
+ *
+ * @param {import('./transactionSources.js').SourceSample} sample - Leading bytes of the file
+ * @returns {number} Score from 0 to 1
+ */
+function detectCSVSample(sample) {
+    // Control characters only turn up in binary files
+    if (/[\u0000-\u0008\u000E-\u001A]/.test(sample.text)) {
+        return 0;
+    }
+
+    // The sample may stop partway through its last line
+    const lines = sample.text.replace(/\r\n?/g, '\n').split('\n').slice(0, HEADER_SCAN_LINES)
+        .filter(line => line.trim() !== '');
+    const delimiter = detectTableDelimiter(lines);
+    const rows = lines.map(line => parseLine(line, delimiter));
+
+    if (rows.some(cells => cells.length > 1 && detectColumnMapping(cells).missingColumns.length <= 1)) {
+        return 0.9;
+    }
+
+    const width = getTableWidth(rows);
+    const fitting = rows.filter(cells => cells.length === width).length;
+    return width > 1 && fitting >= rows.length / 2 ? 0.5 : 0.1;
+}
+
+/**
+ * Parse CSV text into raw transactions
+ * A saved import profile matching the file's layout is used first, then the
+ * detected column mapping. When neither applies, the parsed data is returned
+ * for manual mapping. The header row and footer lines are detected unless
+ * the user has set them.
+ *
+ * @param {string} content - Raw CSV content
+ * @param {import('./transactionSources.js').SourceContext} [context={}] - Layout override and profile lookup
+ * @returns {Promise<import('./transactionSources.js').SourceResult>}
+ *
+ * Requirements: 2.1, 2.3, 2.4
+ */
+async function parseCSVSource(content, context = {}) {
+    const layout = context.layout || {};
+    const findProfile = context.findProfile || (async () => null);
+
+    const headerProfile = await findProfile(content, true);
+    if (headerProfile) {
+        return parseWithProfile(content, headerProfile, layout);
+    }
+
+    const parseResult = parseCSV(content, { headerRow: layout.headerRow, footerRows: layout.footerRows });
+    if (parseResult.errors.length > 0 && parseResult.data.length === 0) {
+        return { transactions: [], error: `Unable to parse CSV: ${parseResult.errors[0].message}`, text: content };
+    }
+
+    const mapping = detectColumnMapping(parseResult.headers);
+    if (!mapping.detected) {
+        // Headerless layouts can only be recognised once header detection has failed
+        const headerlessProfile = await findProfile(content, false);
+        if (headerlessProfile) {
+            return parseWithProfile(content, headerlessProfile, layout);
+        }
+
+        return {
+            transactions: [],
+            error: null,
+            text: content,
+            needsMapping: true,
+            parsedData: {
+                headers: parseResult.headers,
+                data: parseResult.data,
+                hasHeader: true,
+                headerRow: parseResult.headerRow,
+                footerRows: parseResult.footerRows,
+                delimiter: parseResult.delimiter
+            },
+            mapping
+        };
+    }
+
+    const extractResult = extractTransactions(parseResult.data, mapping, { headerRow: parseResult.headerRow });
+    if (extractResult.transactions.length === 0) {
+        return { transactions: [], error: 'No transaction data found in the file.', text: content };
+    }
+
+    return {
+        transactions: extractResult.transactions,
+        error: null,
+        text: content,
+        layout: { headerRow: parseResult.headerRow, footerRows: parseResult.footerRows }
+    };
+}
+
+/**
+ * Parse CSV text with a saved import profile
+ *
+ * @param {string} content - Raw CSV content
+ * @param {Object} profile - Saved import profile
+ * @param {{headerRow?: number, footerRows?: number}} layout - Lines to skip above and below the table, overriding the profile
+ * @returns {import('./transactionSources.js').SourceResult}
+ */
+function parseWithProfile(content, profile, layout) {
+    const hasHeader = profile.has_header !== false;
+    const headerRow = layout.headerRow !== undefined ? layout.headerRow : (profile.header_row || 0);
+    const parseResult = parseCSV(content, {
+        delimiter: profile.delimiter || undefined,
+        headerRow,
+        footerRows: layout.footerRows,
+        hasHeader
+    });
+
+    const extractResult = extractTransactions(parseResult.data, profile.column_mapping, { hasHeader, headerRow });
+    if (extractResult.transactions.length === 0) {
+        return { transactions: [], error: 'No transaction data found in the file.', text: content, profile, dateFormat: null };
+    }
+
+    return {
+        transactions: extractResult.transactions,
+        error: null,
+        text: content,
+        profile,
+        dateFormat: profile.date_format || null,
+        layout: { headerRow, footerRows: parseResult.footerRows }
     };
 }
 
+/**
+ * CSV statements and pasted tables
+ * @type {import('./transactionSources.js').TransactionSource}
+ */
+const csvSource = {
+    id: 'csv',
+    label: 'CSV',
+    extensions: ['csv', 'txt'],
+    read: 'text',
+    detect: detectCSVSample,
+    parse: parseCSVSource,
+    // Amounts read with a profile follow the bank's sign convention
+    normalize: (transactions, result) => result.profile
+        ? applySignConvention(transactions, result.profile.sign_convention)
+        : transactions
+};
+
+registerTransactionSource(csvSource);
+
 // Export functions and constants
 export {
     validateFile,
     parseCSV,
     detectDelimiter,
+    detectHeaderRow,
+    detectFooterRows,
     parseLine,
     detectColumnMapping,
     extractTransactions,
     validateTransaction,
     parseDate,
+    detectDateFormat,
     parseAmount,
+    parseLocaleNumber,
+    detectDecimalSeparator,
+    parseSignedAmount,
+    parseDirection,
+    isEmptyAmount,
+    hasAmountColumns,
+    applySignConvention,
+    getHeaderSignature,
+    parseCSVSource,
+    csvSource,
     VALIDATION_ERRORS,
     MAX_FILE_SIZE,
     SUPPORTED_EXTENSIONS,
     HEADER_MAPPINGS,
-    DATE_FORMATS
+    DIRECTION_HEADERS,
+    DATE_FORMATS,
+    DEFAULT_LOCALE,
+    SIGN_CONVENTIONS
 };
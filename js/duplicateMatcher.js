@@ -0,0 +1,312 @@
+/**
+ * Duplicate Matcher Module
+ *
+ * Scores how likely an imported transaction is to be an expense the user
+ * already has. Narrations differ between exports ("UPI/123/SWIGGY" vs
+ * "Swiggy") and posting dates drift by a day or two, so candidates are scored
+ * on date distance, merchant similarity and amount difference instead of
+ * being compared exactly. Each saved expense matches at most one imported row.
+ * Rows that repeat exactly within the files being imported are grouped too.
+ *
+ * @module duplicateMatcher
+ *
+ * Requirements covered:
+ * - 5.8: Detect duplicate transactions
+ */
+
+import { getMerchantWords } from './merchantNormalizer.js';
+
+/**
+ * Default matching limits
+ */
+const DUPLICATE_OPTIONS = {
+    // Days either side of the transaction date to look for a match
+    dateWindowDays: 3,
+    // Amount difference treated as no difference
+    amountTolerance: 0.01,
+    // Relative amount difference beyond which rows never match
+    relativeAmountTolerance: 0.02
+};
+
+/**
+ * How much each signal contributes to the score
+ */
+const SCORE_WEIGHTS = {
+    date: 0.25,
+    amount: 0.4,
+    merchant: 0.35
+};
+
+/**
+ * Score from which a row is treated as a duplicate and left unselected
+ */
+const DUPLICATE_SCORE = 0.85;
+
+/**
+ * Score from which a row is shown for review
+ */
+const PROBABLE_SCORE = 0.6;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Turn a YYYY-MM-DD string into a day number, ignoring time zones
+ *
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {number|null} Days since the epoch, or null if the date can't be read
+ */
+function toDayNumber(date) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(date || ''));
+    if (!match) {
+        return null;
+    }
+    return Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])) / DAY_MS;
+}
+
+/**
+ * Turn a day number back into a YYYY-MM-DD string
+ *
+ * @param {number} day - Days since the epoch
+ * @returns {string}
+ */
+function fromDayNumber(day) {
+    return new Date(day * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Character bigrams of a string, for fuzzy comparison
+ *
+ * @param {string} text - Text to split
+ * @returns {string[]}
+ */
+function bigrams(text) {
+    const pairs = [];
+    for (let i = 0; i < text.length - 1; i++) {
+        pairs.push(text.slice(i, i + 2));
+    }
+    return pairs;
+}
+
+/**
+ * Compare two descriptions by merchant
+ * Both are reduced to their merchant's words first, applying the user's
+ * aliases and dropping narration noise and reference numbers; the result is the
+ * better of whole-word overlap and character similarity, so both
+ * "UPI/123/SWIGGY" vs "Swiggy" and small OCR or spelling differences match.
+ *
+ * @param {string} a - First description
+ * @param {string} b - Second description
+ * @returns {number} Similarity from 0 to 1
+ */
+function merchantSimilarity(a, b) {
+    const wordsA = getMerchantWords(a);
+    const wordsB = getMerchantWords(b);
+    if (wordsA.length === 0 || wordsB.length === 0) {
+        return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase() ? 1 : 0;
+    }
+
+    const setB = new Set(wordsB);
+    const shared = new Set(wordsA.filter(word => setB.has(word))).size;
+    const overlap = shared / Math.min(new Set(wordsA).size, setB.size);
+
+    const pairsA = bigrams(wordsA.join(''));
+    const pairsB = bigrams(wordsB.join(''));
+    let dice = 0;
+    if (pairsA.length > 0 && pairsB.length > 0) {
+        const remaining = [...pairsB];
+        let common = 0;
+        for (const pair of pairsA) {
+            const found = remaining.indexOf(pair);
+            if (found !== -1) {
+                remaining.splice(found, 1);
+                common++;
+            }
+        }
+        dice = (2 * common) / (pairsA.length + pairsB.length);
+    }
+
+    return Math.max(overlap, dice);
+}
+
+/**
+ * Score how likely an imported transaction duplicates a saved expense
+ * Rows outside the date window or amount tolerance, of a different type, or
+ * with different bank transaction IDs never match.
+ *
+ * @param {{date: string, amount: number, description: string, transactionType?: string, fitId?: string}} transaction - Imported transaction
+ * @param {{date: string, amount: number|string, expense_name: string, transaction_type?: string, fit_id?: string}} expense - Saved expense
+ * @param {Object} [options] - Overrides for DUPLICATE_OPTIONS
+ * @returns {number|null} Score from 0 to 1, or null if the rows can't be duplicates
+ */
+function scoreDuplicate(transaction, expense, options = {}) {
+    const { dateWindowDays, amountTolerance, relativeAmountTolerance } = { ...DUPLICATE_OPTIONS, ...options };
+
+    // FITIDs identify the same bank transaction exactly across re-imports
+    if (transaction.fitId && expense.fit_id) {
+        return transaction.fitId === expense.fit_id ? 1 : null;
+    }
+
+    // A refund never duplicates the purchase it reverses
+    if ((expense.transaction_type || 'expense') !== (transaction.transactionType || 'expense')) {
+        return null;
+    }
+
+    const dayA = toDayNumber(transaction.date);
+    const dayB = toDayNumber(expense.date);
+    if (dayA === null || dayB === null) {
+        return null;
+    }
+    const days = Math.abs(dayA - dayB);
+    if (days > dateWindowDays) {
+        return null;
+    }
+
+    const amountA = Math.abs(parseFloat(transaction.amount));
+    const amountB = Math.abs(parseFloat(expense.amount));
+    const difference = Math.abs(amountA - amountB);
+    let amountScore = 1;
+    if (difference > amountTolerance) {
+        const relative = difference / Math.max(amountA, amountB);
+        if (!(relative <= relativeAmountTolerance)) {
+            return null;
+        }
+        amountScore = 1 - relative / relativeAmountTolerance;
+    }
+
+    const dateScore = 1 - days / (dateWindowDays + 1);
+    const merchantScore = merchantSimilarity(transaction.description, expense.expense_name);
+
+    const score = SCORE_WEIGHTS.date * dateScore
+        + SCORE_WEIGHTS.amount * amountScore
+        + SCORE_WEIGHTS.merchant * merchantScore;
+
+    return Math.round(score * 100) / 100;
+}
+
+/**
+ * Find the saved expense each imported transaction most likely duplicates
+ * Pairs are taken best score first, so two identical purchases on the same
+ * day only match if two such expenses are already saved.
+ *
+ * @param {Array<Object>} transactions - Imported transactions (see scoreDuplicate)
+ * @param {Array<Object>} expenses - Saved expenses in the date range
+ * @param {Object} [options] - Overrides for DUPLICATE_OPTIONS
+ * @returns {Array<{expense: Object, score: number, level: 'duplicate'|'probable'}|null>} One entry per transaction
+ */
+function findDuplicateMatches(transactions, expenses, options = {}) {
+    const { dateWindowDays } = { ...DUPLICATE_OPTIONS, ...options };
+
+    // Only compare rows whose dates are close enough to match
+    const expensesByDay = new Map();
+    (expenses || []).forEach((expense, expenseIndex) => {
+        const day = toDayNumber(expense.date);
+        if (!expensesByDay.has(day)) {
+            expensesByDay.set(day, []);
+        }
+        expensesByDay.get(day).push(expenseIndex);
+    });
+
+    const candidates = [];
+    transactions.forEach((transaction, transactionIndex) => {
+        const day = toDayNumber(transaction.date);
+        if (day === null) {
+            return;
+        }
+        for (let offset = -dateWindowDays; offset <= dateWindowDays; offset++) {
+            for (const expenseIndex of expensesByDay.get(day + offset) || []) {
+                const score = scoreDuplicate(transaction, expenses[expenseIndex], options);
+                if (score !== null && score >= PROBABLE_SCORE) {
+                    candidates.push({ transactionIndex, expenseIndex, score });
+                }
+            }
+        }
+    });
+
+    candidates.sort((a, b) => b.score - a.score);
+
+    const matches = transactions.map(() => null);
+    const usedExpenses = new Set();
+    for (const { transactionIndex, expenseIndex, score } of candidates) {
+        if (matches[transactionIndex] || usedExpenses.has(expenseIndex)) {
+            continue;
+        }
+        usedExpenses.add(expenseIndex);
+        matches[transactionIndex] = {
+            expense: expenses[expenseIndex],
+            score,
+            level: score >= DUPLICATE_SCORE ? 'duplicate' : 'probable'
+        };
+    }
+
+    return matches;
+}
+
+/**
+ * Get the date range saved expenses must fall in to match any of the transactions
+ *
+ * @param {Array<{date: string}>} transactions - Imported transactions with YYYY-MM-DD dates
+ * @param {Object} [options] - Overrides for DUPLICATE_OPTIONS
+ * @returns {{from: string, to: string}|null} Inclusive range, or null if no dates can be read
+ */
+function getDuplicateDateRange(transactions, options = {}) {
+    const { dateWindowDays } = { ...DUPLICATE_OPTIONS, ...options };
+    const days = (transactions || []).map(t => toDayNumber(t.date)).filter(day => day !== null);
+    if (days.length === 0) {
+        return null;
+    }
+    const first = days.reduce((min, day) => Math.min(min, day), Infinity);
+    const last = days.reduce((max, day) => Math.max(max, day), -Infinity);
+    return {
+        from: fromDayNumber(first - dateWindowDays),
+        to: fromDayNumber(last + dateWindowDays)
+    };
+}
+
+/**
+ * Key shared by rows that repeat exactly, as when overlapping exports are
+ * pasted together or two overlapping statements are imported at once
+ * Reference numbers in the narration are kept, so separate purchases of the
+ * same amount on the same day stay apart.
+ *
+ * @param {{date: string, amount: number, description: string, transactionType?: string, fitId?: string}} transaction - Imported transaction
+ * @returns {string}
+ */
+function getRepeatKey(transaction) {
+    if (transaction.fitId) {
+        return `fit:${transaction.fitId}`;
+    }
+    const description = String(transaction.description || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    const amount = Math.abs(parseFloat(transaction.amount)).toFixed(2);
+    return [transaction.date, amount, transaction.transactionType || 'expense', description].join('|');
+}
+
+/**
+ * Group the rows that repeat within the rows being imported
+ *
+ * @param {Array<Object>} transactions - Imported transactions (see getRepeatKey)
+ * @returns {Array<number[]>} Groups of two or more row indexes, each in input order
+ */
+function findRepeatedRows(transactions) {
+    const groups = new Map();
+    (transactions || []).forEach((transaction, index) => {
+        const key = getRepeatKey(transaction);
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(index);
+    });
+    return [...groups.values()].filter(group => group.length > 1);
+}
+
+// Export all duplicate matching functions
+export {
+    scoreDuplicate,
+    findDuplicateMatches,
+    getDuplicateDateRange,
+    merchantSimilarity,
+    findRepeatedRows,
+    toDayNumber,
+    DUPLICATE_OPTIONS,
+    DUPLICATE_SCORE,
+    PROBABLE_SCORE
+};
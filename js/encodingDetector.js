@@ -0,0 +1,159 @@
+/**
+ * Encoding Detector Module
+ *
+ * Works out how a text statement was encoded and decodes it. Older bank
+ * portals export Windows-1252 or UTF-16 files, which read as UTF-8 turn
+ * merchant names into replacement characters and, for UTF-16, break every
+ * delimiter. A byte order mark decides when there is one; otherwise UTF-16 is
+ * recognised by its zero bytes, strictly valid UTF-8 is kept as UTF-8, and
+ * anything else is read as Windows-1252.
+ *
+ * @module encodingDetector
+ */
+
+/**
+ * Encodings the user can choose from in the import dialog
+ */
+const ENCODINGS = [
+    { value: 'utf-8', label: 'UTF-8' },
+    { value: 'utf-16le', label: 'UTF-16 LE' },
+    { value: 'utf-16be', label: 'UTF-16 BE' },
+    { value: 'windows-1252', label: 'Windows-1252 (Western European)' },
+    { value: 'windows-1250', label: 'Windows-1250 (Central European)' },
+    { value: 'windows-1251', label: 'Windows-1251 (Cyrillic)' }
+];
+
+/**
+ * Number of leading bytes inspected when sniffing the encoding
+ */
+const SNIFF_BYTES = 4096;
+
+/**
+ * Share of zero bytes at odd or even offsets that marks UTF-16 text
+ * ASCII characters in UTF-16 have a zero high byte, so statement text is
+ * mostly zeros on one side and almost none on the other.
+ */
+const UTF16_ZERO_SHARE = 0.3;
+
+/**
+ * Get the encoding named by a byte order mark
+ *
+ * @param {Uint8Array} bytes - File contents
+ * @returns {string|null} Encoding, or null if there is no byte order mark
+ */
+function detectBOM(bytes) {
+    if (bytes.length >= 3 && bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+        return 'utf-8';
+    }
+    if (bytes.length >= 2 && bytes[0] === 0xFF && bytes[1] === 0xFE) {
+        return 'utf-16le';
+    }
+    if (bytes.length >= 2 && bytes[0] === 0xFE && bytes[1] === 0xFF) {
+        return 'utf-16be';
+    }
+    return null;
+}
+
+/**
+ * Recognise UTF-16 without a byte order mark by where its zero bytes fall
+ *
+ * @param {Uint8Array} bytes - File contents
+ * @returns {string|null} 'utf-16le', 'utf-16be', or null
+ */
+function sniffUTF16(bytes) {
+    const length = Math.min(bytes.length, SNIFF_BYTES) & ~1;
+    if (length < 2) {
+        return null;
+    }
+
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < length; i += 2) {
+        if (bytes[i] === 0) evenZeros++;
+        if (bytes[i + 1] === 0) oddZeros++;
+    }
+
+    const pairs = length / 2;
+    if (oddZeros / pairs >= UTF16_ZERO_SHARE && evenZeros / pairs < 0.05) {
+        return 'utf-16le';
+    }
+    if (evenZeros / pairs >= UTF16_ZERO_SHARE && oddZeros / pairs < 0.05) {
+        return 'utf-16be';
+    }
+    return null;
+}
+
+/**
+ * Check whether bytes are valid UTF-8
+ *
+ * @param {Uint8Array} bytes - File contents
+ * @returns {boolean}
+ */
+function isValidUTF8(bytes) {
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Work out a text file's encoding
+ *
+ * @param {Uint8Array} bytes - File contents
+ * @returns {{encoding: string, bom: boolean}}
+ */
+function detectEncoding(bytes) {
+    const bomEncoding = detectBOM(bytes);
+    if (bomEncoding) {
+        return { encoding: bomEncoding, bom: true };
+    }
+
+    const utf16 = sniffUTF16(bytes);
+    if (utf16) {
+        return { encoding: utf16, bom: false };
+    }
+
+    return { encoding: isValidUTF8(bytes) ? 'utf-8' : 'windows-1252', bom: false };
+}
+
+/**
+ * Decode a text file, detecting its encoding unless one is given
+ * A byte order mark is dropped from the text.
+ *
+ * @param {ArrayBuffer|Uint8Array} buffer - File contents
+ * @param {string} [encoding] - Encoding chosen by the user
+ * @returns {{text: string, encoding: string}}
+ */
+function decodeText(buffer, encoding) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const chosen = encoding || detectEncoding(bytes).encoding;
+
+    try {
+        return { text: new TextDecoder(chosen).decode(bytes), encoding: chosen };
+    } catch (err) {
+        // An encoding the browser doesn't know falls back to UTF-8
+        console.error('Decode text error:', err);
+        return { text: new TextDecoder('utf-8').decode(bytes), encoding: 'utf-8' };
+    }
+}
+
+/**
+ * Get the display name of an encoding
+ *
+ * @param {string} encoding - Encoding value
+ * @returns {string}
+ */
+function getEncodingLabel(encoding) {
+    const known = ENCODINGS.find(option => option.value === encoding);
+    return known ? known.label : String(encoding || '').toUpperCase();
+}
+
+// Export all encoding detection functions
+export {
+    detectEncoding,
+    decodeText,
+    getEncodingLabel,
+    ENCODINGS
+};
@@ -2,6 +2,8 @@
  * Expenses Module
  * 
  * Manages CRUD operations for expense records using Supabase.
+ * Every saved expense records the canonical merchant of its name, so
+ * analytics can group "swiggy order" with a bank's "POS ... SWIGGY" line.
  * All operations are scoped to the authenticated user via Row Level Security.
  * 
  * @module expenses
@@ -14,6 +16,8 @@
  */
 
 import { supabase } from './supabaseConfig.js';
+import { findDuplicateMatches, getDuplicateDateRange } from './duplicateMatcher.js';
+import { normalizeMerchant } from './merchantNormalizer.js';
 
 /**
  * Create a new expense for the current user
@@ -23,6 +27,7 @@ import { supabase } from './supabaseConfig.js';
  * @param {string} expense.category - Category of the expense
  * @param {number} expense.amount - Amount (must be positive)
  * @param {string} expense.date - Date in YYYY-MM-DD format
+ * @param {string|null} [expense.account_id] - Account the money came from (UUID)
  * @returns {Promise<{data: Object|null, error: Object|null}>}
  * 
  * Requirements: 3.1
@@ -41,9 +46,11 @@ async function createExpense(expense) {
             .insert({
                 user_id: user.id,
                 expense_name: expense.expense_name,
+                merchant: normalizeMerchant(expense.expense_name) || null,
                 category: expense.category,
                 amount: expense.amount,
-                date: expense.date
+                date: expense.date,
+                account_id: expense.account_id || null
             })
             .select()
             .single();
@@ -140,7 +147,8 @@ async function getExpensesByMonth(year, month) {
  * 
  * @param {string} id - The expense ID (UUID)
  * @param {Object} updates - The fields to update
- * @param {string} [updates.expense_name] - Updated name
+ * @param {string} [updates.expense_name] - Updated name, from which the merchant is set again
+ * @param {string|null} [updates.merchant] - Merchant to record instead of the one derived from the name
  * @param {string} [updates.category] - Updated category
  * @param {number} [updates.amount] - Updated amount
  * @param {string} [updates.date] - Updated date
@@ -158,10 +166,15 @@ async function updateExpense(id, updates) {
 
         // Build update object with only provided fields
         const updateData = {};
-        if (updates.expense_name !== undefined) updateData.expense_name = updates.expense_name;
+        if (updates.expense_name !== undefined) {
+            updateData.expense_name = updates.expense_name;
+            updateData.merchant = normalizeMerchant(updates.expense_name) || null;
+        }
+        if (updates.merchant !== undefined) updateData.merchant = updates.merchant;
         if (updates.category !== undefined) updateData.category = updates.category;
         if (updates.amount !== undefined) updateData.amount = updates.amount;
         if (updates.date !== undefined) updateData.date = updates.date;
+        if (updates.account_id !== undefined) updateData.account_id = updates.account_id;
 
         const { data, error } = await supabase
             .from('expenses')
@@ -217,6 +230,48 @@ async function deleteExpense(id) {
     }
 }
 
+/**
+ * Months of expenses read when learning how the user files merchants
+ */
+const CATEGORY_HISTORY_MONTHS = 12;
+
+/**
+ * Get the names and categories of recent expenses
+ * Used to learn which category the user files each merchant under, so only
+ * the last CATEGORY_HISTORY_MONTHS months of spending are read, and only
+ * the two columns needed.
+ * 
+ * @returns {Promise<{data: Array<{expense_name: string, category: string}>|null, error: Object|null}>}
+ */
+async function getCategoryHistory() {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { data: null, error: { message: 'User not authenticated' } };
+        }
+
+        const since = new Date();
+        since.setMonth(since.getMonth() - CATEGORY_HISTORY_MONTHS);
+
+        const { data, error } = await supabase
+            .from('expenses')
+            .select('expense_name, category')
+            .eq('user_id', user.id)
+            .not('transaction_type', 'in', '(income,transfer)')
+            .gte('date', since.toISOString().split('T')[0]);
+
+        if (error) {
+            console.error('Error fetching category history:', error);
+            return { data: null, error: { message: 'Unable to load your past categories.' } };
+        }
+
+        return { data: data || [], error: null };
+    } catch (err) {
+        console.error('Get category history error:', err);
+        return { data: null, error: { message: 'An unexpected error occurred while loading past categories.' } };
+    }
+}
 
 /**
  * Get expenses grouped by category with totals
@@ -232,11 +287,12 @@ async function getExpensesByCategory() {
             return { data: null, error: { message: 'User not authenticated' } };
         }
 
-        // Get all expenses for the user
+        // Get all expenses for the user, leaving out income and transfers
         const { data: expenses, error } = await supabase
             .from('expenses')
-            .select('category, amount')
-            .eq('user_id', user.id);
+            .select('category, amount, transaction_type')
+            .eq('user_id', user.id)
+            .not('transaction_type', 'in', '(income,transfer)');
 
         if (error) {
             console.error('Error fetching expenses by category:', error);
@@ -246,15 +302,19 @@ async function getExpensesByCategory() {
         // Group by category and calculate totals
         const categoryMap = new Map();
 
+        // Refunds reduce their category's total
         for (const expense of expenses || []) {
+            const amount = expense.transaction_type === 'refund'
+                ? -parseFloat(expense.amount)
+                : parseFloat(expense.amount);
             const existing = categoryMap.get(expense.category);
             if (existing) {
-                existing.total += parseFloat(expense.amount);
+                existing.total += amount;
                 existing.count += 1;
             } else {
                 categoryMap.set(expense.category, {
                     category: expense.category,
-                    total: parseFloat(expense.amount),
+                    total: amount,
                     count: 1
                 });
             }
@@ -273,12 +333,17 @@ async function getExpensesByCategory() {
 
 /**
  * Check for duplicate transactions in existing expenses
+ * Only expenses near the transactions' dates are fetched; each transaction
+ * is scored against them with the fuzzy duplicate matcher.
  * 
  * @param {Array<Object>} transactions - Transactions to check for duplicates
  * @param {string} transactions[].date - Date in YYYY-MM-DD format
  * @param {number} transactions[].amount - Transaction amount
  * @param {string} transactions[].description - Transaction description
- * @returns {Promise<{duplicates: Array, unique: Array, error: Object|null}>}
+ * @param {string} [transactions[].fitId] - OFX financial institution transaction ID
+ * @param {string} [transactions[].transactionType='expense'] - expense, refund or income
+ * @returns {Promise<{duplicates: Array, unique: Array, matches: Array<Object|null>, error: Object|null}>}
+ *   duplicates holds likely duplicates; matches has the best match (or null) for every transaction, in order
  * 
  * Requirements: 5.8
  */
@@ -287,115 +352,184 @@ async function checkDuplicates(transactions) {
         const { data: { user }, error: userError } = await supabase.auth.getUser();
 
         if (userError || !user) {
-            return { duplicates: [], unique: [], error: { message: 'User not authenticated' } };
+            return { duplicates: [], unique: [], matches: [], error: { message: 'User not authenticated' } };
+        }
+
+        const range = getDuplicateDateRange(transactions);
+        if (!range) {
+            return { duplicates: [], unique: [...transactions], matches: transactions.map(() => null), error: null };
         }
 
-        // Get all existing expenses for the user
+        // Get the user's expenses around the imported dates
         const { data: existingExpenses, error } = await supabase
             .from('expenses')
-            .select('date, amount, expense_name')
-            .eq('user_id', user.id);
+            .select('id, date, amount, expense_name, category, fit_id, transaction_type')
+            .eq('user_id', user.id)
+            .gte('date', range.from)
+            .lte('date', range.to);
 
         if (error) {
             console.error('Error fetching expenses for duplicate check:', error);
-            return { duplicates: [], unique: [], error: { message: 'Unable to check for duplicates.' } };
+            return { duplicates: [], unique: [], matches: [], error: { message: 'Unable to check for duplicates.' } };
         }
 
+        const matches = findDuplicateMatches(transactions, existingExpenses || []);
         const duplicates = [];
         const unique = [];
-        const AMOUNT_TOLERANCE = 0.01;
-
-        for (const transaction of transactions) {
-            const isDuplicate = (existingExpenses || []).some(existing => {
-                // Check date match
-                const dateMatch = existing.date === transaction.date;
-
-                // Check amount match with 0.01 tolerance
-                const amountDiff = Math.abs(parseFloat(existing.amount) - parseFloat(transaction.amount));
-                const amountMatch = amountDiff <= AMOUNT_TOLERANCE;
-
-                // Check description match (case-insensitive)
-                const descriptionMatch = existing.expense_name.toLowerCase() === transaction.description.toLowerCase();
 
-                return dateMatch && amountMatch && descriptionMatch;
-            });
-
-            if (isDuplicate) {
+        transactions.forEach((transaction, index) => {
+            if (matches[index] && matches[index].level === 'duplicate') {
                 duplicates.push(transaction);
             } else {
                 unique.push(transaction);
             }
-        }
+        });
 
-        return { duplicates, unique, error: null };
+        return { duplicates, unique, matches, error: null };
     } catch (err) {
         console.error('Check duplicates error:', err);
-        return { duplicates: [], unique: [], error: { message: 'An unexpected error occurred while checking for duplicates.' } };
+        return { duplicates: [], unique: [], matches: [], error: { message: 'An unexpected error occurred while checking for duplicates.' } };
+    }
+}
+
+/**
+ * Number of expenses sent in each insert during an import
+ */
+const IMPORT_CHUNK_SIZE = 200;
+
+/**
+ * Explain why the database rejected an expense, in terms the user can act on
+ * Postgres reports the constraint that failed through its SQLSTATE code.
+ * 
+ * @param {Object} error - Supabase error
+ * @returns {string}
+ */
+function describeInsertError(error) {
+    switch (error && error.code) {
+        case '23514':
+            return 'Amount must be greater than zero';
+        case '22003':
+            return 'Amount is too large';
+        case '22007':
+        case '22008':
+            return 'Date is not valid';
+        case '23502':
+            return 'A required field is missing';
+        case '22P02':
+            return 'A value is not in the expected format';
+        default:
+            return 'Unable to save this transaction';
     }
 }
 
 /**
- * Import multiple transactions in a single batch operation
+ * Whether an insert error is about the data sent, rather than the connection
+ * or the session, so retrying row by row can find the rows at fault
+ * 
+ * @param {Object} error - Supabase error
+ * @returns {boolean}
+ */
+function isRowError(error) {
+    return Boolean(error && /^2[23]/.test(error.code || ''));
+}
+
+/**
+ * Import transactions in chunks, reporting progress and per-row failures
+ * A chunk the database rejects because of its data is retried one row at a
+ * time, so only the rows at fault fail. A chunk lost to a connection or
+ * session problem fails as a whole with that reason and the remaining chunks
+ * are still attempted; the failed rows can be sent again on their own.
  * 
  * @param {Array<Object>} transactions - Transactions to import
  * @param {string} transactions[].date - Date in YYYY-MM-DD format
  * @param {number} transactions[].amount - Transaction amount
  * @param {string} transactions[].description - Transaction description
  * @param {string} transactions[].category - Transaction category
- * @returns {Promise<{imported: number, failed: Array, errors: Array}>}
+ * @param {string} [transactions[].fitId] - OFX financial institution transaction ID
+ * @param {string} [transactions[].transactionType='expense'] - expense, refund, income or transfer
+ * @param {string} [transactions[].importBatchId] - Import batch the expense belongs to
+ * @param {string} [transactions[].accountId] - Account the money came from or went into
+ * @param {string} [transactions[].transferAccountId] - For a transfer, the account the money went into
+ * @param {function(number, number): void} [onProgress] - Called with rows done and total after each chunk
+ * @returns {Promise<{imported: number, failed: Array<{transaction: Object, reason: string}>, errors: Array}>}
  * 
  * Requirements: 5.4
  */
-async function batchImportTransactions(transactions) {
+async function batchImportTransactions(transactions, onProgress) {
+    let imported = 0;
+    let done = 0;
+    const failed = [];
+
+    // Rows not sent when the import ends early fail with the reason it ended
+    const finish = reason => {
+        (transactions || []).slice(done).forEach(transaction => failed.push({ transaction, reason }));
+        return { imported, failed, errors: [...new Set(failed.map(failure => failure.reason))] };
+    };
+
     try {
         const { data: { user }, error: userError } = await supabase.auth.getUser();
 
         if (userError || !user) {
-            return { imported: 0, failed: transactions, errors: ['User not authenticated'] };
+            return finish('User not authenticated');
         }
 
         if (!transactions || transactions.length === 0) {
             return { imported: 0, failed: [], errors: [] };
         }
 
-        // Prepare expense records for insertion
-        const expenseRecords = transactions.map(transaction => ({
+        const toRecord = transaction => ({
             user_id: user.id,
             expense_name: transaction.description,
+            merchant: normalizeMerchant(transaction.description) || null,
             category: transaction.category,
             amount: transaction.amount,
-            date: transaction.date
-        }));
-
-        // Insert all records in a single batch operation
-        const { data, error } = await supabase
-            .from('expenses')
-            .insert(expenseRecords)
-            .select();
+            date: transaction.date,
+            fit_id: transaction.fitId || null,
+            transaction_type: transaction.transactionType || 'expense',
+            import_batch_id: transaction.importBatchId || null,
+            account_id: transaction.accountId || null,
+            transfer_account_id: transaction.transferAccountId || null
+        });
+
+        for (let start = 0; start < transactions.length; start += IMPORT_CHUNK_SIZE) {
+            const chunk = transactions.slice(start, start + IMPORT_CHUNK_SIZE);
+
+            const { error } = await supabase
+                .from('expenses')
+                .insert(chunk.map(toRecord));
+
+            if (!error) {
+                imported += chunk.length;
+                done += chunk.length;
+            } else if (isRowError(error)) {
+                console.error('Error importing chunk, retrying rows individually:', error);
+                for (const transaction of chunk) {
+                    const { error: rowError } = await supabase
+                        .from('expenses')
+                        .insert(toRecord(transaction));
+                    if (rowError) {
+                        failed.push({ transaction, reason: describeInsertError(rowError) });
+                    } else {
+                        imported++;
+                    }
+                    done++;
+                }
+            } else {
+                console.error('Error importing chunk:', error);
+                const reason = 'Unable to save transactions. Please try again.';
+                chunk.forEach(transaction => failed.push({ transaction, reason }));
+                done += chunk.length;
+            }
 
-        if (error) {
-            console.error('Error batch importing transactions:', error);
-            // If batch insert fails completely, return all as failed
-            return {
-                imported: 0,
-                failed: transactions,
-                errors: ['Unable to save transactions. Please try again.']
-            };
+            if (onProgress) {
+                onProgress(done, transactions.length);
+            }
         }
 
-        // All transactions imported successfully
-        return {
-            imported: data.length,
-            failed: [],
-            errors: []
-        };
+        return finish();
     } catch (err) {
         console.error('Batch import error:', err);
-        return {
-            imported: 0,
-            failed: transactions,
-            errors: ['An unexpected error occurred while importing transactions.']
-        };
+        return finish('An unexpected error occurred while importing transactions.');
     }
 }
 
@@ -404,6 +538,7 @@ export {
     createExpense,
     getExpenses,
     getExpensesByMonth,
+    getCategoryHistory,
     updateExpense,
     deleteExpense,
     getExpensesByCategory,
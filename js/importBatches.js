@@ -0,0 +1,317 @@
+/**
+ * Import Batches Module
+ *
+ * Records each file import as a batch using Supabase. A batch keeps the file
+ * name, a hash of its contents, the bank profile it was read with and the
+ * row counts; every expense it inserted carries the batch ID, so a bad import
+ * can be rolled back in one step. Saved transactions the import turned into
+ * transfers are listed in converted_transfers with the values they had, so
+ * rolling back puts them back. Rolled back batches stay in the history.
+ * All operations are scoped to the authenticated user via Row Level Security.
+ *
+ * @module importBatches
+ */
+
+import { supabase } from './supabaseConfig.js';
+
+/**
+ * Hash a file's contents so repeat imports of the same file can be recognised
+ *
+ * @param {File|Blob} file - File to hash
+ * @returns {Promise<string|null>} Hex SHA-256 digest, or null if hashing isn't available
+ */
+async function hashFile(file) {
+    try {
+        const buffer = await file.arrayBuffer();
+        const digest = await crypto.subtle.digest('SHA-256', buffer);
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    } catch (err) {
+        console.error('Hash file error:', err);
+        return null;
+    }
+}
+
+/**
+ * Get the current user's import batches, newest first
+ *
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ */
+async function getImportBatches() {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { data: null, error: { message: 'User not authenticated' } };
+        }
+
+        const { data, error } = await supabase
+            .from('import_batches')
+            .select('*')
+            .eq('user_id', user.id)
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            console.error('Error fetching import batches:', error);
+            return { data: null, error: { message: 'Unable to load import history.' } };
+        }
+
+        return { data: data || [], error: null };
+    } catch (err) {
+        console.error('Get import batches error:', err);
+        return { data: null, error: { message: 'An unexpected error occurred while loading import history.' } };
+    }
+}
+
+/**
+ * Find an earlier import of the same file that hasn't been rolled back
+ *
+ * @param {string} fileHash - Hash from hashFile
+ * @returns {Promise<{data: Object|null, error: Object|null}>} The most recent matching batch, or null
+ */
+async function findImportBatchByHash(fileHash) {
+    try {
+        if (!fileHash) {
+            return { data: null, error: null };
+        }
+
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { data: null, error: { message: 'User not authenticated' } };
+        }
+
+        const { data, error } = await supabase
+            .from('import_batches')
+            .select('*')
+            .eq('user_id', user.id)
+            .eq('file_hash', fileHash)
+            .eq('status', 'completed')
+            .order('created_at', { ascending: false })
+            .limit(1);
+
+        if (error) {
+            console.error('Error finding import batch:', error);
+            return { data: null, error: { message: 'Unable to check import history.' } };
+        }
+
+        return { data: data && data.length > 0 ? data[0] : null, error: null };
+    } catch (err) {
+        console.error('Find import batch error:', err);
+        return { data: null, error: { message: 'An unexpected error occurred while checking import history.' } };
+    }
+}
+
+/**
+ * Start a batch record for a file about to be imported
+ *
+ * @param {Object} batch - Batch details
+ * @param {string} batch.file_name - Name of the imported file
+ * @param {string|null} [batch.file_hash] - Hash from hashFile
+ * @param {Object|null} [batch.profile] - Import profile the file was read with
+ * @param {string|null} [batch.account_id] - Account the file's transactions were imported into
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+async function createImportBatch(batch) {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { data: null, error: { message: 'User not authenticated' } };
+        }
+
+        const { data, error } = await supabase
+            .from('import_batches')
+            .insert({
+                user_id: user.id,
+                file_name: batch.file_name || 'Unnamed file',
+                file_hash: batch.file_hash || null,
+                profile_id: batch.profile ? batch.profile.id : null,
+                profile_name: batch.profile ? batch.profile.name : null,
+                account_id: batch.account_id || null,
+                status: 'completed'
+            })
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Error creating import batch:', error);
+            return { data: null, error: { message: 'Unable to record this import. Please try again.' } };
+        }
+
+        return { data, error: null };
+    } catch (err) {
+        console.error('Create import batch error:', err);
+        return { data: null, error: { message: 'An unexpected error occurred while recording the import.' } };
+    }
+}
+
+/**
+ * Record how many rows a batch imported, skipped and failed
+ *
+ * @param {string} id - The batch ID (UUID)
+ * @param {{imported_count: number, skipped_count: number, failed_count: number}} counts - Row counts
+ * @returns {Promise<{error: Object|null}>}
+ */
+async function updateImportBatchCounts(id, counts) {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { error: { message: 'User not authenticated' } };
+        }
+
+        const { error } = await supabase
+            .from('import_batches')
+            .update({
+                imported_count: counts.imported_count || 0,
+                skipped_count: counts.skipped_count || 0,
+                failed_count: counts.failed_count || 0
+            })
+            .eq('id', id)
+            .eq('user_id', user.id);
+
+        if (error) {
+            console.error('Error updating import batch:', error);
+            return { error: { message: 'Unable to update the import record.' } };
+        }
+
+        return { error: null };
+    } catch (err) {
+        console.error('Update import batch error:', err);
+        return { error: { message: 'An unexpected error occurred while updating the import record.' } };
+    }
+}
+
+/**
+ * Record the saved transactions a batch turned into transfers
+ * Each entry keeps the values the transaction had before, for rollbackImportBatch
+ * to put back.
+ *
+ * @param {string} id - The batch ID (UUID)
+ * @param {Array<{id: string, transaction_type: string, category: string, account_id: string|null, transfer_account_id: string|null}>} transfers - Every transaction the batch converted, with its earlier values
+ * @returns {Promise<{error: Object|null}>}
+ */
+async function recordBatchTransfers(id, transfers) {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { error: { message: 'User not authenticated' } };
+        }
+
+        const { error } = await supabase
+            .from('import_batches')
+            .update({ converted_transfers: transfers })
+            .eq('id', id)
+            .eq('user_id', user.id);
+
+        if (error) {
+            console.error('Error recording import batch transfers:', error);
+            return { error: { message: 'Unable to record the transfer. Please try again.' } };
+        }
+
+        return { error: null };
+    } catch (err) {
+        console.error('Record batch transfers error:', err);
+        return { error: { message: 'An unexpected error occurred while recording the transfer.' } };
+    }
+}
+
+/**
+ * Roll back a batch by deleting every expense it imported and changing the
+ * transactions it turned into transfers back to what they were
+ * The batch stays in the history, marked as rolled back. It is only marked
+ * once everything is undone, so a rollback that stops part way can be run
+ * again; a transaction is only changed back while it is still a transfer.
+ *
+ * @param {string} id - The batch ID (UUID)
+ * @returns {Promise<{deleted: number, restored: number, error: Object|null}>}
+ */
+async function rollbackImportBatch(id) {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { deleted: 0, restored: 0, error: { message: 'User not authenticated' } };
+        }
+
+        const { data: batch, error: batchError } = await supabase
+            .from('import_batches')
+            .select('converted_transfers')
+            .eq('id', id)
+            .eq('user_id', user.id)
+            .single();
+
+        if (batchError) {
+            console.error('Error fetching import batch:', batchError);
+            return { deleted: 0, restored: 0, error: { message: 'Unable to roll back this import. Please try again.' } };
+        }
+
+        const { data: deletedRows, error: deleteError } = await supabase
+            .from('expenses')
+            .delete()
+            .eq('import_batch_id', id)
+            .eq('user_id', user.id)
+            .select('id');
+
+        if (deleteError) {
+            console.error('Error deleting batch expenses:', deleteError);
+            return { deleted: 0, restored: 0, error: { message: 'Unable to roll back this import. Please try again.' } };
+        }
+
+        let restored = 0;
+        for (const transfer of (batch && batch.converted_transfers) || []) {
+            const { data: restoredRows, error: restoreError } = await supabase
+                .from('expenses')
+                .update({
+                    transaction_type: transfer.transaction_type,
+                    category: transfer.category,
+                    account_id: transfer.account_id,
+                    transfer_account_id: transfer.transfer_account_id
+                })
+                .eq('id', transfer.id)
+                .eq('user_id', user.id)
+                .eq('transaction_type', 'transfer')  // Leave it if the user has changed it since
+                .select('id');
+
+            if (restoreError) {
+                console.error('Error restoring transaction converted to transfer:', restoreError);
+                return {
+                    deleted: deletedRows.length,
+                    restored,
+                    error: { message: 'The expenses were removed, but the transactions this import recorded as transfers could not all be changed back. Please try again.' }
+                };
+            }
+            restored += (restoredRows || []).length;
+        }
+
+        const { error } = await supabase
+            .from('import_batches')
+            .update({ status: 'rolled_back', rolled_back_at: new Date().toISOString() })
+            .eq('id', id)
+            .eq('user_id', user.id);
+
+        if (error) {
+            console.error('Error marking import batch rolled back:', error);
+            return { deleted: deletedRows.length, restored, error: { message: 'The expenses were removed, but the import history could not be updated.' } };
+        }
+
+        return { deleted: deletedRows.length, restored, error: null };
+    } catch (err) {
+        console.error('Rollback import batch error:', err);
+        return { deleted: 0, restored: 0, error: { message: 'An unexpected error occurred while rolling back the import.' } };
+    }
+}
+
+// Export all import batch functions
+export {
+    hashFile,
+    getImportBatches,
+    findImportBatchByHash,
+    createImportBatch,
+    updateImportBatchCounts,
+    recordBatchTransfers,
+    rollbackImportBatch
+};
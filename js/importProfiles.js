@@ -0,0 +1,215 @@
+/**
+ * Import Profiles Module
+ *
+ * Manages saved bank import profiles using Supabase.
+ * A profile remembers how one bank's export is laid out (delimiter, header row,
+ * column mapping, date format and sign convention) so the next file with the
+ * same header signature can be imported without mapping columns again.
+ * All operations are scoped to the authenticated user via Row Level Security.
+ *
+ * @module importProfiles
+ */
+
+import { supabase } from './supabaseConfig.js';
+import { parseCSV, getHeaderSignature } from './csvParser.js';
+
+/**
+ * Get all import profiles for the current user
+ *
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ */
+async function getImportProfiles() {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { data: null, error: { message: 'User not authenticated' } };
+        }
+
+        const { data, error } = await supabase
+            .from('import_profiles')
+            .select('*')
+            .eq('user_id', user.id)
+            .order('name', { ascending: true });
+
+        if (error) {
+            console.error('Error fetching import profiles:', error);
+            return { data: null, error: { message: 'Unable to load import profiles.' } };
+        }
+
+        return { data: data || [], error: null };
+    } catch (err) {
+        console.error('Get import profiles error:', err);
+        return { data: null, error: { message: 'An unexpected error occurred while loading import profiles.' } };
+    }
+}
+
+/**
+ * Create or update an import profile
+ * Profiles are unique per user and header signature, so saving a profile for a
+ * layout that already has one replaces it
+ *
+ * @param {Object} profile - The profile data
+ * @param {string} profile.name - Display name (e.g. "HDFC Savings")
+ * @param {string} profile.header_signature - Layout signature from getHeaderSignature
+ * @param {string} profile.delimiter - Field delimiter
+ * @param {string|null} profile.date_format - DATE_FORMATS name, or null to auto-detect
+ * @param {number} profile.header_row - Preamble lines above the header row
+ * @param {boolean} profile.has_header - Whether the file has a header row
+ * @param {Object} profile.column_mapping - Column indices keyed by field name
+ * @param {string} profile.sign_convention - One of SIGN_CONVENTIONS
+ * @param {string|null} [profile.account_id] - Account this bank's files are imported into by default
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+async function saveImportProfile(profile) {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { data: null, error: { message: 'User not authenticated' } };
+        }
+
+        const { data, error } = await supabase
+            .from('import_profiles')
+            .upsert({
+                user_id: user.id,
+                name: profile.name,
+                header_signature: profile.header_signature,
+                delimiter: profile.delimiter,
+                date_format: profile.date_format || null,
+                header_row: profile.header_row || 0,
+                has_header: profile.has_header !== false,
+                column_mapping: profile.column_mapping,
+                sign_convention: profile.sign_convention || 'debit-positive',
+                account_id: profile.account_id || null
+            }, {
+                onConflict: 'user_id,header_signature'
+            })
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Error saving import profile:', error);
+            return { data: null, error: { message: 'Unable to save import profile. Please try again.' } };
+        }
+
+        return { data, error: null };
+    } catch (err) {
+        console.error('Save import profile error:', err);
+        return { data: null, error: { message: 'An unexpected error occurred while saving the import profile.' } };
+    }
+}
+
+/**
+ * Rename an import profile
+ *
+ * @param {string} id - The profile ID (UUID)
+ * @param {string} name - New display name
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+async function renameImportProfile(id, name) {
+    try {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) {
+            return { data: null, error: { message: 'Please enter a profile name.' } };
+        }
+
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { data: null, error: { message: 'User not authenticated' } };
+        }
+
+        const { data, error } = await supabase
+            .from('import_profiles')
+            .update({ name: trimmed })
+            .eq('id', id)
+            .eq('user_id', user.id)  // Ensure user owns this profile
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Error renaming import profile:', error);
+            return { data: null, error: { message: 'Unable to rename import profile. Please try again.' } };
+        }
+
+        return { data, error: null };
+    } catch (err) {
+        console.error('Rename import profile error:', err);
+        return { data: null, error: { message: 'An unexpected error occurred while renaming the import profile.' } };
+    }
+}
+
+/**
+ * Delete an import profile
+ * Files with its layout are detected and mapped again on their next import.
+ *
+ * @param {string} id - The profile ID (UUID)
+ * @returns {Promise<{error: Object|null}>}
+ */
+async function deleteImportProfile(id) {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { error: { message: 'User not authenticated' } };
+        }
+
+        const { error } = await supabase
+            .from('import_profiles')
+            .delete()
+            .eq('id', id)
+            .eq('user_id', user.id);  // Ensure user owns this profile
+
+        if (error) {
+            console.error('Error deleting import profile:', error);
+            return { error: { message: 'Unable to delete import profile. Please try again.' } };
+        }
+
+        return { error: null };
+    } catch (err) {
+        console.error('Delete import profile error:', err);
+        return { error: { message: 'An unexpected error occurred while deleting the import profile.' } };
+    }
+}
+
+/**
+ * Find the saved profile matching a file's layout
+ * Each profile's parse options are applied to the content and the resulting
+ * header signature compared, so profiles with preamble rows still match.
+ * Headerless profiles match on column count alone.
+ *
+ * @param {string} content - Raw CSV content
+ * @param {Array<Object>} profiles - Saved import profiles
+ * @returns {Object|null} The matching profile, or null if none matches
+ */
+function findProfileForContent(content, profiles) {
+    if (!content || !Array.isArray(profiles) || profiles.length === 0) {
+        return null;
+    }
+
+    for (const profile of profiles) {
+        const hasHeader = profile.has_header !== false;
+        const parseResult = parseCSV(content, {
+            delimiter: profile.delimiter || undefined,
+            headerRow: profile.header_row || 0,
+            hasHeader
+        });
+        const columnCount = parseResult.data.length > 0 ? parseResult.data[0].length : 0;
+
+        if (getHeaderSignature(parseResult.headers, columnCount) === profile.header_signature) {
+            return profile;
+        }
+    }
+
+    return null;
+}
+
+// Export all import profile functions
+export {
+    getImportProfiles,
+    saveImportProfile,
+    renameImportProfile,
+    deleteImportProfile,
+    findProfileForContent
+};
@@ -0,0 +1,325 @@
+/**
+ * Income Module
+ *
+ * Manages income received - salary, freelance payments, interest and other
+ * money coming in - using Supabase. Income is stored in the expenses table
+ * with transaction_type 'income' and the Income category, the same way
+ * imported credits are saved, so income entered by hand and income read from
+ * a statement are counted together. The source of the income is kept as the
+ * transaction's name. All operations are scoped to the authenticated user via
+ * Row Level Security.
+ *
+ * @module income
+ */
+
+import { supabase } from './supabaseConfig.js';
+import { normalizeMerchant } from './merchantNormalizer.js';
+import { INCOME_CATEGORY } from './classifier.js';
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Format a date as YYYY-MM-DD
+ *
+ * @param {number} year - The year
+ * @param {number} month - The month (1-12)
+ * @param {number} day - The day of the month
+ * @returns {string}
+ */
+function toDateString(year, month, day) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Map income fields onto expense table columns
+ *
+ * @param {{source?: string, amount?: number, date?: string, account_id?: string|null}} income - Income fields
+ * @returns {Object}
+ */
+function toIncomeRecord(income) {
+    const record = {};
+    if (income.source !== undefined) {
+        record.expense_name = String(income.source).trim();
+        record.merchant = normalizeMerchant(record.expense_name) || null;
+    }
+    if (income.amount !== undefined) {
+        record.amount = income.amount;
+    }
+    if (income.date !== undefined) {
+        record.date = income.date;
+    }
+    if (income.account_id !== undefined) {
+        record.account_id = income.account_id || null;
+    }
+    return record;
+}
+
+/**
+ * Record income received by the current user
+ *
+ * @param {Object} income - The income data
+ * @param {string} income.source - Where the income came from, e.g. "Salary - Acme Corp"
+ * @param {number} income.amount - Amount received (must be positive)
+ * @param {string} income.date - Date received in YYYY-MM-DD format
+ * @param {string|null} [income.account_id] - Account the income was paid into (UUID)
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+async function createIncome(income) {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { data: null, error: { message: 'User not authenticated' } };
+        }
+
+        const { data, error } = await supabase
+            .from('expenses')
+            .insert({
+                user_id: user.id,
+                ...toIncomeRecord(income),
+                category: INCOME_CATEGORY,
+                transaction_type: 'income'
+            })
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Error creating income:', error);
+            return { data: null, error: { message: 'Unable to save income. Please try again.' } };
+        }
+
+        return { data, error: null };
+    } catch (err) {
+        console.error('Create income error:', err);
+        return { data: null, error: { message: 'An unexpected error occurred while saving income.' } };
+    }
+}
+
+/**
+ * Get all income for the current user, newest first
+ *
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ */
+async function getIncome() {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { data: null, error: { message: 'User not authenticated' } };
+        }
+
+        const { data, error } = await supabase
+            .from('expenses')
+            .select('*')
+            .eq('user_id', user.id)
+            .eq('transaction_type', 'income')
+            .order('date', { ascending: false });
+
+        if (error) {
+            console.error('Error fetching income:', error);
+            return { data: null, error: { message: 'Unable to load income. Please refresh the page.' } };
+        }
+
+        return { data: data || [], error: null };
+    } catch (err) {
+        console.error('Get income error:', err);
+        return { data: null, error: { message: 'An unexpected error occurred while loading income.' } };
+    }
+}
+
+/**
+ * Get income received in a specific month and year
+ *
+ * @param {number} year - The year (e.g., 2024)
+ * @param {number} month - The month (1-12)
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ */
+async function getIncomeByMonth(year, month) {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { data: null, error: { message: 'User not authenticated' } };
+        }
+
+        const startDate = toDateString(year, month, 1);
+        const endDate = toDateString(year, month, new Date(year, month, 0).getDate());
+
+        const { data, error } = await supabase
+            .from('expenses')
+            .select('*')
+            .eq('user_id', user.id)
+            .eq('transaction_type', 'income')
+            .gte('date', startDate)
+            .lte('date', endDate)
+            .order('date', { ascending: false });
+
+        if (error) {
+            console.error('Error fetching income by month:', error);
+            return { data: null, error: { message: 'Unable to load income for this month.' } };
+        }
+
+        return { data: data || [], error: null };
+    } catch (err) {
+        console.error('Get income by month error:', err);
+        return { data: null, error: { message: 'An unexpected error occurred while loading income.' } };
+    }
+}
+
+/**
+ * Update income the user has recorded
+ *
+ * @param {string} id - The transaction ID (UUID)
+ * @param {Object} updates - Fields to update
+ * @param {string} [updates.source] - Where the income came from
+ * @param {number} [updates.amount] - Amount received
+ * @param {string} [updates.date] - Date received
+ * @param {string|null} [updates.account_id] - Account the income was paid into
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+async function updateIncome(id, updates) {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { data: null, error: { message: 'User not authenticated' } };
+        }
+
+        const { data, error } = await supabase
+            .from('expenses')
+            .update(toIncomeRecord(updates))
+            .eq('id', id)
+            .eq('user_id', user.id)  // Ensure user owns this income
+            .eq('transaction_type', 'income')
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Error updating income:', error);
+            return { data: null, error: { message: 'Unable to update income. Please try again.' } };
+        }
+
+        return { data, error: null };
+    } catch (err) {
+        console.error('Update income error:', err);
+        return { data: null, error: { message: 'An unexpected error occurred while updating income.' } };
+    }
+}
+
+/**
+ * Delete income the user has recorded
+ *
+ * @param {string} id - The transaction ID (UUID)
+ * @returns {Promise<{error: Object|null}>}
+ */
+async function deleteIncome(id) {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { error: { message: 'User not authenticated' } };
+        }
+
+        const { error } = await supabase
+            .from('expenses')
+            .delete()
+            .eq('id', id)
+            .eq('user_id', user.id)  // Ensure user owns this income
+            .eq('transaction_type', 'income');
+
+        if (error) {
+            console.error('Error deleting income:', error);
+            return { error: { message: 'Unable to delete income. Please try again.' } };
+        }
+
+        return { error: null };
+    } catch (err) {
+        console.error('Delete income error:', err);
+        return { error: { message: 'An unexpected error occurred while deleting income.' } };
+    }
+}
+
+/**
+ * Get income received in each of the past N months, including this one
+ *
+ * @param {number} months - Number of months to retrieve (default: 6)
+ * @returns {Promise<Array<{year: number, month: number, total: number, label: string}>>}
+ * Returns array of monthly totals sorted by date ascending (oldest first)
+ */
+async function getMonthlyIncomeTotals(months = 6) {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return [];
+        }
+
+        const now = new Date();
+        const monthlyMap = new Map();
+
+        // Initialize all months in range with zero
+        for (let i = 0; i < months; i++) {
+            const d = new Date(now.getFullYear(), now.getMonth() - months + 1 + i, 1);
+            const year = d.getFullYear();
+            const month = d.getMonth() + 1;
+            monthlyMap.set(`${year}-${month}`, { year, month, total: 0, label: `${MONTH_NAMES[month - 1]} ${year}` });
+        }
+
+        const [first] = monthlyMap.values();
+        const startDate = toDateString(first.year, first.month, 1);
+        const endDate = toDateString(now.getFullYear(), now.getMonth() + 1, new Date(now.getFullYear(), now.getMonth() + 1, 0).getDate());
+
+        const { data: income, error } = await supabase
+            .from('expenses')
+            .select('amount, date')
+            .eq('user_id', user.id)
+            .eq('transaction_type', 'income')
+            .gte('date', startDate)
+            .lte('date', endDate);
+
+        if (error) {
+            console.error('Error fetching income for monthly totals:', error);
+            return [];
+        }
+
+        for (const row of income || []) {
+            const [year, month] = row.date.split('-').map(Number);
+            const key = `${year}-${month}`;
+            if (monthlyMap.has(key)) {
+                monthlyMap.get(key).total += parseFloat(row.amount) || 0;
+            }
+        }
+
+        return Array.from(monthlyMap.values());
+    } catch (err) {
+        console.error('Get monthly income totals error:', err);
+        return [];
+    }
+}
+
+/**
+ * Get the total income received this month
+ *
+ * @returns {Promise<number>} Total received, or 0 if none or on error
+ */
+async function getCurrentMonthIncome() {
+    const now = new Date();
+    const { data, error } = await getIncomeByMonth(now.getFullYear(), now.getMonth() + 1);
+
+    if (error || !data) {
+        return 0;
+    }
+
+    return data.reduce((sum, row) => sum + (parseFloat(row.amount) || 0), 0);
+}
+
+// Export all income functions
+export {
+    createIncome,
+    getIncome,
+    getIncomeByMonth,
+    updateIncome,
+    deleteIncome,
+    getMonthlyIncomeTotals,
+    getCurrentMonthIncome
+};
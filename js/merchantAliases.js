@@ -0,0 +1,278 @@
+/**
+ * Merchant Aliases Module
+ *
+ * Manages the user's merchant aliases using Supabase and keeps the merchant
+ * stored with each expense up to date. An alias maps words found in expense
+ * names, such as "bundl technologies", to the merchant they should be grouped
+ * under, such as "Swiggy". All operations are scoped to the authenticated
+ * user via Row Level Security.
+ *
+ * @module merchantAliases
+ */
+
+import { supabase } from './supabaseConfig.js';
+import { normalizeMerchant, toAliasPattern, setAliases } from './merchantNormalizer.js';
+
+/**
+ * Number of expenses written in each request while backfilling merchants
+ */
+const BACKFILL_CHUNK_SIZE = 200;
+
+/**
+ * Check an alias's fields and normalize its pattern
+ *
+ * @param {{pattern?: string, merchant?: string}} alias - Alias fields
+ * @returns {{data: Object|null, error: Object|null}}
+ */
+function toAliasRecord(alias) {
+    const record = {};
+    if (alias.pattern !== undefined) {
+        record.pattern = toAliasPattern(alias.pattern);
+        if (!record.pattern) {
+            return { data: null, error: { message: 'Please enter the words to look for.' } };
+        }
+    }
+    if (alias.merchant !== undefined) {
+        record.merchant = String(alias.merchant || '').trim();
+        if (!record.merchant) {
+            return { data: null, error: { message: 'Please enter a merchant name.' } };
+        }
+    }
+    return { data: record, error: null };
+}
+
+/**
+ * Get all merchant aliases for the current user
+ *
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ */
+async function getMerchantAliases() {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { data: null, error: { message: 'User not authenticated' } };
+        }
+
+        const { data, error } = await supabase
+            .from('merchant_aliases')
+            .select('*')
+            .eq('user_id', user.id)
+            .order('merchant', { ascending: true });
+
+        if (error) {
+            console.error('Error fetching merchant aliases:', error);
+            return { data: null, error: { message: 'Unable to load merchant aliases.' } };
+        }
+
+        return { data: data || [], error: null };
+    } catch (err) {
+        console.error('Get merchant aliases error:', err);
+        return { data: null, error: { message: 'An unexpected error occurred while loading merchant aliases.' } };
+    }
+}
+
+/**
+ * Load the user's aliases into the merchant normalizer
+ *
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ */
+async function loadMerchantAliases() {
+    const result = await getMerchantAliases();
+    if (!result.error) {
+        setAliases(result.data);
+    }
+    return result;
+}
+
+/**
+ * Create an alias, or change the merchant of an existing one with the same pattern
+ *
+ * @param {{pattern: string, merchant: string}} alias - Words to look for and the merchant to use
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+async function saveMerchantAlias(alias) {
+    try {
+        const { data: record, error: invalid } = toAliasRecord({ pattern: alias.pattern || '', merchant: alias.merchant || '' });
+        if (invalid) {
+            return { data: null, error: invalid };
+        }
+
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { data: null, error: { message: 'User not authenticated' } };
+        }
+
+        const { data, error } = await supabase
+            .from('merchant_aliases')
+            .upsert({ user_id: user.id, ...record }, { onConflict: 'user_id,pattern' })
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Error saving merchant alias:', error);
+            return { data: null, error: { message: 'Unable to save merchant alias.' } };
+        }
+
+        return { data, error: null };
+    } catch (err) {
+        console.error('Save merchant alias error:', err);
+        return { data: null, error: { message: 'An unexpected error occurred while saving the merchant alias.' } };
+    }
+}
+
+/**
+ * Update a merchant alias
+ *
+ * @param {string} id - The alias ID (UUID)
+ * @param {Object} updates - Fields to update
+ * @param {string} [updates.pattern] - Words to look for
+ * @param {string} [updates.merchant] - Merchant to use
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+async function updateMerchantAlias(id, updates) {
+    try {
+        const { data: updateData, error: invalid } = toAliasRecord(updates);
+        if (invalid) {
+            return { data: null, error: invalid };
+        }
+
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { data: null, error: { message: 'User not authenticated' } };
+        }
+
+        const { data, error } = await supabase
+            .from('merchant_aliases')
+            .update(updateData)
+            .eq('id', id)
+            .eq('user_id', user.id)  // Ensure user owns this alias
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Error updating merchant alias:', error);
+            return { data: null, error: { message: 'Unable to update merchant alias. An alias for these words may already exist.' } };
+        }
+
+        return { data, error: null };
+    } catch (err) {
+        console.error('Update merchant alias error:', err);
+        return { data: null, error: { message: 'An unexpected error occurred while updating the merchant alias.' } };
+    }
+}
+
+/**
+ * Delete a merchant alias
+ *
+ * @param {string} id - The alias ID (UUID)
+ * @returns {Promise<{error: Object|null}>}
+ */
+async function deleteMerchantAlias(id) {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { error: { message: 'User not authenticated' } };
+        }
+
+        const { error } = await supabase
+            .from('merchant_aliases')
+            .delete()
+            .eq('id', id)
+            .eq('user_id', user.id);  // Ensure user owns this alias
+
+        if (error) {
+            console.error('Error deleting merchant alias:', error);
+            return { error: { message: 'Unable to delete merchant alias. Please try again.' } };
+        }
+
+        return { error: null };
+    } catch (err) {
+        console.error('Delete merchant alias error:', err);
+        return { error: { message: 'An unexpected error occurred while deleting the merchant alias.' } };
+    }
+}
+
+/**
+ * Set the merchant of past expenses from their names and the current aliases
+ * Only the columns needed are read, and with missingOnly only expenses
+ * without a merchant, so once they are filled in the check is one small
+ * query. Expenses whose merchant changes are written BACKFILL_CHUNK_SIZE at
+ * a time as upserts on their ID; the other required columns are sent as read
+ * so the upsert only ever updates.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.missingOnly=false] - Only fill in expenses saved before merchants were recorded
+ * @returns {Promise<{updated: number, failed: number, error: Object|null}>}
+ */
+async function backfillMerchants(options = {}) {
+    try {
+        const aliasesResult = await loadMerchantAliases();
+        if (aliasesResult.error) {
+            return { updated: 0, failed: 0, error: aliasesResult.error };
+        }
+
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { updated: 0, failed: 0, error: { message: 'User not authenticated' } };
+        }
+
+        let query = supabase
+            .from('expenses')
+            .select('id, user_id, expense_name, category, amount, date, merchant')
+            .eq('user_id', user.id);
+        if (options.missingOnly) {
+            query = query.is('merchant', null);
+        }
+
+        const { data: expenses, error } = await query;
+        if (error) {
+            console.error('Error fetching expenses for merchant backfill:', error);
+            return { updated: 0, failed: 0, error: { message: 'Unable to load your expenses. Please refresh.' } };
+        }
+
+        const changes = [];
+        (expenses || []).forEach(expense => {
+            const merchant = normalizeMerchant(expense.expense_name) || null;
+            if (merchant !== (expense.merchant || null)) {
+                changes.push({ ...expense, merchant });
+            }
+        });
+
+        let updated = 0;
+        let failed = 0;
+
+        for (let start = 0; start < changes.length; start += BACKFILL_CHUNK_SIZE) {
+            const chunk = changes.slice(start, start + BACKFILL_CHUNK_SIZE);
+            const { error: upsertError } = await supabase
+                .from('expenses')
+                .upsert(chunk, { onConflict: 'id' });
+
+            if (upsertError) {
+                console.error('Error updating expense merchants:', upsertError);
+                failed += chunk.length;
+            } else {
+                updated += chunk.length;
+            }
+        }
+
+        return { updated, failed, error: null };
+    } catch (err) {
+        console.error('Backfill merchants error:', err);
+        return { updated: 0, failed: 0, error: { message: 'An unexpected error occurred while updating merchants.' } };
+    }
+}
+
+// Export all merchant alias functions
+export {
+    getMerchantAliases,
+    loadMerchantAliases,
+    saveMerchantAlias,
+    updateMerchantAlias,
+    deleteMerchantAlias,
+    backfillMerchants
+};
@@ -0,0 +1,187 @@
+/**
+ * Merchant Normalizer Module
+ *
+ * Turns an expense name or bank narration into a canonical merchant name, so
+ * "POS 4521XXXX SWIGGY BANGALORE IN 12/03" and a hand-typed "swiggy order"
+ * are both grouped under "Swiggy". Payment rails and bank prefixes, reference
+ * numbers, card masks, UPI handles, dates, trailing locations and company
+ * words are dropped and the first identifying words are kept. The user's
+ * aliases are checked first, so names the cleanup can't work out, such as
+ * "BUNDL TECHNOLOGIES", can be mapped by hand. Category rules, learned rules
+ * and duplicate matching compare descriptions through getMerchantWords, so
+ * an alias applies to all of them.
+ *
+ * @module merchantNormalizer
+ */
+
+/**
+ * Most words kept for a merchant name
+ */
+const MAX_MERCHANT_WORDS = 2;
+
+/**
+ * Payment rails, bank prefixes, legal suffixes and generic words that never
+ * name the merchant
+ */
+const MERCHANT_NOISE = new Set([
+    'upi', 'neft', 'imps', 'rtgs', 'pos', 'ach', 'nach', 'ecom', 'ecs', 'vps', 'vin', 'mmt', 'ibl', 'inb',
+    'bil', 'billpay', 'txn', 'trf', 'transfer', 'payment', 'pmt', 'paid', 'pur', 'purchase', 'debit', 'credit',
+    'card', 'wdl', 'withdrawal', 'salary', 'sal',
+    'dr', 'cr', 'ref', 'no', 'to', 'from', 'by', 'via', 'at', 'on', 'for', 'of', 'the', 'and',
+    'pvt', 'ltd', 'private', 'limited', 'inc', 'llc', 'llp', 'corp', 'co', 'com', 'www', 'in', 'india',
+    'order', 'orders', 'ride', 'trip', 'booking', 'bill', 'recharge', 'subscription', 'online'
+]);
+
+/**
+ * Cities, states and countries banks append after the merchant
+ * Only dropped from the end of a name, and never when they are all that's left
+ */
+const MERCHANT_LOCATIONS = new Set([
+    'bangalore', 'bengaluru', 'mumbai', 'bombay', 'delhi', 'new', 'gurgaon', 'gurugram', 'noida', 'pune',
+    'hyderabad', 'secunderabad', 'chennai', 'kolkata', 'ahmedabad', 'jaipur', 'lucknow', 'kochi', 'chandigarh',
+    'indore', 'thane', 'navi', 'ka', 'mh', 'dl', 'tn', 'ts', 'ap', 'up', 'wb', 'gj', 'hr', 'rj', 'kl',
+    'ind', 'us', 'usa', 'gb', 'gbr', 'uk', 'sg', 'sgp', 'ae', 'are', 'uae', 'london', 'singapore', 'dubai'
+]);
+
+/**
+ * Company words left off the end of a merchant name, as in "Uber Systems"
+ */
+const COMPANY_SUFFIXES = new Set([
+    'systems', 'technologies', 'technology', 'services', 'solutions', 'retail', 'enterprises', 'industries', 'international'
+]);
+
+/**
+ * The user's aliases, most specific pattern first
+ * @type {Array<{pattern: string, merchant: string}>}
+ */
+let aliases = [];
+
+/**
+ * Reduce text to lowercase words, keeping ampersands inside names such as "M&S"
+ *
+ * @param {string} text - Expense name, narration or alias pattern
+ * @returns {string[]}
+ */
+function toWords(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/['’]/g, '')
+        .split(/[^a-z0-9&]+/)
+        .filter(Boolean);
+}
+
+/**
+ * Normalize an alias pattern the way descriptions are matched against it
+ *
+ * @param {string} pattern - Words the user typed
+ * @returns {string} Space-separated lowercase words
+ */
+function toAliasPattern(pattern) {
+    return toWords(pattern).join(' ');
+}
+
+/**
+ * Capitalise each word of a merchant name
+ *
+ * @param {string[]} words - Lowercase words
+ * @returns {string}
+ */
+function toTitleCase(words) {
+    return words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+/**
+ * Get the words of a description that identify the merchant
+ *
+ * @param {string} description - Expense name or bank narration
+ * @returns {string[]} Identifying words in order
+ */
+function getMerchantTokens(description) {
+    // The part of a UPI handle after the @ names a bank, not the merchant
+    const text = String(description || '').replace(/@[a-z0-9.]+/gi, ' ');
+    const words = toWords(text).filter((word, index, all) =>
+        word.length > 1
+        && !/\d/.test(word)
+        && !/^x+$/.test(word)
+        && !MERCHANT_NOISE.has(word)
+        // UPI narrations often repeat the payee in the handle
+        && all.indexOf(word) === index
+    );
+
+    const isTrailing = word => MERCHANT_LOCATIONS.has(word) || COMPANY_SUFFIXES.has(word);
+    while (words.length > 1 && isTrailing(words[words.length - 1])) {
+        words.pop();
+    }
+    return words;
+}
+
+/**
+ * Find the user's alias for a description
+ *
+ * @param {string} description - Expense name or bank narration
+ * @returns {{pattern: string, merchant: string}|null}
+ */
+function matchAlias(description) {
+    const text = ` ${toWords(description).join(' ')} `;
+    return aliases.find(alias => text.includes(` ${alias.pattern} `)) || null;
+}
+
+/**
+ * Get the lowercase words of a description's merchant
+ * The alias's merchant when one matches, otherwise the identifying words
+ *
+ * @param {string} description - Expense name or bank narration
+ * @returns {string[]}
+ */
+function getMerchantWords(description) {
+    const alias = matchAlias(description);
+    return alias ? toWords(alias.merchant) : getMerchantTokens(description);
+}
+
+/**
+ * Get the canonical merchant for an expense name or bank narration
+ *
+ * @param {string} description - Expense name or bank narration
+ * @returns {string} Merchant name, or empty string if nothing identifying remains
+ */
+function normalizeMerchant(description) {
+    const alias = matchAlias(description);
+    if (alias) {
+        return alias.merchant;
+    }
+    return toTitleCase(getMerchantTokens(description).slice(0, MAX_MERCHANT_WORDS));
+}
+
+/**
+ * Replace the aliases used by normalizeMerchant
+ * Longer patterns are tried first so "amazon pay" wins over "amazon".
+ *
+ * @param {Array<{pattern: string, merchant: string}>} list - Saved aliases
+ */
+function setAliases(list) {
+    aliases = (Array.isArray(list) ? list : [])
+        .map(alias => ({ pattern: toAliasPattern(alias.pattern), merchant: String(alias.merchant || '').trim() }))
+        .filter(alias => alias.pattern && alias.merchant)
+        .sort((a, b) => b.pattern.length - a.pattern.length);
+}
+
+/**
+ * Get the aliases used by normalizeMerchant
+ *
+ * @returns {Array<{pattern: string, merchant: string}>}
+ */
+function getAliases() {
+    return [...aliases];
+}
+
+// Export all merchant normalization functions
+export {
+    normalizeMerchant,
+    getMerchantTokens,
+    getMerchantWords,
+    matchAlias,
+    toAliasPattern,
+    setAliases,
+    getAliases,
+    MAX_MERCHANT_WORDS
+};
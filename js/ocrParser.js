@@ -0,0 +1,351 @@
+/**
+ * Image OCR Parser Module
+ *
+ * Reads receipt photos and statement screenshots entirely on the device.
+ * Tesseract (a WASM build vendored in the repo, with its English language
+ * data) recognises the text; statement screenshots are rebuilt into rows and read by
+ * the PDF statement parser, and single receipts become one expense with the
+ * merchant, date and total filled in. Every transaction carries the OCR
+ * confidence so the preview can flag fields worth checking.
+ *
+ * @module ocrParser
+ */
+
+import { splitCells, parseStatementRows, splitLeadingDate, findAmounts } from './pdfParser.js';
+import { parseSignedAmount } from './csvParser.js';
+import { registerTransactionSource, startsWithBytes } from './transactionSources.js';
+
+/**
+ * Tesseract worker, WASM core and language data vendored under assets/vendor
+ * Relative to the page; they are resolved before being handed to the worker.
+ * Only the LSTM cores are vendored, matching the LSTM-only engine mode below
+ */
+const OCR_PATHS = {
+    workerPath: './assets/vendor/tesseract/worker.min.js',
+    corePath: './assets/vendor/tesseract-core',
+    langPath: './assets/vendor/tesseract-data/eng/4.0.0_best_int'
+};
+
+/**
+ * OCR confidence (0-1) below which a field is highlighted for checking
+ */
+const LOW_OCR_CONFIDENCE = 0.75;
+
+/**
+ * Word gap, as a multiple of the line's text height, that starts a new cell
+ */
+const OCR_CELL_GAP = 1.5;
+
+/**
+ * A screenshot with fewer statement rows than this is read as a receipt
+ */
+const MIN_STATEMENT_ROWS = 2;
+
+/**
+ * Receipt total lines, most specific first
+ */
+const TOTAL_PATTERNS = [
+    /\bgrand\s*total\b/i,
+    /\b(net|total)\s*(amount|payable)\b/i,
+    /\bamount\s*(paid|due|payable)\b/i,
+    /\btotal\b/i,
+    /\bbalance\s*due\b/i
+];
+
+/**
+ * Lines that mention a total but aren't the amount paid
+ */
+const NOT_TOTAL_PATTERN = /\bsub\s*-?\s*total\b|\btotal\s*(qty|quantity|items?|savings|discount|tax|gst)\b/i;
+
+/**
+ * Receipt header lines that aren't the merchant's name
+ */
+const NOT_MERCHANT_PATTERN = /\b(receipt|invoice|bill|gstin|gst|cin|fssai|tel|phone|ph|mob|email|www|order|table|cashier|date|time)\b|@|https?:/i;
+
+/**
+ * Loaded Tesseract module, cached after the first image
+ * @type {Object|null}
+ */
+let ocrLibrary = null;
+
+/**
+ * Load Tesseract on first use so other imports don't pay for it
+ *
+ * @returns {Promise<Object>} The tesseract.js module
+ */
+async function loadOcrLibrary() {
+    if (!ocrLibrary) {
+        const module = await import('tesseract.js');
+        ocrLibrary = module.default || module;
+    }
+    return ocrLibrary;
+}
+
+/**
+ * Recognise the text lines in an image
+ * The worker is created per image and terminated afterwards to free its memory
+ *
+ * @param {File|Blob} image - Image to read
+ * @param {function(number): void} [onProgress] - Called with recognition progress from 0 to 1
+ * @returns {Promise<{lines: Array<OcrLine>, error: string|null}>}
+ */
+async function recognizeImage(image, onProgress) {
+    let worker = null;
+    try {
+        const Tesseract = await loadOcrLibrary();
+        const paths = Object.fromEntries(Object.entries(OCR_PATHS)
+            .map(([key, path]) => [key, new URL(path, window.location.href).href]));
+        worker = await Tesseract.createWorker('eng', 1, {
+            ...paths,
+            gzip: true,
+            workerBlobURL: false,
+            logger: message => {
+                if (onProgress && message.status === 'recognizing text') {
+                    onProgress(message.progress);
+                }
+            }
+        });
+
+        const { data } = await worker.recognize(image);
+        const lines = (data.lines || []).map(line => ({
+            text: line.text.trim(),
+            confidence: line.confidence / 100,
+            words: line.words.map(word => ({
+                text: word.text,
+                confidence: word.confidence / 100,
+                bbox: word.bbox
+            }))
+        })).filter(line => line.text !== '');
+
+        return { lines, error: null };
+    } catch (err) {
+        console.error('Image OCR error:', err);
+        return { lines: [], error: 'Unable to read text from this image. Please try a clearer image.' };
+    } finally {
+        if (worker) {
+            await worker.terminate();
+        }
+    }
+}
+
+/**
+ * Rebuild OCR lines into the row shape parseStatementRows reads
+ * The cell gap scales with the text height, since image sizes vary
+ *
+ * @param {Array<OcrLine>} lines - Recognised lines, top to bottom
+ * @returns {Array<{page: number, line: number, cells: Array<Object>, text: string, confidence: number}>}
+ */
+function ocrLinesToRows(lines) {
+    return (lines || []).map((line, index) => {
+        const words = line.words || [];
+        const heights = words.map(word => word.bbox.y1 - word.bbox.y0).sort((a, b) => a - b);
+        const height = heights.length > 0 ? heights[Math.floor(heights.length / 2)] : 0;
+        const items = words.map(word => ({ str: word.text, x: word.bbox.x0, width: word.bbox.x1 - word.bbox.x0 }));
+        const cells = splitCells(items, height * OCR_CELL_GAP);
+
+        return {
+            page: 1,
+            line: index + 1,
+            cells,
+            text: cells.map(cell => cell.text).join(' '),
+            confidence: line.confidence
+        };
+    }).filter(row => row.cells.length > 0);
+}
+
+/**
+ * Find the first date anywhere in a line of text
+ *
+ * @param {string} text - Line text
+ * @returns {string|null} The date as written, or null
+ */
+function findDate(text) {
+    const words = String(text || '').split(/\s+/);
+    for (let i = 0; i < words.length; i++) {
+        // Strip labels and punctuation glued to the date, like "Date:12/03/2024"
+        const candidate = words.slice(i).join(' ').replace(/^[^\da-z]*(date|dt)?[:.]?/i, '');
+        const dated = splitLeadingDate(candidate);
+        if (dated) {
+            return dated.date;
+        }
+    }
+    return null;
+}
+
+/**
+ * Find the amount paid on a receipt
+ * Labelled totals win; otherwise the largest amount on the receipt is used
+ *
+ * @param {Array<OcrLine>} lines - Recognised lines
+ * @returns {{amount: string, confidence: number}|null}
+ */
+function findReceiptTotal(lines) {
+    for (const pattern of TOTAL_PATTERNS) {
+        const line = lines.find(l => pattern.test(l.text) && !NOT_TOTAL_PATTERN.test(l.text) && findAmounts(l.text).length > 0);
+        if (line) {
+            return { amount: findAmounts(line.text).pop(), confidence: line.confidence };
+        }
+    }
+
+    let largest = null;
+    for (const line of lines) {
+        for (const amount of findAmounts(line.text)) {
+            const value = Math.abs(parseSignedAmount(amount).amount);
+            if (!largest || value > largest.value) {
+                largest = { amount, value, confidence: line.confidence };
+            }
+        }
+    }
+    return largest ? { amount: largest.amount, confidence: largest.confidence } : null;
+}
+
+/**
+ * Find the merchant's name, normally the first line of a receipt
+ *
+ * @param {Array<OcrLine>} lines - Recognised lines
+ * @returns {{description: string, confidence: number}|null}
+ */
+function findMerchant(lines) {
+    const line = lines.find(l =>
+        (l.text.match(/[a-z]/gi) || []).length >= 3 &&
+        findAmounts(l.text).length === 0 &&
+        !findDate(l.text) &&
+        !NOT_MERCHANT_PATTERN.test(l.text)
+    );
+    return line ? { description: line.text.replace(/\s+/g, ' '), confidence: line.confidence } : null;
+}
+
+/**
+ * Read a single receipt as one expense
+ * Fields that can't be found are left empty so the preview asks for them
+ *
+ * @param {Array<OcrLine>} lines - Recognised lines, top to bottom
+ * @returns {Object|null} Raw transaction with ocrConfidence and fieldConfidence, or null without a total
+ */
+function parseReceipt(lines) {
+    const total = findReceiptTotal(lines || []);
+    if (!total) {
+        return null;
+    }
+
+    const dateLine = (lines || []).find(line => findDate(line.text));
+    const merchant = findMerchant(lines || []);
+
+    const fieldConfidence = {
+        date: dateLine ? dateLine.confidence : 0,
+        amount: total.confidence,
+        description: merchant ? merchant.confidence : 0
+    };
+
+    return {
+        date: dateLine ? findDate(dateLine.text) : '',
+        amount: total.amount.replace(/\s?(dr|cr)\.?$/i, ''),
+        description: merchant ? merchant.description : '',
+        direction: 'debit',
+        rowNumber: 1,
+        rowLabel: 'Receipt',
+        ocrConfidence: Math.min(fieldConfidence.date, fieldConfidence.amount, fieldConfidence.description),
+        fieldConfidence
+    };
+}
+
+/**
+ * Turn recognised lines into raw transactions
+ * Screenshots with statement rows are read as statements; anything else is
+ * read as a single receipt.
+ *
+ * @param {Array<OcrLine>} lines - Recognised lines from recognizeImage
+ * @returns {{transactions: Array<Object>, errors: Array<Object>, kind: 'statement'|'receipt'|null, hasText: boolean}}
+ */
+function parseOcrLines(lines) {
+    const rows = ocrLinesToRows(lines);
+    const statement = parseStatementRows(rows);
+
+    if (statement.transactions.length < MIN_STATEMENT_ROWS) {
+        const receipt = parseReceipt(lines);
+        if (receipt) {
+            return { transactions: [receipt], errors: [], kind: 'receipt', hasText: true };
+        }
+    }
+
+    // Each row keeps the confidence of the line its date and amount came from
+    const confidenceByLine = new Map(rows.map(row => [row.line, row.confidence]));
+    const transactions = statement.transactions.map(transaction => {
+        const confidence = confidenceByLine.get(transaction.line) || 0;
+        return {
+            ...transaction,
+            ocrConfidence: confidence,
+            fieldConfidence: { date: confidence, amount: confidence, description: confidence }
+        };
+    });
+
+    return {
+        transactions,
+        errors: statement.errors,
+        kind: transactions.length > 0 ? 'statement' : null,
+        hasText: rows.length > 0
+    };
+}
+
+/**
+ * Check whether an OCR confidence is low enough to ask the user to check it
+ *
+ * @param {number|undefined} confidence - OCR confidence from 0 to 1
+ * @returns {boolean}
+ */
+function isLowOcrConfidence(confidence) {
+    return typeof confidence === 'number' && confidence < LOW_OCR_CONFIDENCE;
+}
+
+/**
+ * @typedef {Object} OcrLine
+ * @property {string} text - Recognised text
+ * @property {number} confidence - Line confidence from 0 to 1
+ * @property {Array<{text: string, confidence: number, bbox: {x0: number, y0: number, x1: number, y1: number}}>} words - Recognised words with pixel boxes
+ */
+
+/**
+ * PNG and JPEG receipt photos and statement screenshots
+ * Text is recognised on the device; each transaction keeps its OCR confidence
+ * so the preview can highlight fields to check.
+ * @type {import('./transactionSources.js').TransactionSource}
+ */
+const imageSource = {
+    id: 'image',
+    label: 'Image',
+    extensions: ['png', 'jpg', 'jpeg'],
+    read: 'file',
+    detect: sample => startsWithBytes(sample, [0x89, 0x50, 0x4E, 0x47]) || startsWithBytes(sample, [0xFF, 0xD8, 0xFF]) ? 1 : 0,
+    parse: async (image, context = {}) => {
+        const { lines, error } = await recognizeImage(image, progress => {
+            if (context.onProgress) context.onProgress(progress, 'Reading text from image...');
+        });
+        if (error) {
+            return { transactions: [], error };
+        }
+
+        const ocrResult = parseOcrLines(lines);
+        if (ocrResult.transactions.length === 0) {
+            const message = ocrResult.hasText
+                ? 'No receipt total or statement rows could be found in this image. Please try a clearer image or export your statement as a CSV file.'
+                : 'No text could be found in this image. Please try a sharper, well-lit image.';
+            return { transactions: [], error: message };
+        }
+        return { transactions: ocrResult.transactions, parseErrors: ocrResult.errors, error: null };
+    },
+    normalize: transactions => transactions
+};
+
+registerTransactionSource(imageSource);
+
+// Export functions
+export {
+    imageSource,
+    recognizeImage,
+    ocrLinesToRows,
+    parseOcrLines,
+    parseReceipt,
+    findDate,
+    isLowOcrConfidence,
+    LOW_OCR_CONFIDENCE
+};
@@ -0,0 +1,190 @@
+/**
+ * OFX Parser Module
+ *
+ * Parses OFX/QFX bank statement files into raw transactions for import.
+ * Supports both SGML-based OFX 1.x (unclosed leaf tags) and XML-based OFX 2.x.
+ * Produces the same raw transaction shape as csvParser.extractTransactions so
+ * OFX files flow through the existing validation, preview and duplicate check.
+ *
+ * @module ofxParser
+ */
+
+import { registerTransactionSource } from './transactionSources.js';
+
+/**
+ * XML entities that may appear in OFX values
+ */
+const OFX_ENTITIES = {
+    '&amp;': '&',
+    '&lt;': '<',
+    '&gt;': '>',
+    '&quot;': '"',
+    '&apos;': "'",
+    '&nbsp;': ' '
+};
+
+/**
+ * Check whether content looks like an OFX/QFX document
+ *
+ * @param {string} content - Raw file content
+ * @returns {boolean} True if the content has an OFX header or root element
+ */
+function isOFXContent(content) {
+    if (!content || typeof content !== 'string') {
+        return false;
+    }
+    const head = content.slice(0, 2048);
+    return /OFXHEADER/i.test(head) || /<OFX>/i.test(content);
+}
+
+/**
+ * Decode XML entities in an OFX value
+ *
+ * @param {string} value - Raw value
+ * @returns {string} Decoded value
+ */
+function decodeEntities(value) {
+    return value.replace(/&(amp|lt|gt|quot|apos|nbsp);/gi, (entity) => OFX_ENTITIES[entity.toLowerCase()] || entity);
+}
+
+/**
+ * Read the value of a leaf element from an OFX block
+ * Works for SGML (<TAG>value) and XML (<TAG>value</TAG>) syntax
+ *
+ * @param {string} block - OFX block content
+ * @param {string} tag - Element name
+ * @returns {string} Trimmed value, or empty string if the element is missing
+ */
+function getTagValue(block, tag) {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    return match ? decodeEntities(match[1]).trim() : '';
+}
+
+/**
+ * Convert an OFX date (YYYYMMDD[HHMMSS[.XXX]][TZ]) to YYYY-MM-DD
+ *
+ * @param {string} ofxDate - OFX date value
+ * @returns {string} Date in YYYY-MM-DD format, or the original value if unrecognised
+ */
+function parseOFXDate(ofxDate) {
+    const match = (ofxDate || '').match(/^(\d{4})(\d{2})(\d{2})/);
+    if (!match) {
+        return ofxDate || '';
+    }
+    return `${match[1]}-${match[2]}-${match[3]}`;
+}
+
+/**
+ * Convert a signed OFX amount into the importer's expense-positive convention
+ * OFX amounts are negative for money leaving the account, so debits become
+ * positive expense amounts and credits become negative.
+ *
+ * @param {string} trnAmount - OFX TRNAMT value
+ * @returns {string} Amount string with the sign flipped
+ */
+function toExpenseAmount(trnAmount) {
+    const amount = (trnAmount || '').trim();
+    if (amount === '') {
+        return '';
+    }
+    if (amount.startsWith('-')) {
+        return amount.slice(1);
+    }
+    return `-${amount.replace(/^\+/, '')}`;
+}
+
+/**
+ * Parse OFX/QFX content into raw transactions
+ *
+ * @param {string} content - Raw OFX/QFX content
+ * @returns {{transactions: Array<{date: string, amount: string, description: string, rowNumber: number, fitId: string|null, direction: string}>, errors: Array<{row: number, message: string}>, account: {id: string|null, type: string|null, currency: string|null}}}
+ */
+function parseOFX(content) {
+    const transactions = [];
+    const errors = [];
+    const account = { id: null, type: null, currency: null };
+
+    if (!isOFXContent(content)) {
+        return { transactions, errors: [{ row: 0, message: 'Not a valid OFX/QFX file' }], account };
+    }
+
+    account.id = getTagValue(content, 'ACCTID') || null;
+    account.type = getTagValue(content, 'ACCTTYPE') || (/<CCSTMTRS>/i.test(content) ? 'CREDITCARD' : null);
+    account.currency = getTagValue(content, 'CURDEF') || null;
+
+    // Both OFX versions close the STMTTRN aggregate explicitly
+    const blocks = content.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+
+    if (blocks.length === 0) {
+        errors.push({ row: 0, message: 'No transactions found in OFX file' });
+        return { transactions, errors, account };
+    }
+
+    blocks.forEach((block, index) => {
+        const rowNumber = index + 1;
+        const name = getTagValue(block, 'NAME');
+        const memo = getTagValue(block, 'MEMO');
+        const payee = getTagValue(block, 'PAYEE');
+
+        // Prefer the payee name, keeping the memo when it adds information
+        let description = name || payee || memo;
+        if (memo && description !== memo && !description.includes(memo)) {
+            description = `${description} - ${memo}`;
+        }
+
+        const dateValue = getTagValue(block, 'DTPOSTED') || getTagValue(block, 'DTUSER');
+        const amountValue = getTagValue(block, 'TRNAMT');
+
+        if (!dateValue || !amountValue) {
+            errors.push({ row: rowNumber, message: `Transaction ${rowNumber} is missing a date or amount` });
+        }
+
+        const amount = toExpenseAmount(amountValue);
+
+        transactions.push({
+            date: parseOFXDate(dateValue),
+            amount,
+            description,
+            rowNumber,
+            fitId: getTagValue(block, 'FITID') || null,
+            direction: amount.startsWith('-') ? 'credit' : 'debit'
+        });
+    });
+
+    return { transactions, errors, account };
+}
+
+/**
+ * OFX and QFX statements
+ * FITIDs are carried through so re-imports can be matched exactly.
+ * @type {import('./transactionSources.js').TransactionSource}
+ */
+const ofxSource = {
+    id: 'ofx',
+    label: 'OFX/QFX',
+    extensions: ['ofx', 'qfx'],
+    read: 'text',
+    detect: sample => isOFXContent(sample.text) ? 1 : 0,
+    parse: content => {
+        const ofxResult = parseOFX(content);
+        if (ofxResult.transactions.length === 0) {
+            const message = ofxResult.errors.length > 0 ? ofxResult.errors[0].message : 'No transaction data found in the file.';
+            return { transactions: [], error: `Unable to parse OFX: ${message}` };
+        }
+        // The account number's ending picks the user's account at import
+        const accountSuffix = ofxResult.account.id ? ofxResult.account.id.replace(/\D/g, '').slice(-4) || null : null;
+        return { transactions: ofxResult.transactions.map(t => ({ ...t, accountSuffix })), error: null };
+    },
+    normalize: transactions => transactions
+};
+
+registerTransactionSource(ofxSource);
+
+// Export functions
+export {
+    ofxSource,
+    isOFXContent,
+    parseOFX,
+    parseOFXDate,
+    toExpenseAmount
+};
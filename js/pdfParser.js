@@ -0,0 +1,500 @@
+/**
+ * PDF Statement Parser Module
+ *
+ * Extracts transactions from text-based bank statement PDFs entirely in the
+ * browser. pdf.js (installed with npm and served locally) reads the positioned
+ * text on each page; table rows are rebuilt from text positions and matched
+ * against common statement layouts. Produces the same raw transaction shape as
+ * csvParser.extractTransactions so PDF rows flow through the existing
+ * validation, preview and duplicate check.
+ *
+ * @module pdfParser
+ */
+
+import { detectColumnMapping, parseDate, parseDirection, parseSignedAmount, isEmptyAmount } from './csvParser.js';
+import { registerTransactionSource } from './transactionSources.js';
+
+/**
+ * pdf.js worker script, vendored in the repo next to the library
+ */
+const PDF_WORKER_SRC = './assets/vendor/pdfjs/pdf.worker.min.mjs';
+
+/**
+ * Text items whose baselines are this close (in PDF points) share a line
+ */
+const LINE_TOLERANCE = 3;
+
+/**
+ * Gap (in PDF points) between text items that starts a new cell
+ */
+const CELL_GAP = 8;
+
+/**
+ * Amounts written with two decimal places, optionally signed or marked Dr/Cr
+ * Whole numbers are left out so reference numbers aren't read as amounts
+ */
+const MONEY_PATTERN = /[-(]?(?:[₹$€£]|rs\.?\s?)?\d[\d,.]*[.,]\d{2}\)?(?:\s?(?:dr|cr)\b\.?)?-?/gi;
+
+/**
+ * A date at the start of a line, in any layout parseDate understands
+ */
+const LEADING_DATE_PATTERN = /^(\d{1,4}[/\-.]\d{1,2}[/\-.]\d{2,4}|\d{1,2}(?:st|nd|rd|th)?[\s\-/]+[a-z]{3,9}\.?,?[\s\-/]+\d{2,4}|[a-z]{3,9}\.?[\s\-/]+\d{1,2}(?:st|nd|rd|th)?,?[\s\-/]+\d{2,4})(?:\s+|$)/i;
+
+/**
+ * Summary and footer lines that are part of a statement but aren't transactions
+ */
+const NOISE_PATTERNS = [
+    /^page\s+\d+(\s+of\s+\d+)?$/i,
+    /\b(opening|closing|available)\s+balance\b/i,
+    /\b(brought|carried)\s+forward\b/i,
+    /^(grand\s+)?totals?\b/i
+];
+
+/**
+ * Loaded pdf.js module, cached after the first PDF
+ * @type {Object|null}
+ */
+let pdfLibrary = null;
+
+/**
+ * Load pdf.js on first use so CSV and OFX imports don't pay for it
+ *
+ * @returns {Promise<Object>} The pdf.js module
+ */
+async function loadPdfLibrary() {
+    if (!pdfLibrary) {
+        pdfLibrary = await import('pdfjs-dist');
+        pdfLibrary.GlobalWorkerOptions.workerSrc = PDF_WORKER_SRC;
+    }
+    return pdfLibrary;
+}
+
+/**
+ * Read the positioned text items from every page of a PDF
+ *
+ * @param {ArrayBuffer} data - Raw PDF bytes
+ * @returns {Promise<{pages: Array<Array<{str: string, x: number, y: number, width: number}>>, error: string|null}>}
+ */
+async function extractPdfText(data) {
+    try {
+        const pdfjs = await loadPdfLibrary();
+        const pdf = await pdfjs.getDocument({ data: new Uint8Array(data), isEvalSupported: false }).promise;
+        const pages = [];
+
+        for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+            const page = await pdf.getPage(pageNumber);
+            const content = await page.getTextContent();
+            pages.push(content.items
+                .filter(item => item.str && item.str.trim() !== '')
+                .map(item => ({
+                    str: item.str,
+                    x: item.transform[4],
+                    y: item.transform[5],
+                    width: item.width || 0
+                })));
+        }
+
+        await pdf.destroy();
+        return { pages, error: null };
+    } catch (err) {
+        console.error('PDF text extraction error:', err);
+        if (err && err.name === 'PasswordException') {
+            return { pages: [], error: 'This PDF is password protected. Please remove the password and try again.' };
+        }
+        return { pages: [], error: 'Unable to read this PDF. Please check the file and try again.' };
+    }
+}
+
+/**
+ * Group a page's text items into lines, top to bottom
+ * PDF coordinates grow upwards, so higher y values come first
+ *
+ * @param {Array<{str: string, x: number, y: number, width: number}>} items - Page text items
+ * @returns {Array<Array<Object>>} Lines of items sorted left to right
+ */
+function groupIntoLines(items) {
+    const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+    const lines = [];
+
+    for (const item of sorted) {
+        const current = lines[lines.length - 1];
+        if (current && Math.abs(current.y - item.y) <= LINE_TOLERANCE) {
+            current.items.push(item);
+        } else {
+            lines.push({ y: item.y, items: [item] });
+        }
+    }
+
+    return lines.map(line => line.items.sort((a, b) => a.x - b.x));
+}
+
+/**
+ * Merge a line's text items into cells, starting a new cell at each wide gap
+ *
+ * @param {Array<{str: string, x: number, width: number}>} items - Items on one line, left to right
+ * @param {number} [cellGap=CELL_GAP] - Widest gap that stays inside a cell, in the items' units
+ * @returns {Array<{text: string, x: number, xEnd: number}>} Cells
+ */
+function splitCells(items, cellGap = CELL_GAP) {
+    const cells = [];
+
+    for (const item of items) {
+        const last = cells[cells.length - 1];
+        const gap = last ? item.x - last.xEnd : Infinity;
+        if (last && gap <= cellGap) {
+            const separator = gap > 1 && !last.text.endsWith(' ') && !item.str.startsWith(' ') ? ' ' : '';
+            last.text += separator + item.str;
+            last.xEnd = Math.max(last.xEnd, item.x + item.width);
+        } else {
+            cells.push({ text: item.str, x: item.x, xEnd: item.x + item.width });
+        }
+    }
+
+    return cells
+        .map(cell => ({ ...cell, text: cell.text.replace(/\s+/g, ' ').trim() }))
+        .filter(cell => cell.text !== '');
+}
+
+/**
+ * Rebuild table rows from the text items of every page
+ *
+ * @param {Array<Array<{str: string, x: number, y: number, width: number}>>} pages - Text items per page
+ * @returns {Array<{page: number, line: number, cells: Array<{text: string, x: number, xEnd: number}>, text: string}>}
+ */
+function reconstructRows(pages) {
+    const rows = [];
+
+    (pages || []).forEach((items, pageIndex) => {
+        groupIntoLines(items || []).forEach((lineItems, lineIndex) => {
+            const cells = splitCells(lineItems);
+            if (cells.length > 0) {
+                rows.push({
+                    page: pageIndex + 1,
+                    line: lineIndex + 1,
+                    cells,
+                    text: cells.map(cell => cell.text).join(' ')
+                });
+            }
+        });
+    });
+
+    return rows;
+}
+
+/**
+ * Split a leading date off a line of text
+ *
+ * @param {string} text - Line or cell text
+ * @returns {{date: string, rest: string}|null} The date and remaining text, or null if the text doesn't start with a date
+ */
+function splitLeadingDate(text) {
+    const match = String(text || '').match(LEADING_DATE_PATTERN);
+    if (!match || !parseDate(match[1]).valid) {
+        return null;
+    }
+    return { date: match[1], rest: text.slice(match[0].length).trim() };
+}
+
+/**
+ * Find the money amounts in a piece of text
+ *
+ * @param {string} text - Text to search
+ * @returns {string[]} Amount strings in order
+ */
+function findAmounts(text) {
+    return (String(text || '').match(MONEY_PATTERN) || []).map(amount => amount.trim());
+}
+
+/**
+ * Read a statement table header row
+ * Every header cell becomes a column so values under unused headers (value
+ * date, cheque number) are dropped instead of landing in a neighbour
+ *
+ * @param {{cells: Array<{text: string, x: number, xEnd: number}>}} row - Reconstructed row
+ * @returns {Array<{field: string|null, x: number, xEnd: number}>|null} Columns, or null if the row isn't a header
+ */
+function readHeaderRow(row) {
+    const headers = row.cells.map(cell => cell.text);
+    const mapping = detectColumnMapping(headers);
+    if (!mapping.detected) {
+        return null;
+    }
+
+    const fields = ['date', 'description', 'amount', 'debit', 'credit', 'direction'];
+    return row.cells.map((cell, index) => {
+        let field = fields.find(name => mapping[name] === index) || null;
+        if (!field && /balance/i.test(cell.text)) {
+            field = 'balance';
+        }
+        return { field, x: cell.x, xEnd: cell.xEnd };
+    });
+}
+
+/**
+ * Find the column a cell sits under
+ * The column with the most horizontal overlap wins, falling back to the
+ * nearest centre, since amounts are often wider or narrower than their header
+ *
+ * @param {{x: number, xEnd: number}} cell - Cell position
+ * @param {Array<{x: number, xEnd: number}>} columns - Header columns
+ * @returns {Object} The column
+ */
+function findColumn(cell, columns) {
+    let best = null;
+    let bestOverlap = 0;
+    let nearest = columns[0];
+    let nearestDistance = Infinity;
+    const center = (cell.x + cell.xEnd) / 2;
+
+    for (const column of columns) {
+        const overlap = Math.min(cell.xEnd, column.xEnd) - Math.max(cell.x, column.x);
+        if (overlap > bestOverlap) {
+            best = column;
+            bestOverlap = overlap;
+        }
+        const distance = Math.abs(center - (column.x + column.xEnd) / 2);
+        if (distance < nearestDistance) {
+            nearest = column;
+            nearestDistance = distance;
+        }
+    }
+
+    return best || nearest;
+}
+
+/**
+ * Read a transaction row using the header's column positions
+ *
+ * @param {Object} row - Reconstructed row
+ * @param {Array<{field: string|null, x: number, xEnd: number}>} columns - Header columns
+ * @returns {Object|null} Raw transaction, or null if the row has no date
+ */
+function readColumnRow(row, columns) {
+    const values = {};
+    for (const cell of row.cells) {
+        const { field } = findColumn(cell, columns);
+        if (field) {
+            values[field] = values[field] ? `${values[field]} ${cell.text}` : cell.text;
+        }
+    }
+
+    // The date can run into the description when the gap between them is narrow
+    const dated = splitLeadingDate(values.date);
+    if (!dated) {
+        return null;
+    }
+    const description = [dated.rest, values.description].filter(Boolean).join(' ');
+
+    const transaction = { date: dated.date, amount: values.amount || '', description };
+    if (values.debit !== undefined || values.credit !== undefined) {
+        if (!isEmptyAmount(values.debit)) {
+            transaction.amount = values.debit;
+            transaction.direction = 'debit';
+        } else if (!isEmptyAmount(values.credit)) {
+            transaction.amount = values.credit;
+            transaction.direction = 'credit';
+        }
+    } else if (values.direction) {
+        transaction.direction = parseDirection(values.direction) || undefined;
+    }
+    if (values.balance) {
+        transaction.balance = values.balance;
+    }
+
+    return transaction;
+}
+
+/**
+ * Read a transaction from a line without a recognised header
+ * Expects a leading date, then the narration, then one to three amounts:
+ * amount; amount and balance; or withdrawal, deposit and balance
+ *
+ * @param {Object} row - Reconstructed row
+ * @returns {Object|null} Raw transaction, or null if the line doesn't fit
+ */
+function readFreeformRow(row) {
+    const dated = splitLeadingDate(row.text);
+    if (!dated) {
+        return null;
+    }
+
+    const amounts = findAmounts(dated.rest);
+    if (amounts.length === 0 || amounts.length > 3) {
+        return null;
+    }
+
+    const description = dated.rest.slice(0, dated.rest.indexOf(amounts[0])).trim();
+    const transaction = { date: dated.date, amount: amounts[0], description };
+
+    if (amounts.length === 3) {
+        const debitEmpty = isEmptyAmount(amounts[0]);
+        transaction.amount = debitEmpty ? amounts[1] : amounts[0];
+        transaction.direction = debitEmpty ? 'credit' : 'debit';
+    }
+    if (amounts.length >= 2) {
+        transaction.balance = amounts[amounts.length - 1];
+    }
+
+    return transaction;
+}
+
+/**
+ * Work out a transaction's direction from the running balance
+ * Used when a statement has a single amount column and no Dr/Cr marker
+ *
+ * @param {Object} transaction - Raw transaction with a balance
+ * @param {number|null} previousBalance - Balance after the previous transaction
+ * @returns {'debit'|'credit'|null}
+ */
+function inferDirection(transaction, previousBalance) {
+    const amount = parseSignedAmount(transaction.amount);
+    const balance = parseSignedAmount(transaction.balance);
+    if (previousBalance === null || !amount.valid || amount.marked || !balance.valid) {
+        return null;
+    }
+
+    const value = Math.abs(amount.amount);
+    if (Math.abs(previousBalance - value - balance.amount) < 0.01) {
+        return 'debit';
+    }
+    if (Math.abs(previousBalance + value - balance.amount) < 0.01) {
+        return 'credit';
+    }
+    return null;
+}
+
+/**
+ * Turn reconstructed statement rows into raw transactions
+ * A header row switches to column mode; until one is seen, lines are read
+ * freeform. Lines after a transaction that carry no date or amount continue
+ * its narration. Lines with amounts that can't be read are reported with
+ * their page and line number.
+ *
+ * @param {Array<{page: number, line: number, cells: Array<Object>, text: string}>} rows - Rows from reconstructRows
+ * @returns {{transactions: Array<Object>, errors: Array<{page: number, line: number, text: string, message: string}>}}
+ */
+function parseStatementRows(rows) {
+    const transactions = [];
+    const errors = [];
+    let columns = null;
+    let previous = null;
+    let previousRow = null;
+    let previousBalance = null;
+
+    for (const row of rows || []) {
+        const location = `Page ${row.page}, line ${row.line}`;
+
+        // Statements repeat the header on every page
+        const headerColumns = readHeaderRow(row);
+        if (headerColumns) {
+            columns = headerColumns;
+            previous = null;
+            continue;
+        }
+
+        if (NOISE_PATTERNS.some(pattern => pattern.test(row.text))) {
+            const balance = findAmounts(row.text).pop();
+            if (/opening balance|brought forward/i.test(row.text) && balance) {
+                previousBalance = parseSignedAmount(balance).amount;
+            }
+            previous = null;
+            continue;
+        }
+
+        const transaction = columns ? readColumnRow(row, columns) : readFreeformRow(row);
+        if (transaction) {
+            if (!transaction.direction && transaction.balance) {
+                transaction.direction = inferDirection(transaction, previousBalance) || undefined;
+            }
+            if (transaction.balance) {
+                const balance = parseSignedAmount(transaction.balance);
+                previousBalance = balance.valid ? balance.amount : null;
+            }
+            if (!transaction.direction) {
+                delete transaction.direction;
+            }
+
+            transaction.rowNumber = transactions.length + 1;
+            transaction.rowLabel = location;
+            transaction.page = row.page;
+            transaction.line = row.line;
+            transactions.push(transaction);
+            previous = transaction;
+            previousRow = row;
+            continue;
+        }
+
+        const hasAmounts = findAmounts(row.text).length > 0;
+
+        // Narrations wrap onto the lines below the transaction
+        if (previous && !hasAmounts && previousRow.page === row.page && row.line === previousRow.line + 1) {
+            previous.description = `${previous.description} ${row.text}`.trim();
+            previousRow = row;
+            continue;
+        }
+
+        previous = null;
+
+        // Address blocks and disclaimers have no amounts; anything else is a row we failed to read
+        if (hasAmounts) {
+            errors.push({ page: row.page, line: row.line, text: row.text, message: `${location}: Could not read '${row.text}'` });
+        }
+    }
+
+    return { transactions, errors };
+}
+
+/**
+ * Parse the text of a statement PDF into raw transactions
+ *
+ * @param {Array<Array<{str: string, x: number, y: number, width: number}>>} pages - Text items per page from extractPdfText
+ * @returns {{transactions: Array<Object>, errors: Array<{page: number, line: number, text: string, message: string}>, hasText: boolean}}
+ */
+function parsePdfStatement(pages) {
+    const rows = reconstructRows(pages);
+    const result = parseStatementRows(rows);
+    return { ...result, hasText: rows.length > 0 };
+}
+
+/**
+ * Text-based PDF statements
+ * @type {import('./transactionSources.js').TransactionSource}
+ */
+const pdfSource = {
+    id: 'pdf',
+    label: 'PDF',
+    extensions: ['pdf'],
+    read: 'buffer',
+    // The signature may follow a few bytes of junk
+    detect: sample => sample.text.slice(0, 1024).includes('%PDF-') ? 1 : 0,
+    parse: async data => {
+        const { pages, error } = await extractPdfText(data);
+        if (error) {
+            return { transactions: [], error };
+        }
+
+        const pdfResult = parsePdfStatement(pages);
+        if (pdfResult.transactions.length === 0) {
+            const message = pdfResult.hasText
+                ? 'No transactions could be found in this PDF. Please export your statement as a CSV file instead.'
+                : 'This PDF has no text layer, so it is probably a scan. Please upload it as an image instead.';
+            return { transactions: [], error: message };
+        }
+        return { transactions: pdfResult.transactions, parseErrors: pdfResult.errors, error: null };
+    },
+    normalize: transactions => transactions
+};
+
+registerTransactionSource(pdfSource);
+
+// Export functions
+export {
+    pdfSource,
+    extractPdfText,
+    reconstructRows,
+    splitCells,
+    parseStatementRows,
+    parsePdfStatement,
+    splitLeadingDate,
+    findAmounts
+};
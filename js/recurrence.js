@@ -0,0 +1,198 @@
+/**
+ * Recurrence Module
+ *
+ * Works out when recurring expenses - rent, EMIs, subscriptions - fall due.
+ * A template repeats every day, week, month or year, or every N of one of
+ * them, from its start date until its end date if it has one. Monthly and
+ * yearly templates stay on the start date's day of the month, falling on
+ * the last day in shorter months, so rent due on the 31st is due on 28 or
+ * 29 February and back on 31 March. Dates are YYYY-MM-DD strings throughout.
+ *
+ * @module recurrence
+ */
+
+/**
+ * How often a template repeats
+ */
+const FREQUENCIES = [
+    { value: 'daily', label: 'Daily' },
+    { value: 'weekly', label: 'Weekly' },
+    { value: 'monthly', label: 'Monthly' },
+    { value: 'yearly', label: 'Yearly' },
+    { value: 'custom', label: 'Custom' }
+];
+
+/**
+ * Units a custom frequency counts in
+ */
+const INTERVAL_UNITS = [
+    { value: 'day', label: 'days' },
+    { value: 'week', label: 'weeks' },
+    { value: 'month', label: 'months' },
+    { value: 'year', label: 'years' }
+];
+
+/**
+ * Most occurrences of one template posted in a single run, so a daily
+ * template left for years doesn't post them all at once
+ */
+const MAX_OCCURRENCES_PER_RUN = 366;
+
+const FIXED_INTERVALS = {
+    daily: { unit: 'day', count: 1 },
+    weekly: { unit: 'week', count: 1 },
+    monthly: { unit: 'month', count: 1 },
+    yearly: { unit: 'year', count: 1 }
+};
+
+/**
+ * Split a YYYY-MM-DD string into its parts
+ *
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {{year: number, month: number, day: number}|null} Month is 1-12; null if the date can't be read
+ */
+function parseDate(date) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(date || ''));
+    if (!match) {
+        return null;
+    }
+    return { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+}
+
+/**
+ * Format date parts as YYYY-MM-DD
+ *
+ * @param {number} year - The year
+ * @param {number} month - The month (1-12)
+ * @param {number} day - The day of the month
+ * @returns {string}
+ */
+function formatDate(year, month, day) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Get how often a template repeats
+ *
+ * @param {{frequency: string, interval_count?: number|string, interval_unit?: string}} template - Recurring template
+ * @returns {{unit: 'day'|'week'|'month'|'year', count: number}}
+ */
+function getInterval(template) {
+    if (FIXED_INTERVALS[template.frequency]) {
+        return FIXED_INTERVALS[template.frequency];
+    }
+    const unit = INTERVAL_UNITS.some(u => u.value === template.interval_unit) ? template.interval_unit : 'day';
+    const count = Math.max(1, parseInt(template.interval_count, 10) || 1);
+    return { unit, count };
+}
+
+/**
+ * Get the occurrence after a given one
+ *
+ * @param {{frequency: string, start_date: string, interval_count?: number, interval_unit?: string}} template - Recurring template
+ * @param {string} date - An occurrence date (YYYY-MM-DD)
+ * @returns {string} The next occurrence date
+ */
+function getNextDate(template, date) {
+    const parts = parseDate(date);
+    const { unit, count } = getInterval(template);
+
+    if (unit === 'day' || unit === 'week') {
+        const days = unit === 'week' ? 7 * count : count;
+        const next = new Date(Date.UTC(parts.year, parts.month - 1, parts.day + days));
+        return formatDate(next.getUTCFullYear(), next.getUTCMonth() + 1, next.getUTCDate());
+    }
+
+    // Months and years keep the start date's day, or the month's last day
+    const anchor = parseDate(template.start_date) || parts;
+    const total = parts.year * 12 + (parts.month - 1) + (unit === 'year' ? 12 * count : count);
+    const year = Math.floor(total / 12);
+    const month = (total % 12) + 1;
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return formatDate(year, month, Math.min(anchor.day, lastDay));
+}
+
+/**
+ * Check whether a date is on or before the template's end date
+ *
+ * @param {{end_date?: string|null}} template - Recurring template
+ * @param {string} date - Date in YYYY-MM-DD format
+ * @returns {boolean}
+ */
+function isBeforeEnd(template, date) {
+    return !template.end_date || date <= template.end_date;
+}
+
+/**
+ * Get the occurrences of a template that have fallen due
+ * Starts from the template's next occurrence (its start date if it has none)
+ * and stops at today, the end date or MAX_OCCURRENCES_PER_RUN.
+ *
+ * @param {{next_date?: string|null, start_date: string, end_date?: string|null, frequency: string}} template - Recurring template
+ * @param {string} today - Today's date (YYYY-MM-DD)
+ * @param {number} [limit=MAX_OCCURRENCES_PER_RUN] - Most dates to return
+ * @returns {{dates: string[], nextDate: string}} Due dates, oldest first, and the occurrence after them
+ */
+function getDueDates(template, today, limit = MAX_OCCURRENCES_PER_RUN) {
+    const dates = [];
+    let date = template.next_date || template.start_date;
+    while (dates.length < limit && date <= today && isBeforeEnd(template, date)) {
+        dates.push(date);
+        date = getNextDate(template, date);
+    }
+    return { dates, nextDate: date };
+}
+
+/**
+ * Get the first occurrence on or after today, for a template being resumed
+ * Occurrences that fell while it was paused are left out.
+ *
+ * @param {{next_date?: string|null, start_date: string, frequency: string}} template - Recurring template
+ * @param {string} today - Today's date (YYYY-MM-DD)
+ * @returns {string}
+ */
+function getResumeDate(template, today) {
+    let date = template.next_date || template.start_date;
+    while (date < today) {
+        date = getNextDate(template, date);
+    }
+    return date;
+}
+
+/**
+ * Check whether a template has no occurrences left
+ *
+ * @param {{next_date?: string|null, start_date: string, end_date?: string|null}} template - Recurring template
+ * @returns {boolean}
+ */
+function isFinished(template) {
+    return !isBeforeEnd(template, template.next_date || template.start_date);
+}
+
+/**
+ * Describe how often a template repeats, e.g. "Monthly" or "Every 3 months"
+ *
+ * @param {{frequency: string, interval_count?: number, interval_unit?: string}} template - Recurring template
+ * @returns {string}
+ */
+function describeFrequency(template) {
+    const fixed = FREQUENCIES.find(f => f.value === template.frequency && f.value !== 'custom');
+    if (fixed) {
+        return fixed.label;
+    }
+    const { unit, count } = getInterval(template);
+    return count === 1 ? `Every ${unit}` : `Every ${count} ${unit}s`;
+}
+
+// Export all recurrence functions
+export {
+    FREQUENCIES,
+    INTERVAL_UNITS,
+    MAX_OCCURRENCES_PER_RUN,
+    getInterval,
+    getNextDate,
+    getDueDates,
+    getResumeDate,
+    isFinished,
+    describeFrequency
+};
@@ -0,0 +1,422 @@
+/**
+ * Recurring Expenses Module
+ *
+ * Manages recurring expense templates - rent, EMIs, subscriptions - using
+ * Supabase. Each template keeps the date of its next occurrence. Templates in
+ * auto-post mode have their due occurrences saved as expenses when the app
+ * loads; templates in remind mode are listed as due until the user adds or
+ * skips them. Posted expenses record the template they came from, and an
+ * occurrence is never saved twice. Editing a template changes occurrences
+ * not yet posted only. All operations are scoped to the authenticated user
+ * via Row Level Security.
+ *
+ * @module recurring
+ */
+
+import { supabase } from './supabaseConfig.js';
+import { normalizeMerchant } from './merchantNormalizer.js';
+import { getNextDate, getDueDates, getResumeDate } from './recurrence.js';
+
+/**
+ * Get today's date in the user's time zone as YYYY-MM-DD
+ *
+ * @returns {string}
+ */
+function getToday() {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Map template fields onto recurring_expenses columns
+ *
+ * @param {Object} template - Template fields
+ * @returns {Object}
+ */
+function toRecurringRecord(template) {
+    const record = {};
+    if (template.expense_name !== undefined) {
+        record.expense_name = String(template.expense_name).trim();
+    }
+    ['category', 'amount', 'frequency', 'start_date', 'mode'].forEach(field => {
+        if (template[field] !== undefined) {
+            record[field] = template[field];
+        }
+    });
+    if (template.frequency !== undefined) {
+        // Only custom frequencies keep their own interval
+        const custom = template.frequency === 'custom';
+        record.interval_count = custom ? Math.max(1, parseInt(template.interval_count, 10) || 1) : 1;
+        record.interval_unit = custom ? template.interval_unit || 'day' : null;
+    }
+    if (template.end_date !== undefined) {
+        record.end_date = template.end_date || null;
+    }
+    if (template.account_id !== undefined) {
+        record.account_id = template.account_id || null;
+    }
+    return record;
+}
+
+/**
+ * Build the expense saved for one occurrence of a template
+ *
+ * @param {Object} template - Saved template
+ * @param {string} date - Occurrence date (YYYY-MM-DD)
+ * @param {string} userId - The user's ID
+ * @returns {Object} Expense row
+ */
+function toOccurrenceRecord(template, date, userId) {
+    return {
+        user_id: userId,
+        expense_name: template.expense_name,
+        merchant: normalizeMerchant(template.expense_name) || null,
+        category: template.category,
+        amount: template.amount,
+        date,
+        transaction_type: 'expense',
+        account_id: template.account_id || null,
+        recurring_id: template.id
+    };
+}
+
+/**
+ * Get all recurring expense templates for the current user, soonest first
+ *
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ */
+async function getRecurringExpenses() {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { data: null, error: { message: 'User not authenticated' } };
+        }
+
+        const { data, error } = await supabase
+            .from('recurring_expenses')
+            .select('*')
+            .eq('user_id', user.id)
+            .order('next_date', { ascending: true });
+
+        if (error) {
+            console.error('Error fetching recurring expenses:', error);
+            return { data: null, error: { message: 'Unable to load recurring expenses.' } };
+        }
+
+        return { data: data || [], error: null };
+    } catch (err) {
+        console.error('Get recurring expenses error:', err);
+        return { data: null, error: { message: 'An unexpected error occurred while loading recurring expenses.' } };
+    }
+}
+
+/**
+ * Create a recurring expense template
+ * The first occurrence is on the start date.
+ *
+ * @param {Object} template - The template data
+ * @param {string} template.expense_name - Name given to each expense, e.g. "Rent"
+ * @param {string} template.category - Category of each expense
+ * @param {number} template.amount - Amount of each expense (must be positive)
+ * @param {string} template.frequency - One of FREQUENCIES' values
+ * @param {number} [template.interval_count] - For custom frequencies, how many units between occurrences
+ * @param {string} [template.interval_unit] - For custom frequencies, one of INTERVAL_UNITS' values
+ * @param {string} template.start_date - First occurrence in YYYY-MM-DD format
+ * @param {string|null} [template.end_date] - Last day an occurrence can fall on
+ * @param {'auto'|'remind'} template.mode - Post occurrences automatically or remind the user
+ * @param {string|null} [template.account_id] - Account each expense is paid from (UUID)
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+async function createRecurringExpense(template) {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { data: null, error: { message: 'User not authenticated' } };
+        }
+
+        const { data, error } = await supabase
+            .from('recurring_expenses')
+            .insert({
+                user_id: user.id,
+                ...toRecurringRecord(template),
+                next_date: template.start_date,
+                paused: false
+            })
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Error creating recurring expense:', error);
+            return { data: null, error: { message: 'Unable to save recurring expense. Please try again.' } };
+        }
+
+        return { data, error: null };
+    } catch (err) {
+        console.error('Create recurring expense error:', err);
+        return { data: null, error: { message: 'An unexpected error occurred while saving the recurring expense.' } };
+    }
+}
+
+/**
+ * Update a recurring expense template
+ * Occurrences already posted keep their values; the next occurrence stays
+ * where it is and later ones follow the new frequency.
+ *
+ * @param {string} id - The template ID (UUID)
+ * @param {Object} updates - Fields to update (see createRecurringExpense, except start_date)
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+async function updateRecurringExpense(id, updates) {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { data: null, error: { message: 'User not authenticated' } };
+        }
+
+        const { start_date, ...futureUpdates } = updates;
+
+        const { data, error } = await supabase
+            .from('recurring_expenses')
+            .update(toRecurringRecord(futureUpdates))
+            .eq('id', id)
+            .eq('user_id', user.id)  // Ensure user owns this template
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Error updating recurring expense:', error);
+            return { data: null, error: { message: 'Unable to update recurring expense. Please try again.' } };
+        }
+
+        return { data, error: null };
+    } catch (err) {
+        console.error('Update recurring expense error:', err);
+        return { data: null, error: { message: 'An unexpected error occurred while updating the recurring expense.' } };
+    }
+}
+
+/**
+ * Move a template's next occurrence
+ *
+ * @param {string} id - The template ID (UUID)
+ * @param {Object} fields - Columns to set, including next_date
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+async function setSchedule(id, fields) {
+    const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+    if (userError || !user) {
+        return { data: null, error: { message: 'User not authenticated' } };
+    }
+
+    const { data, error } = await supabase
+        .from('recurring_expenses')
+        .update(fields)
+        .eq('id', id)
+        .eq('user_id', user.id)  // Ensure user owns this template
+        .select()
+        .single();
+
+    if (error) {
+        console.error('Error updating recurring schedule:', error);
+        return { data: null, error: { message: 'Unable to update the schedule. Please try again.' } };
+    }
+
+    return { data, error: null };
+}
+
+/**
+ * Pause or resume a recurring expense
+ * Nothing is posted or reminded while paused. Resuming starts from the first
+ * occurrence on or after today, leaving out the ones missed while paused.
+ *
+ * @param {Object} template - Saved template
+ * @param {boolean} paused - True to pause, false to resume
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+async function setRecurringPaused(template, paused) {
+    try {
+        const fields = paused
+            ? { paused: true }
+            : { paused: false, next_date: getResumeDate(template, getToday()) };
+        return await setSchedule(template.id, fields);
+    } catch (err) {
+        console.error('Pause recurring expense error:', err);
+        return { data: null, error: { message: 'An unexpected error occurred while updating the recurring expense.' } };
+    }
+}
+
+/**
+ * Skip a template's next occurrence without posting it
+ *
+ * @param {Object} template - Saved template
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+async function skipNextOccurrence(template) {
+    try {
+        return await setSchedule(template.id, { next_date: getNextDate(template, template.next_date) });
+    } catch (err) {
+        console.error('Skip occurrence error:', err);
+        return { data: null, error: { message: 'An unexpected error occurred while skipping the occurrence.' } };
+    }
+}
+
+/**
+ * Save occurrences of a template as expenses and move it past them
+ * Occurrences already saved, by another tab or an earlier run, are left as
+ * they are and not counted.
+ *
+ * @param {Object} template - Saved template
+ * @param {string[]} dates - Occurrence dates to save
+ * @param {string} nextDate - The template's next occurrence afterwards
+ * @param {string} userId - The user's ID
+ * @returns {Promise<{posted: number, error: Object|null}>}
+ */
+async function postOccurrences(template, dates, nextDate, userId) {
+    const { data, error } = await supabase
+        .from('expenses')
+        .upsert(dates.map(date => toOccurrenceRecord(template, date, userId)), {
+            onConflict: 'recurring_id,date',
+            ignoreDuplicates: true
+        })
+        .select('id');
+
+    if (error) {
+        console.error('Error posting recurring expense:', error);
+        return { posted: 0, error: { message: `Unable to add ${template.expense_name}.` } };
+    }
+
+    const posted = (data || []).length;
+    const { error: scheduleError } = await setSchedule(template.id, { next_date: nextDate });
+    return { posted, error: scheduleError };
+}
+
+/**
+ * Add a template's next occurrence as an expense now
+ * Used for templates in remind mode when the user confirms a payment.
+ *
+ * @param {Object} template - Saved template
+ * @returns {Promise<{posted: number, error: Object|null}>}
+ */
+async function postNextOccurrence(template) {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { posted: 0, error: { message: 'User not authenticated' } };
+        }
+
+        return await postOccurrences(template, [template.next_date], getNextDate(template, template.next_date), user.id);
+    } catch (err) {
+        console.error('Post occurrence error:', err);
+        return { posted: 0, error: { message: 'An unexpected error occurred while adding the expense.' } };
+    }
+}
+
+/**
+ * Delete a recurring expense template
+ * Expenses it already posted are kept.
+ *
+ * @param {string} id - The template ID (UUID)
+ * @returns {Promise<{error: Object|null}>}
+ */
+async function deleteRecurringExpense(id) {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { error: { message: 'User not authenticated' } };
+        }
+
+        const { error } = await supabase
+            .from('recurring_expenses')
+            .delete()
+            .eq('id', id)
+            .eq('user_id', user.id);  // Ensure user owns this template
+
+        if (error) {
+            console.error('Error deleting recurring expense:', error);
+            return { error: { message: 'Unable to delete recurring expense. Please try again.' } };
+        }
+
+        return { error: null };
+    } catch (err) {
+        console.error('Delete recurring expense error:', err);
+        return { error: { message: 'An unexpected error occurred while deleting the recurring expense.' } };
+    }
+}
+
+/**
+ * Post every occurrence that has fallen due and list the reminders
+ * Run when the app loads. Auto-post templates have their due occurrences
+ * saved as expenses; remind templates with an occurrence due are returned
+ * for the user to add or skip. Paused templates are left alone.
+ *
+ * @returns {Promise<{posted: number, reminders: Array<{template: Object, dates: string[]}>, error: Object|null}>}
+ */
+async function postDueRecurringExpenses() {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { posted: 0, reminders: [], error: { message: 'User not authenticated' } };
+        }
+
+        const today = getToday();
+        const { data: templates, error } = await supabase
+            .from('recurring_expenses')
+            .select('*')
+            .eq('user_id', user.id)
+            .eq('paused', false)
+            .lte('next_date', today);
+
+        if (error) {
+            console.error('Error fetching due recurring expenses:', error);
+            return { posted: 0, reminders: [], error: { message: 'Unable to check recurring expenses.' } };
+        }
+
+        let posted = 0;
+        const reminders = [];
+        const errors = [];
+
+        for (const template of templates || []) {
+            const { dates, nextDate } = getDueDates(template, today);
+            if (dates.length === 0) continue;
+
+            if (template.mode === 'remind') {
+                reminders.push({ template, dates });
+                continue;
+            }
+
+            const result = await postOccurrences(template, dates, nextDate, user.id);
+            posted += result.posted;
+            if (result.error) {
+                errors.push(result.error.message);
+            }
+        }
+
+        return {
+            posted,
+            reminders,
+            error: errors.length > 0 ? { message: errors.join(' ') } : null
+        };
+    } catch (err) {
+        console.error('Post recurring expenses error:', err);
+        return { posted: 0, reminders: [], error: { message: 'An unexpected error occurred while adding recurring expenses.' } };
+    }
+}
+
+// Export all recurring expense functions
+export {
+    getRecurringExpenses,
+    createRecurringExpense,
+    updateRecurringExpense,
+    setRecurringPaused,
+    skipNextOccurrence,
+    postNextOccurrence,
+    deleteRecurringExpense,
+    postDueRecurringExpenses
+};
@@ -0,0 +1,405 @@
+/**
+ * SMS Parser Module
+ *
+ * Reads bank SMS and UPI alerts into raw transactions for import. Messages can
+ * be pasted, saved as a text file (one message per line, or messages separated
+ * by blank lines) or exported as an SMS Backup & Restore XML file. Each message
+ * is matched against a library of templates for common Indian bank and UPI
+ * alerts; more templates can be registered at run time. Produces the same raw
+ * transaction shape as csvParser.extractTransactions, plus the account's last
+ * digits, so messages flow through the existing validation, preview and
+ * duplicate check.
+ *
+ * @module smsParser
+ */
+
+import { parseDate } from './csvParser.js';
+import { registerTransactionSource } from './transactionSources.js';
+
+/**
+ * Pattern pieces shared by the templates
+ * Each template's pattern sets the named groups amount, date and merchant,
+ * and account when the message names one.
+ */
+const AMOUNT = String.raw`(?:rs\.?|inr|₹)\s*(?<amount>\d[\d,]*(?:\.\d{1,2})?)`;
+const BARE_AMOUNT = String.raw`(?:(?:rs\.?|inr|₹)\s*)?(?<amount>\d[\d,]*(?:\.\d{1,2})?)`;
+const ACCOUNT = String.raw`(?:a\/c|acct|ac|account)(?:\s*no\.?)?\s*(?:ending\s*(?:with\s*)?)?[x*]*\s*(?<account>\d{3,6})`;
+const CARD = String.raw`card\s*(?:no\.?\s*)?(?:ending\s*(?:with\s*)?)?[x*]*\s*(?<account>\d{4})`;
+const DATE = String.raw`(?<date>\d{4}-\d{2}-\d{2}|\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4}|\d{1,2}[-\s]?[a-z]{3,9}[-\s,]*\d{2,4})`;
+const MERCHANT = String.raw`(?:vpa\s+)?(?<merchant>\S.*?)`;
+const MERCHANT_END = String.raw`(?=\s+(?:on|ref\w*|upi|avl|info|not you|if not)\b|\s*\(|[.;,](?:\s|$)|\s*$)`;
+const PAYMENT_RAIL = String.raw`(?:(?:upi|neft|imps|rtgs)\s+)?(?:(?:from|by)\s+)?`;
+
+/**
+ * Build a case-insensitive template pattern from its pieces
+ *
+ * @param {string} source - Regular expression source
+ * @returns {RegExp}
+ */
+function pattern(source) {
+    return new RegExp(source, 'i');
+}
+
+/**
+ * Built-in templates for common bank and UPI alerts
+ * Listed from most to least specific; the first match wins.
+ */
+const BUILT_IN_TEMPLATES = [
+    {
+        // Sent Rs.450.00 From HDFC Bank A/C *1234 To SWIGGY On 12/03/24 Ref 407212345678
+        name: 'UPI sent',
+        direction: 'debit',
+        pattern: pattern(String.raw`sent ${AMOUNT} from .*?${ACCOUNT}\s+to ${MERCHANT}${MERCHANT_END}\s*on ${DATE}`)
+    },
+    {
+        // Paid Rs.450 to SWIGGY from A/c XX1234 on 12-03-24
+        name: 'UPI paid',
+        direction: 'debit',
+        pattern: pattern(String.raw`paid ${AMOUNT} to ${MERCHANT} from .*?${ACCOUNT}\s*on ${DATE}`)
+    },
+    {
+        // Rs.450 debited from A/c XX1234 to SWIGGY on 12-03-24
+        name: 'Account debited to payee',
+        direction: 'debit',
+        pattern: pattern(String.raw`${AMOUNT} (?:has been |is |was )?debited from (?:your )?.*?${ACCOUNT}\s+(?:to|towards|for) ${MERCHANT}${MERCHANT_END}\s*on ${DATE}`)
+    },
+    {
+        // Rs 450.00 debited from a/c **1234 on 12-03-24 to VPA swiggy@axis (UPI Ref No 407212345678)
+        name: 'Account debited on date',
+        direction: 'debit',
+        pattern: pattern(String.raw`${AMOUNT} (?:has been |is |was )?debited from (?:your )?.*?${ACCOUNT} on ${DATE}\s*(?:to|towards|for|trf to|by|via)\s+${MERCHANT}${MERCHANT_END}`)
+    },
+    {
+        // A/C X1234 debited by 450.0 on date 12Mar24 trf to SWIGGY Refno 407212345678
+        name: 'Account debited by transfer',
+        direction: 'debit',
+        pattern: pattern(String.raw`${ACCOUNT}\s*debited by ${BARE_AMOUNT} on (?:date )?${DATE}\s*(?:trf|transfer) to ${MERCHANT}${MERCHANT_END}`)
+    },
+    {
+        // ICICI Bank Acct XX123 debited for Rs 450.00 on 12-Mar-24; SWIGGY credited. UPI:407212345678
+        name: 'Account debited, payee credited',
+        direction: 'debit',
+        pattern: pattern(String.raw`${ACCOUNT} (?:is |has been )?debited (?:for|with|by) ${AMOUNT} on ${DATE}[;,]?\s*${MERCHANT} credited`)
+    },
+    {
+        // Your a/c XX1234 is debited for Rs 99.00 on 01-Apr-24 towards NETFLIX
+        name: 'Account debited towards payee',
+        direction: 'debit',
+        pattern: pattern(String.raw`${ACCOUNT} (?:is |has been )?debited (?:for|with|by) ${AMOUNT} on ${DATE}\s*(?:towards|to|for|trf to)\s+${MERCHANT}${MERCHANT_END}`)
+    },
+    {
+        // INR 450.00 debited A/c no. XX1234 12-03-24, 10:15:22 UPI/P2M/407212345678/SWIGGY
+        name: 'Account debited with UPI narration',
+        direction: 'debit',
+        pattern: pattern(String.raw`${AMOUNT} debited\s+${ACCOUNT}\s+${DATE}(?:,?\s*[\d:]+)?\s+(?:upi\/p2[am]\/\d+\/)?${MERCHANT}${MERCHANT_END}`)
+    },
+    {
+        // Rs.1,299.00 spent on HDFC Bank Card xx4321 at AMAZON on 2024-03-12:10:15:22
+        name: 'Card spent at merchant',
+        direction: 'debit',
+        pattern: pattern(String.raw`${AMOUNT} (?:spent|debited|charged) .*?${CARD}\s+(?:at|on|towards|for) ${MERCHANT}${MERCHANT_END}\s*on ${DATE}`)
+    },
+    {
+        // INR 1,299.00 spent using ICICI Bank Card XX4321 on 12-Mar-24 on AMAZON. Avl Limit: INR 50,000.00
+        name: 'Card spent on date',
+        direction: 'debit',
+        pattern: pattern(String.raw`${AMOUNT} (?:spent|debited|charged) .*?${CARD} on ${DATE}\s*(?:on|at|towards|for) ${MERCHANT}${MERCHANT_END}`)
+    },
+    {
+        // Received Rs.500.00 in your Kotak Bank AC X1234 from rahul@okaxis on 12-03-24
+        name: 'UPI received',
+        direction: 'credit',
+        pattern: pattern(String.raw`received ${AMOUNT} (?:in|into) .*?${ACCOUNT} from ${MERCHANT}${MERCHANT_END}\s*on ${DATE}`)
+    },
+    {
+        // Rs.50000.00 credited to A/c XX1234 on 01-04-24 by NEFT from ACME CORP
+        name: 'Account credited',
+        direction: 'credit',
+        pattern: pattern(String.raw`${AMOUNT} (?:has been |is |was )?credited to (?:your )?.*?${ACCOUNT} on ${DATE}\s*(?:by|from|via)\s+${PAYMENT_RAIL}(?:vpa\s+)?${MERCHANT}${MERCHANT_END}`)
+    },
+    {
+        // Your A/c XX1234 is credited with INR 500.00 on 12-03-24 by UPI from RAHUL
+        name: 'Account credited with amount',
+        direction: 'credit',
+        pattern: pattern(String.raw`${ACCOUNT}\s*(?:-|is |has been )?\s*credited (?:with|by|for) ${BARE_AMOUNT} on (?:date )?${DATE}\s*(?:by|from|via|transfer from|trf from)\s+${PAYMENT_RAIL}${MERCHANT}${MERCHANT_END}`)
+    }
+];
+
+/**
+ * Templates registered at run time, checked before the built-in ones
+ * @type {Array<{name: string, direction: string, pattern: RegExp}>}
+ */
+const customTemplates = [];
+
+/**
+ * A bank or UPI reference number that identifies the transaction
+ */
+const REFERENCE_PATTERN = /(?:ref(?:erence)?\s*(?:no|number)?|upi\s*(?:ref)?|rrn|txn\s*id|upi\/p2[am]\/)[\s.:#/-]*(\d{10,16})/i;
+
+/**
+ * Text that makes an unmatched message worth reporting rather than ignoring
+ */
+const MONEY_MENTION = /(?:rs\.?|inr|₹)\s*\d/i;
+const TRANSACTION_WORDS = /\b(debited|credited|spent|sent|paid|received|withdrawn|transferred)\b/i;
+
+/**
+ * Messages that mention money but never record a transaction, so aren't
+ * reported when no template matches
+ */
+const NON_TRANSACTION_PATTERN = /\b(otp|one[\s-]time password|will be debited|due on|due date|minimum amount due|request(ed)? money|collect request)\b/i;
+
+/**
+ * Add a template to the library
+ * Registered templates are tried before the built-in ones, in the order added.
+ *
+ * @param {Object} template - Template to add
+ * @param {string} template.name - Name shown with matched rows
+ * @param {'debit'|'credit'} template.direction - Whether the message records money leaving or entering the account
+ * @param {RegExp} template.pattern - Pattern with named groups amount, date and merchant, and optionally account
+ * @returns {{error: string|null}}
+ */
+function registerSmsTemplate(template) {
+    if (!template || !template.name || !(template.pattern instanceof RegExp)) {
+        return { error: 'A template needs a name and a pattern.' };
+    }
+    if (!['debit', 'credit'].includes(template.direction)) {
+        return { error: 'A template must record a debit or a credit.' };
+    }
+    if (!/\(\?<amount>/.test(template.pattern.source) || !/\(\?<merchant>/.test(template.pattern.source)) {
+        return { error: 'A template pattern must capture the amount and merchant.' };
+    }
+
+    customTemplates.push(template);
+    return { error: null };
+}
+
+/**
+ * Get every template in the order they are tried
+ *
+ * @returns {Array<{name: string, direction: string, pattern: RegExp}>}
+ */
+function getSmsTemplates() {
+    return [...customTemplates, ...BUILT_IN_TEMPLATES];
+}
+
+/**
+ * Convert a message date to YYYY-MM-DD
+ * Indian alerts put the day first, so 12-03-24 is 12 March.
+ *
+ * @param {string} value - Date as written in the message
+ * @returns {string} YYYY-MM-DD, or the original text if it isn't a date
+ */
+function toISODate(value) {
+    const text = String(value || '').trim()
+        .replace(/^(\d{1,2})([a-z]{3,9})(\d{2,4})$/i, '$1-$2-$3')
+        .replace(/^(\d{1,2})[/.](\d{1,2})[/.](\d{2,4})$/, '$1-$2-$3');
+
+    for (const format of ['YYYY-MM-DD', 'DD-MM-YYYY', 'DD-MM-YY', 'DD MMM YYYY']) {
+        const { valid, date } = parseDate(text, format);
+        if (valid) {
+            const month = String(date.getMonth() + 1).padStart(2, '0');
+            const day = String(date.getDate()).padStart(2, '0');
+            return `${date.getFullYear()}-${month}-${day}`;
+        }
+    }
+    return text;
+}
+
+/**
+ * Decode the XML entities in an attribute value
+ *
+ * @param {string} value - Attribute value
+ * @returns {string}
+ */
+function decodeXmlAttribute(value) {
+    return value
+        .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+        .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Group lines of pasted text into messages
+ * A line that matches a template on its own is a message. Any other line
+ * mentioning money starts a message that the following lines are added to,
+ * which keeps alerts written over several lines whole.
+ *
+ * @param {string[]} lines - Non-empty lines
+ * @returns {string[]} Messages
+ */
+function groupLines(lines) {
+    const groups = [];
+    let open = false;
+
+    lines.forEach(line => {
+        if (matchSmsTemplate(line)) {
+            groups.push([line]);
+            open = false;
+        } else if (open && !MONEY_MENTION.test(line)) {
+            groups[groups.length - 1].push(line);
+        } else {
+            groups.push([line]);
+            open = true;
+        }
+    });
+
+    return groups.map(group => group.join(' '));
+}
+
+/**
+ * Split SMS text into messages
+ * An SMS Backup & Restore XML export gives each message with the date it was
+ * received. Plain text is split at blank lines when it has any; otherwise
+ * lines are grouped into messages by groupLines.
+ *
+ * @param {string} content - Pasted or exported messages
+ * @returns {Array<{text: string, receivedDate: string|null}>}
+ */
+function splitSmsMessages(content) {
+    const text = String(content || '');
+
+    if (/<smses\b|<sms\b/i.test(text)) {
+        return (text.match(/<sms\b[^>]*>/gi) || []).map(element => {
+            const body = /\bbody="([^"]*)"/i.exec(element);
+            const received = /\bdate="(\d+)"/i.exec(element);
+            return {
+                text: body ? decodeXmlAttribute(body[1]).replace(/\s+/g, ' ').trim() : '',
+                receivedDate: received ? new Date(Number(received[1])).toISOString().slice(0, 10) : null
+            };
+        }).filter(message => message.text);
+    }
+
+    const normalized = text.replace(/\r\n?/g, '\n').trim();
+    const parts = /\n\s*\n/.test(normalized)
+        ? normalized.split(/\n\s*\n/)
+        : groupLines(normalized.split('\n').map(line => line.trim()).filter(Boolean));
+    return parts
+        .map(part => ({ text: part.replace(/\s+/g, ' ').trim(), receivedDate: null }))
+        .filter(message => message.text);
+}
+
+/**
+ * Match one message against the template library
+ *
+ * @param {string} text - Message text, on one line
+ * @returns {{template: Object, groups: Object}|null}
+ */
+function matchSmsTemplate(text) {
+    for (const template of getSmsTemplates()) {
+        const match = template.pattern.exec(text);
+        if (match && match.groups && match.groups.amount) {
+            return { template, groups: match.groups };
+        }
+    }
+    return null;
+}
+
+/**
+ * Check whether text reads as bank messages rather than a table
+ *
+ * @param {string} content - Pasted text
+ * @returns {boolean}
+ */
+function isSmsText(content) {
+    const text = String(content || '');
+    if (text.includes('\t')) {
+        return false;
+    }
+    return splitSmsMessages(text).some(message => matchSmsTemplate(message.text));
+}
+
+/**
+ * Parse bank SMS and UPI alerts into raw transactions
+ * Messages that match no template and mention no transaction, such as OTPs
+ * and reminders, are ignored; ones that look like a transaction but match no template are
+ * returned as errors so they show up in the preview.
+ *
+ * @param {string} content - Pasted or exported messages
+ * @returns {{transactions: Array<{date: string, amount: string, description: string, rowNumber: number, direction: string, accountSuffix: string|null, fitId: string|null, smsTemplate: string}>, errors: Array<{row: number, text: string, message: string}>, ignored: number}}
+ */
+function parseSmsMessages(content) {
+    const transactions = [];
+    const errors = [];
+    let ignored = 0;
+
+    splitSmsMessages(content).forEach((message, index) => {
+        const rowNumber = index + 1;
+        const matched = matchSmsTemplate(message.text);
+
+        if (!matched) {
+            if (MONEY_MENTION.test(message.text) && TRANSACTION_WORDS.test(message.text)
+                && !NON_TRANSACTION_PATTERN.test(message.text)) {
+                errors.push({ row: rowNumber, text: message.text, message: 'This message does not match a known bank alert' });
+            } else {
+                ignored++;
+            }
+            return;
+        }
+
+        const { template, groups } = matched;
+        const amount = groups.amount.replace(/,/g, '');
+        const reference = REFERENCE_PATTERN.exec(message.text);
+
+        transactions.push({
+            date: groups.date ? toISODate(groups.date) : (message.receivedDate || ''),
+            amount: template.direction === 'credit' ? `-${amount}` : amount,
+            description: (groups.merchant || '').trim(),
+            rowNumber,
+            direction: template.direction,
+            accountSuffix: groups.account || null,
+            fitId: reference ? reference[1] : null,
+            smsTemplate: template.name
+        });
+    });
+
+    return { transactions, errors, ignored };
+}
+
+/**
+ * Bank SMS and UPI alerts, pasted or exported by an SMS backup app
+ * Alerts that look like transactions but match no template are listed with
+ * the invalid rows.
+ * @type {import('./transactionSources.js').TransactionSource}
+ */
+const smsSource = {
+    id: 'sms',
+    label: 'SMS alerts',
+    extensions: ['txt', 'xml'],
+    read: 'text',
+    detect: sample => {
+        if (/<smses[\s>]/i.test(sample.text)) {
+            return 1;
+        }
+        // A table whose narrations quote alerts still reads as CSV
+        return isSmsText(sample.text) ? 0.6 : 0;
+    },
+    parse: content => {
+        const smsResult = parseSmsMessages(content);
+        if (smsResult.transactions.length === 0) {
+            const message = smsResult.errors.length > 0
+                ? 'None of these messages match a known bank or UPI alert.'
+                : 'No bank or UPI transaction alerts were found in this text.';
+            return { transactions: [], error: message };
+        }
+        return { transactions: smsResult.transactions, parseErrors: smsResult.errors, error: null };
+    },
+    normalize: transactions => transactions
+};
+
+registerTransactionSource(smsSource);
+
+// Export all SMS parsing functions
+export {
+    smsSource,
+    parseSmsMessages,
+    splitSmsMessages,
+    matchSmsTemplate,
+    isSmsText,
+    registerSmsTemplate,
+    getSmsTemplates,
+    toISODate
+};
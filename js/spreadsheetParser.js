@@ -0,0 +1,335 @@
+/**
+ * Spreadsheet Parser Module
+ *
+ * Reads XLSX and XLS bank statements with SheetJS and turns the chosen sheet
+ * into CSV text, so profile matching, column mapping, validation and the
+ * preview work exactly as they do for CSV files. Date cells stored as Excel
+ * serials become YYYY-MM-DD, numbers lose their display formatting, labels in
+ * merged header cells are repeated across the cells they cover, and account
+ * details above the transaction table are dropped once its header row is found.
+ *
+ * @module spreadsheetParser
+ */
+
+import { detectColumnMapping, csvSource } from './csvParser.js';
+import { registerTransactionSource, startsWithBytes } from './transactionSources.js';
+
+/**
+ * Number of rows searched for the transaction table's header row
+ */
+const HEADER_SCAN_ROWS = 30;
+
+/**
+ * Days between the Excel epochs and 1970-01-01
+ * The 1900 system counts a 29 Feb 1900 that never existed, so its epoch is
+ * taken as 1899-12-30 for every serial after February 1900.
+ */
+const EPOCH_1900_OFFSET = 25569;
+const EPOCH_1904_OFFSET = 24107;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Load SheetJS only when a spreadsheet is imported
+ * The browser build only has named exports; Node's CommonJS build puts them on default.
+ *
+ * @returns {Promise<Object>} The SheetJS library
+ */
+async function loadXlsx() {
+    const module = await import('xlsx');
+    return module.read ? module : module.default;
+}
+
+/**
+ * Convert an Excel date serial to a YYYY-MM-DD string
+ * Any time of day in the fraction is dropped.
+ *
+ * @param {number} serial - Days since the workbook's epoch
+ * @param {boolean} [date1904=false] - Whether the workbook uses the 1904 date system
+ * @returns {string}
+ */
+function excelSerialToDate(serial, date1904 = false) {
+    const days = Math.floor(serial) - (date1904 ? EPOCH_1904_OFFSET : EPOCH_1900_OFFSET);
+    return new Date(days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Check whether an Excel number format displays a date
+ * Quoted text, escaped characters, colours and padding are ignored, so
+ * currency formats such as "Rs." #,##0.00 aren't mistaken for dates.
+ *
+ * @param {string} [format] - Excel number format code
+ * @returns {boolean}
+ */
+function isDateFormat(format) {
+    if (!format || /^general$/i.test(format)) {
+        return false;
+    }
+    const codes = format
+        .split(';')[0]
+        .replace(/"[^"]*"/g, '')
+        .replace(/\\./g, '')
+        .replace(/[_*]./g, '')
+        .replace(/\[[^\]]*\]/g, '');
+    return /[dmy]/i.test(codes);
+}
+
+/**
+ * Convert a column's letters to its zero-based index
+ *
+ * @param {string} letters - Column letters, such as "A" or "AB"
+ * @returns {number}
+ */
+function columnIndex(letters) {
+    return letters.toUpperCase().split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Convert a zero-based column index to its letters
+ *
+ * @param {number} index - Column index
+ * @returns {string}
+ */
+function columnLetters(index) {
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+}
+
+/**
+ * Read a sheet's used range
+ *
+ * @param {string} ref - Range such as "A1:F20"
+ * @returns {{s: {r: number, c: number}, e: {r: number, c: number}}|null}
+ */
+function decodeRange(ref) {
+    const match = /^([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?$/i.exec(String(ref || ''));
+    if (!match) {
+        return null;
+    }
+    const start = { r: Number(match[2]) - 1, c: columnIndex(match[1]) };
+    const end = match[3] ? { r: Number(match[4]) - 1, c: columnIndex(match[3]) } : start;
+    return { s: start, e: end };
+}
+
+/**
+ * Get the text a cell contributes to the CSV
+ *
+ * @param {Object} [cell] - SheetJS cell
+ * @param {boolean} date1904 - Whether the workbook uses the 1904 date system
+ * @returns {string}
+ */
+function cellText(cell, date1904) {
+    if (!cell || cell.v === undefined || cell.v === null || cell.t === 'e') {
+        return '';
+    }
+    if (cell.t === 'd' && cell.v instanceof Date) {
+        return cell.v.toISOString().slice(0, 10);
+    }
+    if (cell.t === 'n') {
+        if (isDateFormat(cell.z)) {
+            return excelSerialToDate(cell.v, date1904);
+        }
+        // Drop floating point noise such as 450.00000000000006
+        return String(parseFloat(cell.v.toPrecision(15)));
+    }
+    // Line breaks inside a cell would split the CSV row
+    return String(cell.v).replace(/\s*[\r\n]+\s*/g, ' ').trim();
+}
+
+/**
+ * Turn a SheetJS worksheet into rows of cell text
+ * Labels in merged cells are repeated across the merge when it sits in rows
+ * without numbers or dates, which covers headers such as an "Amount" cell
+ * spanning "Debit" and "Credit". Empty rows and columns are dropped.
+ *
+ * @param {Object} sheet - SheetJS worksheet
+ * @param {Object} [options]
+ * @param {boolean} [options.date1904=false] - Whether the workbook uses the 1904 date system
+ * @returns {string[][]}
+ */
+function sheetToRows(sheet, options = {}) {
+    const range = sheet ? decodeRange(sheet['!ref']) : null;
+    if (!range) {
+        return [];
+    }
+
+    const rows = [];
+    const hasValues = [];
+    for (let r = range.s.r; r <= range.e.r; r++) {
+        const row = [];
+        let values = false;
+        for (let c = range.s.c; c <= range.e.c; c++) {
+            const cell = sheet[`${columnLetters(c)}${r + 1}`];
+            values = values || Boolean(cell && (cell.t === 'n' || cell.t === 'd'));
+            row.push(cellText(cell, options.date1904));
+        }
+        rows.push(row);
+        hasValues.push(values);
+    }
+
+    (sheet['!merges'] || []).forEach(merge => {
+        const label = (rows[merge.s.r - range.s.r] || [])[merge.s.c - range.s.c];
+        if (!label) {
+            return;
+        }
+        for (let r = merge.s.r; r <= merge.e.r; r++) {
+            const row = rows[r - range.s.r];
+            if (!row || hasValues[r - range.s.r]) {
+                continue;
+            }
+            for (let c = merge.s.c; c <= merge.e.c; c++) {
+                if (!row[c - range.s.c]) {
+                    row[c - range.s.c] = label;
+                }
+            }
+        }
+    });
+
+    const filled = rows.filter(row => row.some(text => text !== ''));
+    const usedColumns = filled.length > 0
+        ? filled[0].map((_, c) => filled.some(row => row[c] !== ''))
+        : [];
+    return filled.map(row => row.filter((_, c) => usedColumns[c]));
+}
+
+/**
+ * Find the transaction table's header row
+ * In a two-row header, such as "Amount" over "Debit" and "Credit", the
+ * lower row names the columns, so the last of consecutive header rows is used.
+ *
+ * @param {string[][]} rows - Sheet rows
+ * @returns {number} Row index, or -1 if no row in the first HEADER_SCAN_ROWS looks like a header
+ */
+function findHeaderRow(rows) {
+    const isHeader = row => Boolean(row) && detectColumnMapping(row).detected;
+    let index = rows.slice(0, HEADER_SCAN_ROWS).findIndex(isHeader);
+    while (index !== -1 && isHeader(rows[index + 1])) {
+        index++;
+    }
+    return index;
+}
+
+/**
+ * Write rows as CSV text, quoting fields that need it
+ *
+ * @param {string[][]} rows - Rows of cell text
+ * @returns {string}
+ */
+function rowsToCSV(rows) {
+    return rows.map(row => row.map(text =>
+        /[",]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+    ).join(',')).join('\n');
+}
+
+/**
+ * Turn workbook sheets into CSV text for the import pipeline
+ * The requested sheet is used when it has data; otherwise the first sheet
+ * with a recognisable header row, or failing that the first with any data.
+ *
+ * @param {Array<{name: string, rows: string[][]}>} sheets - Sheets in workbook order
+ * @param {string} [sheetName] - Sheet the user picked
+ * @returns {{csv: string, sheetNames: string[], sheetName: string|null, error: string|null}}
+ */
+function sheetsToCSV(sheets, sheetName) {
+    const withData = sheets.filter(sheet => sheet.rows.length > 0);
+    if (withData.length === 0) {
+        return { csv: '', sheetNames: [], sheetName: null, error: 'This spreadsheet has no data.' };
+    }
+
+    const chosen = withData.find(sheet => sheet.name === sheetName)
+        || withData.find(sheet => findHeaderRow(sheet.rows) !== -1)
+        || withData[0];
+
+    // Drop account details above the table when its header can be found
+    const headerRow = findHeaderRow(chosen.rows);
+    const rows = headerRow > 0 ? chosen.rows.slice(headerRow) : chosen.rows;
+
+    return {
+        csv: rowsToCSV(rows),
+        sheetNames: withData.map(sheet => sheet.name),
+        sheetName: chosen.name,
+        error: null
+    };
+}
+
+/**
+ * Read an XLSX or XLS file and convert one of its sheets to CSV text
+ *
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {string} [sheetName] - Sheet the user picked
+ * @returns {Promise<{csv: string, sheetNames: string[], sheetName: string|null, error: string|null}>}
+ */
+async function readSpreadsheet(buffer, sheetName) {
+    try {
+        const XLSX = await loadXlsx();
+        // raw keeps text in HTML and text "spreadsheets" as written; otherwise
+        // SheetJS reads 01/04/2024 as a US date
+        const workbook = XLSX.read(new Uint8Array(buffer), { type: 'array', cellNF: true, cellDates: false, raw: true });
+        const date1904 = Boolean(workbook.Workbook && workbook.Workbook.WBProps && workbook.Workbook.WBProps.date1904);
+
+        const sheets = workbook.SheetNames.map(name => ({
+            name,
+            rows: sheetToRows(workbook.Sheets[name], { date1904 })
+        }));
+
+        return sheetsToCSV(sheets, sheetName);
+    } catch (err) {
+        console.error('Spreadsheet read error:', err);
+        return {
+            csv: '',
+            sheetNames: [],
+            sheetName: null,
+            error: 'Unable to read this spreadsheet. It may be damaged or password-protected.'
+        };
+    }
+}
+
+/**
+ * XLSX and XLS workbooks
+ * The chosen sheet becomes CSV text and is read by the CSV source, so saved
+ * profiles and column mapping work the same way.
+ * @type {import('./transactionSources.js').TransactionSource}
+ */
+const spreadsheetSource = {
+    id: 'spreadsheet',
+    label: 'Spreadsheet',
+    extensions: ['xlsx', 'xls'],
+    read: 'buffer',
+    detect: sample => {
+        // Legacy XLS is an OLE2 compound file; XLSX is a ZIP package
+        if (startsWithBytes(sample, [0xD0, 0xCF, 0x11, 0xE0])) {
+            return 1;
+        }
+        if (startsWithBytes(sample, [0x50, 0x4B, 0x03, 0x04])) {
+            return 0.9;
+        }
+        // Many banks' "XLS" downloads are HTML tables
+        return sample.extension.startsWith('xls') && /<(html|table)[\s>]/i.test(sample.text) ? 0.8 : 0;
+    },
+    parse: async (buffer, context = {}) => {
+        const sheet = await readSpreadsheet(buffer, context.sheetName);
+        if (sheet.error) {
+            return { transactions: [], error: sheet.error, sheetNames: sheet.sheetNames, sheetName: sheet.sheetName };
+        }
+        const result = await csvSource.parse(sheet.csv, context);
+        return { ...result, sheetNames: sheet.sheetNames, sheetName: sheet.sheetName };
+    },
+    normalize: (transactions, result) => csvSource.normalize(transactions, result)
+};
+
+registerTransactionSource(spreadsheetSource);
+
+// Export all spreadsheet parsing functions
+export {
+    spreadsheetSource,
+    readSpreadsheet,
+    sheetToRows,
+    sheetsToCSV,
+    findHeaderRow,
+    rowsToCSV,
+    excelSerialToDate,
+    isDateFormat
+};
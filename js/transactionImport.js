@@ -1,8 +1,9 @@
 /**
  * Transaction Import Controller Module
  * 
- * Orchestrates the import workflow and manages UI state for CSV transaction import.
- * Coordinates between CSV parsing, classification, and expense import modules.
+ * Orchestrates the import workflow and manages UI state for transaction import.
+ * Coordinates between the registered transaction sources (CSV, OFX, PDF,
+ * spreadsheets, SMS alerts and image OCR), classification, and expense import modules.
  * 
  * @module transactionImport
  * 
@@ -21,8 +22,57 @@
  * - 8.5: Clear file data from memory on close
  */
 
-import { validateFile, parseCSV, detectColumnMapping, extractTransactions, validateTransaction } from './csvParser.js';
-import { checkDuplicates, batchImportTransactions } from './expenses.js';
+import {
+    validateFile,
+    parseCSV,
+    detectColumnMapping,
+    extractTransactions,
+    validateTransaction,
+    applySignConvention,
+    hasAmountColumns,
+    detectDateFormat,
+    detectDecimalSeparator,
+    getHeaderSignature,
+    DATE_FORMATS,
+    VALIDATION_ERRORS
+} from './csvParser.js';
+// Each parser registers its transaction source when loaded
+import './ofxParser.js';
+import './pdfParser.js';
+import './spreadsheetParser.js';
+import { isLowOcrConfidence } from './ocrParser.js';
+import { readSample, detectTransactionSource } from './transactionSources.js';
+import { getCategoryHistory, checkDuplicates, batchImportTransactions } from './expenses.js';
+import { findRepeatedRows, getDuplicateDateRange } from './duplicateMatcher.js';
+import { findTransferPairs, findRecordedTransfers } from './transferMatcher.js';
+import { getTransferCandidates, markAsTransfer } from './transfers.js';
+import { isZipFile, extractZipFile } from './zipReader.js';
+import { detectEncoding, decodeText, getEncodingLabel, ENCODINGS } from './encodingDetector.js';
+import { htmlTableToText, createPastedFile } from './clipboardParser.js';
+import { isSmsText } from './smsParser.js';
+import {
+    hashFile,
+    findImportBatchByHash,
+    createImportBatch,
+    updateImportBatchCounts,
+    recordBatchTransfers
+} from './importBatches.js';
+import { getImportProfiles, saveImportProfile, findProfileForContent } from './importProfiles.js';
+import { getAccounts } from './accounts.js';
+import { findAccountBySuffix } from './accountLedger.js';
+import { loadCategoryRules, learnCategoryRule } from './categoryRules.js';
+import {
+    classifyBatch,
+    classifyTransaction,
+    isLowConfidence,
+    learnFromCorrection,
+    setLearnedRules,
+    buildLearnedRules,
+    getMerchantKey,
+    EXPENSE_CATEGORIES,
+    INCOME_CATEGORY,
+    TRANSFER_CATEGORY
+} from './classifier.js';
 
 /**
  * Initial state for the import workflow
@@ -32,6 +82,28 @@ function createInitialState() {
     return {
         step: 'upload',
         file: null,
+        rawContent: null,
+        parsedData: null,
+        mapping: null,
+        profile: null,
+        rawTransactions: [],
+        parseErrors: [],
+        dateFormat: null,
+        dateFormatCandidates: [],
+        decimalSeparator: null,
+        sheetNames: [],
+        sheetName: null,
+        encoding: null,
+        detectedEncoding: null,
+        csvLayout: null,
+        queuedTransactions: [],
+        pendingFiles: [],
+        fileErrors: [],
+        sourceFiles: {},
+        importBatches: {},
+        convertedTransfers: {},
+        accounts: [],
+        accountId: null,
         transactions: [],
         summary: {
             total: 0,
@@ -39,6 +111,7 @@ function createInitialState() {
             invalid: 0,
             selected: 0,
             duplicates: 0,
+            transfers: 0,
             totalAmount: 0
         },
         progress: 0,
@@ -52,6 +125,12 @@ function createInitialState() {
  */
 let importState = createInitialState();
 
+/**
+ * Category rules load for the open dialog, shared by every file imported in it
+ * @type {Promise<void>|null}
+ */
+let learnedRulesLoad = null;
+
 /**
  * Get the current import state
  * @returns {ImportState}
@@ -90,38 +169,57 @@ function resetState() {
 
 
 /**
- * Read file content as text
+ * Read file content as text, detecting its encoding
+ * @param {File} file - File to read
+ * @param {string} [encoding] - Encoding chosen by the user instead of the detected one
+ * @returns {Promise<{text: string, encoding: string, detectedEncoding: string}>} File content and the encodings used and detected
+ */
+async function readFileContent(file, encoding) {
+    const bytes = new Uint8Array(await readFileBuffer(file));
+    const detectedEncoding = detectEncoding(bytes).encoding;
+    const decoded = decodeText(bytes, encoding || detectedEncoding);
+    return { text: decoded.text, encoding: decoded.encoding, detectedEncoding };
+}
+
+/**
+ * Read file content as an ArrayBuffer
  * @param {File} file - File to read
- * @returns {Promise<string>} File content
+ * @returns {Promise<ArrayBuffer>} Raw file bytes
  */
-function readFileContent(file) {
+function readFileBuffer(file) {
     return new Promise((resolve, reject) => {
         const reader = new FileReader();
         reader.onload = (e) => resolve(e.target.result);
         reader.onerror = () => reject(new Error('Unable to read file. Please try again.'));
-        reader.readAsText(file);
+        reader.readAsArrayBuffer(file);
     });
 }
 
 /**
  * Process an uploaded file through the complete import workflow
- * Supports CSV files directly, and PDF/image files with a placeholder for OCR processing
+ * The file's format is recognised from its first bytes by the registered
+ * transaction sources (CSV, OFX/QFX, PDF, XLSX/XLS, SMS alerts and images),
+ * so a statement saved with the wrong extension is still read correctly
  * 
  * Steps:
  * 1. Validate file
- * 2. Parse content based on file type
- * 3. Detect column mapping (for CSV)
- * 4. Extract transactions
+ * 2. Pick the transaction source that recognises the content
+ * 3. Read the file the way the source needs it
+ * 4. Parse and normalize raw transactions (or hand over to column mapping)
  * 5. Validate each transaction
  * 6. Classify transactions
  * 7. Sort by date descending
  * 
- * @param {File} file - File to process (CSV, PDF, or image)
- * @returns {Promise<{success: boolean, error: string|null}>}
+ * @param {File} file - File to process (CSV, OFX/QFX, PDF, spreadsheet, SMS text, or image)
+ * @param {Object} [options]
+ * @param {string} [options.sheetName] - Spreadsheet sheet to read instead of the detected one
+ * @param {string} [options.encoding] - Text encoding to read a text file with instead of the detected one
+ * @param {{headerRow?: number, footerRows?: number}} [options.layout] - Lines to skip above and below the table instead of the detected ones
+ * @returns {Promise<{success: boolean, error: string|null, needsMapping?: boolean}>}
  * 
- * Requirements: 2.1, 4.1
+ * Requirements: 2.1, 4.1, 9.3, 9.5
  */
-async function processFile(file) {
+async function processFile(file, options = {}) {
     try {
         // Step 1: Validate file
         const validation = validateFile(file);
@@ -130,20 +228,37 @@ async function processFile(file) {
             return { success: false, error: validation.error };
         }
 
-        updateState({ file, step: 'upload', progress: 10 });
-
-        // Handle different file types
-        if (validation.fileType === 'pdf' || validation.fileType === 'image') {
-            // For PDF and image files, show a message that OCR processing is coming soon
-            const error = `${validation.fileType === 'pdf' ? 'PDF' : 'Image'} file detected. Automatic text extraction from ${validation.fileType === 'pdf' ? 'PDF documents' : 'images'} is coming soon. For now, please export your bank statement as a CSV file for best results.`;
-            updateState({ step: 'error', error });
-            return { success: false, error };
-        }
+        updateState({
+            file,
+            step: 'upload',
+            progress: 10,
+            sheetNames: [],
+            sheetName: null,
+            encoding: null,
+            detectedEncoding: null,
+            csvLayout: null
+        });
 
-        // Step 2: Read and parse CSV content
+        // Steps 2-3: Recognise the format, then read the file as text, bytes or the file itself
+        let source;
         let content;
         try {
-            content = await readFileContent(file);
+            source = detectTransactionSource(await readSample(file));
+            if (!source) {
+                const error = VALIDATION_ERRORS.INVALID_EXTENSION;
+                updateState({ step: 'error', error });
+                return { success: false, error };
+            }
+
+            if (source.read === 'file') {
+                content = file;
+            } else if (source.read === 'buffer') {
+                content = await readFileBuffer(file);
+            } else {
+                const text = await readFileContent(file, options.encoding);
+                content = text.text;
+                updateState({ encoding: text.encoding, detectedEncoding: text.detectedEncoding });
+            }
         } catch (err) {
             const error = 'Unable to read file. Please try again.';
             updateState({ step: 'error', error });
@@ -152,82 +267,802 @@ async function processFile(file) {
 
         updateState({ progress: 30 });
 
-        const parseResult = parseCSV(content);
-        if (parseResult.errors.length > 0 && parseResult.data.length === 0) {
-            const error = `Unable to parse CSV: ${parseResult.errors[0].message}`;
-            updateState({ step: 'error', error });
-            return { success: false, error };
+        // Remember the file for its import batch, noting if it was imported before
+        await recordSourceFile(file);
+
+        // Learn merchant categories from past expenses before classifying
+        await loadLearnedRules();
+
+        // Step 4: Parse raw transactions
+        const result = await source.parse(content, {
+            sheetName: options.sheetName,
+            layout: options.layout,
+            findProfile: createProfileFinder(),
+            onProgress: (progress, text) => {
+                const percent = 30 + Math.round(progress * 20);
+                updateState({ progress: percent });
+                if (text) updateProgressBar(percent, text);
+            }
+        });
+
+        updateState({ progress: 50 });
+        if (result.sheetNames) {
+            updateState({ sheetNames: result.sheetNames, sheetName: result.sheetName });
         }
 
-        // Step 3: Detect column mapping
-        const mapping = detectColumnMapping(parseResult.headers);
-        if (!mapping.detected) {
-            const error = `Missing required columns: ${mapping.missingColumns.join(', ')}. Please ensure your CSV has date, amount, and description columns.`;
-            updateState({ step: 'error', error });
-            return { success: false, error };
+        // Headers could not be matched - hand over to the manual mapping step
+        if (result.needsMapping) {
+            updateState({
+                step: 'mapping',
+                rawContent: result.text,
+                parsedData: result.parsedData,
+                mapping: result.mapping
+            });
+            return { success: false, error: null, needsMapping: true };
         }
 
-        updateState({ progress: 50 });
+        if (result.error) {
+            updateState({ step: 'error', error: result.error });
+            return { success: false, error: result.error };
+        }
 
-        // Step 4: Extract transactions
-        const extractResult = extractTransactions(parseResult.data, mapping);
-        if (extractResult.transactions.length === 0) {
-            const error = 'No transaction data found in the file.';
-            updateState({ step: 'error', error });
-            return { success: false, error };
+        // Keep CSV text so the lines skipped around the table can be changed
+        updateState({
+            profile: result.profile || null,
+            rawContent: result.layout ? result.text : null,
+            csvLayout: result.layout || null
+        });
+        setSourceFileProfile(file.name, result.profile || null);
+
+        // Steps 5-7: Validate, classify and sort
+        buildPreview(source.normalize(result.transactions, result), {
+            dateFormat: result.dateFormat,
+            parseErrors: result.parseErrors
+        });
+
+        // Flag rows that look like expenses the user already has, and
+        // rows that look like transfers between the user's accounts
+        await checkPreviewDuplicates();
+        await checkPreviewTransfers();
+
+        return { success: true, error: null };
+    } catch (err) {
+        console.error('Process file error:', err);
+        const error = 'An unexpected error occurred while processing the file.';
+        updateState({ step: 'error', error });
+        return { success: false, error };
+    }
+}
+
+/**
+ * Create the saved import profile lookup handed to transaction sources
+ * Profiles are loaded once per file, and only when a source asks. They are a
+ * convenience, so a failed load means the layout is detected instead.
+ * 
+ * @returns {function(string, boolean): Promise<Object|null>} Finds the profile for CSV text with or without a header row
+ */
+function createProfileFinder() {
+    let profiles = null;
+    return async (content, hasHeader) => {
+        if (!profiles) {
+            const { data } = await getImportProfiles();
+            profiles = data || [];
         }
+        const candidates = profiles.filter(p => hasHeader ? p.has_header !== false : p.has_header === false);
+        return findProfileForContent(content, candidates);
+    };
+}
 
-        updateState({ progress: 60 });
+/**
+ * Record a file being previewed so its rows can be imported as one batch
+ * The file is hashed and looked up in the import history; a failed lookup
+ * only means no repeat-import notice is shown.
+ * 
+ * @param {File} file - File being processed
+ */
+async function recordSourceFile(file) {
+    const hash = await hashFile(file);
+    const { data: previousBatch, error } = await findImportBatchByHash(hash);
+    if (error) {
+        console.error('Unable to check import history:', error.message);
+    }
 
-        // Step 5: Validate each transaction
-        const validatedTransactions = extractResult.transactions.map(transaction => {
-            const validationResult = validateTransaction(transaction);
-            return {
-                ...transaction,
-                date: validationResult.parsedDate,
-                amount: validationResult.parsedAmount,
-                rawDate: transaction.date,
-                rawAmount: transaction.amount,
-                isValid: validationResult.valid,
-                errors: validationResult.errors,
-                selected: validationResult.valid // Auto-select valid transactions
+    updateState({
+        sourceFiles: {
+            ...importState.sourceFiles,
+            [file.name]: { name: file.name, hash, profile: null, accountId: importState.accountId, previousBatch: previousBatch || null }
+        }
+    });
+}
+
+/**
+ * Note which bank profile a previewed file was read with
+ * A profile with a default account imports the file into that account, and
+ * the account is offered for the rest of the import.
+ * 
+ * @param {string} fileName - Source file name
+ * @param {Object|null} profile - Import profile
+ */
+function setSourceFileProfile(fileName, profile) {
+    const sourceFile = importState.sourceFiles[fileName];
+    if (!sourceFile) {
+        return;
+    }
+
+    const accountId = (profile && profile.account_id) || sourceFile.accountId;
+    updateState({
+        sourceFiles: { ...importState.sourceFiles, [fileName]: { ...sourceFile, profile, accountId } },
+        accountId: accountId || importState.accountId
+    });
+}
+
+/**
+ * Load the accounts transactions can be imported into
+ * The first account is chosen until a file's profile names another.
+ */
+async function loadImportAccounts() {
+    const { data: accounts, error } = await getAccounts();
+    if (error) {
+        console.error('Unable to load accounts:', error.message);
+        return;
+    }
+
+    updateState({ accounts, accountId: importState.accountId || (accounts[0] ? accounts[0].id : null) });
+    renderAccountChoice();
+}
+
+/**
+ * Import every file being previewed into one account
+ * Rows whose bank alert names another of the user's accounts still go to that account.
+ * 
+ * @param {string} accountId - The account ID
+ */
+function setImportAccount(accountId) {
+    if (!importState.accounts.some(account => account.id === accountId)) {
+        return;
+    }
+
+    const sourceFiles = {};
+    Object.entries(importState.sourceFiles).forEach(([name, sourceFile]) => {
+        sourceFiles[name] = { ...sourceFile, accountId };
+    });
+    updateState({ sourceFiles, accountId });
+}
+
+/**
+ * Get the account an imported row goes into
+ * The account or card number quoted by an SMS alert or OFX statement picks
+ * the account when it matches one; otherwise the file's account is used.
+ * 
+ * @param {{accountSuffix?: string|null, source?: string}} transaction - Previewed transaction
+ * @returns {string|null} Account ID
+ */
+function getImportAccountId(transaction) {
+    const matched = findAccountBySuffix(importState.accounts, transaction.accountSuffix);
+    if (matched) {
+        return matched.id;
+    }
+    const sourceFile = importState.sourceFiles[transaction.source];
+    return (sourceFile && sourceFile.accountId) || importState.accountId;
+}
+
+/**
+ * Load the user's saved category rules and the merchant→category pairs learned
+ * from recent expenses, once per dialog: later files, sheets and re-parses
+ * reuse them, and corrections made meanwhile are already applied in memory.
+ * Classification still works with the built-in rules if this fails
+ *
+ * @returns {Promise<void>}
+ */
+function loadLearnedRules() {
+    if (!learnedRulesLoad) {
+        learnedRulesLoad = fetchLearnedRules();
+    }
+    return learnedRulesLoad;
+}
+
+/**
+ * Fetch the saved category rules and learn rules from recent expenses
+ * A failed load is forgotten so the next file tries again
+ *
+ * @returns {Promise<void>}
+ */
+async function fetchLearnedRules() {
+    const { error: rulesError } = await loadCategoryRules();
+    if (rulesError) {
+        console.error('Unable to load saved category rules:', rulesError.message);
+        learnedRulesLoad = null;
+    }
+
+    const { data, error } = await getCategoryHistory();
+    if (error) {
+        console.error('Unable to load learned category rules:', error.message);
+        learnedRulesLoad = null;
+        return;
+    }
+    setLearnedRules(buildLearnedRules(data));
+}
+
+/**
+ * Re-parse the pending CSV content with new parse options
+ * Used by the mapping step for headerless files, preamble and footer lines and unusual delimiters
+ * 
+ * @param {Object} options - Parse options
+ * @param {boolean} [options.hasHeader] - Whether the table starts with a header row
+ * @param {number} [options.headerRow] - Number of preamble lines above the table
+ * @param {number} [options.footerRows] - Number of summary lines below the table
+ * @param {string} [options.delimiter] - Field delimiter, or empty to auto-detect
+ * @returns {ImportState} Updated state
+ */
+function setMappingParseOptions(options) {
+    if (!importState.rawContent) {
+        return getState();
+    }
+
+    const current = importState.parsedData || {};
+    const hasHeader = options.hasHeader !== undefined ? options.hasHeader : current.hasHeader !== false;
+    const headerRow = options.headerRow !== undefined ? Math.max(0, parseInt(options.headerRow, 10) || 0) : (current.headerRow || 0);
+    const footerRows = options.footerRows !== undefined ? Math.max(0, parseInt(options.footerRows, 10) || 0) : current.footerRows;
+    const delimiter = options.delimiter !== undefined ? options.delimiter : current.delimiter;
+
+    const parseResult = parseCSV(importState.rawContent, { hasHeader, headerRow, footerRows, delimiter: delimiter || undefined });
+    const mapping = hasHeader
+        ? detectColumnMapping(parseResult.headers)
+        : { date: -1, amount: -1, description: -1, detected: false, missingColumns: ['date', 'amount', 'description'] };
+
+    return updateState({
+        parsedData: {
+            headers: parseResult.headers,
+            data: parseResult.data,
+            hasHeader,
+            headerRow,
+            footerRows: parseResult.footerRows,
+            delimiter: parseResult.delimiter
+        },
+        mapping
+    });
+}
+
+/**
+ * Apply a manually chosen column mapping and continue to the preview step
+ * 
+ * @param {{date: number, amount: number, description: number, category?: number}} mapping - Column indices chosen by the user
+ * @param {Object} [options] - Mapping options
+ * @param {string|null} [options.dateFormat] - DATE_FORMATS name, or null to auto-detect
+ * @param {string} [options.signConvention='debit-positive'] - One of SIGN_CONVENTIONS
+ * @returns {{success: boolean, error: string|null}}
+ */
+function applyColumnMapping(mapping, options = {}) {
+    const parsedData = importState.parsedData;
+    if (!parsedData) {
+        return { success: false, error: 'No file data to map. Please select a file again.' };
+    }
+
+    // All required fields need a column; a debit/credit pair stands in for amount
+    const splitAmount = !(mapping.amount >= 0) && hasAmountColumns(mapping);
+    const missing = MAPPING_FIELDS
+        .filter(field => field.required && !(mapping[field.key] >= 0))
+        .filter(field => !(field.key === 'amount' && splitAmount))
+        .map(field => field.key === 'amount' ? 'amount (or both debit and credit)' : field.label.toLowerCase());
+    if (missing.length > 0) {
+        return { success: false, error: `Please choose a column for: ${missing.join(', ')}` };
+    }
+
+    // Required fields must each use their own column
+    const requiredColumns = splitAmount
+        ? [mapping.date, mapping.debit, mapping.credit, mapping.description]
+        : [mapping.date, mapping.amount, mapping.description];
+    if (new Set(requiredColumns).size !== requiredColumns.length) {
+        return { success: false, error: 'Date, amount and description must each use a different column.' };
+    }
+
+    // A single amount column takes precedence over a debit/credit pair
+    if (!splitAmount) {
+        mapping = { ...mapping, debit: -1, credit: -1 };
+    }
+
+    const extractResult = extractTransactions(parsedData.data, mapping, {
+        hasHeader: parsedData.hasHeader,
+        headerRow: parsedData.headerRow || 0
+    });
+    if (extractResult.transactions.length === 0) {
+        const error = 'No transaction data found in the file.';
+        return { success: false, error };
+    }
+
+    updateState({ mapping: { ...mapping, detected: false, missingColumns: [] } });
+    buildPreview(
+        applySignConvention(extractResult.transactions, options.signConvention),
+        { dateFormat: options.dateFormat || null }
+    );
+
+    return { success: true, error: null };
+}
+
+/**
+ * Save the current mapping step settings as a named bank import profile
+ * 
+ * @param {string} name - Profile name
+ * @param {{date: number, amount: number, description: number, category?: number, debit?: number, credit?: number, direction?: number}} mapping - Column indices
+ * @param {Object} [options] - Mapping options
+ * @param {string|null} [options.dateFormat] - DATE_FORMATS name, or null to auto-detect
+ * @param {string} [options.signConvention='debit-positive'] - One of SIGN_CONVENTIONS
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+async function saveMappingAsProfile(name, mapping, options = {}) {
+    const parsedData = importState.parsedData;
+    if (!parsedData) {
+        return { data: null, error: { message: 'No file data to save a profile for.' } };
+    }
+
+    if (!name || !name.trim()) {
+        return { data: null, error: { message: 'Please enter a name for the bank profile.' } };
+    }
+
+    const columnCount = parsedData.data.length > 0 ? parsedData.data[0].length : 0;
+    const result = await saveImportProfile({
+        name: name.trim(),
+        header_signature: getHeaderSignature(parsedData.hasHeader ? parsedData.headers : [], columnCount),
+        delimiter: parsedData.delimiter,
+        date_format: options.dateFormat || null,
+        header_row: parsedData.headerRow || 0,
+        has_header: parsedData.hasHeader,
+        column_mapping: {
+            date: mapping.date,
+            amount: mapping.amount,
+            description: mapping.description,
+            category: mapping.category >= 0 ? mapping.category : -1,
+            debit: mapping.debit >= 0 ? mapping.debit : -1,
+            credit: mapping.credit >= 0 ? mapping.credit : -1,
+            direction: mapping.direction >= 0 ? mapping.direction : -1
+        },
+        sign_convention: options.signConvention || 'debit-positive',
+        account_id: importState.accountId
+    });
+
+    if (!result.error) {
+        updateState({ profile: result.data });
+        if (importState.file) {
+            setSourceFileProfile(importState.file.name, result.data);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Validate, classify and sort raw transactions, then move the workflow to the preview step
+ * Without a pinned date format, one format is chosen for the whole file from
+ * all of its dates; if the file could be read more than one way the
+ * alternatives are kept in dateFormatCandidates so the user can switch.
+ * 
+ * @param {Array<RawTransaction>} rawTransactions - Extracted raw transactions
+ * @param {Object} [options] - Preview options
+ * @param {string|null} [options.dateFormat] - DATE_FORMATS name to parse dates with
+ * @param {string[]} [options.dateFormatCandidates] - Alternatives to keep offering with a chosen format
+ * @param {Array<{text: string, message: string}>} [options.parseErrors] - Source lines that could not be read, shown as invalid rows
+ * @returns {ImportState} Updated state
+ * 
+ * Requirements: 2.5, 3.7, 4.1
+ */
+function buildPreview(rawTransactions, options = {}) {
+    updateState({ progress: 60 });
+
+    // Pick one date format and decimal separator for the whole file
+    let dateFormat = options.dateFormat || null;
+    let dateFormatCandidates = options.dateFormatCandidates || [];
+    if (!dateFormat) {
+        const detection = detectDateFormat(rawTransactions.map(t => t.date));
+        dateFormat = detection.format;
+        dateFormatCandidates = detection.ambiguous ? detection.candidates : [];
+    }
+    const decimalSeparator = detectDecimalSeparator(rawTransactions.map(t => t.amount));
+
+    // Step 5: Validate each transaction
+    const validatedTransactions = rawTransactions.map(transaction => {
+        const validationResult = validateTransaction(transaction, { dateFormat: dateFormat || undefined, decimalSeparator });
+        return {
+            ...transaction,
+            date: validationResult.parsedDate,
+            amount: validationResult.parsedAmount,
+            direction: validationResult.parsedDirection,
+            rawDate: transaction.date,
+            rawAmount: transaction.amount,
+            isValid: validationResult.valid,
+            errors: validationResult.errors,
+            selected: validationResult.valid // Auto-select valid transactions
+        };
+    });
+
+    updateState({ progress: 70 });
+
+    // Step 6: Classify transactions
+    // A mapped category column is kept when it names a known category,
+    // and credits are typed as refunds or income
+    const categorizedTransactions = classifyBatch(validatedTransactions);
+
+    // Rows remember their file so rows from several files can be told apart
+    const source = importState.file ? importState.file.name : '';
+    categorizedTransactions.forEach(transaction => {
+        transaction.source = source;
+    });
+
+    // Lines the parser could not read are listed with the invalid rows
+    const parseErrors = options.parseErrors || [];
+    const unreadRows = parseErrors.map(parseError => ({
+        source,
+        date: null,
+        amount: null,
+        description: parseError.text,
+        rawDate: '',
+        rawAmount: '',
+        category: 'Other',
+        transactionType: 'expense',
+        isValid: false,
+        errors: [parseError.message],
+        selected: false
+    }));
+
+    updateState({ progress: 90 });
+
+    // Rows from files added earlier in this session stay in the preview;
+    // repeats across and within files are grouped with one copy selected
+    const currentRows = [...categorizedTransactions, ...unreadRows];
+    const mergedTransactions = markRepeatedRows([...importState.queuedTransactions, ...currentRows], new Set(currentRows));
+
+    // Step 7: Sort by date descending
+    const sortedTransactions = sortTransactionsByDate(mergedTransactions);
+
+    // Calculate summary
+    const summary = calculateSummary(sortedTransactions);
+
+    // Update state with final results
+    return updateState({
+        step: 'preview',
+        rawTransactions,
+        parseErrors,
+        dateFormat,
+        dateFormatCandidates,
+        decimalSeparator,
+        transactions: sortedTransactions,
+        summary,
+        progress: 100,
+        error: null
+    });
+}
+
+
+/**
+ * Group rows that repeat within the files being imported
+ * The first copy of each group keeps its selection and the other copies are
+ * unselected. Rows from files added earlier keep whatever the user chose.
+ * 
+ * @param {Array<ClassifiedTransaction>} transactions - Rows in file order, earlier files first
+ * @param {Set<Object>} currentRows - Rows from the file just read
+ * @returns {Array<ClassifiedTransaction>} Rows with repeatGroup, repeatCount and repeatKept set on repeats
+ */
+function markRepeatedRows(transactions, currentRows) {
+    const validIndexes = [];
+    const marked = transactions.map((transaction, index) => {
+        if (transaction.isValid) {
+            validIndexes.push(index);
+        }
+        const { repeatGroup, repeatCount, repeatKept, ...rest } = transaction;
+        return rest;
+    });
+
+    const groups = findRepeatedRows(validIndexes.map(index => toImportPayload(marked[index])));
+    groups.forEach((group, groupIndex) => {
+        group.forEach((position, i) => {
+            const index = validIndexes[position];
+            const kept = i === 0;
+            const fromCurrentFile = currentRows.has(transactions[index]);
+            marked[index] = {
+                ...marked[index],
+                repeatGroup: groupIndex + 1,
+                repeatCount: group.length,
+                repeatKept: kept,
+                selected: kept || !fromCurrentFile ? marked[index].selected : false
             };
         });
+    });
 
-        updateState({ progress: 70 });
+    return marked;
+}
 
-        // Step 6: Assign default category to transactions (classifier removed)
-        const categorizedTransactions = validatedTransactions.map(t => ({
-            ...t,
-            category: t.category || 'Other'
-        }));
+/**
+ * Re-read the previewed file with a different date format
+ * Used when the file's dates could be read more than one way
+ * 
+ * @param {string} formatName - DATE_FORMATS name
+ * @returns {boolean} True if the preview was rebuilt
+ */
+function setPreviewDateFormat(formatName) {
+    const { rawTransactions, parseErrors, dateFormatCandidates } = importState;
+    if (!rawTransactions.length || !dateFormatCandidates.includes(formatName)) {
+        return false;
+    }
 
-        updateState({ progress: 90 });
+    buildPreview(rawTransactions, { dateFormat: formatName, dateFormatCandidates, parseErrors });
+    return true;
+}
 
-        // Step 7: Sort by date descending
-        const sortedTransactions = sortTransactionsByDate(categorizedTransactions);
+/**
+ * Build the record sent to the duplicate check and the batch import
+ * 
+ * @param {ClassifiedTransaction} transaction - Previewed transaction
+ * @param {number} [rowIndex] - Index of the row in the preview, to report its outcome against
+ * @returns {Object} Transaction for checkDuplicates and batchImportTransactions
+ */
+function toImportPayload(transaction, rowIndex) {
+    // The debit of a transfer paired within these files records the transfer
+    const isTransfer = isTransferRow(transaction)
+        && transaction.transferMatch.kind === 'preview'
+        && transaction.direction !== 'credit';
+    return {
+        rowIndex,
+        date: formatDateForDB(transaction.date),
+        amount: transaction.amount,
+        description: transaction.description,
+        category: isTransfer ? TRANSFER_CATEGORY : transaction.category,
+        transactionType: isTransfer ? 'transfer' : transaction.transactionType || 'expense',
+        fitId: transaction.fitId || null,
+        source: transaction.source || '',
+        accountId: getImportAccountId(transaction),
+        transferAccountId: isTransfer ? transaction.transferMatch.toAccountId : null
+    };
+}
 
-        // Calculate summary
-        const summary = calculateSummary(sortedTransactions);
+/**
+ * Compare the previewed rows with the user's saved expenses
+ * Each valid row gets its best match, if any, in duplicateMatch. Likely
+ * duplicates are unselected until the user decides to keep them; rows the
+ * user already decided on keep their choice. If the check fails the preview
+ * is left as it is and duplicates are still skipped at import.
+ * 
+ * @returns {Promise<{error: Object|null}>}
+ * 
+ * Requirements: 5.8
+ */
+async function checkPreviewDuplicates() {
+    const validIndexes = [];
+    importState.transactions.forEach((transaction, index) => {
+        if (transaction.isValid && transaction.importStatus !== 'imported') {
+            validIndexes.push(index);
+        }
+    });
 
-        // Update state with final results
-        updateState({
-            step: 'preview',
-            transactions: sortedTransactions,
-            summary,
-            progress: 100,
-            error: null
-        });
+    const payloads = validIndexes.map(index => toImportPayload(importState.transactions[index]));
+    const { matches, error } = payloads.length > 0
+        ? await checkDuplicates(payloads)
+        : { matches: [], error: null };
 
-        return { success: true, error: null };
-    } catch (err) {
-        console.error('Process file error:', err);
-        const error = 'An unexpected error occurred while processing the file.';
-        updateState({ step: 'error', error });
-        return { success: false, error };
+    if (error) {
+        console.error('Unable to check the preview for duplicates:', error.message);
+        return { error };
+    }
+
+    // Clear earlier flags, reselecting rows that were only unselected as duplicates
+    const transactions = importState.transactions.map(transaction => {
+        if (transaction.importStatus === 'imported') {
+            return transaction;
+        }
+        const { duplicateMatch, ...rest } = transaction;
+        const autoSkipped = duplicateMatch && duplicateMatch.level === 'duplicate' && !transaction.duplicateDecision;
+        return autoSkipped ? { ...rest, selected: true } : rest;
+    });
+    validIndexes.forEach((index, i) => {
+        const match = matches[i];
+        if (!match) {
+            return;
+        }
+        const transaction = transactions[index];
+        const unreviewed = !transaction.duplicateDecision;
+        transactions[index] = {
+            ...transaction,
+            duplicateMatch: match,
+            selected: unreviewed && match.level === 'duplicate' ? false : transaction.selected
+        };
+    });
+
+    updateState({
+        transactions,
+        summary: calculateSummary(transactions)
+    });
+
+    return { error: null };
+}
+
+/**
+ * Record the user's decision on a possible duplicate
+ * Skipped rows are unselected; kept rows are selected and imported even if
+ * they still look like duplicates at import time.
+ * 
+ * @param {number} index - Transaction index in the array
+ * @param {'skip'|'keep'} decision - Whether to skip or keep the row
+ * @returns {boolean} True if update was successful
+ */
+function resolveDuplicate(index, decision) {
+    const transactions = importState.transactions;
+
+    if (index < 0 || index >= transactions.length || !['skip', 'keep'].includes(decision)) {
+        return false;
+    }
+
+    const transaction = transactions[index];
+    if (!transaction.duplicateMatch || !transaction.isValid) {
+        return false;
+    }
+
+    transactions[index] = {
+        ...transaction,
+        duplicateDecision: decision,
+        selected: decision === 'keep'
+    };
+
+    updateState({
+        transactions: [...transactions],
+        summary: calculateSummary(transactions)
+    });
+
+    return true;
+}
+
+/**
+ * Check whether a previewed row will be recorded as part of a transfer
+ *
+ * @param {Object} transaction - Previewed transaction
+ * @returns {boolean}
+ */
+function isTransferRow(transaction) {
+    return Boolean(transaction.transferMatch) && transaction.transferDecision !== 'decline';
+}
+
+/**
+ * Check whether a previewed transfer row is already recorded by another row
+ * The credit of a pair within these files is recorded by its debit, and a
+ * row whose other side is saved is recorded on the saved transaction.
+ *
+ * @param {Object} transaction - Previewed transaction
+ * @returns {boolean}
+ */
+function isRecordedByOtherSide(transaction) {
+    if (!isTransferRow(transaction)) {
+        return false;
+    }
+    const match = transaction.transferMatch;
+    if (match.kind !== 'preview') {
+        return true;
+    }
+    const debit = importState.transactions[match.counterpartIndex];
+    return transaction.direction === 'credit'
+        && Boolean(debit) && (debit.selected === true || debit.importStatus === 'imported');
+}
+
+/**
+ * Look for transfers between the user's accounts among the previewed rows
+ * A debit in one account is paired with a credit of the same amount in
+ * another a few days apart - first among the rows being imported, then with
+ * transactions already saved - and rows that are one side of a transfer
+ * already recorded are flagged too. Paired rows get a transferMatch and are
+ * recorded as transfers unless the user declines; declined rows keep their
+ * choice. Rows left out as duplicates aren't paired, since the saved
+ * transaction they duplicate is. If saved transactions can't be loaded only
+ * the rows being imported are paired.
+ *
+ * @returns {Promise<{error: Object|null}>}
+ */
+async function checkPreviewTransfers() {
+    const indexes = [];
+    importState.transactions.forEach((transaction, index) => {
+        const pending = !transaction.importStatus || transaction.importStatus === 'failed';
+        const skippedDuplicate = transaction.duplicateMatch && !transaction.selected;
+        if (transaction.isValid && pending && !skippedDuplicate) {
+            indexes.push(index);
+        }
+    });
+
+    const legs = indexes.map(index => {
+        const transaction = importState.transactions[index];
+        return {
+            key: index,
+            accountId: getImportAccountId(transaction),
+            amount: transaction.amount,
+            date: formatDateForDB(transaction.date),
+            direction: transaction.direction === 'credit' ? 'credit' : 'debit'
+        };
+    });
+
+    const range = getDuplicateDateRange(legs);
+    const { data: saved, error } = range
+        ? await getTransferCandidates(range)
+        : { data: [], error: null };
+    if (error) {
+        console.error('Unable to check the preview for transfers:', error.message);
+    }
+    const savedRows = saved || [];
+
+    const matches = new Map();
+    const setMatch = (index, match) => matches.set(index, match);
+
+    // Sides of transfers already recorded
+    const recorded = findRecordedTransfers(legs, savedRows.filter(row => row.transaction_type === 'transfer'));
+    legs.forEach((leg, i) => {
+        const transfer = recorded[i];
+        if (transfer) {
+            setMatch(leg.key, {
+                kind: 'recorded',
+                expense: transfer,
+                fromAccountId: transfer.account_id,
+                toAccountId: transfer.transfer_account_id
+            });
+        }
+    });
+
+    // Both sides in the files being imported
+    const open = direction => legs.filter(leg => leg.direction === direction && !matches.has(leg.key));
+    for (const { debit, credit } of findTransferPairs(open('debit'), open('credit'))) {
+        const match = { kind: 'preview', fromAccountId: debit.accountId, toAccountId: credit.accountId };
+        setMatch(debit.key, { ...match, counterpartIndex: credit.key });
+        setMatch(credit.key, { ...match, counterpartIndex: debit.key });
+    }
+
+    // The other side saved from an earlier import or entered by hand
+    const toSavedLeg = row => ({ key: row.id, accountId: row.account_id, amount: row.amount, date: row.date, expense: row });
+    const savedDebits = savedRows.filter(row => (row.transaction_type || 'expense') === 'expense').map(toSavedLeg);
+    const savedCredits = savedRows.filter(row => row.transaction_type === 'income' || row.transaction_type === 'refund').map(toSavedLeg);
+    for (const { debit, credit } of findTransferPairs(open('debit'), savedCredits)) {
+        setMatch(debit.key, { kind: 'saved', expense: credit.expense, fromAccountId: debit.accountId, toAccountId: credit.accountId });
+    }
+    for (const { debit, credit } of findTransferPairs(savedDebits, open('credit'))) {
+        setMatch(credit.key, { kind: 'saved', expense: debit.expense, fromAccountId: debit.accountId, toAccountId: credit.accountId });
     }
+
+    // Rows already imported or skipped keep the match they were imported with
+    const transactions = importState.transactions.map((transaction, index) => {
+        if (transaction.importStatus && transaction.importStatus !== 'failed') {
+            return transaction;
+        }
+        const { transferMatch, ...rest } = transaction;
+        return matches.has(index) ? { ...rest, transferMatch: matches.get(index) } : rest;
+    });
+
+    updateState({
+        transactions,
+        summary: calculateSummary(transactions)
+    });
+
+    return { error: error || null };
 }
 
+/**
+ * Record whether the user wants a paired row imported as a transfer
+ * Both rows of a pair within these files take the same choice.
+ *
+ * @param {number} index - Transaction index in the array
+ * @param {boolean} accept - True to record the transfer, false to import the row as it is
+ * @returns {boolean} True if update was successful
+ */
+function resolveTransfer(index, accept) {
+    const transactions = [...importState.transactions];
+
+    if (index < 0 || index >= transactions.length || !transactions[index].transferMatch) {
+        return false;
+    }
+
+    const match = transactions[index].transferMatch;
+    const rows = match.kind === 'preview' ? [index, match.counterpartIndex] : [index];
+    rows.forEach(row => {
+        transactions[row] = { ...transactions[row], transferDecision: accept ? 'accept' : 'decline' };
+    });
+
+    updateState({
+        transactions,
+        summary: calculateSummary(transactions)
+    });
+
+    return true;
+}
 
 /**
  * Calculate summary statistics for a set of transactions
@@ -245,6 +1080,7 @@ function calculateSummary(transactions) {
             invalid: 0,
             selected: 0,
             duplicates: 0,
+            transfers: 0,
             totalAmount: 0
         };
     }
@@ -253,18 +1089,26 @@ function calculateSummary(transactions) {
     const valid = transactions.filter(t => t.isValid).length;
     const invalid = total - valid;
     const selected = transactions.filter(t => t.selected === true).length;
+    const duplicates = transactions.filter(t => t.duplicateMatch || (t.repeatGroup && !t.repeatKept)).length;
+    const transfers = transactions.filter(t => t.isValid && isTransferRow(t)).length;
 
-    // Calculate total amount for selected valid transactions only
+    // Calculate net spending for selected valid transactions only
+    // Refunds reduce spending; income and transfers are left out
     const totalAmount = transactions
         .filter(t => t.isValid && t.selected === true)
-        .reduce((sum, t) => sum + (t.amount || 0), 0);
+        .reduce((sum, t) => {
+            if (t.transactionType === 'income' || isTransferRow(t)) return sum;
+            const amount = t.amount || 0;
+            return t.transactionType === 'refund' ? sum - amount : sum + amount;
+        }, 0);
 
     return {
         total,
         valid,
         invalid,
         selected,
-        duplicates: 0, // Updated during import
+        duplicates,
+        transfers,
         totalAmount
     };
 }
@@ -316,14 +1160,17 @@ function toggleTransactionSelection(index) {
 
     const transaction = transactions[index];
 
-    // Invalid transactions cannot be selected
-    if (!transaction.isValid) {
+    // Invalid and already imported transactions cannot be selected
+    if (!transaction.isValid || transaction.importStatus === 'imported') {
         return false;
     }
 
-    // Toggle selection
+    // Toggle selection; ticking a possible duplicate counts as keeping it
     const newSelected = !transaction.selected;
     transactions[index] = { ...transaction, selected: newSelected };
+    if (transaction.duplicateMatch) {
+        transactions[index].duplicateDecision = newSelected ? 'keep' : 'skip';
+    }
 
     // Update state with new summary
     updateState({
@@ -345,48 +1192,182 @@ function toggleTransactionSelection(index) {
 function selectAllTransactions(selected) {
     const transactions = importState.transactions.map(transaction => ({
         ...transaction,
-        // Only valid transactions can be selected
-        selected: transaction.isValid ? selected : false
+        // Only valid transactions not yet imported can be selected
+        selected: transaction.isValid && transaction.importStatus !== 'imported' ? selected : false
     }));
 
     updateState({
-        transactions,
+        transactions,
+        summary: calculateSummary(transactions)
+    });
+}
+
+
+/**
+ * Update the category for a specific transaction
+ * Also triggers learning from the correction for future classifications,
+ * and applies it to other automatically classified rows from the same merchant
+ * 
+ * @param {number} index - Transaction index in the array
+ * @param {string} category - New category to assign
+ * @returns {boolean} True if update was successful
+ * 
+ * Requirements: 3.5, 4.7
+ */
+function updateTransactionCategory(index, category) {
+    const transactions = importState.transactions;
+
+    if (index < 0 || index >= transactions.length) {
+        return false;
+    }
+
+    if (!category || typeof category !== 'string') {
+        return false;
+    }
+
+    const transaction = transactions[index];
+
+    // Update the transaction category
+    transactions[index] = {
+        ...transaction,
+        category,
+        confidence: 1,
+        classificationMethod: 'manual'
+    };
+
+    if (learnFromCorrection(transaction.description, category)) {
+        // Remember the correction for future imports and manual entries
+        learnCategoryRule(transaction.description, category).then(({ error }) => {
+            if (error) console.error('Unable to save category rule:', error.message);
+        });
+
+        const merchantKey = getMerchantKey(transaction.description);
+        transactions.forEach((other, i) => {
+            const automatic = ['history', 'rule', 'none'].includes(other.classificationMethod);
+            if (i !== index && automatic && getMerchantKey(other.description) === merchantKey) {
+                transactions[i] = { ...other, category, confidence: 0.95, classificationMethod: 'learned' };
+            }
+        });
+    }
+
+    updateState({
+        transactions: [...transactions]
+    });
+
+    return true;
+}
+
+/**
+ * Change whether a credit is imported as a refund or as income
+ * Income rows take INCOME_CATEGORY; refunds are classified like expenses so
+ * they net against the merchant's category.
+ * 
+ * @param {number} index - Transaction index in the array
+ * @param {'refund'|'income'} transactionType - New type for the credit
+ * @returns {boolean} True if update was successful
+ */
+function updateTransactionType(index, transactionType) {
+    const transactions = importState.transactions;
+
+    if (index < 0 || index >= transactions.length) {
+        return false;
+    }
+
+    const transaction = transactions[index];
+    if (transaction.direction !== 'credit' || !['refund', 'income'].includes(transactionType)) {
+        return false;
+    }
+
+    if (transactionType === 'income') {
+        transactions[index] = {
+            ...transaction,
+            transactionType,
+            category: INCOME_CATEGORY,
+            confidence: 1,
+            classificationMethod: 'income'
+        };
+    } else {
+        const result = classifyTransaction(transaction);
+        transactions[index] = {
+            ...transaction,
+            transactionType,
+            category: result.category,
+            confidence: result.confidence,
+            classificationMethod: result.method
+        };
+    }
+
+    updateState({
+        transactions: [...transactions],
         summary: calculateSummary(transactions)
     });
-}
 
+    return true;
+}
 
 /**
- * Update the category for a specific transaction
- * Also triggers learning from the correction for future classifications
+ * Correct the date, amount or description of a previewed transaction
+ * Used for fields read by OCR. The row is validated again, edited fields are
+ * no longer flagged as low confidence, and a changed description is
+ * reclassified unless the user already picked the category.
  * 
  * @param {number} index - Transaction index in the array
- * @param {string} category - New category to assign
+ * @param {{date?: string, amount?: string, description?: string}} fields - New raw field values
  * @returns {boolean} True if update was successful
- * 
- * Requirements: 3.5, 4.7
  */
-function updateTransactionCategory(index, category) {
+function updateTransactionFields(index, fields) {
     const transactions = importState.transactions;
 
-    if (index < 0 || index >= transactions.length) {
-        return false;
-    }
-
-    if (!category || typeof category !== 'string') {
+    if (index < 0 || index >= transactions.length || !fields) {
         return false;
     }
 
     const transaction = transactions[index];
+    const raw = {
+        date: fields.date !== undefined ? fields.date : transaction.rawDate,
+        amount: fields.amount !== undefined ? fields.amount : transaction.rawAmount,
+        description: fields.description !== undefined ? fields.description.trim() : transaction.description,
+        direction: transaction.direction,
+        rowNumber: transaction.rowNumber,
+        rowLabel: transaction.rowLabel
+    };
 
-    // Update the transaction category
-    transactions[index] = {
+    // Typed values are read on their own rather than with the file's formats
+    const validationResult = validateTransaction(raw, {
+        dateFormat: fields.date === undefined ? importState.dateFormat || undefined : undefined,
+        decimalSeparator: fields.amount === undefined ? importState.decimalSeparator : undefined
+    });
+
+    const fieldConfidence = { ...transaction.fieldConfidence };
+    Object.keys(fields).forEach(field => {
+        fieldConfidence[field] = 1;
+    });
+
+    let updated = {
         ...transaction,
-        category
+        date: validationResult.parsedDate,
+        amount: validationResult.parsedAmount,
+        direction: validationResult.parsedDirection || transaction.direction,
+        description: raw.description,
+        rawDate: raw.date,
+        rawAmount: raw.amount,
+        isValid: validationResult.valid,
+        errors: validationResult.errors,
+        selected: validationResult.valid && (transaction.isValid ? transaction.selected : true),
+        fieldConfidence
     };
 
+    const automatic = ['history', 'rule', 'none', 'learned'].includes(transaction.classificationMethod);
+    if (fields.description !== undefined && automatic) {
+        const result = classifyTransaction(updated);
+        updated = { ...updated, category: result.category, confidence: result.confidence, classificationMethod: result.method };
+    }
+
+    transactions[index] = updated;
+
     updateState({
-        transactions: [...transactions]
+        transactions: [...transactions],
+        summary: calculateSummary(transactions)
     });
 
     return true;
@@ -397,11 +1378,18 @@ function updateTransactionCategory(index, category) {
  * Import selected valid transactions to the database
  * 
  * Steps:
- * 1. Filter selected valid transactions
- * 2. Check for duplicates
- * 3. Import unique transactions
+ * 1. Filter selected valid transactions not imported yet, recording the
+ *    transfers whose other side is already saved or being imported
+ * 2. Check for duplicates, except rows kept at review or retried after failing
+ * 3. Import unique transactions in chunks
  * 4. Update state with results
  * 
+ * Each row records its outcome in importStatus ('imported', 'skipped' or
+ * 'failed', with the reason in importError). Transfer rows recorded by their
+ * other side count as skipped. After a partial failure the
+ * preview stays open and importing again only sends the rows still selected
+ * that haven't been imported.
+ * 
  * @returns {Promise<ImportResult>}
  * 
  * Requirements: 5.1, 5.3
@@ -416,67 +1404,93 @@ async function importTransactions() {
         updateState({ step: 'importing', progress: 0 });
 
         // Step 1: Filter selected valid transactions
-        const selectedTransactions = importState.transactions.filter(
-            t => t.isValid && t.selected === true
-        );
+        const selectedTransactions = [];
+        const otherSideRows = [];
+        importState.transactions.forEach((transaction, index) => {
+            if (transaction.isValid && transaction.selected === true && transaction.importStatus !== 'imported') {
+                if (isRecordedByOtherSide(transaction)) {
+                    otherSideRows.push(index);
+                } else {
+                    selectedTransactions.push(toImportPayload(transaction, index));
+                }
+            }
+        });
 
-        if (selectedTransactions.length === 0) {
+        if (selectedTransactions.length === 0 && otherSideRows.length === 0) {
             updateState({ step: 'preview', progress: 100 });
             return { success: true, imported: 0, failed: 0, errors: [] };
         }
 
+        const transferResult = await recordOtherSideTransfers(otherSideRows);
+        const transferFailed = transferResult.failed;
+
         updateState({ progress: 20 });
 
         // Step 2: Prepare transactions for duplicate check and import
-        const transactionsToImport = selectedTransactions.map(t => ({
-            date: formatDateForDB(t.date),
-            amount: t.amount,
-            description: t.description,
-            category: t.category
-        }));
+        // Rows the user chose to keep during review, and rows that already
+        // passed the check before failing to save, skip the check
+        const isChecked = payload => {
+            const transaction = importState.transactions[payload.rowIndex];
+            return transaction.duplicateDecision === 'keep' || transaction.importStatus === 'failed';
+        };
+        const keptTransactions = selectedTransactions.filter(isChecked);
+        const transactionsToCheck = selectedTransactions.filter(payload => !isChecked(payload));
 
         // Step 3: Check for duplicates
-        const { duplicates, unique, error: dupError } = await checkDuplicates(transactionsToImport);
+        const { duplicates, unique: uniqueChecked, error: dupError } = await checkDuplicates(transactionsToCheck);
 
         if (dupError) {
             updateState({ step: 'error', error: dupError.message });
-            return { success: false, imported: 0, failed: selectedTransactions.length, errors: [dupError.message] };
+            return { success: false, imported: 0, failed: selectedTransactions.length + transferFailed, errors: [dupError.message] };
         }
 
+        setImportStatus(duplicates.map(payload => [payload.rowIndex, 'skipped']));
         updateState({ progress: 50 });
 
-        // Update summary with duplicate count
-        const summary = { ...importState.summary, duplicates: duplicates.length };
-        updateState({ summary });
+        const unique = [...keptTransactions, ...uniqueChecked];
 
         if (unique.length === 0) {
+            if (transferFailed > 0) {
+                updateState({ step: 'error', error: transferResult.errors.join('. '), progress: 100 });
+                return {
+                    success: false,
+                    imported: 0,
+                    failed: transferFailed,
+                    duplicates: duplicates.length,
+                    transfers: transferResult.recorded,
+                    errors: transferResult.errors
+                };
+            }
             updateState({ step: 'complete', progress: 100 });
             return {
                 success: true,
                 imported: 0,
                 failed: 0,
                 duplicates: duplicates.length,
+                transfers: transferResult.recorded,
                 errors: duplicates.length > 0 ? [`${duplicates.length} duplicate transactions skipped`] : []
             };
         }
 
-        // Step 4: Import unique transactions
-        const importResult = await batchImportTransactions(unique);
+        // Step 4: Import unique transactions, one batch per file
+        const importResult = await importFileBatches(unique);
 
         updateState({ progress: 100 });
 
-        if (importResult.failed.length > 0) {
-            // Partial failure - preserve state for retry
+        const failed = importResult.failed.length + transferFailed;
+        if (failed > 0) {
+            // Partial failure - keep the preview so the failed rows can be retried
             updateState({
                 step: 'error',
-                error: `${importResult.imported} of ${unique.length} transactions imported. ${importResult.failed.length} failed.`
+                error: `${importResult.imported} of ${unique.length + otherSideRows.length} transactions imported. ${failed} failed.`
             });
             return {
                 success: false,
                 imported: importResult.imported,
-                failed: importResult.failed.length,
+                failed,
                 duplicates: duplicates.length,
-                errors: importResult.errors
+                transfers: transferResult.recorded,
+                errors: [...new Set([...importResult.errors, ...transferResult.errors])]
             };
         }
 
@@ -487,6 +1501,7 @@ async function importTransactions() {
             imported: importResult.imported,
             failed: 0,
             duplicates: duplicates.length,
+            transfers: transferResult.recorded,
             errors: []
         };
     } catch (err) {
@@ -497,6 +1512,221 @@ async function importTransactions() {
     }
 }
 
+/**
+ * Record the transfer rows whose other side records the transfer
+ * A saved transaction paired with an imported row is turned into the
+ * transfer; rows already recorded by a saved transfer or by their debit in
+ * these files only need skipping. The values a saved transaction had are
+ * stored on the row's file batch before it is changed, so rolling the batch
+ * back changes it back.
+ *
+ * @param {number[]} indexes - Preview rows recorded by their other side
+ * @returns {Promise<{recorded: number, failed: number, errors: string[]}>}
+ */
+async function recordOtherSideTransfers(indexes) {
+    const outcomes = [];
+    const errors = [];
+    const sources = new Set();
+
+    const fail = (index, message) => {
+        outcomes.push([index, 'failed', message]);
+        errors.push(message);
+    };
+
+    for (const index of indexes) {
+        const { source, transferMatch: match } = importState.transactions[index];
+        if (match.kind !== 'saved') {
+            outcomes.push([index, 'skipped']);
+            continue;
+        }
+
+        const { batchId, error: batchError } = await getSourceBatch(source);
+        if (batchError) {
+            fail(index, batchError.message);
+            continue;
+        }
+        sources.add(source);
+
+        const { expense } = match;
+        const converted = importState.convertedTransfers[source] || [];
+        if (!converted.some(transfer => transfer.id === expense.id)) {
+            const transfers = [...converted, {
+                id: expense.id,
+                transaction_type: expense.transaction_type || 'expense',
+                category: expense.category,
+                account_id: expense.account_id,
+                transfer_account_id: expense.transfer_account_id || null
+            }];
+            const { error: recordError } = await recordBatchTransfers(batchId, transfers);
+            if (recordError) {
+                fail(index, recordError.message);
+                continue;
+            }
+            updateState({ convertedTransfers: { ...importState.convertedTransfers, [source]: transfers } });
+        }
+
+        const { error } = await markAsTransfer(expense.id, {
+            account_id: match.fromAccountId,
+            transfer_account_id: match.toAccountId
+        });
+        if (error) {
+            fail(index, error.message);
+        } else {
+            outcomes.push([index, 'skipped']);
+        }
+    }
+
+    setImportStatus(outcomes);
+
+    for (const source of sources) {
+        const { error: recordError } = await updateImportBatchCounts(importState.importBatches[source], countBatchRows(source));
+        if (recordError) {
+            console.error('Unable to update import history:', recordError.message);
+        }
+    }
+
+    const failed = outcomes.filter(([, status]) => status === 'failed').length;
+    return { recorded: outcomes.length - failed, failed, errors: [...new Set(errors)] };
+}
+
+/**
+ * Record the outcome of importing preview rows
+ * Imported and skipped rows are unselected so they aren't sent again.
+ * 
+ * @param {Array<[number, 'imported'|'skipped'|'failed', string?]>} outcomes - Row index, status and failure reason
+ */
+function setImportStatus(outcomes) {
+    if (outcomes.length === 0) {
+        return;
+    }
+
+    const transactions = [...importState.transactions];
+    outcomes.forEach(([index, importStatus, importError]) => {
+        transactions[index] = {
+            ...transactions[index],
+            importStatus,
+            importError: importError || null,
+            selected: importStatus === 'failed'
+        };
+    });
+
+    updateState({
+        transactions,
+        summary: calculateSummary(transactions)
+    });
+}
+
+/**
+ * Count a source file's rows by import outcome, for its batch record
+ * Rows left out as duplicates, at review or at import, count as skipped.
+ * 
+ * @param {string} source - Source file name
+ * @returns {{imported_count: number, skipped_count: number, failed_count: number}}
+ */
+function countBatchRows(source) {
+    const rows = importState.transactions.filter(t => t.source === source && t.isValid);
+    const unselectedDuplicate = t => !t.importStatus && !t.selected && (t.duplicateMatch || (t.repeatGroup && !t.repeatKept));
+    return {
+        imported_count: rows.filter(t => t.importStatus === 'imported').length,
+        skipped_count: rows.filter(t => t.importStatus === 'skipped' || unselectedDuplicate(t)).length,
+        failed_count: rows.filter(t => t.importStatus === 'failed').length
+    };
+}
+
+/**
+ * Get the import batch for a source file, creating it on first use
+ * A retry reuses the batch the file got on the first attempt.
+ *
+ * @param {string} source - Source file name
+ * @returns {Promise<{batchId: string|null, error: Object|null}>}
+ */
+async function getSourceBatch(source) {
+    if (importState.importBatches[source]) {
+        return { batchId: importState.importBatches[source], error: null };
+    }
+
+    const sourceFile = importState.sourceFiles[source] || { name: source, hash: null, profile: null, accountId: null };
+    const { data: batch, error } = await createImportBatch({
+        file_name: sourceFile.name,
+        file_hash: sourceFile.hash,
+        profile: sourceFile.profile,
+        account_id: sourceFile.accountId || importState.accountId
+    });
+
+    if (error) {
+        return { batchId: null, error };
+    }
+
+    updateState({ importBatches: { ...importState.importBatches, [source]: batch.id } });
+    return { batchId: batch.id, error: null };
+}
+
+/**
+ * Import transactions as one batch per source file
+ * Each file gets an import batch record and its expenses are tagged with it,
+ * so the file can be rolled back from the import history. A retry adds to
+ * the batch the file got on the first attempt. Progress is shown as rows are
+ * saved.
+ * 
+ * @param {Array<Object>} transactions - Transactions to insert (from toImportPayload)
+ * @returns {Promise<{imported: number, failed: Array<{transaction: Object, reason: string}>, errors: Array}>}
+ */
+async function importFileBatches(transactions) {
+    const bySource = new Map();
+    transactions.forEach(transaction => {
+        if (!bySource.has(transaction.source)) {
+            bySource.set(transaction.source, []);
+        }
+        bySource.get(transaction.source).push(transaction);
+    });
+
+    let imported = 0;
+    let saved = 0;
+    const failed = [];
+    const errors = [];
+
+    const reportProgress = done => {
+        const progress = 50 + Math.round((50 * done) / transactions.length);
+        updateState({ progress });
+        updateProgressBar(progress, `Saving transactions... ${done} of ${transactions.length}`);
+    };
+
+    for (const [source, rows] of bySource) {
+        const { batchId, error: batchError } = await getSourceBatch(source);
+
+        if (batchError) {
+            const rowFailures = rows.map(transaction => ({ transaction, reason: batchError.message }));
+            setImportStatus(rowFailures.map(({ transaction, reason }) => [transaction.rowIndex, 'failed', reason]));
+            failed.push(...rowFailures);
+            errors.push(batchError.message);
+            saved += rows.length;
+            reportProgress(saved);
+            continue;
+        }
+
+        const result = await batchImportTransactions(
+            rows.map(row => ({ ...row, importBatchId: batchId })),
+            done => reportProgress(saved + done)
+        );
+        saved += rows.length;
+        imported += result.imported;
+        failed.push(...result.failed);
+        errors.push(...result.errors);
+
+        const reasons = new Map(result.failed.map(({ transaction, reason }) => [transaction.rowIndex, reason]));
+        setImportStatus(rows.map(row => reasons.has(row.rowIndex)
+            ? [row.rowIndex, 'failed', reasons.get(row.rowIndex)]
+            : [row.rowIndex, 'imported']));
+
+        const { error: recordError } = await updateImportBatchCounts(batchId, countBatchRows(source));
+        if (recordError) {
+            console.error('Unable to update import history:', recordError.message);
+        }
+    }
+
+    return { imported, failed, errors: [...new Set(errors)] };
+}
+
 /**
  * Format a Date object to YYYY-MM-DD string for database storage
  * @param {Date} date - Date to format
@@ -535,6 +1765,7 @@ function closeImportDialog() {
  */
 function openImportDialog() {
     resetState();
+    learnedRulesLoad = null;
     updateState({ step: 'upload' });
 
     // Show dialog
@@ -546,9 +1777,13 @@ function openImportDialog() {
 
     // Reset UI to upload state
     showUploadSection();
+    hideMappingSection();
     hidePreviewSection();
     hideProgressSection();
     hideAlerts();
+    renderSheetChoice();
+    renderEncodingChoice();
+    loadImportAccounts();
 
     // Reset file input
     const fileInput = document.getElementById('import-file-input');
@@ -556,6 +1791,29 @@ function openImportDialog() {
         fileInput.value = '';
     }
 
+    // Reset paste mode
+    const pastePanel = document.getElementById('import-paste-panel');
+    const pasteToggle = document.getElementById('import-paste-toggle');
+    const pasteInput = document.getElementById('import-paste-input');
+    if (pastePanel) pastePanel.classList.add('hidden');
+    if (pasteToggle) pasteToggle.setAttribute('aria-expanded', 'false');
+    if (pasteInput) {
+        pasteInput.value = '';
+    }
+
+    // Reset mapping step choices from a previous file
+    const saveProfileCheckbox = document.getElementById('import-mapping-save-profile');
+    const profileNameInput = document.getElementById('import-mapping-profile-name');
+    const dateFormatSelect = document.getElementById('import-mapping-date-format');
+    const signSelect = document.getElementById('import-mapping-sign');
+    if (saveProfileCheckbox) saveProfileCheckbox.checked = false;
+    if (profileNameInput) {
+        profileNameInput.value = '';
+        profileNameInput.classList.add('hidden');
+    }
+    if (dateFormatSelect) dateFormatSelect.value = '';
+    if (signSelect) signSelect.value = 'debit-positive';
+
     // Disable import button
     const importBtn = document.getElementById('import-submit-btn');
     if (importBtn) {
@@ -583,6 +1841,26 @@ function hideUploadSection() {
     }
 }
 
+/**
+ * Show the column mapping section
+ */
+function showMappingSection() {
+    const section = document.getElementById('import-mapping-section');
+    if (section) {
+        section.classList.remove('hidden');
+    }
+}
+
+/**
+ * Hide the column mapping section
+ */
+function hideMappingSection() {
+    const section = document.getElementById('import-mapping-section');
+    if (section) {
+        section.classList.add('hidden');
+    }
+}
+
 /**
  * Show the preview section
  */
@@ -676,23 +1954,23 @@ function updateProgressBar(percent, text) {
 }
 
 /**
- * Valid expense categories for dropdown
+ * Fields that can be assigned to a column in the manual mapping step
  */
-const EXPENSE_CATEGORIES = [
-    'Food & Dining',
-    'Transportation',
-    'Shopping',
-    'Utilities',
-    'Entertainment',
-    'Healthcare',
-    'Subscriptions',
-    'Education',
-    'Housing',
-    'Personal Care',
-    'Travel',
-    'Other'
+const MAPPING_FIELDS = [
+    { key: 'date', label: 'Date', required: true },
+    { key: 'amount', label: 'Amount', required: true },
+    { key: 'debit', label: 'Debit', required: false },
+    { key: 'credit', label: 'Credit', required: false },
+    { key: 'direction', label: 'Dr/Cr', required: false },
+    { key: 'description', label: 'Description', required: true },
+    { key: 'category', label: 'Category', required: false }
 ];
 
+/**
+ * Number of sample rows shown in the mapping step
+ */
+const MAPPING_PREVIEW_ROWS = 5;
+
 /**
  * Handle file selection from input or drag-and-drop
  * Validates file and processes it if valid
@@ -701,29 +1979,378 @@ const EXPENSE_CATEGORIES = [
  * 
  * Requirements: 1.2, 1.3, 1.5, 1.6
  */
-async function handleFileSelect(file) {
-    if (!file) return;
+async function handleFileSelect(file) {
+    if (!file) return;
+
+    hideAlerts();
+
+    // A file chosen while previewing is added to the rows already shown
+    const previous = getState();
+    const adding = previous.step === 'preview' && previous.transactions.length > 0;
+    if (adding) {
+        updateState({ queuedTransactions: previous.transactions });
+    }
+
+    // Reading text from an image takes a while, so show its progress
+    const isImage = validateFile(file).fileType === 'image';
+    if (isImage) {
+        hideUploadSection();
+        hidePreviewSection();
+        updateProgressBar(0, 'Reading text from image...');
+        showProgressSection();
+    }
+
+    // Process the file
+    const result = await processFile(file);
+
+    if (isImage) {
+        hideProgressSection();
+        if (adding) {
+            showPreviewSection();
+        } else {
+            showUploadSection();
+        }
+    }
+
+    // Headers not recognised - let the user map columns by hand
+    if (result.needsMapping) {
+        hideUploadSection();
+        hidePreviewSection();
+        showMappingSection();
+        renderMappingStep();
+        return;
+    }
+
+    if (!result.success) {
+        if (adding) {
+            // Keep the files already in the preview
+            updateState({
+                step: 'preview',
+                file: previous.file,
+                profile: previous.profile,
+                queuedTransactions: previous.queuedTransactions,
+                sourceFiles: previous.sourceFiles,
+                error: null
+            });
+        }
+
+        // Name the file once errors may come from several
+        const label = adding || importState.pendingFiles.length > 0 ? `${file.name}: ` : '';
+        updateState({ fileErrors: [...importState.fileErrors, `${label}${result.error}`] });
+        await processNextPendingFile();
+        return;
+    }
+
+    // Hide upload section, show preview
+    hideUploadSection();
+    showPreviewSection();
+
+    // Render the preview table and summary
+    renderPreviewTable();
+    renderSummary();
+
+    // Enable import button if there are selected transactions
+    updateImportButtonState();
+
+    await processNextPendingFile();
+}
+
+/**
+ * Handle one or more chosen or dropped files
+ * ZIP archives are unpacked first. The files are then read one after another
+ * through handleFileSelect, each adding its rows to the preview; a file whose
+ * columns must be mapped by hand pauses the rest until the mapping is applied.
+ * Problems with individual files are collected and shown once all are read.
+ * 
+ * @param {FileList|Array<File>} fileList - Chosen files
+ */
+async function handleFilesSelect(fileList) {
+    const chosen = Array.from(fileList || []);
+    if (chosen.length === 0) return;
+
+    hideAlerts();
+
+    const files = [];
+    const fileErrors = [];
+    for (const file of chosen) {
+        if (!isZipFile(file)) {
+            files.push(file);
+            continue;
+        }
+
+        const { files: unpacked, skipped, error } = await extractZipFile(file);
+        if (error) {
+            fileErrors.push(`${file.name}: ${error}`);
+        } else if (unpacked.length === 0) {
+            fileErrors.push(`${file.name}: No supported statement files were found in this archive.`);
+        }
+        if (skipped.length > 0) {
+            fileErrors.push(`${file.name}: Skipped ${skipped.join(', ')} (unsupported type or over 5MB).`);
+        }
+        files.push(...unpacked);
+    }
+
+    updateState({ pendingFiles: files, fileErrors });
+    await processNextPendingFile();
+}
+
+/**
+ * Show or hide the paste area in the upload step
+ */
+function togglePastePanel() {
+    const pastePanel = document.getElementById('import-paste-panel');
+    const pasteToggle = document.getElementById('import-paste-toggle');
+    if (!pastePanel) return;
+
+    const opening = pastePanel.classList.contains('hidden');
+    pastePanel.classList.toggle('hidden', !opening);
+    if (pasteToggle) pasteToggle.setAttribute('aria-expanded', String(opening));
+    if (opening) {
+        const pasteInput = document.getElementById('import-paste-input');
+        if (pasteInput) pasteInput.focus();
+    }
+}
+
+/**
+ * Handle a paste into the paste area
+ * A table copied from a web page is put in as tab-separated rows so its
+ * columns survive; anything else is pasted as the browser would.
+ * @param {ClipboardEvent} e - Paste event
+ */
+function handlePasteInput(e) {
+    const html = e.clipboardData ? e.clipboardData.getData('text/html') : '';
+    const text = htmlTableToText(html);
+    if (!text) return;
+
+    e.preventDefault();
+    const pasteInput = e.target;
+    pasteInput.setRangeText(text, pasteInput.selectionStart, pasteInput.selectionEnd, 'end');
+}
+
+/**
+ * Import the rows in the paste area as if they were an uploaded file
+ * Bank SMS alerts are read as messages, anything else as a table.
+ */
+async function handlePasteSubmit() {
+    const pasteInput = document.getElementById('import-paste-input');
+    const text = pasteInput ? pasteInput.value.trim() : '';
+    if (!text) {
+        showErrorAlert('Paste some rows copied from net banking or a spreadsheet first.');
+        return;
+    }
+
+    const extension = isSmsText(text) ? 'txt' : 'csv';
+    await handleFilesSelect([createPastedFile(text, Object.keys(getState().sourceFiles), extension)]);
+}
+
+/**
+ * Read the next file waiting from a multi-file selection
+ * Once none are left, any problems with the files are shown together.
+ */
+async function processNextPendingFile() {
+    const [next, ...rest] = importState.pendingFiles;
+
+    if (!next) {
+        if (importState.fileErrors.length > 0) {
+            showErrorAlert(importState.fileErrors.join(' '));
+            updateState({ fileErrors: [] });
+        }
+        return;
+    }
+
+    updateState({ pendingFiles: rest });
+    await handleFileSelect(next);
+}
+
+/**
+ * Render the manual column mapping step
+ * Shows a field selector per mapping field and the first rows of the parsed file
+ */
+function renderMappingStep() {
+    const state = getState();
+    const parsedData = state.parsedData;
+    if (!parsedData) return;
+
+    renderSheetChoice();
+    renderEncodingChoice();
+
+    const fileLabel = document.getElementById('import-mapping-file');
+    if (fileLabel) {
+        const waiting = state.pendingFiles.length;
+        fileLabel.textContent = state.file
+            ? `File: ${state.file.name}${waiting > 0 ? ` (${waiting} more file${waiting !== 1 ? 's' : ''} waiting)` : ''}`
+            : '';
+    }
+
+    const mapping = state.mapping || {};
+    const columnCount = Math.max(
+        parsedData.headers.length,
+        ...parsedData.data.slice(0, MAPPING_PREVIEW_ROWS).map(row => row.length)
+    );
+    const columnLabels = Array.from({ length: columnCount }, (_, i) =>
+        (parsedData.hasHeader && parsedData.headers[i]) ? parsedData.headers[i] : `Column ${i + 1}`
+    );
+
+    const hasHeaderCheckbox = document.getElementById('import-mapping-has-header');
+    if (hasHeaderCheckbox) {
+        hasHeaderCheckbox.checked = parsedData.hasHeader;
+    }
+
+    const delimiterSelect = document.getElementById('import-mapping-delimiter');
+    if (delimiterSelect) {
+        delimiterSelect.value = parsedData.delimiter || ',';
+    }
+
+    const headerRowInput = document.getElementById('import-mapping-header-row');
+    if (headerRowInput) {
+        headerRowInput.value = parsedData.headerRow || 0;
+    }
+
+    const footerRowsInput = document.getElementById('import-mapping-footer-rows');
+    if (footerRowsInput) {
+        footerRowsInput.value = parsedData.footerRows || 0;
+    }
+
+    // Date format options are only added once
+    const dateFormatSelect = document.getElementById('import-mapping-date-format');
+    if (dateFormatSelect && dateFormatSelect.options.length <= 1) {
+        DATE_FORMATS.forEach(format => {
+            const option = document.createElement('option');
+            option.value = format.name;
+            option.textContent = format.name;
+            dateFormatSelect.appendChild(option);
+        });
+    }
+
+    // Field selectors
+    const fieldsContainer = document.getElementById('import-mapping-fields');
+    if (fieldsContainer) {
+        fieldsContainer.innerHTML = MAPPING_FIELDS.map(field => {
+            const selected = typeof mapping[field.key] === 'number' ? mapping[field.key] : -1;
+            const options = columnLabels.map((label, i) =>
+                `<option value="${i}" ${i === selected ? 'selected' : ''}>${escapeHtml(label)}</option>`
+            ).join('');
+            return `
+                <div class="form-group import-mapping-field">
+                    <label for="import-mapping-${field.key}">${field.label}${field.required ? '' : ' <span class="optional-label">(Optional)</span>'}</label>
+                    <select id="import-mapping-${field.key}" class="import-mapping-select" data-field="${field.key}">
+                        <option value="-1" ${selected === -1 ? 'selected' : ''}>${field.required ? 'Select a column' : 'Not in file'}</option>
+                        ${options}
+                    </select>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Sample rows
+    const thead = document.getElementById('import-mapping-thead');
+    if (thead) {
+        thead.innerHTML = `<tr>${columnLabels.map((label, i) => {
+            const field = MAPPING_FIELDS.find(f => mapping[f.key] === i);
+            const badge = field ? `<span class="import-mapping-badge">${field.label}</span>` : '';
+            return `<th class="${field ? 'import-mapping-mapped' : ''}">${escapeHtml(label)}${badge}</th>`;
+        }).join('')}</tr>`;
+    }
+
+    const tbody = document.getElementById('import-mapping-tbody');
+    if (tbody) {
+        tbody.innerHTML = parsedData.data.slice(0, MAPPING_PREVIEW_ROWS).map(row =>
+            `<tr>${columnLabels.map((_, i) => {
+                const mapped = MAPPING_FIELDS.some(f => mapping[f.key] === i);
+                return `<td class="${mapped ? 'import-mapping-mapped' : ''}">${escapeHtml(row[i] || '')}</td>`;
+            }).join('')}</tr>`
+        ).join('');
+    }
+}
+
+/**
+ * Read the column mapping currently chosen in the mapping selectors
+ * @returns {{date: number, amount: number, description: number, category: number}}
+ */
+function readMappingSelection() {
+    const mapping = {};
+    MAPPING_FIELDS.forEach(field => {
+        const select = document.getElementById(`import-mapping-${field.key}`);
+        mapping[field.key] = select ? parseInt(select.value, 10) : -1;
+    });
+    return mapping;
+}
+
+/**
+ * Handle a change to one of the mapping selectors
+ */
+function handleMappingSelectChange() {
+    updateState({ mapping: { ...getState().mapping, ...readMappingSelection() } });
+    renderMappingStep();
+}
+
+/**
+ * Read the date format and sign convention chosen in the mapping step
+ * @returns {{dateFormat: string|null, signConvention: string}}
+ */
+function readMappingOptions() {
+    const dateFormatSelect = document.getElementById('import-mapping-date-format');
+    const signSelect = document.getElementById('import-mapping-sign');
+    return {
+        dateFormat: dateFormatSelect && dateFormatSelect.value ? dateFormatSelect.value : null,
+        signConvention: signSelect ? signSelect.value : 'debit-positive'
+    };
+}
+
+/**
+ * Handle a change to the header toggle, delimiter or skipped lines in the mapping step
+ */
+function handleMappingParseOptionsChange() {
+    const hasHeaderCheckbox = document.getElementById('import-mapping-has-header');
+    const delimiterSelect = document.getElementById('import-mapping-delimiter');
+    const headerRowInput = document.getElementById('import-mapping-header-row');
+    const footerRowsInput = document.getElementById('import-mapping-footer-rows');
+
+    setMappingParseOptions({
+        hasHeader: hasHeaderCheckbox ? hasHeaderCheckbox.checked : true,
+        delimiter: delimiterSelect ? delimiterSelect.value : undefined,
+        headerRow: headerRowInput ? headerRowInput.value : 0,
+        footerRows: footerRowsInput ? footerRowsInput.value : 0
+    });
+    renderMappingStep();
+}
 
+/**
+ * Handle the mapping step's continue button
+ * Saves the mapping as a bank profile first when requested
+ */
+async function handleMappingApply() {
     hideAlerts();
 
-    // Process the file
-    const result = await processFile(file);
+    const mapping = readMappingSelection();
+    const options = readMappingOptions();
 
+    const result = applyColumnMapping(mapping, options);
     if (!result.success) {
         showErrorAlert(result.error);
         return;
     }
 
-    // Hide upload section, show preview
-    hideUploadSection();
-    showPreviewSection();
+    const saveProfileCheckbox = document.getElementById('import-mapping-save-profile');
+    if (saveProfileCheckbox && saveProfileCheckbox.checked) {
+        const nameInput = document.getElementById('import-mapping-profile-name');
+        const { error } = await saveMappingAsProfile(nameInput ? nameInput.value : '', mapping, options);
+        if (error) {
+            // The preview is still usable - the profile can be saved on a later import
+            showErrorAlert(error.message);
+        }
+    }
 
-    // Render the preview table and summary
+    await checkPreviewDuplicates();
+    await checkPreviewTransfers();
+
+    hideMappingSection();
+    showPreviewSection();
     renderPreviewTable();
     renderSummary();
-
-    // Enable import button if there are selected transactions
     updateImportButtonState();
+
+    await processNextPendingFile();
 }
 
 /**
@@ -743,14 +2370,33 @@ function renderPreviewTable() {
 
     if (transactions.length === 0) {
         const row = document.createElement('tr');
-        row.innerHTML = '<td colspan="6" class="import-table-empty">No transactions found</td>';
+        row.innerHTML = '<td colspan="8" class="import-table-empty">No transactions found</td>';
         tbody.appendChild(row);
         return;
     }
 
+    // Show each row's file once rows from more than one file are shown
+    const multipleFiles = new Set(transactions.map(t => t.source)).size > 1;
+    const table = document.getElementById('import-preview-table');
+    if (table) {
+        table.classList.toggle('import-preview-multi-file', multipleFiles);
+    }
+    const keptRepeats = new Map(transactions
+        .filter(t => t.repeatGroup && t.repeatKept)
+        .map(t => [t.repeatGroup, t]));
+
     transactions.forEach((transaction, index) => {
         const row = document.createElement('tr');
-        row.className = transaction.isValid ? '' : 'import-row-invalid';
+        // Imported rows stay in view but can no longer be changed
+        const imported = transaction.importStatus === 'imported';
+        const locked = !transaction.isValid || imported;
+        if (!transaction.isValid) {
+            row.className = 'import-row-invalid';
+        } else if (imported) {
+            row.className = 'import-row-imported';
+        } else if (isLowConfidence(transaction)) {
+            row.className = 'import-row-low-confidence';
+        }
         row.dataset.index = index;
 
         // Format date for display
@@ -765,15 +2411,45 @@ function renderPreviewTable() {
             dateDisplay = transaction.rawDate;
         }
 
-        // Format amount for display
+        // Format amount for display, marking money coming in
+        const isCredit = transaction.direction === 'credit';
         const amountDisplay = transaction.amount
-            ? new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR' }).format(transaction.amount)
+            ? `${isCredit ? '+' : ''}${new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR' }).format(transaction.amount)}`
             : transaction.rawAmount || '';
 
+        // Credits can be imported as a refund or as income
+        const isTransfer = isTransferRow(transaction);
+        let typeHtml = '<span class="import-type-expense">Expense</span>';
+        if (isTransfer) {
+            typeHtml = '<span class="import-type-expense">Transfer</span>';
+        } else if (isCredit) {
+            const typeOptions = [['refund', 'Refund'], ['income', 'Income']].map(([value, label]) =>
+                `<option value="${value}" ${value === transaction.transactionType ? 'selected' : ''}>${label}</option>`
+            ).join('');
+            typeHtml = `
+                <select class="import-type-select" data-index="${index}" ${locked ? 'disabled' : ''}
+                    aria-label="Transaction type">
+                    ${typeOptions}
+                </select>`;
+        }
+
         // Build category dropdown
         const categoryOptions = EXPENSE_CATEGORIES.map(cat =>
             `<option value="${cat}" ${cat === transaction.category ? 'selected' : ''}>${cat}</option>`
         ).join('');
+        let categoryHtml = transaction.transactionType === 'income'
+            ? `<span class="import-category-income">${INCOME_CATEGORY}</span>`
+            : `<select class="import-category-select" data-index="${index}" ${locked ? 'disabled' : ''}>
+                    ${categoryOptions}
+                </select>`;
+        if (isTransfer) {
+            categoryHtml = `<span class="import-category-income">${TRANSFER_CATEGORY}</span>`;
+        }
+
+        // Flag guesses the user should check
+        const confidenceHtml = transaction.isValid && !isTransfer && isLowConfidence(transaction)
+            ? '<span class="import-confidence-low" title="Category could not be determined confidently - please check">Check</span>'
+            : '';
 
         // Build status display
         let statusHtml = '';
@@ -784,28 +2460,217 @@ function renderPreviewTable() {
             statusHtml = `<span class="import-status-invalid" title="${escapeHtml(errorText)}">Invalid</span>`;
         }
 
+        // Outcome of an import that didn't complete
+        if (imported) {
+            statusHtml = '<span class="import-status-imported">Imported</span>';
+        } else if (transaction.importStatus === 'skipped' && isTransfer) {
+            statusHtml = '<span class="import-status-skipped" title="Recorded as a transfer with its other side">Transfer</span>';
+        } else if (transaction.importStatus === 'skipped') {
+            statusHtml = '<span class="import-status-skipped" title="Matched a saved expense when importing">Skipped</span>';
+        } else if (transaction.importStatus === 'failed') {
+            statusHtml = `<span class="import-status-failed">Failed</span>
+                <span class="import-row-error">${escapeHtml(transaction.importError || '')}</span>`;
+        }
+
+        // Rows repeated within the files being imported
+        if (transaction.repeatGroup) {
+            if (transaction.repeatKept) {
+                statusHtml += ` <span class="import-repeat" title="This row appears ${transaction.repeatCount} times in the files being imported. Only this copy was selected.">Repeated ×${transaction.repeatCount}</span>`;
+            } else {
+                const kept = keptRepeats.get(transaction.repeatGroup);
+                const where = kept && kept.source !== transaction.source ? ` in ${kept.source}` : '';
+                statusHtml += ` <span class="import-repeat import-repeat-copy" title="${escapeHtml(`Same as another row${where}. This copy was unselected.`).replace(/"/g, '&quot;')}">Repeat</span>`;
+            }
+        }
+
+        // Fields read from an image can be corrected in place
+        let dateHtml = escapeHtml(dateDisplay);
+        let amountHtml = escapeHtml(amountDisplay);
+        let descriptionHtml = escapeHtml(transaction.description || '');
+        if (transaction.accountSuffix) {
+            const matched = findAccountBySuffix(state.accounts, transaction.accountSuffix);
+            const accountName = matched ? ` · ${escapeHtml(matched.name)}` : '';
+            descriptionHtml += ` <span class="import-row-account">A/c ••${escapeHtml(transaction.accountSuffix)}${accountName}</span>`;
+        }
+        if (transaction.fieldConfidence && !imported) {
+            const dateValue = transaction.date instanceof Date ? formatDateForDB(transaction.date) : '';
+            const amountValue = transaction.amount ? String(transaction.amount) : transaction.rawAmount || '';
+            dateHtml = renderEditableField(transaction, index, 'date', dateValue, 'date');
+            amountHtml = renderEditableField(transaction, index, 'amount', amountValue, 'text');
+            descriptionHtml = renderEditableField(transaction, index, 'description', transaction.description || '', 'text');
+
+            const percent = Math.round(transaction.ocrConfidence * 100);
+            const lowClass = isLowOcrConfidence(transaction.ocrConfidence) ? ' import-ocr-confidence-low' : '';
+            statusHtml += ` <span class="import-ocr-confidence${lowClass}" title="Text recognition confidence">OCR ${percent}%</span>`;
+        }
+
         row.innerHTML = `
             <td class="import-table-checkbox">
                 <input type="checkbox" 
                     class="import-row-checkbox" 
                     data-index="${index}"
                     ${transaction.selected ? 'checked' : ''}
-                    ${!transaction.isValid ? 'disabled' : ''}
+                    ${locked ? 'disabled' : ''}
                     aria-label="Select transaction">
             </td>
-            <td class="import-table-date">${escapeHtml(dateDisplay)}</td>
-            <td class="import-table-amount">${escapeHtml(amountDisplay)}</td>
-            <td class="import-table-description">${escapeHtml(transaction.description || '')}</td>
+            <td class="import-table-date">${dateHtml}</td>
+            <td class="import-table-amount${isCredit ? ' import-amount-credit' : ''}">${amountHtml}</td>
+            <td class="import-table-type">${typeHtml}</td>
+            <td class="import-table-description">${descriptionHtml}</td>
+            <td class="import-table-source">${escapeHtml(transaction.source || '')}</td>
             <td class="import-table-category">
-                <select class="import-category-select" data-index="${index}" ${!transaction.isValid ? 'disabled' : ''}>
-                    ${categoryOptions}
-                </select>
+                ${categoryHtml}
+                ${confidenceHtml}
             </td>
             <td class="import-table-status">${statusHtml}</td>
         `;
 
         tbody.appendChild(row);
+
+        // Show a possible duplicate next to the saved expense it matches
+        if (transaction.isValid && transaction.duplicateMatch && !imported) {
+            tbody.appendChild(renderDuplicateRow(transaction, index, dateDisplay, amountDisplay));
+        }
+
+        // Offer to record the row and its other side as a transfer
+        if (transaction.isValid && transaction.transferMatch && !transaction.importStatus) {
+            const row = renderTransferRow(transaction, index, state.accounts);
+            if (row) {
+                tbody.appendChild(row);
+            }
+        }
+    });
+}
+
+/**
+ * Render the review row for a possible transfer between the user's accounts
+ * Names the accounts and the other side, with buttons to record the pair as
+ * a transfer or import the row as it is. The credit of a pair within these
+ * files isn't given its own row; its debit's row covers both.
+ * 
+ * @param {Object} transaction - Previewed transaction with a transferMatch
+ * @param {number} index - Transaction index
+ * @param {Array<{id: string, name: string}>} accounts - The user's accounts
+ * @returns {HTMLTableRowElement|null}
+ */
+function renderTransferRow(transaction, index, accounts) {
+    const match = transaction.transferMatch;
+    if (match.kind === 'preview' && transaction.direction === 'credit') {
+        return null;
+    }
+
+    const accountName = id => {
+        const account = accounts.find(a => a.id === id);
+        return account ? account.name : 'another account';
+    };
+    const formatDay = date => new Date(`${date}T00:00:00`).toLocaleDateString('en-IN', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric'
+    });
+
+    let otherSide;
+    if (match.kind === 'preview') {
+        const credit = importState.transactions[match.counterpartIndex];
+        otherSide = `Paid into ${accountName(match.toAccountId)}: ${credit.description || ''} on ${formatDay(formatDateForDB(credit.date))}${credit.source ? ` in ${credit.source}` : ''}`;
+    } else if (match.kind === 'saved') {
+        otherSide = `Already saved: ${match.expense.expense_name || ''} on ${formatDay(match.expense.date)}`;
+    } else {
+        otherSide = `Already recorded as a transfer on ${formatDay(match.expense.date)} - this row won't be saved again`;
+    }
+
+    const accepted = isTransferRow(transaction);
+    const row = document.createElement('tr');
+    row.className = 'import-transfer-row';
+    row.innerHTML = `
+        <td></td>
+        <td colspan="7">
+            <div class="import-transfer">
+                <span class="import-transfer-label">Transfer from ${escapeHtml(accountName(match.fromAccountId))} to ${escapeHtml(accountName(match.toAccountId))}</span>
+                <span class="import-transfer-other">${escapeHtml(otherSide)}</span>
+                <div class="import-transfer-actions">
+                    <button type="button" class="btn btn-sm ${accepted ? 'btn-primary' : 'btn-secondary'} import-transfer-action"
+                        data-index="${index}" data-action="accept" aria-pressed="${accepted}">Transfer</button>
+                    <button type="button" class="btn btn-sm ${accepted ? 'btn-secondary' : 'btn-primary'} import-transfer-action"
+                        data-index="${index}" data-action="decline" aria-pressed="${!accepted}">Not a transfer</button>
+                </div>
+            </div>
+        </td>
+    `;
+
+    return row;
+}
+
+/**
+ * Render the review row for a possible duplicate
+ * Puts the imported row beside the saved expense with skip and keep buttons
+ * 
+ * @param {Object} transaction - Previewed transaction with a duplicateMatch
+ * @param {number} index - Transaction index
+ * @param {string} dateDisplay - Formatted date of the imported row
+ * @param {string} amountDisplay - Formatted amount of the imported row
+ * @returns {HTMLTableRowElement}
+ */
+function renderDuplicateRow(transaction, index, dateDisplay, amountDisplay) {
+    const { expense, score, level } = transaction.duplicateMatch;
+    const decision = transaction.duplicateDecision;
+
+    const expenseDate = new Date(`${expense.date}T00:00:00`).toLocaleDateString('en-IN', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric'
     });
+    const expenseAmount = new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR' }).format(expense.amount);
+    const label = level === 'duplicate' ? 'Likely duplicate' : 'Possible duplicate';
+
+    const row = document.createElement('tr');
+    row.className = `import-duplicate-row import-duplicate-${level}`;
+    row.innerHTML = `
+        <td></td>
+        <td colspan="7">
+            <div class="import-duplicate">
+                <span class="import-duplicate-label">${label} (${Math.round(score * 100)}% match)</span>
+                <div class="import-duplicate-compare">
+                    <div class="import-duplicate-side">
+                        <span class="import-duplicate-heading">In this file</span>
+                        <span>${escapeHtml(dateDisplay)} · ${escapeHtml(amountDisplay)}</span>
+                        <span>${escapeHtml(transaction.description || '')}</span>
+                    </div>
+                    <div class="import-duplicate-side">
+                        <span class="import-duplicate-heading">Already saved</span>
+                        <span>${escapeHtml(expenseDate)} · ${escapeHtml(expenseAmount)}</span>
+                        <span>${escapeHtml(expense.expense_name || '')} · ${escapeHtml(expense.category || '')}</span>
+                    </div>
+                </div>
+                <div class="import-duplicate-actions">
+                    <button type="button" class="btn btn-sm ${decision === 'skip' ? 'btn-primary' : 'btn-secondary'} import-duplicate-action"
+                        data-index="${index}" data-action="skip" aria-pressed="${decision === 'skip'}">Skip</button>
+                    <button type="button" class="btn btn-sm ${decision === 'keep' ? 'btn-primary' : 'btn-secondary'} import-duplicate-action"
+                        data-index="${index}" data-action="keep" aria-pressed="${decision === 'keep'}">Keep</button>
+                </div>
+            </div>
+        </td>
+    `;
+
+    return row;
+}
+
+/**
+ * Render an input for correcting a field read by OCR
+ * Fields recognised with low confidence are highlighted
+ * 
+ * @param {Object} transaction - Previewed transaction
+ * @param {number} index - Transaction index
+ * @param {'date'|'amount'|'description'} field - Field to edit
+ * @param {string} value - Current value
+ * @param {string} type - Input type
+ * @returns {string} Input HTML
+ */
+function renderEditableField(transaction, index, field, value, type) {
+    const lowClass = isLowOcrConfidence(transaction.fieldConfidence[field]) ? ' import-edit-low' : '';
+    const inputMode = field === 'amount' ? 'inputmode="decimal"' : '';
+    return `<input type="${type}" class="import-edit-input${lowClass}" data-index="${index}" data-field="${field}"
+        value="${escapeHtml(value).replace(/"/g, '&quot;')}" ${inputMode} aria-label="Edit ${field}">`;
 }
 
 /**
@@ -835,11 +2700,82 @@ function renderSummary() {
     const invalidEl = document.getElementById('import-summary-invalid');
     const selectedEl = document.getElementById('import-summary-selected');
     const amountEl = document.getElementById('import-summary-amount');
+    const duplicatesEl = document.getElementById('import-summary-duplicates');
+    const transfersEl = document.getElementById('import-summary-transfers');
+
+    // Name the bank profile the file was read with
+    const profileInfo = document.getElementById('import-profile-info');
+    if (profileInfo) {
+        profileInfo.textContent = state.profile ? `Read using bank profile: ${state.profile.name}` : '';
+        profileInfo.classList.toggle('hidden', !state.profile);
+    }
+
+    // Break the counts down by file once rows come from more than one
+    const fileSummary = document.getElementById('import-file-summary');
+    if (fileSummary) {
+        const bySource = new Map();
+        state.transactions.forEach(transaction => {
+            const source = transaction.source || '';
+            if (!bySource.has(source)) {
+                bySource.set(source, []);
+            }
+            bySource.get(source).push(transaction);
+        });
+
+        fileSummary.innerHTML = bySource.size > 1
+            ? [...bySource].map(([source, rows]) => {
+                const fileCounts = calculateSummary(rows);
+                const counts = [
+                    `${fileCounts.total} row${fileCounts.total !== 1 ? 's' : ''}`,
+                    fileCounts.invalid > 0 ? `${fileCounts.invalid} invalid` : '',
+                    fileCounts.duplicates > 0 ? `${fileCounts.duplicates} possible duplicate${fileCounts.duplicates !== 1 ? 's' : ''}` : '',
+                    `${fileCounts.selected} selected`,
+                    new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR' }).format(fileCounts.totalAmount)
+                ].filter(Boolean).join(' · ');
+                return `<li><span class="import-file-summary-name">${escapeHtml(source)}</span>
+                    <span class="import-file-summary-counts">${counts}</span></li>`;
+            }).join('')
+            : '';
+        fileSummary.classList.toggle('hidden', bySource.size <= 1);
+    }
+
+    // Warn when a file has been imported before
+    const batchNotice = document.getElementById('import-batch-notice');
+    if (batchNotice) {
+        const repeats = Object.values(state.sourceFiles).filter(sourceFile => sourceFile.previousBatch);
+        batchNotice.textContent = repeats.map(sourceFile => {
+            const importedOn = new Date(sourceFile.previousBatch.created_at).toLocaleDateString('en-IN', {
+                year: 'numeric',
+                month: 'short',
+                day: 'numeric'
+            });
+            return `${sourceFile.name} was already imported on ${importedOn}.`;
+        }).join(' ') + (repeats.length > 0 ? ' Rows you already have are flagged as duplicates below.' : '');
+        batchNotice.classList.toggle('hidden', repeats.length === 0);
+    }
+
+    renderSheetChoice();
+    renderEncodingChoice();
+    renderLayoutChoice();
+    renderAccountChoice();
+
+    // Offer the other readings when the file's date format is ambiguous or inconsistent
+    const dateFormatNotice = document.getElementById('import-date-format-notice');
+    const dateFormatChoice = document.getElementById('import-date-format-choice');
+    if (dateFormatNotice && dateFormatChoice) {
+        const ambiguous = state.dateFormatCandidates.length > 1;
+        dateFormatChoice.innerHTML = state.dateFormatCandidates.map(name =>
+            `<option value="${name}" ${name === state.dateFormat ? 'selected' : ''}>${name}</option>`
+        ).join('');
+        dateFormatNotice.classList.toggle('hidden', !ambiguous);
+    }
 
     if (totalEl) totalEl.textContent = summary.total;
     if (validEl) validEl.textContent = summary.valid;
     if (invalidEl) invalidEl.textContent = summary.invalid;
     if (selectedEl) selectedEl.textContent = summary.selected;
+    if (duplicatesEl) duplicatesEl.textContent = summary.duplicates;
+    if (transfersEl) transfersEl.textContent = summary.transfers;
     if (amountEl) {
         amountEl.textContent = new Intl.NumberFormat('en-IN', {
             style: 'currency',
@@ -900,6 +2836,9 @@ async function handleImportClick() {
             if (result.duplicates > 0) {
                 message += `. ${result.duplicates} duplicate${result.duplicates !== 1 ? 's' : ''} skipped.`;
             }
+            if (result.transfers > 0) {
+                message += `${result.duplicates > 0 ? '' : '.'} ${result.transfers} row${result.transfers !== 1 ? 's' : ''} matched to transfers between your accounts.`;
+            }
 
             showSuccessAlert(message);
 
@@ -911,13 +2850,20 @@ async function handleImportClick() {
                 await refreshExpenseList();
             }, 1500);
         } else {
-            // Show error
+            // Show error, with each failed row marked in the preview
             hideProgressSection();
+            renderPreviewTable();
+            renderSummary();
             showPreviewSection();
 
-            const errorMessage = result.errors.length > 0
+            let errorMessage = result.errors.length > 0
                 ? result.errors.join('. ')
                 : 'Import failed. Please try again.';
+            if (result.imported > 0) {
+                errorMessage = `${result.imported} of ${result.imported + result.failed} transactions imported. ` +
+                    `${errorMessage}. Import again to retry the ${result.failed} failed row${result.failed !== 1 ? 's' : ''}.`;
+                await refreshExpenseList();
+            }
             showErrorAlert(errorMessage);
 
             // Re-enable import button
@@ -983,6 +2929,265 @@ function handleSelectAllChange(checked) {
  */
 function handleCategoryChange(index, category) {
     updateTransactionCategory(index, category);
+    // Re-render so the highlight clears and same-merchant rows pick up the change
+    renderPreviewTable();
+}
+
+/**
+ * Handle refund/income choice for a credit
+ * @param {number} index - Transaction index
+ * @param {string} transactionType - New transaction type
+ */
+function handleTypeChange(index, transactionType) {
+    updateTransactionType(index, transactionType);
+    renderPreviewTable();
+    renderSummary();
+}
+
+/**
+ * Handle a correction to a field read by OCR
+ * The duplicate check runs again since the date or amount may have changed
+ * @param {number} index - Transaction index
+ * @param {string} field - Edited field
+ * @param {string} value - New value
+ */
+async function handleFieldEdit(index, field, value) {
+    updateTransactionFields(index, { [field]: value });
+    await checkPreviewDuplicates();
+    await checkPreviewTransfers();
+    renderPreviewTable();
+    renderSummary();
+    updateImportButtonState();
+}
+
+/**
+ * Handle the choice to record a paired row as a transfer or not
+ * @param {number} index - Transaction index
+ * @param {'accept'|'decline'} decision - The user's choice
+ */
+function handleTransferDecision(index, decision) {
+    resolveTransfer(index, decision === 'accept');
+    renderPreviewTable();
+    renderSummary();
+    updateImportButtonState();
+}
+
+/**
+ * Handle the skip or keep choice for a possible duplicate
+ * Rows are paired as transfers again since skipped duplicates aren't paired
+ * @param {number} index - Transaction index
+ * @param {'skip'|'keep'} decision - The user's choice
+ */
+async function handleDuplicateDecision(index, decision) {
+    resolveDuplicate(index, decision);
+    await checkPreviewTransfers();
+    renderPreviewTable();
+    renderSummary();
+    updateImportButtonState();
+}
+
+/**
+ * Show the sheet picker while a workbook with several sheets is being read
+ */
+function renderSheetChoice() {
+    const state = getState();
+    const sheetNotice = document.getElementById('import-sheet-notice');
+    const sheetChoice = document.getElementById('import-sheet-choice');
+    const sheetLabel = document.getElementById('import-sheet-label');
+    if (!sheetNotice || !sheetChoice) return;
+
+    const multipleSheets = state.sheetNames.length > 1 && (state.step === 'preview' || state.step === 'mapping');
+    if (multipleSheets) {
+        sheetChoice.innerHTML = state.sheetNames.map(name => {
+            const value = escapeHtml(name).replace(/"/g, '&quot;');
+            return `<option value="${value}" ${name === state.sheetName ? 'selected' : ''}>${escapeHtml(name)}</option>`;
+        }).join('');
+        if (sheetLabel) {
+            sheetLabel.textContent = `${state.file.name} has ${state.sheetNames.length} sheets. Reading transactions from:`;
+        }
+    }
+    sheetNotice.classList.toggle('hidden', !multipleSheets);
+}
+
+/**
+ * Show the detected text encoding of the last CSV or OFX file, with a selector to change it
+ */
+function renderEncodingChoice() {
+    const state = getState();
+    const encodingNotice = document.getElementById('import-encoding-notice');
+    const encodingChoice = document.getElementById('import-encoding-choice');
+    const encodingLabel = document.getElementById('import-encoding-label');
+    if (!encodingNotice || !encodingChoice) return;
+
+    const showEncoding = Boolean(state.encoding) && (state.step === 'preview' || state.step === 'mapping');
+    if (showEncoding) {
+        const values = ENCODINGS.map(option => option.value);
+        if (!values.includes(state.encoding)) {
+            values.push(state.encoding);
+        }
+        encodingChoice.innerHTML = values.map(value => {
+            const label = getEncodingLabel(value) + (value === state.detectedEncoding ? ' (detected)' : '');
+            return `<option value="${value}" ${value === state.encoding ? 'selected' : ''}>${escapeHtml(label)}</option>`;
+        }).join('');
+        if (encodingLabel) {
+            encodingLabel.textContent = `Text encoding of ${state.file.name}:`;
+        }
+    }
+    encodingNotice.classList.toggle('hidden', !showEncoding);
+}
+
+/**
+ * Read the last file again with different options
+ * The file's rows are replaced; rows from other files stay in the preview,
+ * and what was shown before is kept if the file can't be read this way.
+ * @param {Object} options - processFile options
+ */
+async function reprocessCurrentFile(options) {
+    const previous = getState();
+    if (!previous.file) return;
+
+    hideAlerts();
+    updateState({ queuedTransactions: previous.transactions.filter(t => t.source !== previous.file.name) });
+
+    const result = await processFile(previous.file, options);
+
+    if (result.needsMapping) {
+        hidePreviewSection();
+        showMappingSection();
+        renderMappingStep();
+        return;
+    }
+
+    if (!result.success) {
+        // Keep what was shown before
+        updateState({
+            step: previous.step,
+            sheetNames: previous.sheetNames,
+            sheetName: previous.sheetName,
+            encoding: previous.encoding,
+            detectedEncoding: previous.detectedEncoding,
+            csvLayout: previous.csvLayout,
+            rawContent: previous.rawContent,
+            transactions: previous.transactions,
+            summary: previous.summary,
+            queuedTransactions: previous.queuedTransactions,
+            error: null
+        });
+        renderSheetChoice();
+        renderEncodingChoice();
+        renderLayoutChoice();
+        showErrorAlert(result.error);
+        return;
+    }
+
+    hideMappingSection();
+    showPreviewSection();
+    renderPreviewTable();
+    renderSummary();
+    updateImportButtonState();
+}
+
+/**
+ * Handle the user picking another sheet of the last spreadsheet read
+ * @param {string} sheetName - Sheet to read
+ */
+async function handleSheetChange(sheetName) {
+    await reprocessCurrentFile({ sheetName });
+}
+
+/**
+ * Handle the user picking another text encoding for the last CSV or OFX file
+ * @param {string} encoding - Encoding to read the file with
+ */
+async function handleEncodingChange(encoding) {
+    await reprocessCurrentFile({ encoding });
+}
+
+/**
+ * Show which lines around the last CSV or spreadsheet table were skipped,
+ * with inputs to change them
+ */
+function renderLayoutChoice() {
+    const state = getState();
+    const layoutNotice = document.getElementById('import-layout-notice');
+    const layoutText = document.getElementById('import-layout-text');
+    if (!layoutNotice) return;
+
+    const layout = state.step === 'preview' && state.file ? state.csvLayout : null;
+    if (layout) {
+        const skipped = [
+            layout.headerRow > 0 ? `${layout.headerRow} line${layout.headerRow !== 1 ? 's' : ''} above the table` : '',
+            layout.footerRows > 0 ? `${layout.footerRows} summary line${layout.footerRows !== 1 ? 's' : ''} below it` : ''
+        ].filter(Boolean);
+        if (layoutText) {
+            layoutText.textContent = skipped.length > 0
+                ? `Skipped ${skipped.join(' and ')} in ${state.file.name}.`
+                : `Read every line of ${state.file.name}.`;
+        }
+        document.getElementById('import-layout-header-row').value = layout.headerRow;
+        document.getElementById('import-layout-footer-rows').value = layout.footerRows;
+    }
+    layoutNotice.classList.toggle('hidden', !layout);
+}
+
+/**
+ * Handle the user changing the lines skipped around the last file's table
+ */
+async function handleLayoutApply() {
+    const state = getState();
+    if (!state.csvLayout) return;
+
+    const headerRowInput = document.getElementById('import-layout-header-row');
+    const footerRowsInput = document.getElementById('import-layout-footer-rows');
+    await reprocessCurrentFile({
+        sheetName: state.sheetName || undefined,
+        encoding: state.encoding || undefined,
+        layout: {
+            headerRow: Math.max(0, parseInt(headerRowInput.value, 10) || 0),
+            footerRows: Math.max(0, parseInt(footerRowsInput.value, 10) || 0)
+        }
+    });
+}
+
+/**
+ * Fill in the account the previewed files are imported into
+ */
+function renderAccountChoice() {
+    const accountNotice = document.getElementById('import-account-notice');
+    const accountChoice = document.getElementById('import-account-choice');
+    if (!accountNotice || !accountChoice) return;
+
+    const state = getState();
+    accountChoice.innerHTML = state.accounts.map(account =>
+        `<option value="${account.id}" ${account.id === state.accountId ? 'selected' : ''}>${escapeHtml(account.name)}</option>`
+    ).join('');
+    accountNotice.classList.toggle('hidden', state.accounts.length === 0);
+}
+
+/**
+ * Handle the user choosing the account to import into
+ * Rows are paired as transfers again since pairs depend on the accounts
+ * @param {string} accountId - The account ID
+ */
+async function handleAccountChange(accountId) {
+    setImportAccount(accountId);
+    await checkPreviewTransfers();
+    renderPreviewTable();
+    renderSummary();
+    updateImportButtonState();
+}
+
+/**
+ * Handle the user choosing how to read an ambiguous file's dates
+ * @param {string} formatName - DATE_FORMATS name
+ */
+async function handleDateFormatChange(formatName) {
+    setPreviewDateFormat(formatName);
+    await checkPreviewDuplicates();
+    await checkPreviewTransfers();
+    renderPreviewTable();
+    renderSummary();
+    updateImportButtonState();
 }
 
 /**
@@ -1028,10 +3233,35 @@ function initImportDialog() {
     const fileInput = document.getElementById('import-file-input');
     if (fileInput) {
         fileInput.addEventListener('change', (e) => {
-            const file = e.target.files[0];
-            if (file) {
-                handleFileSelect(file);
-            }
+            handleFilesSelect(e.target.files);
+        });
+    }
+
+    // Paste rows instead of choosing a file
+    const pasteToggle = document.getElementById('import-paste-toggle');
+    if (pasteToggle) {
+        pasteToggle.addEventListener('click', togglePastePanel);
+    }
+
+    const pasteInput = document.getElementById('import-paste-input');
+    if (pasteInput) {
+        pasteInput.addEventListener('paste', handlePasteInput);
+    }
+
+    const pasteSubmit = document.getElementById('import-paste-submit');
+    if (pasteSubmit) {
+        pasteSubmit.addEventListener('click', () => {
+            handlePasteSubmit();
+        });
+    }
+
+    // Add another file to the preview
+    const addFileBtn = document.getElementById('import-add-file-btn');
+    if (addFileBtn && fileInput) {
+        addFileBtn.addEventListener('click', () => {
+            // Clear the last choice so the change event fires for any file
+            fileInput.value = '';
+            fileInput.click();
         });
     }
 
@@ -1074,10 +3304,7 @@ function initImportDialog() {
             e.stopPropagation();
             dropzone.classList.remove('import-dropzone-active');
 
-            const files = e.dataTransfer.files;
-            if (files.length > 0) {
-                handleFileSelect(files[0]);
-            }
+            handleFilesSelect(e.dataTransfer.files);
         });
     }
 
@@ -1091,6 +3318,43 @@ function initImportDialog() {
         });
     }
 
+    // Column mapping step
+    const mappingFields = document.getElementById('import-mapping-fields');
+    if (mappingFields) {
+        mappingFields.addEventListener('change', (e) => {
+            if (e.target.classList.contains('import-mapping-select')) {
+                handleMappingSelectChange();
+            }
+        });
+    }
+
+    ['import-mapping-has-header', 'import-mapping-delimiter', 'import-mapping-header-row', 'import-mapping-footer-rows'].forEach(id => {
+        const control = document.getElementById(id);
+        if (control) {
+            control.addEventListener('change', () => {
+                handleMappingParseOptionsChange();
+            });
+        }
+    });
+
+    const saveProfileCheckbox = document.getElementById('import-mapping-save-profile');
+    if (saveProfileCheckbox) {
+        saveProfileCheckbox.addEventListener('change', (e) => {
+            const nameInput = document.getElementById('import-mapping-profile-name');
+            if (nameInput) {
+                nameInput.classList.toggle('hidden', !e.target.checked);
+                if (e.target.checked) nameInput.focus();
+            }
+        });
+    }
+
+    const mappingApplyBtn = document.getElementById('import-mapping-apply-btn');
+    if (mappingApplyBtn) {
+        mappingApplyBtn.addEventListener('click', () => {
+            handleMappingApply();
+        });
+    }
+
     // Select all checkbox
     const selectAllCheckbox = document.getElementById('import-select-all');
     if (selectAllCheckbox) {
@@ -1099,6 +3363,46 @@ function initImportDialog() {
         });
     }
 
+    // Sheet choice for workbooks with several sheets
+    const sheetChoice = document.getElementById('import-sheet-choice');
+    if (sheetChoice) {
+        sheetChoice.addEventListener('change', (e) => {
+            handleSheetChange(e.target.value);
+        });
+    }
+
+    // Text encoding of CSV and OFX files
+    const encodingChoice = document.getElementById('import-encoding-choice');
+    if (encodingChoice) {
+        encodingChoice.addEventListener('change', (e) => {
+            handleEncodingChange(e.target.value);
+        });
+    }
+
+    // Lines skipped above and below the table
+    const layoutApply = document.getElementById('import-layout-apply');
+    if (layoutApply) {
+        layoutApply.addEventListener('click', () => {
+            handleLayoutApply();
+        });
+    }
+
+    // Account the files are imported into
+    const accountChoice = document.getElementById('import-account-choice');
+    if (accountChoice) {
+        accountChoice.addEventListener('change', (e) => {
+            handleAccountChange(e.target.value);
+        });
+    }
+
+    // Date format choice for ambiguous files
+    const dateFormatChoice = document.getElementById('import-date-format-choice');
+    if (dateFormatChoice) {
+        dateFormatChoice.addEventListener('change', (e) => {
+            handleDateFormatChange(e.target.value);
+        });
+    }
+
     // Event delegation for preview table
     const previewTbody = document.getElementById('import-preview-tbody');
     if (previewTbody) {
@@ -1113,6 +3417,34 @@ function initImportDialog() {
                 const index = parseInt(e.target.dataset.index, 10);
                 handleCategoryChange(index, e.target.value);
             }
+
+            if (e.target.classList.contains('import-type-select')) {
+                const index = parseInt(e.target.dataset.index, 10);
+                handleTypeChange(index, e.target.value);
+            }
+
+            if (e.target.classList.contains('import-edit-input')) {
+                const index = parseInt(e.target.dataset.index, 10);
+                handleFieldEdit(index, e.target.dataset.field, e.target.value);
+            }
+        });
+
+        // Skip or keep a possible duplicate
+        previewTbody.addEventListener('click', (e) => {
+            const button = e.target.closest('.import-duplicate-action');
+            if (button) {
+                const index = parseInt(button.dataset.index, 10);
+                handleDuplicateDecision(index, button.dataset.action);
+            }
+        });
+
+        // Record a paired row as a transfer or import it as it is
+        previewTbody.addEventListener('click', (e) => {
+            const button = e.target.closest('.import-transfer-action');
+            if (button) {
+                const index = parseInt(button.dataset.index, 10);
+                handleTransferDecision(index, button.dataset.action);
+            }
         });
     }
 
@@ -1133,6 +3465,10 @@ export {
     // File processing
     processFile,
     readFileContent,
+    readFileBuffer,
+    buildPreview,
+    setPreviewDateFormat,
+    setImportAccount,
 
     // Summary and sorting
     calculateSummary,
@@ -1142,8 +3478,24 @@ export {
     toggleTransactionSelection,
     selectAllTransactions,
 
+    // Duplicate review
+    checkPreviewDuplicates,
+    resolveDuplicate,
+
+    // Transfer review
+    checkPreviewTransfers,
+    resolveTransfer,
+
     // Category management
     updateTransactionCategory,
+    updateTransactionType,
+    updateTransactionFields,
+
+    // Column mapping
+    applyColumnMapping,
+    setMappingParseOptions,
+    saveMappingAsProfile,
+    MAPPING_FIELDS,
 
     // Import
     importTransactions,
@@ -1156,6 +3508,8 @@ export {
 
     // UI functions
     handleFileSelect,
+    handleFilesSelect,
+    renderMappingStep,
     renderPreviewTable,
     renderSummary,
     handleImportClick,
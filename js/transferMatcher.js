@@ -0,0 +1,151 @@
+/**
+ * Transfer Matcher Module
+ *
+ * Finds money moved between the user's own accounts. Paying a credit card
+ * from a savings account shows up twice - as a debit on the savings statement
+ * and as a credit on the card statement - and neither side is spending or
+ * income. A debit and a credit of the same amount in two different accounts
+ * within a few days of each other are paired as a transfer. Each row is used
+ * in at most one pair, closest dates first.
+ *
+ * @module transferMatcher
+ */
+
+import { toDayNumber } from './duplicateMatcher.js';
+
+/**
+ * Default matching limits
+ */
+const TRANSFER_OPTIONS = {
+    // Days a credit may be posted before or after its debit
+    dateWindowDays: 3,
+    // Amount difference treated as no difference
+    amountTolerance: 0.01
+};
+
+/**
+ * One side of a possible transfer
+ * @typedef {Object} TransferLeg
+ * @property {*} key - Identifies the row to the caller
+ * @property {string|null} accountId - Account the row belongs to
+ * @property {number|string} amount - Amount moved (positive)
+ * @property {string} date - Date in YYYY-MM-DD format
+ */
+
+/**
+ * Check whether two amounts are the same within the tolerance
+ *
+ * @param {number|string} a - First amount
+ * @param {number|string} b - Second amount
+ * @param {number} tolerance - Difference treated as no difference
+ * @returns {boolean}
+ */
+function sameAmount(a, b, tolerance) {
+    return Math.abs(Math.abs(parseFloat(a)) - Math.abs(parseFloat(b))) <= tolerance;
+}
+
+/**
+ * Take candidate pairs closest dates first, using each side once
+ *
+ * @param {Array<{debitIndex: number, creditIndex: number, days: number}>} candidates - Possible pairs
+ * @returns {Array<{debitIndex: number, creditIndex: number, days: number}>}
+ */
+function pickClosest(candidates) {
+    candidates.sort((a, b) => a.days - b.days || a.debitIndex - b.debitIndex || a.creditIndex - b.creditIndex);
+
+    const usedDebits = new Set();
+    const usedCredits = new Set();
+    return candidates.filter(({ debitIndex, creditIndex }) => {
+        if (usedDebits.has(debitIndex) || usedCredits.has(creditIndex)) {
+            return false;
+        }
+        usedDebits.add(debitIndex);
+        usedCredits.add(creditIndex);
+        return true;
+    });
+}
+
+/**
+ * Pair debits with credits that look like the other side of a transfer
+ * Rows without an account, or in the same account, never pair.
+ *
+ * @param {Array<TransferLeg>} debits - Money out
+ * @param {Array<TransferLeg>} credits - Money in
+ * @param {Object} [options] - Overrides for TRANSFER_OPTIONS
+ * @returns {Array<{debit: TransferLeg, credit: TransferLeg, days: number}>} In debit order
+ */
+function findTransferPairs(debits, credits, options = {}) {
+    const { dateWindowDays, amountTolerance } = { ...TRANSFER_OPTIONS, ...options };
+
+    const candidates = [];
+    (debits || []).forEach((debit, debitIndex) => {
+        const debitDay = toDayNumber(debit.date);
+        if (!debit.accountId || debitDay === null) {
+            return;
+        }
+        (credits || []).forEach((credit, creditIndex) => {
+            const creditDay = toDayNumber(credit.date);
+            if (!credit.accountId || credit.accountId === debit.accountId || creditDay === null) {
+                return;
+            }
+            const days = Math.abs(creditDay - debitDay);
+            if (days <= dateWindowDays && sameAmount(debit.amount, credit.amount, amountTolerance)) {
+                candidates.push({ debitIndex, creditIndex, days });
+            }
+        });
+    });
+
+    return pickClosest(candidates)
+        .sort((a, b) => a.debitIndex - b.debitIndex)
+        .map(({ debitIndex, creditIndex, days }) => ({ debit: debits[debitIndex], credit: credits[creditIndex], days }));
+}
+
+/**
+ * Find transfers already saved that a row is one side of
+ * A debit matches a transfer out of its account and a credit a transfer
+ * into it, so importing the second statement of a pair, or the same
+ * statement again, doesn't record the transfer twice.
+ *
+ * @param {Array<TransferLeg & {direction: 'debit'|'credit'}>} legs - Rows to look up
+ * @param {Array<{account_id: string, transfer_account_id: string, amount: number|string, date: string}>} transfers - Saved transfers in the date range
+ * @param {Object} [options] - Overrides for TRANSFER_OPTIONS
+ * @returns {Array<Object|null>} The matching transfer for each leg, or null
+ */
+function findRecordedTransfers(legs, transfers, options = {}) {
+    const { dateWindowDays, amountTolerance } = { ...TRANSFER_OPTIONS, ...options };
+    const matches = (legs || []).map(() => null);
+
+    for (const direction of ['debit', 'credit']) {
+        const accountField = direction === 'debit' ? 'account_id' : 'transfer_account_id';
+        const candidates = [];
+        (legs || []).forEach((leg, debitIndex) => {
+            const legDay = toDayNumber(leg.date);
+            if (leg.direction !== direction || !leg.accountId || legDay === null) {
+                return;
+            }
+            (transfers || []).forEach((transfer, creditIndex) => {
+                const transferDay = toDayNumber(transfer.date);
+                if (transfer[accountField] !== leg.accountId || transferDay === null) {
+                    return;
+                }
+                const days = Math.abs(transferDay - legDay);
+                if (days <= dateWindowDays && sameAmount(leg.amount, transfer.amount, amountTolerance)) {
+                    candidates.push({ debitIndex, creditIndex, days });
+                }
+            });
+        });
+
+        for (const { debitIndex, creditIndex } of pickClosest(candidates)) {
+            matches[debitIndex] = transfers[creditIndex];
+        }
+    }
+
+    return matches;
+}
+
+// Export all transfer matching functions
+export {
+    findTransferPairs,
+    findRecordedTransfers,
+    TRANSFER_OPTIONS
+};
@@ -0,0 +1,150 @@
+/**
+ * Transfers Module
+ *
+ * Manages money moved between the user's own accounts - paying a credit card
+ * from savings, withdrawing cash, topping up a wallet - using Supabase. A
+ * transfer is one expense row with transaction_type 'transfer' and the
+ * Transfer category: account_id is the account the money left and
+ * transfer_account_id the account it went into. Transfers change account
+ * balances but are left out of spending and income. All operations are
+ * scoped to the authenticated user via Row Level Security.
+ *
+ * @module transfers
+ */
+
+import { supabase } from './supabaseConfig.js';
+import { TRANSFER_CATEGORY } from './classifier.js';
+
+/**
+ * Record a transfer between two of the user's accounts
+ *
+ * @param {Object} transfer - The transfer data
+ * @param {string} transfer.from_account_id - Account the money left (UUID)
+ * @param {string} transfer.to_account_id - Account the money went into (UUID)
+ * @param {number} transfer.amount - Amount moved (must be positive)
+ * @param {string} transfer.date - Date of the transfer in YYYY-MM-DD format
+ * @param {string} [transfer.description] - Note, e.g. "Credit card bill"
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+async function createTransfer(transfer) {
+    try {
+        if (!transfer.from_account_id || transfer.from_account_id === transfer.to_account_id) {
+            return { data: null, error: { message: 'Please choose two different accounts.' } };
+        }
+
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { data: null, error: { message: 'User not authenticated' } };
+        }
+
+        const { data, error } = await supabase
+            .from('expenses')
+            .insert({
+                user_id: user.id,
+                expense_name: String(transfer.description || '').trim() || 'Transfer',
+                amount: transfer.amount,
+                date: transfer.date,
+                category: TRANSFER_CATEGORY,
+                transaction_type: 'transfer',
+                account_id: transfer.from_account_id,
+                transfer_account_id: transfer.to_account_id
+            })
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Error creating transfer:', error);
+            return { data: null, error: { message: 'Unable to save transfer. Please try again.' } };
+        }
+
+        return { data, error: null };
+    } catch (err) {
+        console.error('Create transfer error:', err);
+        return { data: null, error: { message: 'An unexpected error occurred while saving the transfer.' } };
+    }
+}
+
+/**
+ * Get the saved transactions an imported row could be the other side of
+ * Returns transactions assigned to an account in the date range, including
+ * transfers already recorded.
+ *
+ * @param {{from: string, to: string}} range - Inclusive YYYY-MM-DD date range
+ * @returns {Promise<{data: Array|null, error: Object|null}>}
+ */
+async function getTransferCandidates(range) {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { data: null, error: { message: 'User not authenticated' } };
+        }
+
+        const { data, error } = await supabase
+            .from('expenses')
+            .select('id, account_id, transfer_account_id, amount, date, expense_name, category, transaction_type')
+            .eq('user_id', user.id)
+            .not('account_id', 'is', null)
+            .gte('date', range.from)
+            .lte('date', range.to);
+
+        if (error) {
+            console.error('Error fetching transactions for transfer check:', error);
+            return { data: null, error: { message: 'Unable to check for transfers.' } };
+        }
+
+        return { data: data || [], error: null };
+    } catch (err) {
+        console.error('Get transfer candidates error:', err);
+        return { data: null, error: { message: 'An unexpected error occurred while checking for transfers.' } };
+    }
+}
+
+/**
+ * Turn a saved expense, refund or income into a transfer
+ * Used when the other side of a saved transaction is imported later.
+ *
+ * @param {string} id - The transaction ID (UUID)
+ * @param {{account_id: string, transfer_account_id: string}} accounts - Account the money left and account it went into
+ * @returns {Promise<{data: Object|null, error: Object|null}>}
+ */
+async function markAsTransfer(id, accounts) {
+    try {
+        const { data: { user }, error: userError } = await supabase.auth.getUser();
+
+        if (userError || !user) {
+            return { data: null, error: { message: 'User not authenticated' } };
+        }
+
+        const { data, error } = await supabase
+            .from('expenses')
+            .update({
+                transaction_type: 'transfer',
+                category: TRANSFER_CATEGORY,
+                account_id: accounts.account_id,
+                transfer_account_id: accounts.transfer_account_id
+            })
+            .eq('id', id)
+            .eq('user_id', user.id)  // Ensure user owns this transaction
+            .select()
+            .single();
+
+        if (error) {
+            console.error('Error marking transaction as transfer:', error);
+            return { data: null, error: { message: 'Unable to record the transfer. Please try again.' } };
+        }
+
+        return { data, error: null };
+    } catch (err) {
+        console.error('Mark as transfer error:', err);
+        return { data: null, error: { message: 'An unexpected error occurred while recording the transfer.' } };
+    }
+}
+
+// Export all transfer functions
+export {
+    createTransfer,
+    getTransferCandidates,
+    markAsTransfer
+};
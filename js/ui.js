@@ -13,15 +13,56 @@
  * - 12.6: Implement proper error handling for all database and authentication operations
  */
 
-import { validateExpense, validateBudget } from './validation.js';
+import { validateExpense, validateBudget, validateIncome, validateTransfer, validateRecurringExpense } from './validation.js';
 import { createExpense, getExpenses, updateExpense, deleteExpense } from './expenses.js';
 import { getBudget, saveBudget, getAvailableBudget } from './budget.js';
+import { createIncome, getIncomeByMonth, updateIncome, deleteIncome } from './income.js';
+import { createTransfer } from './transfers.js';
+import {
+    getRecurringExpenses,
+    createRecurringExpense,
+    updateRecurringExpense,
+    setRecurringPaused,
+    skipNextOccurrence,
+    postNextOccurrence,
+    deleteRecurringExpense,
+    postDueRecurringExpenses
+} from './recurring.js';
+import { FREQUENCIES, INTERVAL_UNITS, isFinished, describeFrequency } from './recurrence.js';
+import {
+    createAccount,
+    updateAccount,
+    deleteAccount,
+    ensureDefaultAccount,
+    getAccountBalances
+} from './accounts.js';
+import { ACCOUNT_TYPES, getAccountTypeLabel } from './accountLedger.js';
 import { getCurrentMonthTotal, checkOverspending, getMonthlyTotals, getTopCategories, getMonthOverMonthChange, getCategoryBreakdown } from './analytics.js';
 import { predictNextMonth } from './forecast.js';
 import { getBudgetPlan } from './ai.js';
 import { renderPieChart, renderLineChart, renderForecastChart, setupResponsiveCanvas } from './charts.js';
 import { logout, getCurrentUser } from './auth.js';
 import { initImportDialog, openImportDialog, closeImportDialog } from './transactionImport.js';
+import { classifyTransaction, isLowConfidence, learnFromCorrection, EXPENSE_CATEGORIES } from './classifier.js';
+import {
+    getCategoryRules,
+    loadCategoryRules,
+    learnCategoryRule,
+    updateCategoryRule,
+    deleteCategoryRule,
+    reorderCategoryRules,
+    reapplyCategoryRules
+} from './categoryRules.js';
+import { getImportBatches, rollbackImportBatch } from './importBatches.js';
+import { getImportProfiles, renameImportProfile, deleteImportProfile } from './importProfiles.js';
+import {
+    getMerchantAliases,
+    loadMerchantAliases,
+    saveMerchantAlias,
+    updateMerchantAlias,
+    deleteMerchantAlias,
+    backfillMerchants
+} from './merchantAliases.js';
 
 /**
  * Toast message duration in milliseconds
@@ -33,6 +74,26 @@ const TOAST_DURATION = 4000;
  */
 const cleanupFunctions = [];
 
+/**
+ * Category rules currently shown in the rules view, in match order
+ */
+let categoryRules = [];
+
+/**
+ * Total income received this month, as last loaded for the budget view
+ */
+let receivedThisMonth = 0;
+
+/**
+ * The user's accounts, default first, as offered in the expense and income forms
+ */
+let accounts = [];
+
+/**
+ * Recurring expense templates shown in the recurring view, soonest first
+ */
+let recurringTemplates = [];
+
 /**
  * Calendar state
  */
@@ -333,8 +394,23 @@ async function loadViewData(viewId) {
             await loadExpenseList();
             break;
         case 'budget':
+            await loadIncomeList();
             await loadBudgetSettings();
             break;
+        case 'accounts':
+            await loadAccountList();
+            break;
+        case 'recurring':
+            await loadRecurringList();
+            break;
+        case 'rules':
+            await loadRulesList();
+            await loadAliasList();
+            break;
+        case 'imports':
+            await loadImportHistory();
+            await loadProfileList();
+            break;
         case 'ai-suggestions':
             // AI suggestions are loaded on demand via button click
             break;
@@ -489,9 +565,49 @@ async function renderExpenseList(expenses) {
         infoDiv.appendChild(nameSpan);
         infoDiv.appendChild(categorySpan);
 
+        // Name the merchant when the expense name is a bank narration
+        if (expense.merchant && expense.merchant !== expense.expense_name) {
+            const merchantSpan = document.createElement('span');
+            merchantSpan.className = 'expense-item-merchant';
+            merchantSpan.textContent = expense.merchant;
+            infoDiv.appendChild(merchantSpan);
+        }
+
+        // Name the account when there is more than one to tell apart
+        const isTransfer = expense.transaction_type === 'transfer';
+        const account = accounts.length > 1 && !isTransfer ? accounts.find(a => a.id === expense.account_id) : null;
+        if (account) {
+            const accountSpan = document.createElement('span');
+            accountSpan.className = 'expense-item-account';
+            accountSpan.textContent = account.name;
+            infoDiv.appendChild(accountSpan);
+        }
+
+        // Refunds and income are money coming in
+        const isCredit = expense.transaction_type === 'refund' || expense.transaction_type === 'income';
+        if (expense.transaction_type === 'refund') {
+            const typeSpan = document.createElement('span');
+            typeSpan.className = 'expense-item-type';
+            typeSpan.textContent = 'Refund';
+            infoDiv.appendChild(typeSpan);
+        }
+
+        // Transfers name both accounts and are neither spent nor received
+        if (isTransfer) {
+            const name = id => {
+                const match = accounts.find(a => a.id === id);
+                return match ? match.name : 'Unknown account';
+            };
+            const transferSpan = document.createElement('span');
+            transferSpan.className = 'expense-item-account';
+            transferSpan.textContent = `${name(expense.account_id)} → ${name(expense.transfer_account_id)}`;
+            infoDiv.appendChild(transferSpan);
+        }
+
         const amountSpan = document.createElement('span');
-        amountSpan.className = 'expense-item-amount';
-        amountSpan.textContent = formatCurrency(expense.amount);
+        amountSpan.className = isCredit ? 'expense-item-amount expense-item-amount-credit'
+            : isTransfer ? 'expense-item-amount expense-item-amount-transfer' : 'expense-item-amount';
+        amountSpan.textContent = isCredit ? `+${formatCurrency(expense.amount)}` : formatCurrency(expense.amount);
 
         const dateSpan = document.createElement('span');
         dateSpan.className = 'expense-item-date';
@@ -510,7 +626,11 @@ async function renderExpenseList(expenses) {
         deleteBtn.dataset.id = expense.id;
         deleteBtn.textContent = 'Delete';
 
-        actionsDiv.appendChild(editBtn);
+        // Transfers and income aren't edited in the expense form; income is
+        // edited in the income list, with no spending category to pick
+        if (!isTransfer && expense.transaction_type !== 'income') {
+            actionsDiv.appendChild(editBtn);
+        }
         actionsDiv.appendChild(deleteBtn);
 
         item.appendChild(infoDiv);
@@ -560,217 +680,1006 @@ async function loadExpenseList() {
 
 
 /**
- * Render the dashboard with analytics data
- * 
- * @param {Object} data - Dashboard data (optional, will fetch if not provided)
+ * Render the category rules list
+ *
+ * @param {Array} rules - Category rules in match order
  */
-async function renderDashboard(data = null) {
-    showLoading();
+function renderRulesList(rules) {
+    const listContainer = document.getElementById('category-rules-list');
+    const emptyMessage = document.getElementById('no-rules-message');
 
-    try {
-        // Fetch all dashboard data in parallel
-        const [
-            currentMonthTotal,
-            availableBudget,
-            momChange,
-            overspending,
-            categoryBreakdown,
-            monthlyTotals,
-            topCategories,
-            forecast
-        ] = await Promise.all([
-            getCurrentMonthTotal(),
-            getAvailableBudget(),
-            getMonthOverMonthChange(),
-            checkOverspending(),
-            getCategoryBreakdown(),
-            getMonthlyTotals(6),
-            getTopCategories(5),
-            predictNextMonth()
-        ]);
+    if (!listContainer) return;
 
-        // Update summary cards
-        const currentMonthEl = document.getElementById('current-month-total');
-        if (currentMonthEl) {
-            currentMonthEl.textContent = formatCurrency(currentMonthTotal);
+    listContainer.innerHTML = '';
 
-            // Change color to red if spending exceeds available budget
-            if (availableBudget > 0 && currentMonthTotal > availableBudget) {
-                currentMonthEl.classList.add('overspending');
-                currentMonthEl.parentElement.classList.add('card-danger');
-            } else {
-                currentMonthEl.classList.remove('overspending');
-                currentMonthEl.parentElement.classList.remove('card-danger');
-            }
+    if (!rules || rules.length === 0) {
+        if (emptyMessage) {
+            emptyMessage.classList.remove('hidden');
         }
+        return;
+    }
 
-        const availableBudgetEl = document.getElementById('available-budget');
-        if (availableBudgetEl) {
-            // Show remaining budget after subtracting current month's spending
-            const remainingBudget = availableBudget - currentMonthTotal;
-            availableBudgetEl.textContent = formatCurrency(remainingBudget);
+    if (emptyMessage) {
+        emptyMessage.classList.add('hidden');
+    }
 
-            // Add visual feedback based on remaining budget
-            if (remainingBudget < 0) {
-                // Over budget - show in red
-                availableBudgetEl.classList.add('overspending');
-                availableBudgetEl.parentElement.classList.add('card-danger');
-            } else if (remainingBudget < availableBudget * 0.2) {
-                // Less than 20% remaining - show warning
-                availableBudgetEl.classList.add('text-warning');
-                availableBudgetEl.classList.remove('overspending');
-                availableBudgetEl.parentElement.classList.remove('card-danger');
-            } else {
-                // Healthy budget
-                availableBudgetEl.classList.remove('overspending', 'text-warning');
-                availableBudgetEl.parentElement.classList.remove('card-danger');
-            }
-        }
+    rules.forEach((rule, index) => {
+        const item = document.createElement('li');
+        item.className = 'rule-item';
+        item.dataset.id = rule.id;
+
+        const categoryOptions = EXPENSE_CATEGORIES.map(cat =>
+            `<option value="${escapeHtml(cat)}" ${cat === rule.category ? 'selected' : ''}>${escapeHtml(cat)}</option>`
+        ).join('');
+
+        item.innerHTML = `
+            <span class="rule-order">${index + 1}.</span>
+            <input type="text" class="rule-merchant-input" value="${escapeHtml(rule.merchant)}" aria-label="Merchant">
+            <select class="rule-category-select" aria-label="Category">${categoryOptions}</select>
+            <div class="rule-actions">
+                <button class="btn btn-secondary rule-move-btn" data-id="${rule.id}" data-direction="-1"
+                    ${index === 0 ? 'disabled' : ''} aria-label="Move up">&uarr;</button>
+                <button class="btn btn-secondary rule-move-btn" data-id="${rule.id}" data-direction="1"
+                    ${index === rules.length - 1 ? 'disabled' : ''} aria-label="Move down">&darr;</button>
+                <button class="btn btn-primary rule-save-btn" data-id="${rule.id}">Save</button>
+                <button class="btn btn-danger rule-delete-btn" data-id="${rule.id}">Delete</button>
+            </div>
+        `;
 
-        const momChangeEl = document.getElementById('mom-change');
-        if (momChangeEl) {
-            const sign = momChange.direction === 'increase' ? '+' :
-                momChange.direction === 'decrease' ? '-' : '';
-            momChangeEl.textContent = `${sign}${momChange.percentage.toFixed(1)}%`;
-            momChangeEl.style.color = momChange.direction === 'increase' ?
-                'var(--color-error)' :
-                momChange.direction === 'decrease' ? 'var(--color-success)' :
-                    'var(--color-gray-600)';
-        }
+        listContainer.appendChild(item);
+    });
+}
 
-        // Show/hide overspending alert
-        const overspendingAlert = document.getElementById('overspending-alert');
-        if (overspendingAlert) {
-            if (overspending.isOverspending) {
-                overspendingAlert.classList.remove('hidden');
-                overspendingAlert.innerHTML = `<strong>Warning:</strong> You are overspending by ${formatCurrency(overspending.amount)} this month!`;
-            } else {
-                overspendingAlert.classList.add('hidden');
-            }
-        }
+/**
+ * Load and display the category rules
+ */
+async function loadRulesList() {
+    showLoading();
 
-        // Render pie chart
-        const pieCanvas = document.getElementById('category-pie-chart');
-        if (pieCanvas) {
-            renderPieChart(pieCanvas, categoryBreakdown);
+    try {
+        const { data: rules, error } = await getCategoryRules();
 
-            // Set up responsive resizing
-            const cleanup = setupResponsiveCanvas(pieCanvas, () => {
-                renderPieChart(pieCanvas, categoryBreakdown);
-            });
-            cleanupFunctions.push(cleanup);
+        if (error) {
+            showError(error.message);
+            return;
         }
 
-        // Render line chart
-        const lineCanvas = document.getElementById('trends-line-chart');
-        if (lineCanvas) {
-            renderLineChart(lineCanvas, monthlyTotals);
+        categoryRules = rules;
+        renderRulesList(categoryRules);
+    } catch (err) {
+        console.error('Load rules list error:', err);
+        showError('Failed to load category rules');
+    } finally {
+        hideLoading();
+    }
+}
 
-            const cleanup = setupResponsiveCanvas(lineCanvas, () => {
-                renderLineChart(lineCanvas, monthlyTotals);
-            });
-            cleanupFunctions.push(cleanup);
-        }
+/**
+ * Handle clicks on the rules list (move/save/delete buttons)
+ *
+ * @param {Event} e - Click event
+ */
+async function handleRulesListClick(e) {
+    const target = e.target.closest('button');
+    if (!target || target.disabled) return;
 
-        // Render forecast chart
-        const forecastCanvas = document.getElementById('forecast-chart');
-        if (forecastCanvas) {
-            const historicalTotals = monthlyTotals.map(m => m.total);
-            renderForecastChart(forecastCanvas, historicalTotals, forecast.prediction);
+    const ruleId = target.dataset.id;
 
-            const cleanup = setupResponsiveCanvas(forecastCanvas, () => {
-                renderForecastChart(forecastCanvas, historicalTotals, forecast.prediction);
-            });
-            cleanupFunctions.push(cleanup);
-        }
+    if (target.classList.contains('rule-move-btn')) {
+        await handleMoveRule(ruleId, parseInt(target.dataset.direction, 10));
+    }
 
-        // Update forecast info
-        const forecastInfo = document.getElementById('forecast-info');
-        if (forecastInfo) {
-            if (forecast.basedOnMonths > 0) {
-                forecastInfo.textContent = `Predicted spending: ${formatCurrency(forecast.prediction)} (${forecast.confidence} confidence based on ${forecast.basedOnMonths} month(s) of data)`;
-            } else {
-                forecastInfo.textContent = 'Add more expenses to see spending predictions';
-            }
-        }
+    if (target.classList.contains('rule-save-btn')) {
+        const item = target.closest('.rule-item');
+        await handleSaveRule(ruleId, {
+            merchant: item.querySelector('.rule-merchant-input').value,
+            category: item.querySelector('.rule-category-select').value
+        });
+    }
 
-        // Render top categories
-        const topCategoriesList = document.getElementById('top-categories-list');
-        if (topCategoriesList) {
-            topCategoriesList.innerHTML = '';
+    if (target.classList.contains('rule-delete-btn')) {
+        await handleDeleteRule(ruleId);
+    }
+}
 
-            if (topCategories.length === 0) {
-                topCategoriesList.innerHTML = '<li>No spending data yet</li>';
-            } else {
-                topCategories.forEach(cat => {
-                    const li = document.createElement('li');
-                    li.innerHTML = `
-                        <span>${escapeHtml(cat.category)}</span>
-                        <span>${formatCurrency(cat.total)}</span>
-                    `;
-                    topCategoriesList.appendChild(li);
-                });
-            }
+/**
+ * Move a rule up or down in the match order
+ *
+ * @param {string} ruleId - The rule ID
+ * @param {number} direction - -1 to move up, 1 to move down
+ */
+async function handleMoveRule(ruleId, direction) {
+    const index = categoryRules.findIndex(rule => rule.id === ruleId);
+    const newIndex = index + direction;
+
+    if (index === -1 || newIndex < 0 || newIndex >= categoryRules.length) {
+        return;
+    }
+
+    const reordered = [...categoryRules];
+    [reordered[index], reordered[newIndex]] = [reordered[newIndex], reordered[index]];
+
+    showLoading();
+
+    try {
+        const { error } = await reorderCategoryRules(reordered.map(rule => rule.id));
+
+        if (error) {
+            showError(error.message);
+            return;
         }
 
+        categoryRules = reordered;
+        renderRulesList(categoryRules);
     } catch (err) {
-        console.error('Render dashboard error:', err);
-        showError('Failed to load dashboard data');
+        console.error('Move rule error:', err);
+        showError('Failed to reorder rules');
     } finally {
         hideLoading();
     }
 }
 
-
 /**
- * Render AI budget suggestions
- * 
- * @param {Object} plan - Budget plan from AI engine
+ * Save edits to a rule
+ *
+ * @param {string} ruleId - The rule ID
+ * @param {{merchant: string, category: string}} updates - Edited values
  */
-function renderAISuggestions(plan) {
-    const container = document.getElementById('ai-suggestions-container');
-    const insufficientData = document.getElementById('ai-insufficient-data');
+async function handleSaveRule(ruleId, updates) {
+    showLoading();
 
-    if (!container) return;
+    try {
+        const { error } = await updateCategoryRule(ruleId, updates);
 
-    // Handle insufficient data case
-    if (!plan.hasEnoughData || plan.message) {
-        container.classList.add('hidden');
-        if (insufficientData) {
-            insufficientData.classList.remove('hidden');
-            insufficientData.textContent = plan.message || 'We need more expense data to provide personalized recommendations.';
+        if (error) {
+            showError(error.message);
+            return;
         }
-        return;
-    }
 
-    // Hide insufficient data message
-    if (insufficientData) {
-        insufficientData.classList.add('hidden');
+        showSuccess('Rule updated successfully');
+        await loadRulesList();
+    } catch (err) {
+        console.error('Save rule error:', err);
+        showError('Failed to update rule');
+    } finally {
+        hideLoading();
     }
+}
 
-    // Show suggestions container
-    container.classList.remove('hidden');
-
-    // Render summary
-    const summaryText = document.getElementById('ai-summary-text');
-    if (summaryText) {
-        summaryText.textContent = plan.summary || 'Based on your spending patterns, here are our recommendations.';
+/**
+ * Delete a rule
+ *
+ * @param {string} ruleId - The rule ID
+ */
+async function handleDeleteRule(ruleId) {
+    if (!confirm('Are you sure you want to delete this rule?')) {
+        return;
     }
 
-    // Render ideal savings percentage
-    const savingsPercentage = document.getElementById('ai-savings-percentage');
-    if (savingsPercentage) {
-        savingsPercentage.textContent = `${plan.idealSavingsPercentage}% of your income`;
-    }
+    showLoading();
 
-    // Render category limits
-    const categoryLimits = document.getElementById('ai-category-limits');
-    if (categoryLimits && plan.categoryLimits) {
-        categoryLimits.innerHTML = '';
+    try {
+        const { error } = await deleteCategoryRule(ruleId);
 
-        if (plan.categoryLimits.length === 0) {
-            categoryLimits.innerHTML = '<li>No category recommendations available</li>';
-        } else {
+        if (error) {
+            showError(error.message);
+            return;
+        }
+
+        showSuccess('Rule deleted successfully');
+        await loadRulesList();
+    } catch (err) {
+        console.error('Delete rule error:', err);
+        showError('Failed to delete rule');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Re-categorize past expenses using the current rules
+ */
+async function handleReapplyRules() {
+    if (!confirm('Update the category of past expenses that match a rule?')) {
+        return;
+    }
+
+    // Progress is shown on the button, so the overlay isn't used here
+    const button = document.getElementById('reapply-rules-btn');
+    const label = button ? button.textContent : '';
+    if (button) {
+        button.disabled = true;
+        button.textContent = 'Updating...';
+    }
+
+    try {
+        const { updated, failed, error } = await reapplyCategoryRules((done, total) => {
+            if (button) {
+                button.textContent = `Updating ${done} of ${total}...`;
+            }
+        });
+
+        if (error) {
+            showError(error.message);
+            return;
+        }
+
+        if (failed > 0) {
+            showError(`${updated} expense${updated !== 1 ? 's' : ''} updated, ${failed} could not be updated`);
+        } else {
+            showSuccess(`${updated} expense${updated !== 1 ? 's' : ''} re-categorized`);
+        }
+    } catch (err) {
+        console.error('Reapply rules error:', err);
+        showError('Failed to apply rules');
+    } finally {
+        if (button) {
+            button.textContent = label;
+            button.disabled = false;
+        }
+    }
+}
+
+/**
+ * Render the merchant aliases list
+ *
+ * @param {Array} aliases - Merchant aliases
+ */
+function renderAliasList(aliases) {
+    const listContainer = document.getElementById('merchant-aliases-list');
+    const emptyMessage = document.getElementById('no-aliases-message');
+
+    if (!listContainer) return;
+
+    listContainer.innerHTML = '';
+
+    if (!aliases || aliases.length === 0) {
+        if (emptyMessage) {
+            emptyMessage.classList.remove('hidden');
+        }
+        return;
+    }
+
+    if (emptyMessage) {
+        emptyMessage.classList.add('hidden');
+    }
+
+    aliases.forEach(alias => {
+        const item = document.createElement('li');
+        item.className = 'rule-item';
+        item.dataset.id = alias.id;
+
+        item.innerHTML = `
+            <input type="text" class="rule-merchant-input alias-pattern-input" value="${escapeHtml(alias.pattern)}" aria-label="Words to look for">
+            <span class="alias-arrow" aria-hidden="true">&rarr;</span>
+            <input type="text" class="alias-merchant-input" value="${escapeHtml(alias.merchant).replace(/"/g, '&quot;')}" aria-label="Merchant">
+            <div class="rule-actions">
+                <button class="btn btn-primary alias-save-btn" data-id="${alias.id}">Save</button>
+                <button class="btn btn-danger alias-delete-btn" data-id="${alias.id}">Delete</button>
+            </div>
+        `;
+
+        listContainer.appendChild(item);
+    });
+}
+
+/**
+ * Load and display the merchant aliases
+ */
+async function loadAliasList() {
+    showLoading();
+
+    try {
+        const { data: aliases, error } = await getMerchantAliases();
+
+        if (error) {
+            showError(error.message);
+            return;
+        }
+
+        renderAliasList(aliases);
+    } catch (err) {
+        console.error('Load alias list error:', err);
+        showError('Failed to load merchant aliases');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Refresh the aliases shown and the ones new expenses are named with
+ */
+async function refreshAliases() {
+    await loadAliasList();
+    const { error } = await loadMerchantAliases();
+    if (error) {
+        console.error('Unable to reload merchant aliases:', error.message);
+    }
+}
+
+/**
+ * Handle the add alias form
+ *
+ * @param {Event} e - Submit event
+ */
+async function handleAliasSubmit(e) {
+    e.preventDefault();
+
+    const patternInput = document.getElementById('alias-pattern');
+    const merchantInput = document.getElementById('alias-merchant');
+
+    showLoading();
+
+    try {
+        const { error } = await saveMerchantAlias({
+            pattern: patternInput ? patternInput.value : '',
+            merchant: merchantInput ? merchantInput.value : ''
+        });
+
+        if (error) {
+            showError(error.message);
+            return;
+        }
+
+        if (patternInput) patternInput.value = '';
+        if (merchantInput) merchantInput.value = '';
+        showSuccess('Alias saved. Use Update Past Expenses to apply it to expenses you already have.');
+        await refreshAliases();
+    } catch (err) {
+        console.error('Save alias error:', err);
+        showError('Failed to save alias');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Handle clicks on the aliases list (save/delete buttons)
+ *
+ * @param {Event} e - Click event
+ */
+async function handleAliasListClick(e) {
+    const target = e.target.closest('button');
+    if (!target || target.disabled) return;
+
+    const aliasId = target.dataset.id;
+
+    if (target.classList.contains('alias-save-btn')) {
+        const item = target.closest('.rule-item');
+        await handleSaveAlias(aliasId, {
+            pattern: item.querySelector('.alias-pattern-input').value,
+            merchant: item.querySelector('.alias-merchant-input').value
+        });
+    }
+
+    if (target.classList.contains('alias-delete-btn')) {
+        await handleDeleteAlias(aliasId);
+    }
+}
+
+/**
+ * Save edits to an alias
+ *
+ * @param {string} aliasId - The alias ID
+ * @param {{pattern: string, merchant: string}} updates - Edited values
+ */
+async function handleSaveAlias(aliasId, updates) {
+    showLoading();
+
+    try {
+        const { error } = await updateMerchantAlias(aliasId, updates);
+
+        if (error) {
+            showError(error.message);
+            return;
+        }
+
+        showSuccess('Alias updated successfully');
+        await refreshAliases();
+    } catch (err) {
+        console.error('Save alias error:', err);
+        showError('Failed to update alias');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Delete an alias
+ *
+ * @param {string} aliasId - The alias ID
+ */
+async function handleDeleteAlias(aliasId) {
+    if (!confirm('Are you sure you want to delete this alias?')) {
+        return;
+    }
+
+    showLoading();
+
+    try {
+        const { error } = await deleteMerchantAlias(aliasId);
+
+        if (error) {
+            showError(error.message);
+            return;
+        }
+
+        showSuccess('Alias deleted successfully');
+        await refreshAliases();
+    } catch (err) {
+        console.error('Delete alias error:', err);
+        showError('Failed to delete alias');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Re-name the merchant of past expenses using the current aliases
+ */
+async function handleBackfillMerchants() {
+    if (!confirm('Update the merchant of past expenses using these aliases?')) {
+        return;
+    }
+
+    showLoading();
+
+    try {
+        const { updated, failed, error } = await backfillMerchants();
+
+        if (error) {
+            showError(error.message);
+            return;
+        }
+
+        if (failed > 0) {
+            showError(`${updated} expense${updated !== 1 ? 's' : ''} updated, ${failed} could not be updated`);
+        } else {
+            showSuccess(`${updated} expense${updated !== 1 ? 's' : ''} updated`);
+        }
+    } catch (err) {
+        console.error('Backfill merchants error:', err);
+        showError('Failed to update merchants');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Render the import history list
+ *
+ * @param {Array} batches - Import batches, newest first
+ */
+function renderImportHistory(batches) {
+    const listContainer = document.getElementById('import-batches-list');
+    const emptyMessage = document.getElementById('no-import-batches-message');
+
+    if (!listContainer) return;
+
+    listContainer.innerHTML = '';
+
+    if (!batches || batches.length === 0) {
+        if (emptyMessage) {
+            emptyMessage.classList.remove('hidden');
+        }
+        return;
+    }
+
+    if (emptyMessage) {
+        emptyMessage.classList.add('hidden');
+    }
+
+    batches.forEach(batch => {
+        const item = document.createElement('li');
+        item.className = 'import-batch-item';
+        item.dataset.id = batch.id;
+
+        const rolledBack = batch.status === 'rolled_back';
+        const transfers = (batch.converted_transfers || []).length;
+        const importedOn = new Date(batch.created_at).toLocaleString('en-IN', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+        const counts = [
+            `${batch.imported_count} imported`,
+            `${batch.skipped_count} skipped`,
+            batch.failed_count > 0 ? `${batch.failed_count} failed` : ''
+        ].filter(Boolean).join(' · ');
+
+        item.innerHTML = `
+            <div class="import-batch-details">
+                <span class="import-batch-file">${escapeHtml(batch.file_name)}</span>
+                <span class="import-batch-meta">
+                    ${escapeHtml(importedOn)}${batch.profile_name ? ` · ${escapeHtml(batch.profile_name)}` : ''}
+                </span>
+                <span class="import-batch-meta">${counts}</span>
+            </div>
+            <div class="import-batch-actions">
+                ${rolledBack
+                    ? `<span class="import-batch-status">Rolled back ${escapeHtml(formatDate(batch.rolled_back_at.slice(0, 10)))}</span>`
+                    : batch.imported_count > 0 || transfers > 0
+                        ? `<button class="btn btn-danger import-batch-rollback-btn" data-id="${batch.id}"
+                            data-count="${batch.imported_count}" data-transfers="${transfers}">Roll Back</button>`
+                        : ''}
+            </div>
+        `;
+
+        listContainer.appendChild(item);
+    });
+}
+
+/**
+ * Load and display the import history
+ */
+async function loadImportHistory() {
+    showLoading();
+
+    try {
+        const { data: batches, error } = await getImportBatches();
+
+        if (error) {
+            showError(error.message);
+            return;
+        }
+
+        renderImportHistory(batches);
+    } catch (err) {
+        console.error('Load import history error:', err);
+        showError('Failed to load import history');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Handle clicks on the import history list (roll back buttons)
+ *
+ * @param {Event} e - Click event
+ */
+async function handleImportHistoryClick(e) {
+    const target = e.target.closest('.import-batch-rollback-btn');
+    if (!target) return;
+
+    const count = parseInt(target.dataset.count, 10) || 0;
+    const transfers = parseInt(target.dataset.transfers, 10) || 0;
+    const changeBack = transfers > 0
+        ? ` and change back the ${transfers} transaction${transfers !== 1 ? 's' : ''} it recorded as transfers`
+        : '';
+    if (!confirm(`Delete the ${count} expense${count !== 1 ? 's' : ''} added by this import${changeBack}? This cannot be undone.`)) {
+        return;
+    }
+
+    showLoading();
+
+    try {
+        const { deleted, restored, error } = await rollbackImportBatch(target.dataset.id);
+
+        if (error) {
+            showError(error.message);
+        } else {
+            const changedBack = restored > 0 ? `, ${restored} transfer${restored !== 1 ? 's' : ''} changed back` : '';
+            showSuccess(`Import rolled back, ${deleted} expense${deleted !== 1 ? 's' : ''} removed${changedBack}`);
+        }
+
+        if (deleted > 0 || restored > 0) {
+            document.dispatchEvent(new CustomEvent('expenses-updated'));
+        }
+        await loadImportHistory();
+    } catch (err) {
+        console.error('Rollback import error:', err);
+        showError('Failed to roll back import');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Render the saved bank profiles
+ *
+ * @param {Array} profiles - Import profiles, by name
+ */
+function renderProfileList(profiles) {
+    const listContainer = document.getElementById('import-profiles-list');
+    const emptyMessage = document.getElementById('no-import-profiles-message');
+
+    if (!listContainer) return;
+
+    listContainer.innerHTML = '';
+
+    if (!profiles || profiles.length === 0) {
+        if (emptyMessage) {
+            emptyMessage.classList.remove('hidden');
+        }
+        return;
+    }
+
+    if (emptyMessage) {
+        emptyMessage.classList.add('hidden');
+    }
+
+    profiles.forEach(profile => {
+        const item = document.createElement('li');
+        item.className = 'rule-item';
+        item.dataset.id = profile.id;
+
+        item.innerHTML = `
+            <input type="text" class="rule-merchant-input profile-name-input" value="${escapeHtml(profile.name).replace(/"/g, '&quot;')}"
+                maxlength="60" aria-label="Profile name">
+            <div class="rule-actions">
+                <button class="btn btn-primary profile-save-btn" data-id="${profile.id}">Rename</button>
+                <button class="btn btn-danger profile-delete-btn" data-id="${profile.id}">Delete</button>
+            </div>
+        `;
+
+        listContainer.appendChild(item);
+    });
+}
+
+/**
+ * Load and display the saved bank profiles
+ */
+async function loadProfileList() {
+    showLoading();
+
+    try {
+        const { data: profiles, error } = await getImportProfiles();
+
+        if (error) {
+            showError(error.message);
+            return;
+        }
+
+        renderProfileList(profiles);
+    } catch (err) {
+        console.error('Load profile list error:', err);
+        showError('Failed to load bank profiles');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Handle clicks on the bank profiles list (rename/delete buttons)
+ *
+ * @param {Event} e - Click event
+ */
+async function handleProfileListClick(e) {
+    const target = e.target.closest('button');
+    if (!target || target.disabled) return;
+
+    const profileId = target.dataset.id;
+
+    if (target.classList.contains('profile-save-btn')) {
+        const item = target.closest('.rule-item');
+        await handleRenameProfile(profileId, item.querySelector('.profile-name-input').value);
+    }
+
+    if (target.classList.contains('profile-delete-btn')) {
+        await handleDeleteProfile(profileId);
+    }
+}
+
+/**
+ * Rename a bank profile
+ *
+ * @param {string} profileId - The profile ID
+ * @param {string} name - New name
+ */
+async function handleRenameProfile(profileId, name) {
+    showLoading();
+
+    try {
+        const { error } = await renameImportProfile(profileId, name);
+
+        if (error) {
+            showError(error.message);
+            return;
+        }
+
+        showSuccess('Profile renamed successfully');
+        await loadProfileList();
+    } catch (err) {
+        console.error('Rename profile error:', err);
+        showError('Failed to rename profile');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Delete a bank profile
+ *
+ * @param {string} profileId - The profile ID
+ */
+async function handleDeleteProfile(profileId) {
+    if (!confirm('Delete this bank profile? Its bank\'s next file will need its columns mapped again.')) {
+        return;
+    }
+
+    showLoading();
+
+    try {
+        const { error } = await deleteImportProfile(profileId);
+
+        if (error) {
+            showError(error.message);
+            return;
+        }
+
+        showSuccess('Profile deleted successfully');
+        await loadProfileList();
+    } catch (err) {
+        console.error('Delete profile error:', err);
+        showError('Failed to delete profile');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Suggest a category for a new expense from its name
+ * Only fills the category when the user hasn't picked one yet
+ */
+function suggestExpenseCategory() {
+    const expenseIdInput = document.getElementById('expense-id');
+    const nameInput = document.getElementById('expense-name');
+    const categorySelect = document.getElementById('expense-category');
+
+    if (!nameInput || !categorySelect || (expenseIdInput && expenseIdInput.value) || categorySelect.value) {
+        return;
+    }
+
+    const result = classifyTransaction({ description: nameInput.value });
+    if (result.category !== 'Other' && !isLowConfidence(result)) {
+        categorySelect.value = result.category;
+    }
+}
+
+
+/**
+ * Render the dashboard with analytics data
+ * 
+ * @param {Object} data - Dashboard data (optional, will fetch if not provided)
+ */
+async function renderDashboard(data = null) {
+    showLoading();
+
+    try {
+        // Fetch all dashboard data in parallel
+        const [
+            currentMonthTotal,
+            availableBudget,
+            momChange,
+            overspending,
+            categoryBreakdown,
+            monthlyTotals,
+            topCategories,
+            forecast,
+            accountBalances
+        ] = await Promise.all([
+            getCurrentMonthTotal(),
+            getAvailableBudget(),
+            getMonthOverMonthChange(),
+            checkOverspending(),
+            getCategoryBreakdown(),
+            getMonthlyTotals(6),
+            getTopCategories(5),
+            predictNextMonth(),
+            getAccountBalances()
+        ]);
+
+        // Update summary cards
+        const currentMonthEl = document.getElementById('current-month-total');
+        if (currentMonthEl) {
+            currentMonthEl.textContent = formatCurrency(currentMonthTotal);
+
+            // Change color to red if spending exceeds available budget
+            if (availableBudget > 0 && currentMonthTotal > availableBudget) {
+                currentMonthEl.classList.add('overspending');
+                currentMonthEl.parentElement.classList.add('card-danger');
+            } else {
+                currentMonthEl.classList.remove('overspending');
+                currentMonthEl.parentElement.classList.remove('card-danger');
+            }
+        }
+
+        const availableBudgetEl = document.getElementById('available-budget');
+        if (availableBudgetEl) {
+            // Show remaining budget after subtracting current month's spending
+            const remainingBudget = availableBudget - currentMonthTotal;
+            availableBudgetEl.textContent = formatCurrency(remainingBudget);
+
+            // Add visual feedback based on remaining budget
+            if (remainingBudget < 0) {
+                // Over budget - show in red
+                availableBudgetEl.classList.add('overspending');
+                availableBudgetEl.parentElement.classList.add('card-danger');
+            } else if (remainingBudget < availableBudget * 0.2) {
+                // Less than 20% remaining - show warning
+                availableBudgetEl.classList.add('text-warning');
+                availableBudgetEl.classList.remove('overspending');
+                availableBudgetEl.parentElement.classList.remove('card-danger');
+            } else {
+                // Healthy budget
+                availableBudgetEl.classList.remove('overspending', 'text-warning');
+                availableBudgetEl.parentElement.classList.remove('card-danger');
+            }
+        }
+
+        const momChangeEl = document.getElementById('mom-change');
+        if (momChangeEl) {
+            const sign = momChange.direction === 'increase' ? '+' :
+                momChange.direction === 'decrease' ? '-' : '';
+            momChangeEl.textContent = `${sign}${momChange.percentage.toFixed(1)}%`;
+            momChangeEl.style.color = momChange.direction === 'increase' ?
+                'var(--color-error)' :
+                momChange.direction === 'decrease' ? 'var(--color-success)' :
+                    'var(--color-gray-600)';
+        }
+
+        const availableBudgetBasisEl = document.getElementById('available-budget-basis');
+        if (availableBudgetBasisEl) {
+            availableBudgetBasisEl.textContent = overspending.incomeIsActual ? 'Based on income received this month' : '';
+        }
+
+        // Show/hide overspending alert
+        const overspendingAlert = document.getElementById('overspending-alert');
+        if (overspendingAlert) {
+            if (overspending.isOverspending) {
+                overspendingAlert.classList.remove('hidden');
+                overspendingAlert.innerHTML = `<strong>Warning:</strong> You are overspending by ${formatCurrency(overspending.amount)} this month!`;
+            } else {
+                overspendingAlert.classList.add('hidden');
+            }
+        }
+
+        // Render pie chart
+        const pieCanvas = document.getElementById('category-pie-chart');
+        if (pieCanvas) {
+            renderPieChart(pieCanvas, categoryBreakdown);
+
+            // Set up responsive resizing
+            const cleanup = setupResponsiveCanvas(pieCanvas, () => {
+                renderPieChart(pieCanvas, categoryBreakdown);
+            });
+            cleanupFunctions.push(cleanup);
+        }
+
+        // Render line chart
+        const lineCanvas = document.getElementById('trends-line-chart');
+        if (lineCanvas) {
+            renderLineChart(lineCanvas, monthlyTotals);
+
+            const cleanup = setupResponsiveCanvas(lineCanvas, () => {
+                renderLineChart(lineCanvas, monthlyTotals);
+            });
+            cleanupFunctions.push(cleanup);
+        }
+
+        // Render forecast chart
+        const forecastCanvas = document.getElementById('forecast-chart');
+        if (forecastCanvas) {
+            const historicalTotals = monthlyTotals.map(m => m.total);
+            renderForecastChart(forecastCanvas, historicalTotals, forecast.prediction);
+
+            const cleanup = setupResponsiveCanvas(forecastCanvas, () => {
+                renderForecastChart(forecastCanvas, historicalTotals, forecast.prediction);
+            });
+            cleanupFunctions.push(cleanup);
+        }
+
+        // Update forecast info
+        const forecastInfo = document.getElementById('forecast-info');
+        if (forecastInfo) {
+            if (forecast.basedOnMonths > 0) {
+                forecastInfo.textContent = `Predicted spending: ${formatCurrency(forecast.prediction)} (${forecast.confidence} confidence based on ${forecast.basedOnMonths} month(s) of data)`;
+            } else {
+                forecastInfo.textContent = 'Add more expenses to see spending predictions';
+            }
+        }
+
+        // Render top categories
+        const topCategoriesList = document.getElementById('top-categories-list');
+        if (topCategoriesList) {
+            topCategoriesList.innerHTML = '';
+
+            if (topCategories.length === 0) {
+                topCategoriesList.innerHTML = '<li>No spending data yet</li>';
+            } else {
+                topCategories.forEach(cat => {
+                    const li = document.createElement('li');
+                    li.innerHTML = `
+                        <span>${escapeHtml(cat.category)}</span>
+                        <span>${formatCurrency(cat.total)}</span>
+                    `;
+                    topCategoriesList.appendChild(li);
+                });
+            }
+        }
+
+        // Balance of each account and what was spent from it this month
+        const accountBalancesList = document.getElementById('account-balances-list');
+        if (accountBalancesList) {
+            accountBalancesList.innerHTML = '';
+
+            if (accountBalances.error || accountBalances.data.length === 0) {
+                accountBalancesList.innerHTML = '<li>No accounts yet</li>';
+            } else {
+                accountBalances.data.forEach(({ account, balance, monthSpending }) => {
+                    const li = document.createElement('li');
+                    li.innerHTML = `
+                        <span class="account-balance-info">
+                            <span>${escapeHtml(account.name)}</span>
+                            <span class="account-balance-detail">${escapeHtml(getAccountTypeLabel(account.type))} · Spent ${formatCurrency(monthSpending)} this month</span>
+                        </span>
+                        <span class="${balance < 0 ? 'account-balance-negative' : ''}">${formatCurrency(balance)}</span>
+                    `;
+                    accountBalancesList.appendChild(li);
+                });
+            }
+        }
+
+    } catch (err) {
+        console.error('Render dashboard error:', err);
+        showError('Failed to load dashboard data');
+    } finally {
+        hideLoading();
+    }
+}
+
+
+/**
+ * Render AI budget suggestions
+ * 
+ * @param {Object} plan - Budget plan from AI engine
+ */
+function renderAISuggestions(plan) {
+    const container = document.getElementById('ai-suggestions-container');
+    const insufficientData = document.getElementById('ai-insufficient-data');
+
+    if (!container) return;
+
+    // Handle insufficient data case
+    if (!plan.hasEnoughData || plan.message) {
+        container.classList.add('hidden');
+        if (insufficientData) {
+            insufficientData.classList.remove('hidden');
+            insufficientData.textContent = plan.message || 'We need more expense data to provide personalized recommendations.';
+        }
+        return;
+    }
+
+    // Hide insufficient data message
+    if (insufficientData) {
+        insufficientData.classList.add('hidden');
+    }
+
+    // Show suggestions container
+    container.classList.remove('hidden');
+
+    // Render summary
+    const summaryText = document.getElementById('ai-summary-text');
+    if (summaryText) {
+        summaryText.textContent = plan.summary || 'Based on your spending patterns, here are our recommendations.';
+    }
+
+    // Render ideal savings percentage
+    const savingsPercentage = document.getElementById('ai-savings-percentage');
+    if (savingsPercentage) {
+        savingsPercentage.textContent = `${plan.idealSavingsPercentage}% of your income`;
+    }
+
+    // Render category limits
+    const categoryLimits = document.getElementById('ai-category-limits');
+    if (categoryLimits && plan.categoryLimits) {
+        categoryLimits.innerHTML = '';
+
+        if (plan.categoryLimits.length === 0) {
+            categoryLimits.innerHTML = '<li>No category recommendations available</li>';
+        } else {
             plan.categoryLimits.forEach(limit => {
                 const li = document.createElement('li');
                 li.className = `priority-${limit.priority}`;
@@ -785,138 +1694,1063 @@ function renderAISuggestions(plan) {
         }
     }
 
-    // Render tips
-    const tipsList = document.getElementById('ai-tips');
-    if (tipsList && plan.tips) {
-        tipsList.innerHTML = '';
+    // Render tips
+    const tipsList = document.getElementById('ai-tips');
+    if (tipsList && plan.tips) {
+        tipsList.innerHTML = '';
+
+        if (plan.tips.length === 0) {
+            tipsList.innerHTML = '<li>Great job! No specific tips at this time.</li>';
+        } else {
+            plan.tips.forEach(tip => {
+                const li = document.createElement('li');
+                li.className = `priority-${tip.priority}`;
+                li.innerHTML = `
+                    <strong>${escapeHtml(tip.category)}</strong><br>
+                    ${escapeHtml(tip.message)}<br>
+                    <em>Potential savings: ${formatCurrency(tip.potentialSavings)}</em>
+                `;
+                tipsList.appendChild(li);
+            });
+        }
+    }
+
+    // Render saving plans
+    const savingPlans = document.getElementById('ai-saving-plans');
+    if (savingPlans) {
+        savingPlans.innerHTML = '';
+
+        // Helper to format timeframe nicely
+        const formatTimeframe = (months) => {
+            if (months <= 12) {
+                return `${months} month${months > 1 ? 's' : ''}`;
+            }
+            const years = Math.floor(months / 12);
+            const remainingMonths = months % 12;
+            if (remainingMonths === 0) {
+                return `${years} year${years > 1 ? 's' : ''}`;
+            }
+            return `${years} year${years > 1 ? 's' : ''} ${remainingMonths} month${remainingMonths > 1 ? 's' : ''}`;
+        };
+
+        if (plan.shortTermPlan) {
+            const shortTermDiv = document.createElement('div');
+            shortTermDiv.className = 'saving-plan';
+            shortTermDiv.innerHTML = `
+                <h4>🎯 ${escapeHtml(plan.shortTermPlan.name)}</h4>
+                <p><span>Goal Amount</span> <strong>${formatCurrency(plan.shortTermPlan.targetAmount)}</strong></p>
+                <p><span>Save Monthly</span> <strong>${formatCurrency(plan.shortTermPlan.monthlyContribution)}</strong></p>
+                <p><span>Time Needed</span> <strong>${formatTimeframe(plan.shortTermPlan.timeframeMonths)}</strong></p>
+                <ul>
+                    ${plan.shortTermPlan.milestones.map(m => `<li>${escapeHtml(m)}</li>`).join('')}
+                </ul>
+            `;
+            savingPlans.appendChild(shortTermDiv);
+        }
+
+        if (plan.longTermPlan) {
+            const longTermDiv = document.createElement('div');
+            longTermDiv.className = 'saving-plan';
+            longTermDiv.innerHTML = `
+                <h4>🚀 ${escapeHtml(plan.longTermPlan.name)}</h4>
+                <p><span>Goal Amount</span> <strong>${formatCurrency(plan.longTermPlan.targetAmount)}</strong></p>
+                <p><span>Save Monthly</span> <strong>${formatCurrency(plan.longTermPlan.monthlyContribution)}</strong></p>
+                <p><span>Time Needed</span> <strong>${formatTimeframe(plan.longTermPlan.timeframeMonths)}</strong></p>
+                <ul>
+                    ${plan.longTermPlan.milestones.map(m => `<li>${escapeHtml(m)}</li>`).join('')}
+                </ul>
+            `;
+            savingPlans.appendChild(longTermDiv);
+        }
+
+        if (!plan.shortTermPlan && !plan.longTermPlan) {
+            savingPlans.innerHTML = '<p class="empty-state">Set up your budget to get personalized saving plans!</p>';
+        }
+    }
+}
+
+/**
+ * Load budget settings into the form
+ */
+async function loadBudgetSettings() {
+    showLoading();
+
+    try {
+        const { data: budget, error } = await getBudget();
+
+        if (error) {
+            showError(error.message);
+            return;
+        }
+
+        // Populate form fields
+        const incomeInput = document.getElementById('monthly-income');
+        const savingsInput = document.getElementById('savings-goal');
+
+        if (budget) {
+            if (incomeInput) incomeInput.value = budget.monthly_income || '';
+            if (savingsInput) savingsInput.value = budget.savings_goal || '';
+
+            // Update display
+            updateBudgetDisplay(budget.monthly_income, budget.savings_goal);
+        } else {
+            if (incomeInput) incomeInput.value = '';
+            if (savingsInput) savingsInput.value = '';
+            updateBudgetDisplay(0, 0);
+        }
+
+    } catch (err) {
+        console.error('Load budget settings error:', err);
+        showError('Failed to load budget settings');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Update the budget display section
+ * Spending is budgeted against income received this month once there is any,
+ * otherwise against the monthly income setting.
+ * 
+ * @param {number} income - Monthly income
+ * @param {number} savings - Savings goal
+ */
+function updateBudgetDisplay(income, savings) {
+    const incomeDisplay = document.getElementById('budget-income-display');
+    const receivedDisplay = document.getElementById('budget-received-display');
+    const savingsDisplay = document.getElementById('budget-savings-display');
+    const availableDisplay = document.getElementById('budget-available-display');
+    const basisNote = document.getElementById('budget-income-basis');
+
+    const isActual = receivedThisMonth > 0;
+
+    if (incomeDisplay) incomeDisplay.textContent = formatCurrency(income || 0);
+    if (receivedDisplay) receivedDisplay.textContent = formatCurrency(receivedThisMonth);
+    if (savingsDisplay) savingsDisplay.textContent = formatCurrency(savings || 0);
+    if (availableDisplay) {
+        const available = Math.max(0, (isActual ? receivedThisMonth : (income || 0)) - (savings || 0));
+        availableDisplay.textContent = formatCurrency(available);
+    }
+    if (basisNote) {
+        basisNote.textContent = isActual
+            ? 'Available for spending is based on income received this month.'
+            : '';
+    }
+}
+
+/**
+ * Render this month's income in the budget view
+ *
+ * @param {Array} income - Income transactions
+ */
+function renderIncomeList(income) {
+    const listContainer = document.getElementById('income-list');
+    const emptyMessage = document.getElementById('no-income-message');
+
+    if (!listContainer) return;
+
+    listContainer.innerHTML = '';
+
+    if (!income || income.length === 0) {
+        if (emptyMessage) {
+            emptyMessage.classList.remove('hidden');
+        }
+        return;
+    }
+
+    if (emptyMessage) {
+        emptyMessage.classList.add('hidden');
+    }
+
+    income.forEach(entry => {
+        const item = document.createElement('li');
+        item.className = 'rule-item';
+        item.dataset.id = entry.id;
+
+        item.innerHTML = `
+            <input type="text" class="rule-merchant-input income-source-input" value="${escapeHtml(entry.expense_name).replace(/"/g, '&quot;')}" aria-label="Source">
+            <input type="number" class="income-amount-input" value="${parseFloat(entry.amount)}" step="0.01" min="0" aria-label="Amount">
+            <input type="date" class="income-date-input" value="${escapeHtml(entry.date)}" aria-label="Date">
+            <select class="income-account-input" aria-label="Paid into">${renderAccountOptions(entry.account_id)}</select>
+            <div class="rule-actions">
+                <button class="btn btn-primary income-save-btn" data-id="${entry.id}">Save</button>
+                <button class="btn btn-danger income-delete-btn" data-id="${entry.id}">Delete</button>
+            </div>
+        `;
+
+        listContainer.appendChild(item);
+    });
+}
+
+/**
+ * Load and display the income received this month
+ */
+async function loadIncomeList() {
+    showLoading();
+
+    try {
+        const now = new Date();
+        const { data: income, error } = await getIncomeByMonth(now.getFullYear(), now.getMonth() + 1);
+
+        if (error) {
+            showError(error.message);
+            return;
+        }
+
+        receivedThisMonth = income.reduce((sum, entry) => sum + (parseFloat(entry.amount) || 0), 0);
+        renderIncomeList(income);
+
+        // Default new income to today
+        const dateInput = document.getElementById('income-date');
+        if (dateInput && !dateInput.value) {
+            dateInput.value = now.toISOString().split('T')[0];
+        }
+    } catch (err) {
+        console.error('Load income list error:', err);
+        showError('Failed to load income');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Refresh the budget view and everything else that counts income
+ */
+async function refreshIncome() {
+    await loadIncomeList();
+    await loadBudgetSettings();
+    document.dispatchEvent(new CustomEvent('expenses-updated'));
+}
+
+/**
+ * Handle the add income form
+ *
+ * @param {Event} e - Submit event
+ */
+async function handleIncomeSubmit(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const incomeData = {
+        source: document.getElementById('income-source').value.trim(),
+        amount: parseFloat(document.getElementById('income-amount').value),
+        date: document.getElementById('income-date').value,
+        account_id: document.getElementById('income-account').value || null
+    };
+
+    clearFormErrors(form);
+
+    const validation = validateIncome(incomeData);
+
+    if (!validation.valid) {
+        validation.errors.forEach(error => {
+            const field = error.includes('came from') ? 'source' : error.includes('mount') ? 'amount' : 'date';
+            document.getElementById(`income-${field}-error`).textContent = error;
+            document.getElementById(`income-${field}`).classList.add('error');
+        });
+        return;
+    }
+
+    showLoading();
+
+    try {
+        const { error } = await createIncome(incomeData);
+
+        if (error) {
+            showError(error.message);
+            return;
+        }
+
+        form.reset();
+        document.getElementById('income-date').value = incomeData.date;
+        setAccountSelect('income-account', incomeData.account_id);
+        showSuccess('Income added successfully');
+        await refreshIncome();
+    } catch (err) {
+        console.error('Income submit error:', err);
+        showError('Failed to save income');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Handle clicks on the income list (save/delete buttons)
+ *
+ * @param {Event} e - Click event
+ */
+async function handleIncomeListClick(e) {
+    const target = e.target.closest('button');
+    if (!target || target.disabled) return;
+
+    const incomeId = target.dataset.id;
+
+    if (target.classList.contains('income-save-btn')) {
+        const item = target.closest('.rule-item');
+        await handleSaveIncome(incomeId, {
+            source: item.querySelector('.income-source-input').value.trim(),
+            amount: parseFloat(item.querySelector('.income-amount-input').value),
+            date: item.querySelector('.income-date-input').value,
+            account_id: item.querySelector('.income-account-input').value || null
+        });
+    }
+
+    if (target.classList.contains('income-delete-btn')) {
+        await handleDeleteIncome(incomeId);
+    }
+}
+
+/**
+ * Save edits to income
+ *
+ * @param {string} incomeId - The income transaction ID
+ * @param {{source: string, amount: number, date: string, account_id: string|null}} updates - Edited values
+ */
+async function handleSaveIncome(incomeId, updates) {
+    const validation = validateIncome(updates);
+    if (!validation.valid) {
+        showError(validation.errors[0]);
+        return;
+    }
+
+    showLoading();
+
+    try {
+        const { error } = await updateIncome(incomeId, updates);
+
+        if (error) {
+            showError(error.message);
+            return;
+        }
+
+        showSuccess('Income updated successfully');
+        await refreshIncome();
+    } catch (err) {
+        console.error('Save income error:', err);
+        showError('Failed to update income');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Delete income
+ *
+ * @param {string} incomeId - The income transaction ID
+ */
+async function handleDeleteIncome(incomeId) {
+    if (!confirm('Are you sure you want to delete this income?')) {
+        return;
+    }
+
+    showLoading();
+
+    try {
+        const { error } = await deleteIncome(incomeId);
+
+        if (error) {
+            showError(error.message);
+            return;
+        }
+
+        showSuccess('Income deleted successfully');
+        await refreshIncome();
+    } catch (err) {
+        console.error('Delete income error:', err);
+        showError('Failed to delete income');
+    } finally {
+        hideLoading();
+    }
+}
+
+
+/**
+ * Build the options of an account select
+ *
+ * @param {string|null} selectedId - Account to select, or null for the default account
+ * @returns {string} Option elements
+ */
+function renderAccountOptions(selectedId) {
+    const selected = selectedId || (accounts[0] ? accounts[0].id : null);
+    return accounts.map(account =>
+        `<option value="${account.id}" ${account.id === selected ? 'selected' : ''}>${escapeHtml(account.name)}</option>`
+    ).join('');
+}
+
+/**
+ * Fill an account select and choose an account in it
+ *
+ * @param {string} selectId - ID of the select element
+ * @param {string|null} accountId - Account to select, or null for the default account
+ */
+function setAccountSelect(selectId, accountId) {
+    const select = document.getElementById(selectId);
+    if (select) {
+        select.innerHTML = renderAccountOptions(accountId);
+    }
+}
+
+/**
+ * Load the user's accounts for the expense and income forms
+ * Users without accounts get a default one, and transactions saved before
+ * accounts existed are assigned to it.
+ */
+async function loadAccounts() {
+    const { data, error } = await ensureDefaultAccount();
+    if (error) {
+        console.error('Unable to load accounts:', error.message);
+        return;
+    }
+
+    accounts = data;
+    setAccountSelect('expense-account', null);
+    setAccountSelect('income-account', null);
+    setAccountSelect('recurring-account', null);
+    setTransferSelects();
+}
+
+/**
+ * Render the accounts view with each account's balance
+ *
+ * @param {Array<{account: Object, balance: number, monthSpending: number}>} balances - From getAccountBalances
+ */
+function renderAccountList(balances) {
+    const listContainer = document.getElementById('accounts-list');
+    const emptyMessage = document.getElementById('no-accounts-message');
+
+    if (!listContainer) return;
+
+    listContainer.innerHTML = '';
+
+    if (!balances || balances.length === 0) {
+        if (emptyMessage) {
+            emptyMessage.classList.remove('hidden');
+        }
+        return;
+    }
+
+    if (emptyMessage) {
+        emptyMessage.classList.add('hidden');
+    }
+
+    balances.forEach(({ account, balance, monthSpending }, index) => {
+        const item = document.createElement('li');
+        item.className = 'rule-item';
+        item.dataset.id = account.id;
+
+        const typeOptions = ACCOUNT_TYPES.map(type =>
+            `<option value="${type.value}" ${type.value === account.type ? 'selected' : ''}>${escapeHtml(type.label)}</option>`
+        ).join('');
+
+        item.innerHTML = `
+            <input type="text" class="rule-merchant-input account-name-input" value="${escapeHtml(account.name).replace(/"/g, '&quot;')}" aria-label="Name">
+            <select class="account-type-input" aria-label="Type">${typeOptions}</select>
+            <input type="number" class="account-opening-input" value="${parseFloat(account.opening_balance) || 0}" step="0.01" aria-label="Opening balance" title="Opening balance">
+            <input type="text" class="account-suffix-input" value="${escapeHtml(account.number_suffix || '')}" inputmode="numeric" maxlength="6" placeholder="Ends with" aria-label="Number ends with">
+            <span class="account-balance${balance < 0 ? ' account-balance-negative' : ''}" title="Spent ${formatCurrency(monthSpending)} this month">${formatCurrency(balance)}</span>
+            ${index === 0 ? '<span class="account-default-badge" title="Used when no other account is chosen">Default</span>' : ''}
+            <div class="rule-actions">
+                <button class="btn btn-primary account-save-btn" data-id="${account.id}">Save</button>
+                <button class="btn btn-danger account-delete-btn" data-id="${account.id}" ${balances.length === 1 ? 'disabled' : ''}>Delete</button>
+            </div>
+        `;
+
+        listContainer.appendChild(item);
+    });
+}
+
+/**
+ * Load and display the accounts with their balances, and fill the transfer form
+ */
+async function loadAccountList() {
+    showLoading();
+
+    try {
+        const typeSelect = document.getElementById('account-type');
+        if (typeSelect && !typeSelect.options.length) {
+            typeSelect.innerHTML = ACCOUNT_TYPES.map(type => `<option value="${type.value}">${escapeHtml(type.label)}</option>`).join('');
+        }
+
+        const { data: balances, error } = await getAccountBalances();
+
+        if (error) {
+            showError(error.message);
+            return;
+        }
+
+        accounts = balances.map(({ account }) => account);
+        renderAccountList(balances);
+        setTransferSelects();
+
+        const dateInput = document.getElementById('transfer-date');
+        if (dateInput && !dateInput.value) {
+            dateInput.value = new Date().toISOString().split('T')[0];
+        }
+    } catch (err) {
+        console.error('Load account list error:', err);
+        showError('Failed to load accounts');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Refresh the accounts shown and the ones offered in the forms
+ */
+async function refreshAccounts() {
+    await loadAccountList();
+    setAccountSelect('expense-account', null);
+    setAccountSelect('income-account', null);
+    setAccountSelect('recurring-account', null);
+}
+
+/**
+ * Handle the add account form
+ *
+ * @param {Event} e - Submit event
+ */
+async function handleAccountSubmit(e) {
+    e.preventDefault();
+
+    const form = e.target;
+
+    showLoading();
+
+    try {
+        const { error } = await createAccount({
+            name: document.getElementById('account-name').value,
+            type: document.getElementById('account-type').value,
+            opening_balance: document.getElementById('account-opening-balance').value,
+            number_suffix: document.getElementById('account-number-suffix').value
+        });
+
+        if (error) {
+            showError(error.message);
+            return;
+        }
+
+        form.reset();
+        showSuccess('Account added successfully');
+        await refreshAccounts();
+    } catch (err) {
+        console.error('Save account error:', err);
+        showError('Failed to save account');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Fill the transfer form's account selects, keeping the accounts chosen
+ * The destination defaults to the second account so the two differ.
+ */
+function setTransferSelects() {
+    const fromSelect = document.getElementById('transfer-from-account');
+    const toSelect = document.getElementById('transfer-to-account');
+    if (!fromSelect || !toSelect) return;
+
+    const fallbackTo = accounts[1] ? accounts[1].id : null;
+    const fromId = fromSelect.value || null;
+    const toId = toSelect.value || fallbackTo;
+    fromSelect.innerHTML = renderAccountOptions(fromId);
+    toSelect.innerHTML = renderAccountOptions(toId);
+}
+
+/**
+ * Handle the transfer form
+ *
+ * @param {Event} e - Submit event
+ */
+async function handleTransferSubmit(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const transferData = {
+        from_account_id: document.getElementById('transfer-from-account').value || null,
+        to_account_id: document.getElementById('transfer-to-account').value || null,
+        amount: parseFloat(document.getElementById('transfer-amount').value),
+        date: document.getElementById('transfer-date').value,
+        description: document.getElementById('transfer-description').value.trim()
+    };
+
+    clearFormErrors(form);
+
+    const validation = validateTransfer(transferData);
+
+    if (!validation.valid) {
+        validation.errors.forEach(error => {
+            const field = error.includes('account') ? 'to-account' : error.includes('mount') ? 'amount' : 'date';
+            document.getElementById(`transfer-${field}-error`).textContent = error;
+            document.getElementById(`transfer-${field}`).classList.add('error');
+        });
+        return;
+    }
+
+    showLoading();
+
+    try {
+        const { error } = await createTransfer(transferData);
+
+        if (error) {
+            showError(error.message);
+            return;
+        }
+
+        form.reset();
+        document.getElementById('transfer-date').value = transferData.date;
+        showSuccess('Transfer recorded successfully');
+        await refreshAccounts();
+        document.dispatchEvent(new CustomEvent('expenses-updated'));
+    } catch (err) {
+        console.error('Transfer submit error:', err);
+        showError('Failed to save transfer');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Handle clicks on the accounts list (save/delete buttons)
+ *
+ * @param {Event} e - Click event
+ */
+async function handleAccountListClick(e) {
+    const target = e.target.closest('button');
+    if (!target || target.disabled) return;
+
+    const accountId = target.dataset.id;
+
+    if (target.classList.contains('account-save-btn')) {
+        const item = target.closest('.rule-item');
+        await handleSaveAccount(accountId, {
+            name: item.querySelector('.account-name-input').value,
+            type: item.querySelector('.account-type-input').value,
+            opening_balance: item.querySelector('.account-opening-input').value,
+            number_suffix: item.querySelector('.account-suffix-input').value
+        });
+    }
+
+    if (target.classList.contains('account-delete-btn')) {
+        await handleDeleteAccount(accountId);
+    }
+}
+
+/**
+ * Save edits to an account
+ *
+ * @param {string} accountId - The account ID
+ * @param {{name: string, type: string, opening_balance: string, number_suffix: string}} updates - Edited values
+ */
+async function handleSaveAccount(accountId, updates) {
+    showLoading();
+
+    try {
+        const { error } = await updateAccount(accountId, updates);
+
+        if (error) {
+            showError(error.message);
+            return;
+        }
+
+        showSuccess('Account updated successfully');
+        await refreshAccounts();
+    } catch (err) {
+        console.error('Save account error:', err);
+        showError('Failed to update account');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Delete an account, moving its transactions to the default account
+ * (or, when deleting the default, to the next account)
+ *
+ * @param {string} accountId - The account ID
+ */
+async function handleDeleteAccount(accountId) {
+    const account = accounts.find(a => a.id === accountId);
+    const moveTo = accounts.find(a => a.id !== accountId);
+    if (!account || !moveTo) {
+        return;
+    }
+
+    if (!confirm(`Delete ${account.name}? Its transactions will be moved to ${moveTo.name}.`)) {
+        return;
+    }
 
-        if (plan.tips.length === 0) {
-            tipsList.innerHTML = '<li>Great job! No specific tips at this time.</li>';
-        } else {
-            plan.tips.forEach(tip => {
-                const li = document.createElement('li');
-                li.className = `priority-${tip.priority}`;
-                li.innerHTML = `
-                    <strong>${escapeHtml(tip.category)}</strong><br>
-                    ${escapeHtml(tip.message)}<br>
-                    <em>Potential savings: ${formatCurrency(tip.potentialSavings)}</em>
-                `;
-                tipsList.appendChild(li);
-            });
+    showLoading();
+
+    try {
+        const { error } = await deleteAccount(accountId, moveTo.id);
+
+        if (error) {
+            showError(error.message);
+            return;
         }
+
+        showSuccess('Account deleted successfully');
+        await refreshAccounts();
+        document.dispatchEvent(new CustomEvent('expenses-updated'));
+    } catch (err) {
+        console.error('Delete account error:', err);
+        showError('Failed to delete account');
+    } finally {
+        hideLoading();
     }
+}
 
-    // Render saving plans
-    const savingPlans = document.getElementById('ai-saving-plans');
-    if (savingPlans) {
-        savingPlans.innerHTML = '';
 
-        // Helper to format timeframe nicely
-        const formatTimeframe = (months) => {
-            if (months <= 12) {
-                return `${months} month${months > 1 ? 's' : ''}`;
-            }
-            const years = Math.floor(months / 12);
-            const remainingMonths = months % 12;
-            if (remainingMonths === 0) {
-                return `${years} year${years > 1 ? 's' : ''}`;
-            }
-            return `${years} year${years > 1 ? 's' : ''} ${remainingMonths} month${remainingMonths > 1 ? 's' : ''}`;
-        };
+/**
+ * Get today's date in the user's time zone as YYYY-MM-DD
+ *
+ * @returns {string}
+ */
+function getLocalToday() {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
 
-        if (plan.shortTermPlan) {
-            const shortTermDiv = document.createElement('div');
-            shortTermDiv.className = 'saving-plan';
-            shortTermDiv.innerHTML = `
-                <h4>🎯 ${escapeHtml(plan.shortTermPlan.name)}</h4>
-                <p><span>Goal Amount</span> <strong>${formatCurrency(plan.shortTermPlan.targetAmount)}</strong></p>
-                <p><span>Save Monthly</span> <strong>${formatCurrency(plan.shortTermPlan.monthlyContribution)}</strong></p>
-                <p><span>Time Needed</span> <strong>${formatTimeframe(plan.shortTermPlan.timeframeMonths)}</strong></p>
-                <ul>
-                    ${plan.shortTermPlan.milestones.map(m => `<li>${escapeHtml(m)}</li>`).join('')}
-                </ul>
-            `;
-            savingPlans.appendChild(shortTermDiv);
+/**
+ * Build the options of a select from value/label pairs
+ *
+ * @param {Array<{value: string, label: string}>} options - Options to offer
+ * @param {string} selected - Value to select
+ * @returns {string} Option elements
+ */
+function renderSelectOptions(options, selected) {
+    return options.map(option =>
+        `<option value="${option.value}" ${option.value === selected ? 'selected' : ''}>${escapeHtml(option.label)}</option>`
+    ).join('');
+}
+
+/**
+ * Fill the add recurring expense form's selects
+ */
+function setRecurringFormOptions() {
+    const categorySelect = document.getElementById('recurring-category');
+    if (categorySelect && !categorySelect.options.length) {
+        categorySelect.innerHTML = renderSelectOptions(EXPENSE_CATEGORIES.map(cat => ({ value: cat, label: cat })), 'Subscriptions');
+    }
+
+    const frequencySelect = document.getElementById('recurring-frequency');
+    if (frequencySelect && !frequencySelect.options.length) {
+        frequencySelect.innerHTML = renderSelectOptions(FREQUENCIES, 'monthly');
+    }
+
+    const unitSelect = document.getElementById('recurring-interval-unit');
+    if (unitSelect && !unitSelect.options.length) {
+        unitSelect.innerHTML = renderSelectOptions(INTERVAL_UNITS, 'month');
+    }
+
+    const dateInput = document.getElementById('recurring-start-date');
+    if (dateInput && !dateInput.value) {
+        dateInput.value = getLocalToday();
+    }
+}
+
+/**
+ * Describe when a template next falls, e.g. "Next: 5 Nov 2024" or "Paused"
+ *
+ * @param {Object} template - Saved template
+ * @returns {{text: string, due: boolean}}
+ */
+function describeNextOccurrence(template) {
+    if (template.paused) {
+        return { text: 'Paused', due: false };
+    }
+    if (isFinished(template)) {
+        return { text: 'Ended', due: false };
+    }
+    const due = template.next_date <= getLocalToday();
+    return { text: `${due ? 'Due' : 'Next'}: ${formatDate(template.next_date)}`, due };
+}
+
+/**
+ * Render the recurring expenses list
+ * Each template can be edited for future occurrences, skipped, paused and
+ * resumed; templates in remind mode with an occurrence due can be added.
+ *
+ * @param {Array} templates - Recurring expense templates
+ */
+function renderRecurringList(templates) {
+    const listContainer = document.getElementById('recurring-list');
+    const emptyMessage = document.getElementById('no-recurring-message');
+
+    if (!listContainer) return;
+
+    listContainer.innerHTML = '';
+
+    if (!templates || templates.length === 0) {
+        if (emptyMessage) {
+            emptyMessage.classList.remove('hidden');
         }
+        return;
+    }
 
-        if (plan.longTermPlan) {
-            const longTermDiv = document.createElement('div');
-            longTermDiv.className = 'saving-plan';
-            longTermDiv.innerHTML = `
-                <h4>🚀 ${escapeHtml(plan.longTermPlan.name)}</h4>
-                <p><span>Goal Amount</span> <strong>${formatCurrency(plan.longTermPlan.targetAmount)}</strong></p>
-                <p><span>Save Monthly</span> <strong>${formatCurrency(plan.longTermPlan.monthlyContribution)}</strong></p>
-                <p><span>Time Needed</span> <strong>${formatTimeframe(plan.longTermPlan.timeframeMonths)}</strong></p>
-                <ul>
-                    ${plan.longTermPlan.milestones.map(m => `<li>${escapeHtml(m)}</li>`).join('')}
-                </ul>
-            `;
-            savingPlans.appendChild(longTermDiv);
+    if (emptyMessage) {
+        emptyMessage.classList.add('hidden');
+    }
+
+    templates.forEach(template => {
+        const item = document.createElement('li');
+        item.className = 'rule-item recurring-item';
+        item.dataset.id = template.id;
+
+        const categoryOptions = renderSelectOptions(EXPENSE_CATEGORIES.map(cat => ({ value: cat, label: cat })), template.category);
+        const custom = template.frequency === 'custom';
+        const next = describeNextOccurrence(template);
+        const finished = isFinished(template);
+        const canAdd = template.mode === 'remind' && next.due;
+
+        item.innerHTML = `
+            <input type="text" class="rule-merchant-input recurring-name-input" value="${escapeHtml(template.expense_name).replace(/"/g, '&quot;')}" aria-label="Name">
+            <input type="number" class="recurring-amount-input" value="${parseFloat(template.amount) || ''}" step="0.01" min="0" aria-label="Amount">
+            <select class="recurring-category-input" aria-label="Category">${categoryOptions}</select>
+            <select class="recurring-account-input" aria-label="Paid from">${renderAccountOptions(template.account_id)}</select>
+            <select class="recurring-frequency-input" aria-label="Repeats" title="${escapeHtml(describeFrequency(template))}">${renderSelectOptions(FREQUENCIES, template.frequency)}</select>
+            <span class="recurring-interval${custom ? '' : ' hidden'}">
+                Every <input type="number" class="recurring-interval-count-input" value="${parseInt(template.interval_count, 10) || 1}" min="1" step="1" aria-label="Repeat every">
+                <select class="recurring-interval-unit-input" aria-label="Repeat unit">${renderSelectOptions(INTERVAL_UNITS, template.interval_unit || 'day')}</select>
+            </span>
+            <input type="date" class="recurring-end-input" value="${escapeHtml(template.end_date || '')}" aria-label="End date" title="End date">
+            <select class="recurring-mode-input" aria-label="Mode">
+                <option value="auto" ${template.mode === 'auto' ? 'selected' : ''}>Add automatically</option>
+                <option value="remind" ${template.mode === 'remind' ? 'selected' : ''}>Remind me</option>
+            </select>
+            <span class="recurring-next${next.due ? ' recurring-next-due' : ''}">${escapeHtml(next.text)}</span>
+            <div class="rule-actions">
+                <button class="btn btn-primary recurring-save-btn" data-id="${template.id}" title="Apply to occurrences not added yet">Save</button>
+                ${canAdd ? `<button class="btn btn-primary recurring-post-btn" data-id="${template.id}">Add Now</button>` : ''}
+                <button class="btn btn-secondary recurring-skip-btn" data-id="${template.id}" ${template.paused || finished ? 'disabled' : ''}
+                    title="Skip the occurrence on ${escapeHtml(formatDate(template.next_date))}">Skip Next</button>
+                <button class="btn btn-secondary recurring-pause-btn" data-id="${template.id}" ${finished ? 'disabled' : ''}>${template.paused ? 'Resume' : 'Pause'}</button>
+                <button class="btn btn-danger recurring-delete-btn" data-id="${template.id}">Delete</button>
+            </div>
+        `;
+
+        listContainer.appendChild(item);
+    });
+}
+
+/**
+ * Load and display the recurring expenses
+ */
+async function loadRecurringList() {
+    showLoading();
+
+    try {
+        setRecurringFormOptions();
+
+        const { data: templates, error } = await getRecurringExpenses();
+
+        if (error) {
+            showError(error.message);
+            return;
         }
 
-        if (!plan.shortTermPlan && !plan.longTermPlan) {
-            savingPlans.innerHTML = '<p class="empty-state">Set up your budget to get personalized saving plans!</p>';
+        recurringTemplates = templates;
+        renderRecurringList(templates);
+    } catch (err) {
+        console.error('Load recurring list error:', err);
+        showError('Failed to load recurring expenses');
+    } finally {
+        hideLoading();
+    }
+}
+
+/**
+ * Show the custom interval inputs only for custom frequencies
+ *
+ * @param {Event} e - Change event from the form or the list
+ */
+function handleRecurringFrequencyChange(e) {
+    if (e.target.id === 'recurring-frequency') {
+        const group = document.getElementById('recurring-interval-group');
+        if (group) {
+            group.classList.toggle('hidden', e.target.value !== 'custom');
         }
     }
+
+    if (e.target.classList.contains('recurring-frequency-input')) {
+        const interval = e.target.closest('.rule-item').querySelector('.recurring-interval');
+        interval.classList.toggle('hidden', e.target.value !== 'custom');
+    }
 }
 
 /**
- * Load budget settings into the form
+ * Handle the add recurring expense form
+ *
+ * @param {Event} e - Submit event
  */
-async function loadBudgetSettings() {
+async function handleRecurringSubmit(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const templateData = {
+        expense_name: document.getElementById('recurring-name').value.trim(),
+        amount: parseFloat(document.getElementById('recurring-amount').value),
+        category: document.getElementById('recurring-category').value,
+        account_id: document.getElementById('recurring-account').value || null,
+        frequency: document.getElementById('recurring-frequency').value,
+        interval_count: parseInt(document.getElementById('recurring-interval-count').value, 10),
+        interval_unit: document.getElementById('recurring-interval-unit').value,
+        start_date: document.getElementById('recurring-start-date').value,
+        end_date: document.getElementById('recurring-end-date').value || null,
+        mode: document.getElementById('recurring-mode').value
+    };
+
+    clearFormErrors(form);
+
+    const validation = validateRecurringExpense(templateData);
+
+    if (!validation.valid) {
+        validation.errors.forEach(error => {
+            const field = error.includes('name') ? 'name'
+                : error.includes('category') ? 'category'
+                    : error.includes('mount') ? 'amount'
+                        : error.includes('whole number') ? 'interval-count'
+                            : error.includes('repeats') ? 'frequency'
+                                : error.startsWith('End date') || error.includes('end date') ? 'end-date' : 'start-date';
+            document.getElementById(`recurring-${field}-error`).textContent = error;
+            document.getElementById(`recurring-${field}`).classList.add('error');
+        });
+        return;
+    }
+
     showLoading();
 
     try {
-        const { data: budget, error } = await getBudget();
+        const { error } = await createRecurringExpense(templateData);
 
         if (error) {
             showError(error.message);
             return;
         }
 
-        // Populate form fields
-        const incomeInput = document.getElementById('monthly-income');
-        const savingsInput = document.getElementById('savings-goal');
-
-        if (budget) {
-            if (incomeInput) incomeInput.value = budget.monthly_income || '';
-            if (savingsInput) savingsInput.value = budget.savings_goal || '';
+        form.reset();
+        setAccountSelect('recurring-account', null);
+        document.getElementById('recurring-start-date').value = getLocalToday();
+        document.getElementById('recurring-interval-group').classList.add('hidden');
 
-            // Update display
-            updateBudgetDisplay(budget.monthly_income, budget.savings_goal);
+        // Add occurrences that are already due, as the app does when it loads
+        const { posted, error: postError } = await postDueRecurringExpenses();
+        if (postError) {
+            showError(postError.message);
         } else {
-            if (incomeInput) incomeInput.value = '';
-            if (savingsInput) savingsInput.value = '';
-            updateBudgetDisplay(0, 0);
+            showSuccess(posted > 0
+                ? `Recurring expense added, with ${posted} ${posted === 1 ? 'occurrence' : 'occurrences'} already due`
+                : 'Recurring expense added successfully');
         }
 
+        await loadRecurringList();
+        if (posted > 0) {
+            document.dispatchEvent(new CustomEvent('expenses-updated'));
+        }
     } catch (err) {
-        console.error('Load budget settings error:', err);
-        showError('Failed to load budget settings');
+        console.error('Recurring submit error:', err);
+        showError('Failed to save recurring expense');
     } finally {
         hideLoading();
     }
 }
 
 /**
- * Update the budget display section
- * 
- * @param {number} income - Monthly income
- * @param {number} savings - Savings goal
+ * Handle clicks on the recurring expenses list
+ *
+ * @param {Event} e - Click event
  */
-function updateBudgetDisplay(income, savings) {
-    const incomeDisplay = document.getElementById('budget-income-display');
-    const savingsDisplay = document.getElementById('budget-savings-display');
-    const availableDisplay = document.getElementById('budget-available-display');
+async function handleRecurringListClick(e) {
+    const target = e.target.closest('button');
+    if (!target || target.disabled) return;
+
+    const template = recurringTemplates.find(t => t.id === target.dataset.id);
+    if (!template) return;
+
+    if (target.classList.contains('recurring-save-btn')) {
+        const item = target.closest('.rule-item');
+        await handleSaveRecurring(template, {
+            expense_name: item.querySelector('.recurring-name-input').value.trim(),
+            amount: parseFloat(item.querySelector('.recurring-amount-input').value),
+            category: item.querySelector('.recurring-category-input').value,
+            account_id: item.querySelector('.recurring-account-input').value || null,
+            frequency: item.querySelector('.recurring-frequency-input').value,
+            interval_count: parseInt(item.querySelector('.recurring-interval-count-input').value, 10),
+            interval_unit: item.querySelector('.recurring-interval-unit-input').value,
+            end_date: item.querySelector('.recurring-end-input').value || null,
+            mode: item.querySelector('.recurring-mode-input').value
+        });
+    }
 
-    if (incomeDisplay) incomeDisplay.textContent = formatCurrency(income || 0);
-    if (savingsDisplay) savingsDisplay.textContent = formatCurrency(savings || 0);
-    if (availableDisplay) {
-        const available = Math.max(0, (income || 0) - (savings || 0));
-        availableDisplay.textContent = formatCurrency(available);
+    if (target.classList.contains('recurring-post-btn')) {
+        await handleRecurringAction(() => postNextOccurrence(template), `${template.expense_name} added to your expenses`, true);
+    }
+
+    if (target.classList.contains('recurring-skip-btn')) {
+        await handleRecurringAction(() => skipNextOccurrence(template), `Skipped ${template.expense_name} on ${formatDate(template.next_date)}`);
     }
+
+    if (target.classList.contains('recurring-pause-btn')) {
+        await handleRecurringAction(
+            () => setRecurringPaused(template, !template.paused),
+            template.paused ? `${template.expense_name} resumed` : `${template.expense_name} paused`
+        );
+    }
+
+    if (target.classList.contains('recurring-delete-btn')) {
+        if (!confirm(`Delete the recurring expense ${template.expense_name}? Expenses it already added are kept.`)) {
+            return;
+        }
+        await handleRecurringAction(() => deleteRecurringExpense(template.id), 'Recurring expense deleted successfully');
+    }
+}
+
+/**
+ * Save edits to a recurring expense, for occurrences not added yet
+ *
+ * @param {Object} template - Saved template
+ * @param {Object} updates - Edited values
+ */
+async function handleSaveRecurring(template, updates) {
+    const validation = validateRecurringExpense({ ...updates, start_date: template.start_date });
+    if (!validation.valid) {
+        showError(validation.errors[0]);
+        return;
+    }
+
+    await handleRecurringAction(() => updateRecurringExpense(template.id, updates), 'Future occurrences updated successfully');
 }
 
+/**
+ * Run an action on a recurring expense and show the result
+ *
+ * @param {function(): Promise<{error: Object|null}>} action - The action to run
+ * @param {string} successMessage - Message shown when it succeeds
+ * @param {boolean} [addsExpense=false] - Whether the action adds an expense, so lists showing expenses refresh
+ */
+async function handleRecurringAction(action, successMessage, addsExpense = false) {
+    showLoading();
+
+    try {
+        const { error } = await action();
+
+        if (error) {
+            showError(error.message);
+            return;
+        }
+
+        showSuccess(successMessage);
+        await loadRecurringList();
+        if (addsExpense) {
+            document.dispatchEvent(new CustomEvent('expenses-updated'));
+        }
+    } catch (err) {
+        console.error('Recurring expense action error:', err);
+        showError('Failed to update recurring expense');
+    } finally {
+        hideLoading();
+    }
+}
 
 /**
  * Initialize all event listeners for UI interactions
@@ -1019,9 +2853,17 @@ function initEventListeners() {
     if (addExpenseBtn) {
         addExpenseBtn.addEventListener('click', () => {
             showExpenseForm();
+            // Refresh rules in the background for category suggestions
+            loadCategoryRules();
         });
     }
 
+    // Suggest a category once the expense name is entered
+    const expenseNameInput = document.getElementById('expense-name');
+    if (expenseNameInput) {
+        expenseNameInput.addEventListener('change', suggestExpenseCategory);
+    }
+
     // Cancel expense button
     const cancelExpenseBtn = document.getElementById('cancel-expense-btn');
     if (cancelExpenseBtn) {
@@ -1042,6 +2884,86 @@ function initEventListeners() {
         expenseList.addEventListener('click', handleExpenseListClick);
     }
 
+    // Category rules list event delegation for move/save/delete buttons
+    const rulesList = document.getElementById('category-rules-list');
+    if (rulesList) {
+        rulesList.addEventListener('click', handleRulesListClick);
+    }
+
+    // Income form and list
+    const incomeForm = document.getElementById('income-form');
+    if (incomeForm) {
+        incomeForm.addEventListener('submit', handleIncomeSubmit);
+    }
+
+    const incomeList = document.getElementById('income-list');
+    if (incomeList) {
+        incomeList.addEventListener('click', handleIncomeListClick);
+    }
+
+    // Accounts form and list
+    const accountForm = document.getElementById('account-form');
+    if (accountForm) {
+        accountForm.addEventListener('submit', handleAccountSubmit);
+    }
+
+    const accountsList = document.getElementById('accounts-list');
+    if (accountsList) {
+        accountsList.addEventListener('click', handleAccountListClick);
+    }
+
+    const transferForm = document.getElementById('transfer-form');
+    if (transferForm) {
+        transferForm.addEventListener('submit', handleTransferSubmit);
+    }
+
+    // Recurring expenses form and list
+    const recurringForm = document.getElementById('recurring-form');
+    if (recurringForm) {
+        recurringForm.addEventListener('submit', handleRecurringSubmit);
+        recurringForm.addEventListener('change', handleRecurringFrequencyChange);
+    }
+
+    const recurringList = document.getElementById('recurring-list');
+    if (recurringList) {
+        recurringList.addEventListener('click', handleRecurringListClick);
+        recurringList.addEventListener('change', handleRecurringFrequencyChange);
+    }
+
+    // Merchant aliases form and list
+    const aliasForm = document.getElementById('merchant-alias-form');
+    if (aliasForm) {
+        aliasForm.addEventListener('submit', handleAliasSubmit);
+    }
+
+    const aliasesList = document.getElementById('merchant-aliases-list');
+    if (aliasesList) {
+        aliasesList.addEventListener('click', handleAliasListClick);
+    }
+
+    const backfillMerchantsBtn = document.getElementById('backfill-merchants-btn');
+    if (backfillMerchantsBtn) {
+        backfillMerchantsBtn.addEventListener('click', handleBackfillMerchants);
+    }
+
+    // Import history event delegation for roll back buttons
+    const importBatchesList = document.getElementById('import-batches-list');
+    if (importBatchesList) {
+        importBatchesList.addEventListener('click', handleImportHistoryClick);
+    }
+
+    // Bank profiles event delegation for rename and delete buttons
+    const importProfilesList = document.getElementById('import-profiles-list');
+    if (importProfilesList) {
+        importProfilesList.addEventListener('click', handleProfileListClick);
+    }
+
+    // Re-apply rules to past expenses
+    const reapplyRulesBtn = document.getElementById('reapply-rules-btn');
+    if (reapplyRulesBtn) {
+        reapplyRulesBtn.addEventListener('click', handleReapplyRules);
+    }
+
     // Budget form submission
     const budgetForm = document.getElementById('budget-form');
     if (budgetForm) {
@@ -1103,11 +3025,14 @@ function showExpenseForm(expense = null) {
     if (expense) {
         if (formTitle) formTitle.textContent = 'Edit Expense';
         if (expenseIdInput) expenseIdInput.value = expense.id;
+        form.dataset.originalCategory = expense.category || '';
+        form.dataset.transactionType = expense.transaction_type || 'expense';
 
         document.getElementById('expense-name').value = expense.expense_name || '';
         document.getElementById('expense-category').value = expense.category || '';
         document.getElementById('expense-amount').value = expense.amount || '';
         document.getElementById('expense-date').value = expense.date || '';
+        setAccountSelect('expense-account', expense.account_id);
 
         // Update calendar with existing date
         if (expense.date) {
@@ -1119,6 +3044,9 @@ function showExpenseForm(expense = null) {
     } else {
         if (formTitle) formTitle.textContent = 'Add Expense';
         if (expenseIdInput) expenseIdInput.value = '';
+        setAccountSelect('expense-account', null);
+        form.dataset.originalCategory = '';
+        form.dataset.transactionType = 'expense';
 
         // Set default date to today
         const todayStr = today.toISOString().split('T')[0];
@@ -1175,7 +3103,8 @@ async function handleExpenseSubmit(e) {
         expense_name: document.getElementById('expense-name').value.trim(),
         category: document.getElementById('expense-category').value,
         amount: parseFloat(document.getElementById('expense-amount').value),
-        date: document.getElementById('expense-date').value
+        date: document.getElementById('expense-date').value,
+        account_id: document.getElementById('expense-account').value || null
     };
 
     // Validate
@@ -1220,6 +3149,18 @@ async function handleExpenseSubmit(e) {
             return;
         }
 
+        // A changed category on an existing expense is a correction worth
+        // remembering; only spending categories are learned
+        const originalCategory = form.dataset.originalCategory;
+        const isSpending = ['expense', 'refund'].includes(form.dataset.transactionType || 'expense');
+        if (expenseId && isSpending && originalCategory && originalCategory !== expenseData.category) {
+            learnFromCorrection(expenseData.expense_name, expenseData.category);
+            const { error: ruleError } = await learnCategoryRule(expenseData.expense_name, expenseData.category);
+            if (ruleError) {
+                console.error('Unable to save category rule:', ruleError.message);
+            }
+        }
+
         showSuccess(expenseId ? 'Expense updated successfully' : 'Expense added successfully');
         hideExpenseForm();
         await loadExpenseList();
@@ -1438,6 +3379,14 @@ export {
     initEventListeners,
     loadExpenseList,
     loadBudgetSettings,
+    loadIncomeList,
+    loadAccounts,
+    loadAccountList,
+    loadRecurringList,
+    loadRulesList,
+    loadAliasList,
+    loadImportHistory,
+    loadProfileList,
     formatCurrency,
     formatDate,
     cleanup,
@@ -173,6 +173,161 @@ export function validateExpense(expense) {
     };
 }
 
+/**
+ * Validates income received
+ * @param {Object} income - The income object to validate
+ * @param {string} income.source - Where the income came from
+ * @param {number} income.amount - Amount received
+ * @param {string} income.date - Date received (YYYY-MM-DD format)
+ * @returns {{valid: boolean, errors: string[]}} Validation result with errors
+ */
+export function validateIncome(income) {
+    const errors = [];
+
+    // Check if income object exists
+    if (!income || typeof income !== 'object') {
+        return { valid: false, errors: ['Income data is required'] };
+    }
+
+    // Validate source (required, non-empty)
+    if (!income.source || typeof income.source !== 'string' || income.source.trim() === '') {
+        errors.push('Please enter where the income came from');
+    }
+
+    // Validate amount (required, must be positive number)
+    if (income.amount === undefined || income.amount === null) {
+        errors.push('Amount is required');
+    } else if (typeof income.amount !== 'number' || isNaN(income.amount)) {
+        errors.push('Amount must be a valid number');
+    } else if (income.amount <= 0) {
+        errors.push('Amount must be greater than zero');
+    }
+
+    // Validate date (required, valid YYYY-MM-DD date)
+    if (!income.date || typeof income.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(income.date)
+        || isNaN(new Date(income.date).getTime())) {
+        errors.push('Please select a valid date');
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Validates a transfer between two of the user's accounts
+ * @param {Object} transfer - The transfer object to validate
+ * @param {string} transfer.from_account_id - Account the money left
+ * @param {string} transfer.to_account_id - Account the money went into
+ * @param {number} transfer.amount - Amount moved
+ * @param {string} transfer.date - Date of the transfer (YYYY-MM-DD format)
+ * @returns {{valid: boolean, errors: string[]}} Validation result with errors
+ */
+export function validateTransfer(transfer) {
+    const errors = [];
+
+    // Check if transfer object exists
+    if (!transfer || typeof transfer !== 'object') {
+        return { valid: false, errors: ['Transfer data is required'] };
+    }
+
+    // Validate accounts (both required and different)
+    if (!transfer.from_account_id || !transfer.to_account_id) {
+        errors.push('Please choose the accounts the money moved between');
+    } else if (transfer.from_account_id === transfer.to_account_id) {
+        errors.push('Please choose two different accounts');
+    }
+
+    // Validate amount (required, must be positive number)
+    if (transfer.amount === undefined || transfer.amount === null) {
+        errors.push('Amount is required');
+    } else if (typeof transfer.amount !== 'number' || isNaN(transfer.amount)) {
+        errors.push('Amount must be a valid number');
+    } else if (transfer.amount <= 0) {
+        errors.push('Amount must be greater than zero');
+    }
+
+    // Validate date (required, valid YYYY-MM-DD date)
+    if (!transfer.date || typeof transfer.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(transfer.date)
+        || isNaN(new Date(transfer.date).getTime())) {
+        errors.push('Please select a valid date');
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
+/**
+ * Validates a recurring expense template
+ * @param {Object} template - The template object to validate
+ * @param {string} template.expense_name - Name given to each expense
+ * @param {string} template.category - Category of each expense
+ * @param {number} template.amount - Amount of each expense
+ * @param {string} template.frequency - daily, weekly, monthly, yearly or custom
+ * @param {number} [template.interval_count] - For custom frequencies, how many units between occurrences
+ * @param {string} [template.interval_unit] - For custom frequencies, day, week, month or year
+ * @param {string} template.start_date - First occurrence (YYYY-MM-DD format)
+ * @param {string|null} [template.end_date] - Last day an occurrence can fall on (YYYY-MM-DD format)
+ * @returns {{valid: boolean, errors: string[]}} Validation result with errors
+ */
+export function validateRecurringExpense(template) {
+    const errors = [];
+    const isDate = value => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+        && !isNaN(new Date(value).getTime());
+
+    // Check if template object exists
+    if (!template || typeof template !== 'object') {
+        return { valid: false, errors: ['Recurring expense data is required'] };
+    }
+
+    // Validate expense_name (required, non-empty)
+    if (!template.expense_name || typeof template.expense_name !== 'string' || template.expense_name.trim() === '') {
+        errors.push('Please enter an expense name');
+    }
+
+    // Validate category (required, must be selected)
+    if (!template.category || typeof template.category !== 'string' || template.category.trim() === '') {
+        errors.push('Please select a category');
+    }
+
+    // Validate amount (required, must be positive number)
+    if (template.amount === undefined || template.amount === null) {
+        errors.push('Amount is required');
+    } else if (typeof template.amount !== 'number' || isNaN(template.amount)) {
+        errors.push('Amount must be a valid number');
+    } else if (template.amount <= 0) {
+        errors.push('Amount must be greater than zero');
+    }
+
+    // Validate frequency, and the interval of a custom one
+    if (!['daily', 'weekly', 'monthly', 'yearly', 'custom'].includes(template.frequency)) {
+        errors.push('Please choose how often it repeats');
+    } else if (template.frequency === 'custom'
+        && !(Number.isInteger(template.interval_count) && template.interval_count >= 1)) {
+        errors.push('Please enter how often it repeats as a whole number');
+    } else if (template.frequency === 'custom' && !['day', 'week', 'month', 'year'].includes(template.interval_unit)) {
+        errors.push('Please choose whether it repeats in days, weeks, months or years');
+    }
+
+    // Validate start date (required) and end date (optional, not before the start)
+    if (!isDate(template.start_date)) {
+        errors.push('Please select a valid start date');
+    }
+    if (template.end_date && !isDate(template.end_date)) {
+        errors.push('Please select a valid end date');
+    } else if (template.end_date && isDate(template.start_date) && template.end_date < template.start_date) {
+        errors.push('End date must be on or after the start date');
+    }
+
+    return {
+        valid: errors.length === 0,
+        errors
+    };
+}
+
 /**
  * Validates budget input
  * @param {Object} budget - The budget object to validate
@@ -0,0 +1,125 @@
+/**
+ * ZIP Reader Module
+ *
+ * Unpacks a ZIP archive of statements so each file inside can go through the
+ * normal import pipeline. Only files with a supported extension are kept;
+ * folders, nested archives and the hidden files some systems add (__MACOSX,
+ * .DS_Store) are left out, and entries too large to import are skipped before
+ * they are decompressed. fflate is loaded only when an archive is opened, so
+ * the rest of the app still loads if it can't be.
+ *
+ * @module zipReader
+ */
+
+import { SUPPORTED_EXTENSIONS, MAX_FILE_SIZE } from './csvParser.js';
+
+/**
+ * Maximum archive size in bytes (20MB)
+ * Each file inside is still held to MAX_FILE_SIZE.
+ */
+const MAX_ZIP_SIZE = 20 * 1024 * 1024;
+
+/**
+ * Error shown when an archive can't be read
+ */
+const ZIP_READ_ERROR = 'This ZIP archive could not be opened. It may be damaged or password-protected.';
+
+/**
+ * Get the lower-case extension of a file name
+ *
+ * @param {string} name - File name or path
+ * @returns {string}
+ */
+function getExtension(name) {
+    const base = String(name || '').split('/').pop();
+    return base.includes('.') ? base.toLowerCase().split('.').pop() : '';
+}
+
+/**
+ * Check whether a file is a ZIP archive
+ *
+ * @param {File|{name: string}} file - Chosen file
+ * @returns {boolean}
+ */
+function isZipFile(file) {
+    return Boolean(file) && getExtension(file.name) === 'zip';
+}
+
+/**
+ * Unpack the statement files in a ZIP archive
+ * Files are named after their path's last part; a name used twice gets a
+ * number so each file stays a separate source in the preview.
+ *
+ * @param {Uint8Array} bytes - Archive contents
+ * @returns {Promise<{entries: Array<{name: string, data: Uint8Array}>, skipped: string[], error: string|null}>}
+ */
+async function unzipEntries(bytes) {
+    // Loaded on first use so other imports don't pay for it
+    const { unzipSync } = await import('fflate');
+    const skipped = [];
+
+    let files;
+    try {
+        files = unzipSync(bytes, {
+            filter: entry => {
+                const parts = entry.name.split('/');
+                const base = parts[parts.length - 1];
+                if (!base || base.startsWith('.') || parts.includes('__MACOSX')) {
+                    return false;
+                }
+                if (!SUPPORTED_EXTENSIONS.includes(getExtension(base)) || entry.originalSize > MAX_FILE_SIZE) {
+                    skipped.push(base);
+                    return false;
+                }
+                return true;
+            }
+        });
+    } catch (err) {
+        console.error('Unzip error:', err);
+        return { entries: [], skipped: [], error: ZIP_READ_ERROR };
+    }
+
+    const used = new Set();
+    const entries = Object.keys(files).sort().map(path => {
+        const base = path.split('/').pop();
+        let name = base;
+        for (let copy = 2; used.has(name.toLowerCase()); copy++) {
+            const dot = base.lastIndexOf('.');
+            name = `${base.slice(0, dot)} (${copy})${base.slice(dot)}`;
+        }
+        used.add(name.toLowerCase());
+        return { name, data: files[path] };
+    });
+
+    return { entries, skipped, error: null };
+}
+
+/**
+ * Read the statement files out of a chosen ZIP file
+ *
+ * @param {File} file - ZIP archive
+ * @returns {Promise<{files: File[], skipped: string[], error: string|null}>}
+ */
+async function extractZipFile(file) {
+    if (file.size > MAX_ZIP_SIZE) {
+        return { files: [], skipped: [], error: 'ZIP archive exceeds 20MB limit. Please select a smaller archive.' };
+    }
+
+    try {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const { entries, skipped, error } = await unzipEntries(bytes);
+        const files = entries.map(entry => new File([entry.data], entry.name, { lastModified: file.lastModified }));
+        return { files, skipped, error };
+    } catch (err) {
+        console.error('Extract ZIP error:', err);
+        return { files: [], skipped: [], error: ZIP_READ_ERROR };
+    }
+}
+
+// Export all ZIP reading functions
+export {
+    isZipFile,
+    unzipEntries,
+    extractZipFile,
+    MAX_ZIP_SIZE
+};
@@ -0,0 +1,94 @@
+/**
+ * Test Helper: Supabase Mock
+ *
+ * Stands in for js/supabaseConfig.js so data modules can be tested without a
+ * database. Register it with:
+ *
+ *     vi.mock('../../js/supabaseConfig.js', () => import('../helpers/supabaseMock.js'));
+ *
+ * Every query built with supabase.from() is recorded in db.queries as its
+ * table and the chain of calls made on it. Awaiting a query resolves with
+ * the first responder that returns a result, or { data: [], error: null }.
+ */
+
+import { vi } from 'vitest';
+
+const TEST_USER = { id: 'user-1' };
+
+const db = {
+    /** @type {Array<{table: string, calls: Array<[string, ...any]>}>} */
+    queries: [],
+    responders: [],
+
+    /**
+     * Answer matching queries
+     *
+     * @param {function(Object): (Object|undefined)} responder - Returns the result for a query, or undefined to pass
+     */
+    respond(responder) {
+        this.responders.push(responder);
+    },
+
+    /**
+     * Forget recorded queries and responders, and sign the test user back in
+     */
+    reset() {
+        this.queries = [];
+        this.responders = [];
+        supabase.auth.getUser.mockResolvedValue({ data: { user: TEST_USER }, error: null });
+    },
+
+    /**
+     * Get the recorded queries on a table that made a given call
+     *
+     * @param {string} table - Table name
+     * @param {string} [method] - Call such as 'insert', 'update' or 'delete'
+     * @returns {Array<Object>}
+     */
+    find(table, method) {
+        return this.queries.filter(query => query.table === table && (!method || query.has(method)));
+    }
+};
+
+/**
+ * Build a chainable query that records its calls and resolves when awaited
+ *
+ * @param {string} table - Table name
+ * @returns {Object}
+ */
+function createQuery(table) {
+    const query = {
+        table,
+        calls: [],
+        has: method => query.calls.some(([name]) => name === method),
+        args: method => (query.calls.find(([name]) => name === method) || []).slice(1)
+    };
+    db.queries.push(query);
+
+    const builder = new Proxy({}, {
+        get(target, name) {
+            if (name === 'then') {
+                let result;
+                for (const respond of db.responders) {
+                    result = respond(query);
+                    if (result !== undefined) break;
+                }
+                return (resolve, reject) => Promise.resolve(result || { data: [], error: null }).then(resolve, reject);
+            }
+            return (...args) => {
+                query.calls.push([name, ...args]);
+                return builder;
+            };
+        }
+    });
+    return builder;
+}
+
+const supabase = {
+    auth: {
+        getUser: vi.fn().mockResolvedValue({ data: { user: TEST_USER }, error: null })
+    },
+    from: table => createQuery(table)
+};
+
+export { supabase, db, TEST_USER };
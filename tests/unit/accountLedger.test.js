@@ -0,0 +1,77 @@
+/**
+ * Unit Tests: Account Ledger Module
+ *
+ * Tests for account balances and matching transactions to accounts by number ending.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { calculateAccountBalances, findAccountBySuffix, getAccountTypeLabel } from '../../js/accountLedger.js';
+
+const savings = { id: 'a1', name: 'HDFC Savings', type: 'bank', opening_balance: '10000', number_suffix: '1234' };
+const card = { id: 'a2', name: 'ICICI Card', type: 'credit_card', opening_balance: 0, number_suffix: '9876' };
+
+describe('calculateAccountBalances', () => {
+    const transactions = [
+        { account_id: 'a1', amount: '50000', date: '2024-04-01', transaction_type: 'income' },
+        { account_id: 'a1', amount: '1200.50', date: '2024-04-03', transaction_type: 'expense' },
+        { account_id: 'a1', amount: '200', date: '2024-04-05', transaction_type: 'refund' },
+        { account_id: 'a1', amount: '3000', date: '2024-03-28' },
+        { account_id: 'a2', amount: '4500', date: '2024-04-10', transaction_type: 'expense' },
+        { account_id: 'gone', amount: '999', date: '2024-04-10', transaction_type: 'expense' }
+    ];
+
+    it('adds money in and takes money out from the opening balance', () => {
+        const [hdfc, icici] = calculateAccountBalances([savings, card], transactions, { year: 2024, month: 4 });
+
+        expect(hdfc.balance).toBeCloseTo(10000 + 50000 - 1200.5 + 200 - 3000);
+        expect(hdfc.count).toBe(4);
+        expect(icici.balance).toBe(-4500);
+    });
+
+    it('totals spending net of refunds and income for the month only', () => {
+        const [hdfc, icici] = calculateAccountBalances([savings, card], transactions, { year: 2024, month: 4 });
+
+        expect(hdfc.monthSpending).toBeCloseTo(1000.5);
+        expect(hdfc.monthIncome).toBe(50000);
+        expect(icici.monthSpending).toBe(4500);
+    });
+
+    it('moves transfers between accounts without counting them as spending or income', () => {
+        const transfer = { account_id: 'a1', transfer_account_id: 'a2', amount: '4500', date: '2024-04-12', transaction_type: 'transfer' };
+        const [hdfc, icici] = calculateAccountBalances([savings, card], [...transactions, transfer], { year: 2024, month: 4 });
+
+        expect(hdfc.balance).toBeCloseTo(10000 + 50000 - 1200.5 + 200 - 3000 - 4500);
+        expect(hdfc.monthSpending).toBeCloseTo(1000.5);
+        expect(icici.balance).toBe(0);
+        expect(icici.monthSpending).toBe(4500);
+        expect(icici.monthIncome).toBe(0);
+    });
+
+    it('lists accounts without transactions at their opening balance', () => {
+        const [result] = calculateAccountBalances([savings], [], { year: 2024, month: 4 });
+        expect(result).toMatchObject({ account: savings, balance: 10000, monthSpending: 0, monthIncome: 0 });
+    });
+});
+
+describe('findAccountBySuffix', () => {
+    it('matches masked and differently sized number endings', () => {
+        expect(findAccountBySuffix([savings, card], 'XX1234')).toBe(savings);
+        expect(findAccountBySuffix([savings, card], '234')).toBe(savings);
+        expect(findAccountBySuffix([savings, card], '009876')).toBe(card);
+    });
+
+    it('picks nothing for unknown, too short or ambiguous endings', () => {
+        const other = { id: 'a3', number_suffix: '51234' };
+        expect(findAccountBySuffix([savings, card], '5555')).toBeNull();
+        expect(findAccountBySuffix([savings, card], '34')).toBeNull();
+        expect(findAccountBySuffix([savings, other], '1234')).toBeNull();
+        expect(findAccountBySuffix([savings], null)).toBeNull();
+    });
+});
+
+describe('getAccountTypeLabel', () => {
+    it('names each account type', () => {
+        expect(getAccountTypeLabel('credit_card')).toBe('Credit card');
+        expect(getAccountTypeLabel('unknown')).toBe('Account');
+    });
+});
@@ -0,0 +1,148 @@
+/**
+ * Unit Tests: Accounts Module
+ *
+ * Tests for deleting accounts, setting up the default account and working
+ * out balances, against a mocked Supabase client.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { db } from '../helpers/supabaseMock.js';
+import { createAccount, deleteAccount, ensureDefaultAccount, getAccountBalances } from '../../js/accounts.js';
+
+vi.mock('../../js/supabaseConfig.js', () => import('../helpers/supabaseMock.js'));
+
+const savings = { id: 'a1', name: 'HDFC Savings', type: 'bank', opening_balance: '10000' };
+const card = { id: 'a2', name: 'ICICI Card', type: 'credit_card', opening_balance: '0' };
+
+beforeEach(() => {
+    db.reset();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('createAccount', () => {
+    it('keeps only the last six digits of the number ending', async () => {
+        await createAccount({ name: ' HDFC Savings ', type: 'bank', number_suffix: 'XXXX XXXX 00123456' });
+
+        expect(db.find('accounts', 'insert')[0].args('insert')[0]).toEqual({
+            user_id: 'user-1',
+            name: 'HDFC Savings',
+            type: 'bank',
+            opening_balance: 0,
+            number_suffix: '123456'
+        });
+    });
+
+    it('rejects an unknown type without saving', async () => {
+        const { error } = await createAccount({ name: 'Locker', type: 'vault' });
+
+        expect(error.message).toBe('Please choose an account type.');
+        expect(db.queries).toHaveLength(0);
+    });
+});
+
+describe('deleteAccount', () => {
+    it('moves the account\'s transactions and transfers into it before deleting it', async () => {
+        const { error } = await deleteAccount('a1', 'a2');
+
+        expect(error).toBeNull();
+        expect(db.queries.map(query => [query.table, query.calls[0]])).toEqual([
+            ['expenses', ['update', { account_id: 'a2' }]],
+            ['expenses', ['update', { transfer_account_id: 'a2' }]],
+            ['accounts', ['delete']]
+        ]);
+        expect(db.queries[0].calls).toContainEqual(['eq', 'account_id', 'a1']);
+        expect(db.queries[1].calls).toContainEqual(['eq', 'transfer_account_id', 'a1']);
+        expect(db.queries[2].calls).toContainEqual(['eq', 'id', 'a1']);
+    });
+
+    it('refuses without another account to move the transactions to', async () => {
+        expect((await deleteAccount('a1', null)).error.message).toMatch(/Add another account/);
+        expect((await deleteAccount('a1', 'a1')).error.message).toMatch(/Add another account/);
+        expect(db.queries).toHaveLength(0);
+    });
+
+    it('keeps the account when its transactions can\'t be moved', async () => {
+        db.respond(query => query.table === 'expenses' ? { error: { message: 'timeout' } } : undefined);
+
+        const { error } = await deleteAccount('a1', 'a2');
+
+        expect(error.message).toBe('Unable to move this account\'s transactions. Please try again.');
+        expect(db.find('accounts')).toHaveLength(0);
+    });
+});
+
+describe('ensureDefaultAccount', () => {
+    it('creates a Cash account for a user without one and assigns their transactions to it', async () => {
+        db.respond(query => query.has('insert') ? { data: { id: 'cash', name: 'Cash' }, error: null } : undefined);
+
+        const { data } = await ensureDefaultAccount();
+
+        expect(data).toEqual([{ id: 'cash', name: 'Cash' }]);
+        expect(db.find('accounts', 'insert')[0].args('insert')[0]).toMatchObject({ name: 'Cash', type: 'cash' });
+        const [assign] = db.find('expenses', 'update');
+        expect(assign.args('update')[0]).toEqual({ account_id: 'cash' });
+        expect(assign.calls).toContainEqual(['is', 'account_id', null]);
+    });
+
+    it('creates nothing when the user already has accounts, using the first as the default', async () => {
+        db.respond(query => query.table === 'accounts' && query.has('select') ? { data: [savings, card], error: null } : undefined);
+
+        const { data } = await ensureDefaultAccount();
+
+        expect(data).toEqual([savings, card]);
+        expect(db.find('accounts', 'insert')).toHaveLength(0);
+        expect(db.find('expenses', 'update')[0].args('update')[0]).toEqual({ account_id: 'a1' });
+    });
+
+    it('uses the account another tab created first', async () => {
+        let reads = 0;
+        db.respond(query => {
+            if (query.table !== 'accounts') return undefined;
+            if (query.has('insert')) return { data: null, error: { code: '23505' } };
+            reads++;
+            return { data: reads === 1 ? [] : [{ id: 'cash', name: 'Cash' }], error: null };
+        });
+
+        const { data, error } = await ensureDefaultAccount();
+
+        expect(error).toBeNull();
+        expect(data).toEqual([{ id: 'cash', name: 'Cash' }]);
+        expect(db.find('accounts', 'insert')).toHaveLength(1);
+    });
+});
+
+describe('getAccountBalances', () => {
+    beforeEach(() => {
+        vi.useFakeTimers({ toFake: ['Date'] });
+        vi.setSystemTime(new Date(2024, 3, 15));
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it('adds income and refunds, takes out spending and moves transfers between accounts', async () => {
+        db.respond(query => {
+            if (query.table === 'accounts') return { data: [savings, card], error: null };
+            return {
+                data: [
+                    { account_id: 'a1', amount: '85000', date: '2024-04-01', transaction_type: 'income' },
+                    { account_id: 'a2', amount: '3000', date: '2024-04-02', transaction_type: 'expense' },
+                    { account_id: 'a2', amount: '500', date: '2024-04-03', transaction_type: 'refund' },
+                    { account_id: 'a1', transfer_account_id: 'a2', amount: '2500', date: '2024-04-10', transaction_type: 'transfer' },
+                    { account_id: 'a1', amount: '1000', date: '2024-03-20', transaction_type: 'expense' }
+                ],
+                error: null
+            };
+        });
+
+        const { data, error } = await getAccountBalances();
+
+        expect(error).toBeNull();
+        expect(data.map(({ account, ...totals }) => [account.id, totals])).toEqual([
+            ['a1', { balance: 91500, monthSpending: 0, monthIncome: 85000, count: 3 }],
+            ['a2', { balance: 0, monthSpending: 2500, monthIncome: 0, count: 3 }]
+        ]);
+        expect(db.find('expenses', 'select')[0].calls).toContainEqual(['not', 'account_id', 'is', null]);
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * Unit Tests: Budget Module
+ *
+ * Tests for choosing the income to budget against and how it decides the
+ * overspending alert, against a mocked Supabase client.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { db } from '../helpers/supabaseMock.js';
+import { getIncomeBasis, getAvailableBudget } from '../../js/budget.js';
+import { checkOverspending } from '../../js/analytics.js';
+
+vi.mock('../../js/supabaseConfig.js', () => import('../helpers/supabaseMock.js'));
+
+/**
+ * Answer the budget, income and spending queries
+ *
+ * @param {Object} data
+ * @param {Object|null} data.budget - Budget settings row, or null if none are saved
+ * @param {number[]} [data.income] - Amounts of income received this month
+ * @param {number[]} [data.spending] - Amounts spent this month
+ */
+function respondWith({ budget, income = [], spending = [] }) {
+    db.respond(query => {
+        if (query.table === 'budgets') {
+            return budget
+                ? { data: budget, error: null }
+                : { data: null, error: { code: 'PGRST116' } };
+        }
+        const rows = query.calls.some(call => call[0] === 'eq' && call[1] === 'transaction_type')
+            ? income
+            : spending;
+        return { data: rows.map(amount => ({ amount: String(amount), transaction_type: 'expense' })), error: null };
+    });
+}
+
+beforeEach(() => {
+    db.reset();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('getIncomeBasis', () => {
+    it('uses the budget\'s monthly income until income is received this month', async () => {
+        respondWith({ budget: { monthly_income: '80000', savings_goal: '20000' } });
+
+        expect(await getIncomeBasis()).toEqual({
+            income: 80000,
+            savingsGoal: 20000,
+            available: 60000,
+            isActual: false,
+            hasBudget: true
+        });
+    });
+
+    it('uses the income received this month in place of the budget figure', async () => {
+        respondWith({ budget: { monthly_income: '80000', savings_goal: '20000' }, income: [50000, 1500] });
+
+        expect(await getIncomeBasis()).toEqual({
+            income: 51500,
+            savingsGoal: 20000,
+            available: 31500,
+            isActual: true,
+            hasBudget: true
+        });
+    });
+
+    it('uses received income without saved budget settings', async () => {
+        respondWith({ budget: null, income: [40000] });
+
+        expect(await getIncomeBasis()).toEqual({
+            income: 40000,
+            savingsGoal: 0,
+            available: 40000,
+            isActual: true,
+            hasBudget: false
+        });
+    });
+
+    it('never leaves less than nothing to spend', async () => {
+        respondWith({ budget: { monthly_income: '80000', savings_goal: '30000' }, income: [10000] });
+
+        expect(await getAvailableBudget()).toBe(0);
+    });
+});
+
+describe('checkOverspending', () => {
+    it('measures spending against the budget figure before income arrives', async () => {
+        respondWith({ budget: { monthly_income: '80000', savings_goal: '20000' }, spending: [45000] });
+
+        expect(await checkOverspending()).toEqual({
+            isOverspending: false,
+            amount: 0,
+            availableBudget: 60000,
+            incomeIsActual: false
+        });
+    });
+
+    it('measures spending against the income received once there is some', async () => {
+        respondWith({ budget: { monthly_income: '80000', savings_goal: '20000' }, income: [50000], spending: [45000] });
+
+        expect(await checkOverspending()).toEqual({
+            isOverspending: true,
+            amount: 15000,
+            availableBudget: 30000,
+            incomeIsActual: true
+        });
+    });
+
+    it('raises no alert with neither a budget nor income received', async () => {
+        respondWith({ budget: null, spending: [45000] });
+
+        expect(await checkOverspending()).toEqual({
+            isOverspending: false,
+            amount: 0,
+            availableBudget: 0,
+            incomeIsActual: false
+        });
+    });
+});
@@ -0,0 +1,161 @@
+/**
+ * Unit Tests: Category Rules Module
+ *
+ * Tests for learning, editing, ordering and re-applying category rules,
+ * against a mocked Supabase client.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { db } from '../helpers/supabaseMock.js';
+import {
+    learnCategoryRule,
+    updateCategoryRule,
+    reorderCategoryRules,
+    reapplyCategoryRules
+} from '../../js/categoryRules.js';
+
+vi.mock('../../js/supabaseConfig.js', () => import('../helpers/supabaseMock.js'));
+
+/**
+ * Build saved expenses all named after one merchant
+ *
+ * @param {number} count - Number of expenses
+ * @param {string} category - Category they are saved in
+ * @returns {Array<Object>}
+ */
+function makeExpenses(count, category) {
+    return Array.from({ length: count }, (_, i) => ({
+        id: `e${i}`,
+        user_id: 'user-1',
+        expense_name: 'POS 4521XXXX SWIGGY BANGALORE IN 12/03',
+        category,
+        amount: 250,
+        date: '2024-04-01'
+    }));
+}
+
+/**
+ * Answer the rules read with the given rules and the expenses read with the given rows
+ *
+ * @param {Array<Object>} rules - Saved rules
+ * @param {Array<Object>} expenses - Saved expenses
+ */
+function respondWith(rules, expenses) {
+    db.respond(query => {
+        if (!query.has('select') || query.has('upsert')) return undefined;
+        if (query.table === 'category_rules') return { data: rules, error: null };
+        if (query.table === 'expenses') return { data: expenses, error: null };
+        return undefined;
+    });
+}
+
+beforeEach(() => {
+    db.reset();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('learnCategoryRule', () => {
+    it('saves the merchant\'s rule ahead of every other rule', async () => {
+        db.respond(query => query.has('limit') ? { data: [{ position: -3 }], error: null } : undefined);
+
+        await learnCategoryRule('POS 4521XXXX SWIGGY BANGALORE IN 12/03', 'Food & Dining');
+
+        const [upsert] = db.find('category_rules', 'upsert');
+        expect(upsert.args('upsert')).toEqual([
+            { user_id: 'user-1', merchant: 'swiggy', category: 'Food & Dining', position: -4 },
+            { onConflict: 'user_id,merchant' }
+        ]);
+    });
+
+    it('starts at position 0 when there are no rules yet', async () => {
+        await learnCategoryRule('SWIGGY', 'Food & Dining');
+
+        expect(db.find('category_rules', 'upsert')[0].args('upsert')[0].position).toBe(0);
+    });
+
+    it('learns nothing without a merchant or for a category that isn\'t spending', async () => {
+        await learnCategoryRule('NEFT 412345678901', 'Other');
+        await learnCategoryRule('SWIGGY', 'Income');
+
+        expect(db.queries).toHaveLength(0);
+    });
+});
+
+describe('updateCategoryRule', () => {
+    it('stores the merchant the way rules are matched', async () => {
+        await updateCategoryRule('r1', { merchant: '  Swiggy  Instamart ', category: 'Shopping' });
+
+        const [query] = db.find('category_rules', 'update');
+        expect(query.args('update')[0]).toEqual({ merchant: 'swiggy instamart', category: 'Shopping' });
+        expect(query.calls).toContainEqual(['eq', 'id', 'r1']);
+        expect(query.calls).toContainEqual(['eq', 'user_id', 'user-1']);
+    });
+
+    it('rejects an empty merchant or an unknown category without saving', async () => {
+        expect((await updateCategoryRule('r1', { merchant: '  ' })).error.message).toBe('Please enter a merchant name.');
+        expect((await updateCategoryRule('r1', { category: 'Income' })).error.message).toBe('Please select a valid category.');
+        expect(db.find('category_rules', 'update')).toHaveLength(0);
+    });
+});
+
+describe('reorderCategoryRules', () => {
+    it('numbers the rules in the order given', async () => {
+        const { error } = await reorderCategoryRules(['r3', 'r1', 'r2']);
+
+        expect(error).toBeNull();
+        expect(db.find('category_rules', 'update').map(query => [query.args('update')[0].position, query.calls.find(call => call[1] === 'id')[2]]))
+            .toEqual([[0, 'r3'], [1, 'r1'], [2, 'r2']]);
+    });
+
+    it('reports a position that couldn\'t be saved', async () => {
+        db.respond(query => query.calls.some(call => call[2] === 'r1') ? { error: { message: 'timeout' } } : undefined);
+
+        const { error } = await reorderCategoryRules(['r3', 'r1']);
+
+        expect(error.message).toBe('Unable to save the new rule order. Please try again.');
+    });
+});
+
+describe('reapplyCategoryRules', () => {
+    const rules = [{ merchant: 'swiggy', category: 'Food & Dining' }];
+
+    it('reads only spending and writes changed expenses in chunks of 200, reporting progress', async () => {
+        respondWith(rules, [...makeExpenses(450, 'Other'), ...makeExpenses(5, 'Food & Dining')]);
+        const onProgress = vi.fn();
+
+        const result = await reapplyCategoryRules(onProgress);
+
+        expect(result).toEqual({ updated: 450, failed: 0, error: null });
+        const [read] = db.find('expenses', 'select');
+        expect(read.calls).toContainEqual(['not', 'transaction_type', 'in', '(income,transfer)']);
+
+        const upserts = db.find('expenses', 'upsert');
+        expect(upserts.map(query => query.args('upsert')[0].length)).toEqual([200, 200, 50]);
+        expect(upserts[0].args('upsert')[0][0]).toEqual({ ...makeExpenses(1, 'Other')[0], category: 'Food & Dining' });
+        expect(upserts[0].args('upsert')[1]).toEqual({ onConflict: 'id' });
+        expect(onProgress.mock.calls).toEqual([[200, 450], [400, 450], [450, 450]]);
+    });
+
+    it('counts the expenses of a chunk that could not be written as failed', async () => {
+        respondWith(rules, makeExpenses(250, 'Other'));
+        let upserts = 0;
+        db.respond(query => {
+            if (!query.has('upsert')) return undefined;
+            upserts++;
+            return upserts === 2 ? { error: { message: 'timeout' } } : { error: null };
+        });
+
+        const result = await reapplyCategoryRules();
+
+        expect(result).toEqual({ updated: 200, failed: 50, error: null });
+    });
+
+    it('writes nothing when no rule changes a category', async () => {
+        respondWith(rules, makeExpenses(3, 'Food & Dining'));
+
+        const result = await reapplyCategoryRules();
+
+        expect(result).toEqual({ updated: 0, failed: 0, error: null });
+        expect(db.find('expenses', 'upsert')).toHaveLength(0);
+    });
+});
@@ -0,0 +1,187 @@
+/**
+ * Unit Tests: Category Classifier Module
+ *
+ * Tests for rule-based and learned category classification.
+ *
+ * Requirements covered:
+ * - 4.1: Analyze the description to determine the category
+ * - 4.2: Rule-based pattern matching for common merchants
+ * - 4.4: Assign one of the predefined expense categories
+ * - 4.5: Assign "Other" when the category cannot be determined
+ * - 4.7: Learn from user corrections
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+    classifyTransaction,
+    classifyBatch,
+    matchRules,
+    addRule,
+    clearCustomRules,
+    isLowConfidence,
+    learnFromCorrection,
+    setUserRules,
+    getUserRules,
+    setLearnedRules,
+    getLearnedRules,
+    buildLearnedRules,
+    classifyCreditType,
+    getMerchantKey,
+    EXPENSE_CATEGORIES,
+    INCOME_CATEGORY,
+    LOW_CONFIDENCE_THRESHOLD
+} from '../../js/classifier.js';
+import { setAliases } from '../../js/merchantNormalizer.js';
+
+beforeEach(() => {
+    setAliases([]);
+    setUserRules([]);
+    setLearnedRules([]);
+    clearCustomRules();
+});
+
+describe('Classifier - Rule Matching', () => {
+    it('should match merchant keywords', () => {
+        const result = classifyTransaction({ description: 'UPI/401234/SWIGGY/Food order' });
+        expect(result.category).toBe('Food & Dining');
+        expect(result.method).toBe('rule');
+        expect(result.confidence).toBeGreaterThanOrEqual(LOW_CONFIDENCE_THRESHOLD);
+    });
+
+    it('should prefer the more specific keyword', () => {
+        expect(classifyTransaction({ description: 'UBER EATS ORDER 88123' }).category).toBe('Food & Dining');
+        expect(classifyTransaction({ description: 'UBER TRIP 88123' }).category).toBe('Transportation');
+    });
+
+    it('should fall back to regex patterns with lower confidence', () => {
+        const result = matchRules('POS BIGBASKETONLINE BLR');
+        expect(result.matched).toBe(true);
+        expect(result.category).toBe('Shopping');
+        expect(result.confidence).toBeLessThan(0.9);
+    });
+
+    it('should let higher priority rules win', () => {
+        expect(classifyTransaction({ description: 'Netflix subscription' }).category).toBe('Entertainment');
+    });
+
+    it('should not match keywords inside other words', () => {
+        expect(matchRules('Current account charges').matched).toBe(false);
+    });
+
+    it('should assign Other with zero confidence when nothing matches', () => {
+        const result = classifyTransaction({ description: 'XQZ 0001' });
+        expect(result).toEqual({ category: 'Other', confidence: 0, method: 'none', rule: null });
+        expect(isLowConfidence(result)).toBe(true);
+    });
+
+    it('should support plugged-in rules', () => {
+        expect(addRule({ id: 'coworking', category: 'Housing', keywords: ['wework'] })).toBe(true);
+        expect(classifyTransaction({ description: 'WEWORK BLR DESK' }).category).toBe('Housing');
+        expect(addRule({ id: 'bad', category: 'Not a category', keywords: ['x'] })).toBe(false);
+    });
+});
+
+describe('Classifier - Learned Rules', () => {
+    it('should normalize narrations to a merchant key', () => {
+        expect(getMerchantKey('UPI/401234/CHAI POINT/Payment')).toBe('chai point');
+        expect(getMerchantKey('POS 5521 CHAI POINT BANGALORE')).toBe('chai point');
+    });
+
+    it('should apply corrections to future classifications', () => {
+        expect(learnFromCorrection('UPI/1/CHAI POINT/x', 'Food & Dining')).toBe(true);
+        const result = classifyTransaction({ description: 'POS 9 CHAI POINT' });
+        expect(result.category).toBe('Food & Dining');
+        expect(result.method).toBe('learned');
+    });
+
+    it('should override built-in rules with learned rules', () => {
+        learnFromCorrection('AMAZON WEB SERVICES', 'Subscriptions');
+        expect(classifyTransaction({ description: 'AMAZON WEB SERVICES' }).category).toBe('Subscriptions');
+    });
+
+    it('should ignore corrections to unknown categories', () => {
+        expect(learnFromCorrection('CHAI POINT', 'Snacks')).toBe(false);
+        expect(getUserRules()).toHaveLength(0);
+        expect(getLearnedRules()).toHaveLength(0);
+    });
+
+    it('should apply the first matching user rule', () => {
+        setUserRules([
+            { merchant: 'amazon web', category: 'Subscriptions' },
+            { merchant: 'AMAZON', category: 'Shopping' }
+        ]);
+        expect(classifyTransaction({ description: 'AMAZON WEB SERVICES' }).category).toBe('Subscriptions');
+        expect(classifyTransaction({ description: 'UPI/77/AMAZON PAY' }).category).toBe('Shopping');
+    });
+
+    it('should put the latest correction ahead of broader rules', () => {
+        setUserRules([{ merchant: 'amazon', category: 'Shopping' }]);
+        learnFromCorrection('AMAZON PRIME VIDEO', 'Entertainment');
+        expect(getUserRules()[0]).toEqual({ merchant: 'amazon prime', category: 'Entertainment' });
+        expect(classifyTransaction({ description: 'AMAZON PRIME VIDEO' }).category).toBe('Entertainment');
+    });
+
+    it('should rank user rules above rules derived from history', () => {
+        setLearnedRules([{ merchant: 'chai point', category: 'Shopping' }]);
+        expect(classifyTransaction({ description: 'CHAI POINT' }).method).toBe('history');
+        setUserRules([{ merchant: 'chai point', category: 'Food & Dining' }]);
+        expect(classifyTransaction({ description: 'CHAI POINT' }).category).toBe('Food & Dining');
+    });
+
+    it('should learn the most common category per merchant from past expenses', () => {
+        const rules = buildLearnedRules([
+            { expense_name: 'Chai Point', category: 'Food & Dining' },
+            { expense_name: 'CHAI POINT', category: 'Food & Dining' },
+            { expense_name: 'Chai Point', category: 'Shopping' },
+            { expense_name: 'Misc', category: 'Other' }
+        ]);
+        expect(rules).toEqual([{ merchant: 'chai point', category: 'Food & Dining' }]);
+    });
+
+    it('should apply merchant aliases to user and learned rules', () => {
+        setAliases([{ pattern: 'bundl technologies', merchant: 'Swiggy' }]);
+        expect(getMerchantKey('UPI/BUNDL TECHNOLOGIES/401234')).toBe('swiggy');
+
+        setUserRules([{ merchant: 'swiggy', category: 'Food & Dining' }]);
+        expect(classifyTransaction({ description: 'BUNDL TECHNOLOGIES BANGALORE' })).toMatchObject({ category: 'Food & Dining', method: 'learned' });
+
+        setUserRules([]);
+        setLearnedRules(buildLearnedRules([{ expense_name: 'Bundl Technologies', category: 'Food & Dining' }]));
+        expect(getLearnedRules()).toEqual([{ merchant: 'swiggy', category: 'Food & Dining' }]);
+        expect(classifyTransaction({ description: 'SWIGGY ORDER' }).method).toBe('history');
+    });
+});
+
+describe('Classifier - Batch Classification', () => {
+    it('should always assign a known category', () => {
+        const results = classifyBatch([
+            { description: 'Apollo Pharmacy' },
+            { description: 'ACH D- 4421' },
+            { description: '' }
+        ]);
+        results.forEach(t => expect(EXPENSE_CATEGORIES).toContain(t.category));
+        expect(results[0].category).toBe('Healthcare');
+    });
+
+    it('should keep a valid category supplied by the file', () => {
+        const [result] = classifyBatch([{ description: 'Swiggy', category: 'Travel' }]);
+        expect(result.category).toBe('Travel');
+        expect(result.classificationMethod).toBe('file');
+        expect(isLowConfidence(result)).toBe(false);
+    });
+
+    it('should type credits as refunds or income', () => {
+        expect(classifyCreditType('AMAZON REFUND 4021')).toBe('refund');
+        expect(classifyCreditType('UPI REV/SWIGGY')).toBe('refund');
+        expect(classifyCreditType('NEFT SALARY ACME')).toBe('income');
+
+        const [expense, refund, income] = classifyBatch([
+            { description: 'SWIGGY ORDER', direction: 'debit' },
+            { description: 'SWIGGY REFUND', direction: 'credit' },
+            { description: 'NEFT SALARY ACME', direction: 'credit' }
+        ]);
+        expect(expense.transactionType).toBe('expense');
+        expect(refund).toMatchObject({ transactionType: 'refund', category: 'Food & Dining' });
+        expect(income).toMatchObject({ transactionType: 'income', category: INCOME_CATEGORY });
+    });
+});
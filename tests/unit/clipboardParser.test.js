@@ -0,0 +1,54 @@
+/**
+ * Unit Tests: Clipboard Parser Module
+ *
+ * Tests for turning pasted tables into text for the CSV import pipeline.
+ *
+ * Requirements covered:
+ * - 2.1: Parse CSV and extract transaction rows
+ */
+
+import { describe, it, expect } from 'vitest';
+import { htmlTableToText, createPastedFile } from '../../js/clipboardParser.js';
+import { parseCSV, detectColumnMapping } from '../../js/csvParser.js';
+
+const html = `<meta charset="utf-8"><table>
+    <thead><tr><th>Date</th><th>Narration</th><th>Amount</th></tr></thead>
+    <tbody>
+        <tr><td>01/04/2024</td><td>UPI/SWIGGY<br>Food   order</td><td>450.00</td></tr>
+        <tr><td>02/04/2024</td><td colspan="2">32" TV "deal"</td></tr>
+    </tbody>
+</table>`;
+
+describe('Clipboard Parser - HTML Tables', () => {
+    it('should turn a copied table into tab-separated rows', () => {
+        expect(htmlTableToText(html).split('\n')).toEqual([
+            'Date\tNarration\tAmount',
+            '01/04/2024\tUPI/SWIGGY Food order\t450.00',
+            '02/04/2024\t"32"" TV ""deal"""\t'
+        ]);
+    });
+
+    it('should read back through the CSV parser with the same columns', () => {
+        const result = parseCSV(htmlTableToText(html));
+        expect(result.delimiter).toBe('\t');
+        expect(result.errors).toHaveLength(0);
+        expect(result.data[1]).toEqual(['02/04/2024', '32" TV "deal"', '']);
+        expect(detectColumnMapping(result.headers).detected).toBe(true);
+    });
+
+    it('should use the largest table and ignore HTML without one', () => {
+        const layout = '<table><tr><td>Logo</td></tr></table>' + html;
+        expect(htmlTableToText(layout).startsWith('Date')).toBe(true);
+        expect(htmlTableToText('<p>Hello</p>')).toBeNull();
+    });
+});
+
+describe('Clipboard Parser - Pasted Files', () => {
+    it('should number later pastes so each stays a separate source', () => {
+        expect(createPastedFile('a').name).toBe('Pasted transactions.csv');
+        const second = createPastedFile('a', ['Pasted transactions.csv']);
+        expect(second.name).toBe('Pasted transactions (2).csv');
+        expect(second.size).toBe(1);
+        expect(createPastedFile('Rs.450 debited', [], 'txt').name).toBe('Pasted transactions.txt');
+    });
+});
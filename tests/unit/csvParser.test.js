@@ -31,6 +31,16 @@ describe('CSV Parser - File Validation', () => {
         expect(result.fileType).toBe('pdf');
     });
 
+    it('should accept XLSX and XLS spreadsheets under 5MB', () => {
+        expect(validateFile({ name: 'statement.xlsx', size: 1024 }).fileType).toBe('spreadsheet');
+        expect(validateFile({ name: 'STATEMENT.XLS', size: 1024 }).fileType).toBe('spreadsheet');
+    });
+
+    it('should accept SMS text and SMS backup files under 5MB', () => {
+        expect(validateFile({ name: 'messages.txt', size: 1024 }).fileType).toBe('sms');
+        expect(validateFile({ name: 'sms-20240401.xml', size: 1024 }).fileType).toBe('sms');
+    });
+
     it('should accept PNG image file under 5MB', () => {
         const file = { name: 'screenshot.png', size: 1024 };
         const result = validateFile(file);
@@ -56,7 +66,7 @@ describe('CSV Parser - File Validation', () => {
     });
 
     it('should reject unsupported file types', () => {
-        const file = { name: 'transactions.txt', size: 1024 };
+        const file = { name: 'transactions.docx', size: 1024 };
         const result = validateFile(file);
         expect(result.valid).toBe(false);
         expect(result.error).toBe(VALIDATION_ERRORS.INVALID_EXTENSION);
@@ -156,6 +166,63 @@ describe('CSV Parser - Full CSV Parsing', () => {
         expect(result.data).toHaveLength(1);
     });
 
+    it('should skip preamble lines above the header row', () => {
+        const content = 'Account: 1234\nStatement period: Jan 2024\ndate;amount;description\n2024-01-01;100;Test';
+        const result = parseCSV(content, { headerRow: 2 });
+        expect(result.headers).toEqual(['date', 'amount', 'description']);
+        expect(result.data).toEqual([['2024-01-01', '100', 'Test']]);
+        expect(result.delimiter).toBe(';');
+    });
+
+    it('should find the header row below account details', () => {
+        const content = [
+            'HDFC BANK LTD',
+            'Account No,50100123456789',
+            'Statement From,01/04/2024,To,30/04/2024',
+            '',
+            'Date,Narration,Withdrawal Amt.,Deposit Amt.,Closing Balance',
+            '01/04/2024,UPI/SWIGGY,450.00,,10550.00',
+            '02/04/2024,SALARY,,50000.00,60550.00'
+        ].join('\n');
+        const result = parseCSV(content);
+        expect(result.headerRow).toBe(4);
+        expect(result.headers[0]).toBe('Date');
+        expect(result.data).toHaveLength(2);
+        expect(result.errors).toHaveLength(0);
+    });
+
+    it('should find a header it cannot name by the width of the table', () => {
+        const content = 'Savings account\nWhen,What,How much\n2024-01-01,Tea,20\n2024-01-02,Bus,15';
+        expect(parseCSV(content).headerRow).toBe(1);
+    });
+
+    it('should leave out summary and legal lines below the table', () => {
+        const content = [
+            'Date,Description,Amount',
+            '2024-04-01,TOTAL ENERGIES,500',
+            '2024-04-02,Swiggy,450',
+            '',
+            'Closing Balance,,12345.00',
+            'Total Debits: 950',
+            'This is a computer generated statement and does not require a signature.'
+        ].join('\n');
+        const result = parseCSV(content);
+        expect(result.footerRows).toBe(4);
+        expect(result.data.map(row => row[1])).toEqual(['TOTAL ENERGIES', 'Swiggy']);
+        expect(result.errors).toHaveLength(0);
+    });
+
+    it('should use the header row and footer lines it is given', () => {
+        const content = 'Bank\ndate,amount,description\n2024-01-01,100,Test\nClosing Balance,,100';
+        const result = parseCSV(content, { headerRow: 0, footerRows: 0 });
+        expect(result.headers).toEqual(['Bank']);
+        expect(result.data).toHaveLength(3);
+
+        const trimmed = parseCSV(content, { footerRows: 2 });
+        expect(trimmed.headerRow).toBe(1);
+        expect(trimmed.data).toEqual([]);
+    });
+
     it('should report column count mismatches', () => {
         const content = 'a,b,c\n1,2\n3,4,5';
         const result = parseCSV(content);
@@ -258,6 +325,23 @@ describe('CSV Parser - Transaction Extraction', () => {
         expect(result.transactions).toHaveLength(0);
         expect(result.errors).toHaveLength(0);
     });
+
+    it('should number rows from 1 for files without a header', () => {
+        const data = [['2024-01-01', '100.00', 'Test']];
+        const mapping = { date: 0, amount: 1, description: 2 };
+        const result = extractTransactions(data, mapping, { hasHeader: false });
+
+        expect(result.transactions[0].rowNumber).toBe(1);
+    });
+
+    it('should extract an optional mapped category column', () => {
+        const data = [['2024-01-01', '100.00', 'Test', 'Shopping'], ['2024-01-02', '5.00', 'Other test', '']];
+        const mapping = { date: 0, amount: 1, description: 2, category: 3 };
+        const result = extractTransactions(data, mapping);
+
+        expect(result.transactions[0].category).toBe('Shopping');
+        expect(result.transactions[1].category).toBeUndefined();
+    });
 });
 
 describe('CSV Parser - Transaction Validation', () => {
@@ -368,6 +452,14 @@ describe('CSV Parser - Date Parsing', () => {
         expect(result.date.getDate()).toBe(15);
     });
 
+    it('should parse only the named format when one is given', () => {
+        const result = parseDate('01/02/2024', 'MM/DD/YYYY');
+        expect(result.valid).toBe(true);
+        expect(result.date.getMonth()).toBe(0);
+        expect(result.date.getDate()).toBe(2);
+        expect(parseDate('2024-01-15', 'DD/MM/YYYY').valid).toBe(false);
+    });
+
     it('should reject invalid date string', () => {
         const result = parseDate('invalid');
         expect(result.valid).toBe(false);
@@ -404,3 +496,157 @@ describe('CSV Parser - Amount Parsing', () => {
         expect(result.valid).toBe(false);
     });
 });
+
+import { applySignConvention, getHeaderSignature } from '../../js/csvParser.js';
+
+describe('CSV Parser - Import Profile Helpers', () => {
+    it('should flip amounts for debit-negative exports', () => {
+        const result = applySignConvention([{ amount: '-450.00' }, { amount: '1000' }, { amount: '' }], 'debit-negative');
+        expect(result.map(t => t.amount)).toEqual(['450.00', '-1000', '']);
+        expect(result.map(t => t.direction)).toEqual(['debit', 'credit', undefined]);
+    });
+
+    it('should keep debit-positive amounts and mark negatives as credits', () => {
+        const result = applySignConvention([{ amount: '450.00' }, { amount: '-99' }], 'debit-positive');
+        expect(result.map(t => t.amount)).toEqual(['450.00', '-99']);
+        expect(result.map(t => t.direction)).toEqual(['debit', 'credit']);
+    });
+
+    it('should leave rows with a known direction alone', () => {
+        const transactions = [{ amount: '500', direction: 'credit' }];
+        expect(applySignConvention(transactions, 'debit-negative')).toEqual(transactions);
+    });
+
+    it('should build a normalized header signature', () => {
+        expect(getHeaderSignature(['Txn  Date', ' Amount ', 'Narration'])).toBe('txn date|amount|narration');
+    });
+
+    it('should use the column count for headerless files', () => {
+        expect(getHeaderSignature([], 4)).toBe('columns:4');
+    });
+});
+
+import { parseSignedAmount, parseDirection } from '../../js/csvParser.js';
+
+describe('CSV Parser - Debit and Credit Columns', () => {
+    it('should detect separate withdrawal and deposit columns', () => {
+        const headers = ['Date', 'Narration', 'Chq./Ref.No.', 'Value Dt', 'Withdrawal Amt.', 'Deposit Amt.', 'Closing Balance'];
+        const result = detectColumnMapping(headers);
+        expect(result.detected).toBe(true);
+        expect(result.amount).toBe(-1);
+        expect(result.debit).toBe(4);
+        expect(result.credit).toBe(5);
+        expect(result.description).toBe(1);
+    });
+
+    it('should detect a Dr/Cr indicator next to a single amount column', () => {
+        const result = detectColumnMapping(['Txn Date', 'Description', 'Amount', 'Dr/Cr']);
+        expect(result.amount).toBe(2);
+        expect(result.direction).toBe(3);
+        expect(result.debit).toBe(-1);
+    });
+
+    it('should take the filled side of a split row', () => {
+        const data = [
+            ['01/04/2024', 'UPI/SWIGGY', '450.00', ''],
+            ['02/04/2024', 'NEFT SALARY', '0.00', '85,000.00'],
+            ['03/04/2024', 'Blank row', '', '']
+        ];
+        const mapping = { date: 0, description: 1, amount: -1, debit: 2, credit: 3 };
+        const { transactions } = extractTransactions(data, mapping);
+
+        expect(transactions[0]).toMatchObject({ amount: '450.00', direction: 'debit' });
+        expect(transactions[1]).toMatchObject({ amount: '85,000.00', direction: 'credit' });
+        expect(transactions[2].amount).toBe('');
+    });
+
+    it('should read directions from an indicator column', () => {
+        const data = [['2024-04-01', 'AMAZON REFUND', '299', 'CR']];
+        const { transactions } = extractTransactions(data, { date: 0, description: 1, amount: 2, direction: 3 });
+        expect(transactions[0].direction).toBe('credit');
+        expect(parseDirection('Dr.')).toBe('debit');
+        expect(parseDirection('')).toBeNull();
+    });
+
+    it('should parse Dr/Cr suffixes and parentheses', () => {
+        expect(parseSignedAmount('1,234.50 Cr')).toEqual({ valid: true, amount: -1234.5, marked: true });
+        expect(parseSignedAmount('1234.50Dr')).toEqual({ valid: true, amount: 1234.5, marked: true });
+        expect(parseSignedAmount('(450.00)')).toEqual({ valid: true, amount: -450, marked: true });
+        expect(parseSignedAmount('0.00 Cr').valid).toBe(false);
+    });
+
+    it('should accept credits whose direction is known', () => {
+        const base = { date: '2024-01-15', description: 'Refund', rowNumber: 2 };
+
+        const suffixed = validateTransaction({ ...base, amount: '500 Cr' });
+        expect(suffixed.valid).toBe(true);
+        expect(suffixed.parsedAmount).toBe(500);
+        expect(suffixed.parsedDirection).toBe('credit');
+
+        const fromColumn = validateTransaction({ ...base, amount: '500', direction: 'credit' });
+        expect(fromColumn.parsedDirection).toBe('credit');
+
+        const debit = validateTransaction({ ...base, amount: '500' });
+        expect(debit.parsedDirection).toBe('debit');
+    });
+});
+
+import { parseLocaleNumber, detectDecimalSeparator, detectDateFormat } from '../../js/csvParser.js';
+
+describe('CSV Parser - Locale Formats', () => {
+    it('should parse European and Indian number grouping', () => {
+        expect(parseLocaleNumber('1.234,56')).toBe(1234.56);
+        expect(parseLocaleNumber('€ 1 234,56')).toBe(1234.56);
+        expect(parseLocaleNumber('1,23,456.78')).toBe(123456.78);
+        expect(parseLocaleNumber('Rs.1,234.00')).toBe(1234);
+        expect(parseLocaleNumber('450.00-')).toBe(-450);
+        expect(parseLocaleNumber('12abc')).toBeNaN();
+    });
+
+    it('should read an ambiguous separator using the file-wide choice', () => {
+        expect(parseAmount('1.234', ',').amount).toBe(1234);
+        expect(parseAmount('1.234').amount).toBe(1.234);
+        expect(detectDecimalSeparator(['1.234', '12,50', '3.000,00'])).toBe(',');
+        expect(detectDecimalSeparator(['1,234'], { locale: 'de-DE' })).toBe(',');
+        expect(detectDecimalSeparator(['1,234'], { locale: 'en-IN' })).toBe('.');
+    });
+
+    it('should parse month-name dates and two-digit years', () => {
+        expect(parseDate('05 Jan 2024').date).toEqual(new Date(2024, 0, 5));
+        expect(parseDate('Jan-05-24').date).toEqual(new Date(2024, 0, 5));
+        expect(parseDate('Sept 5, 2024').date).toEqual(new Date(2024, 8, 5));
+        expect(parseDate('15/01/24').date).toEqual(new Date(2024, 0, 15));
+        expect(parseDate('31/02/2024').valid).toBe(false);
+    });
+
+    it('should pick the one date format consistent with every row', () => {
+        const result = detectDateFormat(['01/02/2024', '05/03/2024', '03/25/2024']);
+        expect(result).toEqual({ format: 'MM/DD/YYYY', candidates: ['MM/DD/YYYY'], ambiguous: false, inconsistent: false });
+    });
+
+    it('should flag files whose dates stay ambiguous', () => {
+        const dates = ['01/02/2024', '05/03/2024'];
+        expect(detectDateFormat(dates, { locale: 'en-IN' })).toEqual({
+            format: 'DD/MM/YYYY',
+            candidates: ['DD/MM/YYYY', 'MM/DD/YYYY'],
+            ambiguous: true,
+            inconsistent: false
+        });
+        expect(detectDateFormat(dates, { locale: 'en-US' }).format).toBe('MM/DD/YYYY');
+    });
+
+    it('should flag files that no single format reads in full', () => {
+        expect(detectDateFormat(['01/13/2024', '13/01/2024'], { locale: 'en-IN' })).toEqual({
+            format: 'DD/MM/YYYY',
+            candidates: ['DD/MM/YYYY', 'MM/DD/YYYY'],
+            ambiguous: true,
+            inconsistent: true
+        });
+
+        const mostlyIso = detectDateFormat(['2024-01-05', '2024-01-06', '15/01/2024']);
+        expect(mostlyIso.format).toBe('YYYY-MM-DD');
+        expect(mostlyIso.candidates[0]).toBe('YYYY-MM-DD');
+        expect(mostlyIso.candidates).toContain('DD/MM/YYYY');
+        expect(mostlyIso.inconsistent).toBe(true);
+    });
+});
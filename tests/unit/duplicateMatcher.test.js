@@ -0,0 +1,124 @@
+/**
+ * Unit Tests: Duplicate Matcher Module
+ *
+ * Tests for fuzzy duplicate scoring between imported rows and saved expenses.
+ *
+ * Requirements covered:
+ * - 5.8: Detect duplicate transactions
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    scoreDuplicate,
+    findDuplicateMatches,
+    getDuplicateDateRange,
+    merchantSimilarity,
+    findRepeatedRows,
+    DUPLICATE_SCORE,
+    PROBABLE_SCORE
+} from '../../js/duplicateMatcher.js';
+import { setAliases } from '../../js/merchantNormalizer.js';
+
+const saved = { id: 'e1', date: '2024-04-01', amount: '450.00', expense_name: 'Swiggy', transaction_type: 'expense' };
+
+describe('Duplicate Matcher - Scoring', () => {
+    it('should match merchants across narration formats', () => {
+        expect(merchantSimilarity('UPI/401234/SWIGGY/Food order', 'Swiggy')).toBe(1);
+        expect(merchantSimilarity('POS CHAI POINT BLR', 'Chai Piont')).toBeGreaterThan(0.5);
+        expect(merchantSimilarity('Swiggy', 'Apollo Pharmacy')).toBeLessThan(0.2);
+    });
+
+    it('should match merchants the user has aliased', () => {
+        expect(merchantSimilarity('NEFT BUNDL TECHNOLOGIES', 'Swiggy')).toBeLessThan(0.5);
+        setAliases([{ pattern: 'bundl technologies', merchant: 'Swiggy' }]);
+        expect(merchantSimilarity('NEFT BUNDL TECHNOLOGIES', 'Swiggy')).toBe(1);
+        setAliases([]);
+    });
+
+    it('should score an exact match as a duplicate', () => {
+        const score = scoreDuplicate({ date: '2024-04-01', amount: 450, description: 'UPI/123/SWIGGY' }, saved);
+        expect(score).toBe(1);
+    });
+
+    it('should tolerate posting dates that drift by a day or two', () => {
+        const score = scoreDuplicate({ date: '2024-04-02', amount: 450, description: 'SWIGGY' }, saved);
+        expect(score).toBeGreaterThanOrEqual(DUPLICATE_SCORE);
+        expect(scoreDuplicate({ date: '2024-04-06', amount: 450, description: 'SWIGGY' }, saved)).toBeNull();
+    });
+
+    it('should lower the score as amounts differ and reject large differences', () => {
+        const close = scoreDuplicate({ date: '2024-04-01', amount: 452, description: 'SWIGGY' }, saved);
+        expect(close).toBeLessThan(1);
+        expect(close).toBeGreaterThanOrEqual(PROBABLE_SCORE);
+        expect(scoreDuplicate({ date: '2024-04-01', amount: 500, description: 'SWIGGY' }, saved)).toBeNull();
+    });
+
+    it('should never match a refund against a purchase', () => {
+        const refund = { date: '2024-04-01', amount: 450, description: 'SWIGGY', transactionType: 'refund' };
+        expect(scoreDuplicate(refund, saved)).toBeNull();
+    });
+
+    it('should compare bank transaction IDs exactly when both have one', () => {
+        const transaction = { date: '2024-04-01', amount: 450, description: 'SWIGGY', fitId: 'A1' };
+        expect(scoreDuplicate(transaction, { ...saved, fit_id: 'A1' })).toBe(1);
+        expect(scoreDuplicate(transaction, { ...saved, fit_id: 'B2' })).toBeNull();
+    });
+});
+
+describe('Duplicate Matcher - Matching', () => {
+    it('should pick the best match and label its level', () => {
+        const matches = findDuplicateMatches([
+            { date: '2024-04-01', amount: 450, description: 'UPI/9/SWIGGY' },
+            { date: '2024-04-01', amount: 450, description: 'ZOMATO' },
+            { date: '2024-04-01', amount: 90, description: 'UBER' }
+        ], [saved]);
+
+        expect(matches[0]).toMatchObject({ expense: saved, level: 'duplicate' });
+        expect(matches[1]).toBeNull();
+        expect(matches[2]).toBeNull();
+    });
+
+    it('should flag same-day same-amount rows from other merchants for review', () => {
+        const [match] = findDuplicateMatches([{ date: '2024-04-01', amount: 450, description: 'ZOMATO' }], [saved]);
+        expect(match).toMatchObject({ level: 'probable' });
+    });
+
+    it('should match each saved expense to at most one row', () => {
+        const row = { date: '2024-04-01', amount: 450, description: 'SWIGGY' };
+        const matches = findDuplicateMatches([row, { ...row }], [saved]);
+        expect(matches.filter(Boolean)).toHaveLength(1);
+    });
+
+    it('should cover the dates plus the matching window', () => {
+        expect(getDuplicateDateRange([{ date: '2024-04-10' }, { date: '2024-03-01' }, { date: '' }]))
+            .toEqual({ from: '2024-02-27', to: '2024-04-13' });
+        expect(getDuplicateDateRange([])).toBeNull();
+    });
+});
+
+describe('Duplicate Matcher - Repeated Rows', () => {
+    const row = { date: '2024-04-01', amount: 450, description: 'UPI/401234/SWIGGY' };
+
+    it('should group rows repeated within the batch in input order', () => {
+        const groups = findRepeatedRows([
+            row,
+            { date: '2024-04-02', amount: 90, description: 'UBER' },
+            { ...row, description: 'upi/401234/swiggy ' },
+            { ...row, amount: '450.00' }
+        ]);
+        expect(groups).toEqual([[0, 2, 3]]);
+    });
+
+    it('should keep separate purchases with different references apart', () => {
+        expect(findRepeatedRows([row, { ...row, description: 'UPI/409999/SWIGGY' }])).toEqual([]);
+        expect(findRepeatedRows([row, { ...row, transactionType: 'refund' }])).toEqual([]);
+    });
+
+    it('should group rows by bank transaction ID when present', () => {
+        expect(findRepeatedRows([
+            { ...row, fitId: 'A1' },
+            { ...row, fitId: 'A1', description: 'SWIGGY' },
+            { ...row, fitId: 'B2' }
+        ])).toEqual([[0, 1]]);
+    });
+});
@@ -0,0 +1,71 @@
+/**
+ * Unit Tests: Encoding Detector Module
+ *
+ * Tests for detecting and decoding the text encoding of uploaded statements.
+ *
+ * Requirements covered:
+ * - 2.1: Parse CSV and extract transaction rows
+ */
+
+import { describe, it, expect } from 'vitest';
+import { detectEncoding, decodeText, getEncodingLabel } from '../../js/encodingDetector.js';
+
+const text = 'Date,Description,Amount\n2024-04-01,Café Müller,450\n';
+
+/**
+ * Encode text as UTF-16 with an optional byte order mark
+ */
+function utf16(value, littleEndian, bom) {
+    const bytes = [];
+    if (bom) bytes.push(...(littleEndian ? [0xFF, 0xFE] : [0xFE, 0xFF]));
+    for (const char of value) {
+        const code = char.charCodeAt(0);
+        bytes.push(...(littleEndian ? [code & 0xFF, code >> 8] : [code >> 8, code & 0xFF]));
+    }
+    return new Uint8Array(bytes);
+}
+
+/**
+ * Encode Latin-1 text as single bytes, as Windows-1252 does
+ */
+function singleByte(value) {
+    return new Uint8Array([...value].map(char => char.charCodeAt(0)));
+}
+
+describe('Encoding Detector - Detection', () => {
+    it('should follow a byte order mark', () => {
+        expect(detectEncoding(new Uint8Array([0xEF, 0xBB, 0xBF, 0x41]))).toEqual({ encoding: 'utf-8', bom: true });
+        expect(detectEncoding(utf16(text, true, true))).toEqual({ encoding: 'utf-16le', bom: true });
+        expect(detectEncoding(utf16(text, false, true))).toEqual({ encoding: 'utf-16be', bom: true });
+    });
+
+    it('should recognise UTF-16 without a byte order mark', () => {
+        expect(detectEncoding(utf16(text, true, false)).encoding).toBe('utf-16le');
+        expect(detectEncoding(utf16(text, false, false)).encoding).toBe('utf-16be');
+    });
+
+    it('should keep valid UTF-8 and read anything else as Windows-1252', () => {
+        expect(detectEncoding(new TextEncoder().encode(text)).encoding).toBe('utf-8');
+        expect(detectEncoding(singleByte(text)).encoding).toBe('windows-1252');
+    });
+});
+
+describe('Encoding Detector - Decoding', () => {
+    it('should decode each detected encoding without the byte order mark', () => {
+        expect(decodeText(utf16(text, true, true)).text).toBe(text);
+        expect(decodeText(utf16(text, false, false)).text).toBe(text);
+        expect(decodeText(singleByte(text))).toEqual({ text, encoding: 'windows-1252' });
+        expect(decodeText(new Uint8Array([0xEF, 0xBB, 0xBF, ...new TextEncoder().encode(text)])).text).toBe(text);
+    });
+
+    it('should use the encoding the user chose', () => {
+        const result = decodeText(new TextEncoder().encode(text), 'windows-1252');
+        expect(result.encoding).toBe('windows-1252');
+        expect(result.text).toContain('CafÃ©');
+    });
+
+    it('should name encodings for display', () => {
+        expect(getEncodingLabel('windows-1252')).toBe('Windows-1252 (Western European)');
+        expect(getEncodingLabel('koi8-r')).toBe('KOI8-R');
+    });
+});
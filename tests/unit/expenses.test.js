@@ -0,0 +1,155 @@
+/**
+ * Unit Tests: Expenses Module
+ *
+ * Tests for importing transactions in chunks, against a mocked Supabase client.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { db, supabase } from '../helpers/supabaseMock.js';
+import { batchImportTransactions } from '../../js/expenses.js';
+
+vi.mock('../../js/supabaseConfig.js', () => import('../helpers/supabaseMock.js'));
+
+/**
+ * Build import rows with amounts 1..count
+ *
+ * @param {number} count - Number of rows
+ * @returns {Array<Object>}
+ */
+function makeRows(count) {
+    return Array.from({ length: count }, (_, i) => ({
+        rowIndex: i,
+        date: '2024-04-01',
+        amount: i + 1,
+        description: `Shop ${i + 1}`,
+        category: 'Shopping'
+    }));
+}
+
+/**
+ * Get the records sent by each insert, in order
+ *
+ * @returns {Array<Array<Object>>}
+ */
+function insertedRecords() {
+    return db.find('expenses', 'insert').map(query => [].concat(query.args('insert')[0]));
+}
+
+beforeEach(() => {
+    db.reset();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('batchImportTransactions', () => {
+    it('inserts in chunks of 200 and reports progress after each', async () => {
+        const onProgress = vi.fn();
+
+        const result = await batchImportTransactions(makeRows(450), onProgress);
+
+        expect(result).toEqual({ imported: 450, failed: [], errors: [] });
+        expect(insertedRecords().map(records => records.length)).toEqual([200, 200, 50]);
+        expect(onProgress.mock.calls).toEqual([[200, 450], [400, 450], [450, 450]]);
+    });
+
+    it('maps rows onto expense records', async () => {
+        await batchImportTransactions([{
+            date: '2024-04-01',
+            amount: 15000,
+            description: 'NEFT to card',
+            category: 'Transfer',
+            transactionType: 'transfer',
+            importBatchId: 'b1',
+            accountId: 'a1',
+            transferAccountId: 'a2'
+        }]);
+
+        expect(insertedRecords()[0][0]).toMatchObject({
+            user_id: 'user-1',
+            expense_name: 'NEFT to card',
+            amount: 15000,
+            transaction_type: 'transfer',
+            fit_id: null,
+            import_batch_id: 'b1',
+            account_id: 'a1',
+            transfer_account_id: 'a2'
+        });
+    });
+
+    it('retries a chunk rejected for its data row by row, failing only the rows at fault', async () => {
+        db.respond(query => {
+            const records = [].concat(query.args('insert')[0]);
+            if (records.length > 1) {
+                return { error: { code: '23514', message: 'check constraint' } };
+            }
+            return records[0].amount === 2 ? { error: { code: '23514' } } : { error: null };
+        });
+
+        const result = await batchImportTransactions(makeRows(3));
+
+        expect(result.imported).toBe(2);
+        expect(result.failed).toEqual([{ transaction: expect.objectContaining({ amount: 2 }), reason: 'Amount must be greater than zero' }]);
+        expect(result.errors).toEqual(['Amount must be greater than zero']);
+        expect(insertedRecords().map(records => records.length)).toEqual([3, 1, 1, 1]);
+    });
+
+    it('explains the constraint a row broke', async () => {
+        const codes = { 1: '22007', 2: '22003', 3: '23502', 4: '22P02', 5: '23505' };
+        db.respond(query => {
+            const records = [].concat(query.args('insert')[0]);
+            return records.length > 1 ? { error: { code: '22007' } } : { error: { code: codes[records[0].amount] } };
+        });
+
+        const result = await batchImportTransactions(makeRows(5));
+
+        expect(result.failed.map(failure => failure.reason)).toEqual([
+            'Date is not valid',
+            'Amount is too large',
+            'A required field is missing',
+            'A value is not in the expected format',
+            'Unable to save this transaction'
+        ]);
+    });
+
+    it('fails a chunk lost to a connection problem and still sends the rest', async () => {
+        let inserts = 0;
+        db.respond(query => {
+            inserts++;
+            return inserts === 1 ? { error: { code: 'PGRST000', message: 'network' } } : { error: null };
+        });
+
+        const result = await batchImportTransactions(makeRows(250));
+
+        expect(result.imported).toBe(50);
+        expect(result.failed).toHaveLength(200);
+        expect(result.errors).toEqual(['Unable to save transactions. Please try again.']);
+        expect(insertedRecords().map(records => records.length)).toEqual([200, 50]);
+    });
+
+    it('fails the rows not yet sent when the import ends early', async () => {
+        let inserts = 0;
+        db.respond(() => {
+            inserts++;
+            if (inserts === 2) {
+                throw new Error('offline');
+            }
+            return { error: null };
+        });
+
+        const result = await batchImportTransactions(makeRows(450));
+
+        expect(result.imported).toBe(200);
+        expect(result.failed.map(failure => failure.transaction.amount)).toEqual(makeRows(250).map(row => row.amount + 200));
+        expect(result.errors).toEqual(['An unexpected error occurred while importing transactions.']);
+    });
+
+    it('fails every row without a signed-in user', async () => {
+        supabase.auth.getUser.mockResolvedValue({ data: { user: null }, error: null });
+
+        const result = await batchImportTransactions(makeRows(3));
+
+        expect(result.imported).toBe(0);
+        expect(result.failed).toHaveLength(3);
+        expect(result.errors).toEqual(['User not authenticated']);
+        expect(db.queries).toHaveLength(0);
+    });
+});
@@ -0,0 +1,261 @@
+/**
+ * Unit Tests: Import Batches Module
+ *
+ * Tests for recording imports as batches, counting their rows and rolling
+ * them back, against a mocked Supabase client.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { db, supabase } from '../helpers/supabaseMock.js';
+import { createImportBatch, updateImportBatchCounts, rollbackImportBatch } from '../../js/importBatches.js';
+import { resetState, updateState, importTransactions } from '../../js/transactionImport.js';
+
+vi.mock('../../js/supabaseConfig.js', () => import('../helpers/supabaseMock.js'));
+
+beforeEach(() => {
+    db.reset();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('createImportBatch', () => {
+    it('records a completed batch with the file, profile and account', async () => {
+        db.respond(query => query.has('insert') ? { data: { id: 'b1' }, error: null } : undefined);
+
+        const { data, error } = await createImportBatch({
+            file_name: 'april.csv',
+            file_hash: 'abc123',
+            profile: { id: 'p1', name: 'HDFC' },
+            account_id: 'a1'
+        });
+
+        expect(error).toBeNull();
+        expect(data).toEqual({ id: 'b1' });
+        expect(db.find('import_batches', 'insert')[0].args('insert')[0]).toEqual({
+            user_id: 'user-1',
+            file_name: 'april.csv',
+            file_hash: 'abc123',
+            profile_id: 'p1',
+            profile_name: 'HDFC',
+            account_id: 'a1',
+            status: 'completed'
+        });
+    });
+
+    it('names unnamed files and fails without a signed-in user', async () => {
+        await createImportBatch({});
+        expect(db.find('import_batches', 'insert')[0].args('insert')[0]).toMatchObject({
+            file_name: 'Unnamed file',
+            file_hash: null,
+            profile_id: null
+        });
+
+        supabase.auth.getUser.mockResolvedValue({ data: { user: null }, error: null });
+        const { error } = await createImportBatch({ file_name: 'april.csv' });
+        expect(error.message).toBe('User not authenticated');
+        expect(db.find('import_batches', 'insert')).toHaveLength(1);
+    });
+});
+
+describe('updateImportBatchCounts', () => {
+    it('stores the row counts on the user\'s batch', async () => {
+        const { error } = await updateImportBatchCounts('b1', { imported_count: 8, skipped_count: 2 });
+
+        const [query] = db.find('import_batches', 'update');
+        expect(error).toBeNull();
+        expect(query.args('update')[0]).toEqual({ imported_count: 8, skipped_count: 2, failed_count: 0 });
+        expect(query.calls).toContainEqual(['eq', 'id', 'b1']);
+        expect(query.calls).toContainEqual(['eq', 'user_id', 'user-1']);
+    });
+});
+
+describe('rollbackImportBatch', () => {
+    const converted = {
+        id: 'e9',
+        transaction_type: 'income',
+        category: 'Income',
+        account_id: 'a2',
+        transfer_account_id: null
+    };
+
+    /**
+     * Answer the batch read with the given converted transfers
+     *
+     * @param {Array<Object>} transfers - converted_transfers of the batch
+     */
+    function respondWithBatch(transfers) {
+        db.respond(query => query.table === 'import_batches' && query.has('select')
+            ? { data: { converted_transfers: transfers }, error: null }
+            : undefined);
+    }
+
+    it('deletes the batch\'s expenses before marking it rolled back', async () => {
+        respondWithBatch([]);
+        db.respond(query => query.has('delete') ? { data: [{ id: 'e1' }, { id: 'e2' }], error: null } : undefined);
+
+        const result = await rollbackImportBatch('b1');
+
+        expect(result).toEqual({ deleted: 2, restored: 0, error: null });
+        const writes = db.queries.filter(query => !query.has('select') || query.has('delete'));
+        expect(writes.map(query => query.table)).toEqual(['expenses', 'import_batches']);
+        expect(writes[0].calls).toContainEqual(['eq', 'import_batch_id', 'b1']);
+        expect(writes[1].args('update')[0]).toMatchObject({ status: 'rolled_back', rolled_back_at: expect.any(String) });
+    });
+
+    it('changes the transactions it turned into transfers back before marking it rolled back', async () => {
+        respondWithBatch([converted]);
+        db.respond(query => query.table === 'expenses' && query.has('update') ? { data: [{ id: 'e9' }], error: null } : undefined);
+
+        const result = await rollbackImportBatch('b1');
+
+        expect(result).toEqual({ deleted: 0, restored: 1, error: null });
+        expect(db.queries.map(query => [query.table, query.has('delete') ? 'delete' : query.has('update') ? 'update' : 'select']))
+            .toEqual([['import_batches', 'select'], ['expenses', 'delete'], ['expenses', 'update'], ['import_batches', 'update']]);
+
+        const [restore] = db.find('expenses', 'update');
+        expect(restore.args('update')[0]).toEqual({
+            transaction_type: 'income',
+            category: 'Income',
+            account_id: 'a2',
+            transfer_account_id: null
+        });
+        expect(restore.calls).toContainEqual(['eq', 'id', 'e9']);
+        expect(restore.calls).toContainEqual(['eq', 'transaction_type', 'transfer']);
+    });
+
+    it('leaves the batch unmarked when a transfer can\'t be changed back', async () => {
+        respondWithBatch([converted]);
+        db.respond(query => query.table === 'expenses' && query.has('update') ? { data: null, error: { message: 'timeout' } } : undefined);
+
+        const result = await rollbackImportBatch('b1');
+
+        expect(result.restored).toBe(0);
+        expect(result.error.message).toMatch(/could not all be changed back/);
+        expect(db.find('import_batches', 'update')).toHaveLength(0);
+    });
+
+    it('leaves the batch as it was when the expenses can\'t be deleted', async () => {
+        db.respond(query => query.has('delete') ? { data: null, error: { message: 'timeout' } } : undefined);
+
+        const result = await rollbackImportBatch('b1');
+
+        expect(result.deleted).toBe(0);
+        expect(result.error.message).toMatch(/Unable to roll back/);
+        expect(db.find('import_batches', 'update')).toHaveLength(0);
+    });
+
+    it('reports the deleted expenses when only the history update fails', async () => {
+        db.respond(query => query.has('delete') ? { data: [{ id: 'e1' }], error: null } : undefined);
+        db.respond(query => query.has('update') ? { error: { message: 'timeout' } } : undefined);
+        respondWithBatch([]);
+
+        const result = await rollbackImportBatch('b1');
+
+        expect(result.deleted).toBe(1);
+        expect(result.error.message).toMatch(/expenses were removed/);
+    });
+});
+
+describe('importTransactions batches', () => {
+    const row = (source, day, extra = {}) => ({
+        isValid: true,
+        selected: true,
+        source,
+        date: new Date(2024, 3, day),
+        amount: 100 + day,
+        description: `Shop ${source} ${day}`,
+        category: 'Shopping',
+        transactionType: 'expense',
+        direction: 'debit',
+        ...extra
+    });
+
+    beforeEach(() => {
+        resetState();
+        db.respond(query => query.table === 'import_batches' && query.has('insert')
+            ? { data: { id: `batch-${query.args('insert')[0].file_name}` }, error: null }
+            : undefined);
+    });
+
+    it('creates one batch per file, tags its expenses and records its counts', async () => {
+        updateState({
+            sourceFiles: {
+                'april.csv': { name: 'april.csv', hash: 'h1', profile: null, accountId: null },
+                'may.csv': { name: 'may.csv', hash: 'h2', profile: null, accountId: null }
+            },
+            transactions: [
+                row('april.csv', 1),
+                row('april.csv', 2),
+                row('april.csv', 3, { selected: false, duplicateMatch: { level: 'duplicate' } }),
+                row('may.csv', 4),
+                { ...row('may.csv', 5), isValid: false }
+            ]
+        });
+
+        const result = await importTransactions();
+
+        expect(result).toMatchObject({ success: true, imported: 3 });
+        expect(db.find('import_batches', 'insert').map(query => query.args('insert')[0].file_name))
+            .toEqual(['april.csv', 'may.csv']);
+
+        const inserted = db.find('expenses', 'insert').flatMap(query => query.args('insert')[0]);
+        expect(inserted.map(record => record.import_batch_id))
+            .toEqual(['batch-april.csv', 'batch-april.csv', 'batch-may.csv']);
+
+        const counts = db.find('import_batches', 'update').map(query => query.args('update')[0]);
+        expect(counts).toEqual([
+            { imported_count: 2, skipped_count: 1, failed_count: 0 },
+            { imported_count: 1, skipped_count: 0, failed_count: 0 }
+        ]);
+    });
+
+    it('stores the values of a saved transaction on the batch before turning it into a transfer', async () => {
+        const saved = { id: 'e9', account_id: 'a2', transfer_account_id: null, category: 'Income', transaction_type: 'income' };
+        updateState({
+            transactions: [row('april.csv', 1, {
+                transferMatch: { kind: 'saved', expense: saved, fromAccountId: 'a1', toAccountId: 'a2' }
+            })]
+        });
+
+        const result = await importTransactions();
+
+        expect(result).toMatchObject({ success: true, imported: 0, transfers: 1 });
+        const writes = db.queries.filter(query => query.has('insert') || query.has('update'));
+        expect(writes.map(query => [query.table, Object.keys(query.args(query.has('insert') ? 'insert' : 'update')[0])[0]]))
+            .toEqual([
+                ['import_batches', 'user_id'],
+                ['import_batches', 'converted_transfers'],
+                ['expenses', 'transaction_type'],
+                ['import_batches', 'imported_count']
+            ]);
+        expect(writes[1].args('update')[0].converted_transfers).toEqual([saved]);
+        expect(writes[1].calls).toContainEqual(['eq', 'id', 'batch-april.csv']);
+        expect(writes[2].args('update')[0]).toMatchObject({ transaction_type: 'transfer', account_id: 'a1', transfer_account_id: 'a2' });
+        expect(writes[3].args('update')[0]).toEqual({ imported_count: 0, skipped_count: 1, failed_count: 0 });
+    });
+
+    it('leaves a saved transaction as it was when its old values can\'t be stored', async () => {
+        db.respond(query => query.table === 'import_batches' && query.has('update') ? { error: { message: 'timeout' } } : undefined);
+        updateState({
+            transactions: [row('april.csv', 1, {
+                transferMatch: { kind: 'saved', expense: { id: 'e9', category: 'Income', transaction_type: 'income' }, fromAccountId: 'a1', toAccountId: 'a2' }
+            })]
+        });
+
+        const result = await importTransactions();
+
+        expect(result).toMatchObject({ success: false, failed: 1 });
+        expect(db.find('expenses', 'update')).toHaveLength(0);
+    });
+
+    it('fails a file\'s rows when its batch can\'t be created', async () => {
+        db.responders.unshift(query => query.table === 'import_batches' && query.has('insert')
+            ? { data: null, error: { message: 'Unable to record this import. Please try again.' } }
+            : undefined);
+        updateState({ transactions: [row('april.csv', 1)] });
+
+        const result = await importTransactions();
+
+        expect(result).toMatchObject({ success: false, imported: 0, failed: 1 });
+        expect(db.find('expenses', 'insert')).toHaveLength(0);
+    });
+});
@@ -0,0 +1,136 @@
+/**
+ * Unit Tests: Import Profiles Module
+ *
+ * Tests for saving, renaming, deleting and matching bank import profiles,
+ * against a mocked Supabase client.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { db } from '../helpers/supabaseMock.js';
+import {
+    getImportProfiles,
+    saveImportProfile,
+    renameImportProfile,
+    deleteImportProfile,
+    findProfileForContent
+} from '../../js/importProfiles.js';
+
+vi.mock('../../js/supabaseConfig.js', () => import('../helpers/supabaseMock.js'));
+
+const hdfc = {
+    id: 'p1',
+    name: 'HDFC Savings',
+    header_signature: 'date|narration|withdrawal amt.|deposit amt.',
+    delimiter: ',',
+    header_row: 0,
+    has_header: true
+};
+
+const icici = {
+    id: 'p2',
+    name: 'ICICI Card',
+    header_signature: 'transaction date|details|amount (inr)',
+    delimiter: ';',
+    header_row: 2,
+    has_header: true
+};
+
+beforeEach(() => {
+    db.reset();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('getImportProfiles', () => {
+    it('reads the user\'s profiles by name', async () => {
+        db.respond(() => ({ data: [hdfc, icici], error: null }));
+
+        const { data } = await getImportProfiles();
+
+        expect(data).toEqual([hdfc, icici]);
+        const [query] = db.find('import_profiles', 'select');
+        expect(query.calls).toContainEqual(['eq', 'user_id', 'user-1']);
+        expect(query.calls).toContainEqual(['order', 'name', { ascending: true }]);
+    });
+});
+
+describe('saveImportProfile', () => {
+    it('replaces the profile for the same layout, filling in defaults', async () => {
+        await saveImportProfile({
+            name: 'HDFC Savings',
+            header_signature: hdfc.header_signature,
+            delimiter: ',',
+            column_mapping: { date: 0, description: 1, debit: 2, credit: 3 }
+        });
+
+        const [query] = db.find('import_profiles', 'upsert');
+        expect(query.args('upsert')).toEqual([
+            {
+                user_id: 'user-1',
+                name: 'HDFC Savings',
+                header_signature: hdfc.header_signature,
+                delimiter: ',',
+                date_format: null,
+                header_row: 0,
+                has_header: true,
+                column_mapping: { date: 0, description: 1, debit: 2, credit: 3 },
+                sign_convention: 'debit-positive',
+                account_id: null
+            },
+            { onConflict: 'user_id,header_signature' }
+        ]);
+    });
+});
+
+describe('renameImportProfile', () => {
+    it('saves the trimmed name on the user\'s profile', async () => {
+        const { error } = await renameImportProfile('p1', '  HDFC Salary  ');
+
+        expect(error).toBeNull();
+        const [query] = db.find('import_profiles', 'update');
+        expect(query.args('update')[0]).toEqual({ name: 'HDFC Salary' });
+        expect(query.calls).toContainEqual(['eq', 'id', 'p1']);
+        expect(query.calls).toContainEqual(['eq', 'user_id', 'user-1']);
+    });
+
+    it('rejects an empty name without saving', async () => {
+        const { error } = await renameImportProfile('p1', '   ');
+
+        expect(error.message).toBe('Please enter a profile name.');
+        expect(db.queries).toHaveLength(0);
+    });
+
+    it('reports a name that couldn\'t be saved', async () => {
+        db.respond(() => ({ data: null, error: { message: 'timeout' } }));
+
+        const { error } = await renameImportProfile('p1', 'HDFC Salary');
+
+        expect(error.message).toBe('Unable to rename import profile. Please try again.');
+    });
+});
+
+describe('deleteImportProfile', () => {
+    it('deletes only the user\'s profile', async () => {
+        const { error } = await deleteImportProfile('p1');
+
+        expect(error).toBeNull();
+        const [query] = db.find('import_profiles', 'delete');
+        expect(query.calls).toContainEqual(['eq', 'id', 'p1']);
+        expect(query.calls).toContainEqual(['eq', 'user_id', 'user-1']);
+    });
+});
+
+describe('findProfileForContent', () => {
+    const hdfcFile = 'Date,Narration,Withdrawal Amt.,Deposit Amt.\n01/04/24,SWIGGY,250.00,\n';
+    const iciciFile = 'ICICI Bank\nCard XX1234\nTransaction Date;Details;Amount (INR)\n01/04/2024;NETFLIX;199.00\n';
+
+    it('finds the profile whose layout matches the file', () => {
+        expect(findProfileForContent(hdfcFile, [icici, hdfc])).toBe(hdfc);
+        expect(findProfileForContent(iciciFile, [hdfc, icici])).toBe(icici);
+    });
+
+    it('finds nothing for a layout without a profile', () => {
+        expect(findProfileForContent('Posted,Memo,Value\n2024-04-01,SWIGGY,250\n', [hdfc, icici])).toBeNull();
+        expect(findProfileForContent(hdfcFile, [])).toBeNull();
+        expect(findProfileForContent('', [hdfc])).toBeNull();
+    });
+});
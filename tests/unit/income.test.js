@@ -0,0 +1,127 @@
+/**
+ * Unit Tests: Income Module
+ *
+ * Tests for recording income as income transactions and totalling what was
+ * received, against a mocked Supabase client.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { db, supabase } from '../helpers/supabaseMock.js';
+import {
+    createIncome,
+    getIncomeByMonth,
+    updateIncome,
+    deleteIncome,
+    getMonthlyIncomeTotals,
+    getCurrentMonthIncome
+} from '../../js/income.js';
+
+vi.mock('../../js/supabaseConfig.js', () => import('../helpers/supabaseMock.js'));
+
+beforeEach(() => {
+    db.reset();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date(2024, 3, 15));
+});
+
+afterEach(() => {
+    vi.useRealTimers();
+});
+
+describe('createIncome', () => {
+    it('saves income as an income transaction in the Income category', async () => {
+        db.respond(query => query.has('insert') ? { data: { id: 'i1' }, error: null } : undefined);
+
+        const { data, error } = await createIncome({ source: '  Salary - Acme Corp ', amount: 85000, date: '2024-04-01', account_id: '' });
+
+        expect(error).toBeNull();
+        expect(data).toEqual({ id: 'i1' });
+        expect(db.find('expenses', 'insert')[0].args('insert')[0]).toEqual({
+            user_id: 'user-1',
+            expense_name: 'Salary - Acme Corp',
+            merchant: expect.any(String),
+            amount: 85000,
+            date: '2024-04-01',
+            account_id: null,
+            category: 'Income',
+            transaction_type: 'income'
+        });
+    });
+
+    it('fails without a signed-in user or when the insert is rejected', async () => {
+        supabase.auth.getUser.mockResolvedValueOnce({ data: { user: null }, error: null });
+        expect((await createIncome({ source: 'Salary', amount: 1, date: '2024-04-01' })).error.message).toBe('User not authenticated');
+        expect(db.queries).toHaveLength(0);
+
+        db.respond(() => ({ data: null, error: { message: 'check constraint' } }));
+        const { data, error } = await createIncome({ source: 'Salary', amount: 1, date: '2024-04-01' });
+        expect(data).toBeNull();
+        expect(error.message).toBe('Unable to save income. Please try again.');
+    });
+});
+
+describe('updateIncome and deleteIncome', () => {
+    it('only change the user\'s income transactions', async () => {
+        await updateIncome('i1', { amount: 90000 });
+        await deleteIncome('i1');
+
+        const [update] = db.find('expenses', 'update');
+        expect(update.args('update')[0]).toEqual({ amount: 90000 });
+
+        for (const query of [update, db.find('expenses', 'delete')[0]]) {
+            expect(query.calls).toContainEqual(['eq', 'id', 'i1']);
+            expect(query.calls).toContainEqual(['eq', 'user_id', 'user-1']);
+            expect(query.calls).toContainEqual(['eq', 'transaction_type', 'income']);
+        }
+    });
+});
+
+describe('getIncomeByMonth', () => {
+    it('reads income dated within the month', async () => {
+        await getIncomeByMonth(2024, 2);
+
+        const [query] = db.find('expenses', 'select');
+        expect(query.calls).toContainEqual(['eq', 'transaction_type', 'income']);
+        expect(query.calls).toContainEqual(['gte', 'date', '2024-02-01']);
+        expect(query.calls).toContainEqual(['lte', 'date', '2024-02-29']);
+    });
+});
+
+describe('getMonthlyIncomeTotals', () => {
+    it('totals income by month, with months that had none at zero', async () => {
+        db.respond(() => ({
+            data: [
+                { amount: '85000', date: '2024-02-01' },
+                { amount: '1200.50', date: '2024-02-20' },
+                { amount: '85000', date: '2024-04-01' }
+            ],
+            error: null
+        }));
+
+        const totals = await getMonthlyIncomeTotals(3);
+
+        expect(totals).toEqual([
+            { year: 2024, month: 2, total: 86200.5, label: 'Feb 2024' },
+            { year: 2024, month: 3, total: 0, label: 'Mar 2024' },
+            { year: 2024, month: 4, total: 85000, label: 'Apr 2024' }
+        ]);
+        expect(db.queries[0].calls).toContainEqual(['gte', 'date', '2024-02-01']);
+        expect(db.queries[0].calls).toContainEqual(['lte', 'date', '2024-04-30']);
+    });
+});
+
+describe('getCurrentMonthIncome', () => {
+    it('adds up the income received this month', async () => {
+        db.respond(() => ({ data: [{ amount: '85000' }, { amount: '2500.25' }], error: null }));
+
+        expect(await getCurrentMonthIncome()).toBe(87500.25);
+        expect(db.queries[0].calls).toContainEqual(['gte', 'date', '2024-04-01']);
+    });
+
+    it('counts nothing when the income can\'t be loaded', async () => {
+        db.respond(() => ({ data: null, error: { message: 'timeout' } }));
+
+        expect(await getCurrentMonthIncome()).toBe(0);
+    });
+});
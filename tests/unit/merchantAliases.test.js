@@ -0,0 +1,97 @@
+/**
+ * Unit Tests: Merchant Aliases Module
+ *
+ * Tests for filling in the merchant of past expenses, against a mocked
+ * Supabase client.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { db } from '../helpers/supabaseMock.js';
+import { backfillMerchants } from '../../js/merchantAliases.js';
+
+vi.mock('../../js/supabaseConfig.js', () => import('../helpers/supabaseMock.js'));
+
+/**
+ * Build saved expenses with the given names and merchants
+ *
+ * @param {number} count - Number of expenses
+ * @param {Object} [extra] - Fields to set on every expense
+ * @returns {Array<Object>}
+ */
+function makeExpenses(count, extra = {}) {
+    return Array.from({ length: count }, (_, i) => ({
+        id: `e${i}`,
+        user_id: 'user-1',
+        expense_name: 'POS 4521XXXX SWIGGY BANGALORE IN 12/03',
+        category: 'Food',
+        amount: 250,
+        date: '2024-04-01',
+        merchant: null,
+        ...extra
+    }));
+}
+
+/**
+ * Answer the expenses read with the given rows
+ *
+ * @param {Array<Object>} expenses - Rows to return
+ */
+function respondWithExpenses(expenses) {
+    db.respond(query => query.table === 'expenses' && query.has('select') ? { data: expenses, error: null } : undefined);
+}
+
+beforeEach(() => {
+    db.reset();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('backfillMerchants', () => {
+    it('reads only expenses without a merchant and writes them in chunks of 200', async () => {
+        respondWithExpenses(makeExpenses(450));
+
+        const result = await backfillMerchants({ missingOnly: true });
+
+        expect(result).toEqual({ updated: 450, failed: 0, error: null });
+        const [read] = db.find('expenses', 'select');
+        expect(read.calls).toContainEqual(['is', 'merchant', null]);
+
+        const upserts = db.find('expenses', 'upsert');
+        expect(upserts.map(query => query.args('upsert')[0].length)).toEqual([200, 200, 50]);
+        expect(upserts[0].args('upsert')[1]).toEqual({ onConflict: 'id' });
+        expect(upserts[0].args('upsert')[0][0]).toEqual({ ...makeExpenses(1)[0], merchant: 'Swiggy' });
+    });
+
+    it('writes nothing when every merchant is already right', async () => {
+        respondWithExpenses(makeExpenses(3, { merchant: 'Swiggy' }));
+
+        const result = await backfillMerchants();
+
+        expect(result).toEqual({ updated: 0, failed: 0, error: null });
+        expect(db.find('expenses', 'select')[0].has('is')).toBe(false);
+        expect(db.find('expenses', 'upsert')).toHaveLength(0);
+    });
+
+    it('counts the expenses of a chunk that could not be written as failed', async () => {
+        respondWithExpenses(makeExpenses(250));
+        let upserts = 0;
+        db.respond(query => {
+            if (!query.has('upsert')) return undefined;
+            upserts++;
+            return upserts === 1 ? { error: { message: 'timeout' } } : { error: null };
+        });
+
+        const result = await backfillMerchants();
+
+        expect(result).toEqual({ updated: 50, failed: 200, error: null });
+    });
+
+    it('stops when the expenses can\'t be read', async () => {
+        db.respond(query => query.table === 'expenses' ? { data: null, error: { message: 'timeout' } } : undefined);
+
+        const result = await backfillMerchants();
+
+        expect(result.updated).toBe(0);
+        expect(result.error.message).toBe('Unable to load your expenses. Please refresh.');
+        expect(db.find('expenses', 'upsert')).toHaveLength(0);
+    });
+});
@@ -0,0 +1,59 @@
+/**
+ * Unit Tests: Merchant Normalizer Module
+ *
+ * Tests for turning expense names and bank narrations into canonical merchants.
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { normalizeMerchant, getMerchantTokens, toAliasPattern, setAliases, getAliases } from '../../js/merchantNormalizer.js';
+
+describe('Merchant Normalizer', () => {
+    afterEach(() => {
+        setAliases([]);
+    });
+
+    it('groups bank narrations and manual entries under one merchant', () => {
+        expect(normalizeMerchant('POS 4521XXXX SWIGGY BANGALORE IN 12/03')).toBe('Swiggy');
+        expect(normalizeMerchant('swiggy order')).toBe('Swiggy');
+        expect(normalizeMerchant('UPI/401234567890/SWIGGY/swiggy@icici/Payment')).toBe('Swiggy');
+    });
+
+    it('drops rails, reference numbers, legal suffixes and locations', () => {
+        expect(normalizeMerchant('UPI-ZOMATO LTD-zomato@hdfcbank-HDFC0000001-412345678901-PAYMENT')).toBe('Zomato');
+        expect(normalizeMerchant('ECOM PUR/AMAZON PAY INDIA PVT/MUMBAI')).toBe('Amazon Pay');
+        expect(normalizeMerchant('VPS/UBER INDIA SYSTEMS/NEW DELHI')).toBe('Uber');
+    });
+
+    it('keeps a location that is the only identifying word', () => {
+        expect(getMerchantTokens('POS 1234 DUBAI')).toEqual(['dubai']);
+    });
+
+    it('returns an empty name when nothing identifying remains', () => {
+        expect(normalizeMerchant('NEFT 412345678901')).toBe('');
+        expect(normalizeMerchant('')).toBe('');
+    });
+
+    it('uses the most specific matching alias', () => {
+        setAliases([
+            { pattern: 'Amazon', merchant: 'Amazon' },
+            { pattern: 'amazon pay', merchant: 'Amazon Pay Wallet' },
+            { pattern: 'BUNDL TECHNOLOGIES', merchant: 'Swiggy' }
+        ]);
+
+        expect(normalizeMerchant('BUNDL TECHNOLOGIES BANGALORE')).toBe('Swiggy');
+        expect(normalizeMerchant('ECOM PUR/AMAZON PAY INDIA PVT/MUMBAI')).toBe('Amazon Pay Wallet');
+        expect(normalizeMerchant('AMAZON MKTPLACE')).toBe('Amazon');
+        expect(getAliases().map(alias => alias.pattern).pop()).toBe('amazon');
+    });
+
+    it('matches aliases on whole words only', () => {
+        setAliases([{ pattern: 'ola', merchant: 'Ola Cabs' }]);
+
+        expect(normalizeMerchant('OLA MONEY')).toBe('Ola Cabs');
+        expect(normalizeMerchant('COCA COLA')).toBe('Coca Cola');
+    });
+
+    it('normalizes alias patterns like descriptions', () => {
+        expect(toAliasPattern('  Bundl-Technologies ')).toBe('bundl technologies');
+    });
+});
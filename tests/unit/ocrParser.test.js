@@ -0,0 +1,109 @@
+/**
+ * Unit Tests: Image OCR Parser Module
+ *
+ * Tests for reading recognised text as statement rows or a receipt.
+ * OCR lines are built by hand, so Tesseract itself is not loaded.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    ocrLinesToRows,
+    parseOcrLines,
+    parseReceipt,
+    findDate,
+    isLowOcrConfidence
+} from '../../js/ocrParser.js';
+
+/**
+ * Build a recognised line from words
+ * Each word is [x, text]; boxes assume 20px text and 10px per character
+ */
+function ocrLine(words, confidence = 0.9) {
+    return {
+        text: words.map(([, text]) => text).join(' '),
+        confidence,
+        words: words.map(([x, text]) => ({
+            text,
+            confidence,
+            bbox: { x0: x, y0: 0, x1: x + text.length * 10, y1: 20 }
+        }))
+    };
+}
+
+describe('OCR Parser - Statement Screenshots', () => {
+    it('should split words into cells at wide gaps', () => {
+        const rows = ocrLinesToRows([
+            ocrLine([[10, '01/04/2024'], [150, 'UPI/SWIGGY'], [260, 'BLR'], [500, '450.00']])
+        ]);
+        expect(rows[0].cells.map(c => c.text)).toEqual(['01/04/2024', 'UPI/SWIGGY BLR', '450.00']);
+    });
+
+    it('should read statement rows with their line confidence', () => {
+        const result = parseOcrLines([
+            ocrLine([[10, 'Date'], [150, 'Narration'], [500, 'Withdrawal'], [650, 'Deposit'], [800, 'Balance']]),
+            ocrLine([[10, '01/04/2024'], [150, 'SWIGGY'], [510, '450.00'], [810, '9,550.00']], 0.92),
+            ocrLine([[10, '02/04/2024'], [150, 'SALARY'], [660, '50,000.00'], [810, '59,550.00']], 0.6)
+        ]);
+
+        expect(result.kind).toBe('statement');
+        expect(result.transactions).toHaveLength(2);
+        expect(result.transactions[0]).toMatchObject({ date: '01/04/2024', amount: '450.00', direction: 'debit', ocrConfidence: 0.92 });
+        expect(result.transactions[1]).toMatchObject({ amount: '50,000.00', direction: 'credit' });
+        expect(isLowOcrConfidence(result.transactions[1].fieldConfidence.amount)).toBe(true);
+    });
+});
+
+describe('OCR Parser - Receipts', () => {
+    const receipt = [
+        ocrLine([[10, 'TAX'], [50, 'INVOICE']]),
+        ocrLine([[10, 'Chai'], [60, 'Point'], [120, 'Cafe']], 0.95),
+        ocrLine([[10, 'GSTIN'], [70, '29ABCDE1234F1Z5']]),
+        ocrLine([[10, 'Date:12/03/2024'], [200, '14:22']], 0.88),
+        ocrLine([[10, 'Masala'], [80, 'Chai'], [300, '120.00']]),
+        ocrLine([[10, 'Sub'], [50, 'Total'], [300, '240.00']]),
+        ocrLine([[10, 'CGST'], [300, '6.00']]),
+        ocrLine([[10, 'Grand'], [70, 'Total'], [300, '252.00']], 0.7),
+        ocrLine([[10, 'Cash'], [300, '500.00']])
+    ];
+
+    it('should find a date anywhere in a line', () => {
+        expect(findDate('Date:12/03/2024 14:22')).toBe('12/03/2024');
+        expect(findDate('Bill No 42 on 5 Mar 2024')).toBe('5 Mar 2024');
+        expect(findDate('Thank you')).toBeNull();
+    });
+
+    it('should read the merchant, date and total', () => {
+        const transaction = parseReceipt(receipt);
+        expect(transaction).toMatchObject({
+            date: '12/03/2024',
+            amount: '252.00',
+            description: 'Chai Point Cafe',
+            direction: 'debit',
+            rowLabel: 'Receipt'
+        });
+        expect(transaction.fieldConfidence).toEqual({ date: 0.88, amount: 0.7, description: 0.95 });
+        expect(transaction.ocrConfidence).toBe(0.7);
+    });
+
+    it('should fall back to the largest amount without a labelled total', () => {
+        const transaction = parseReceipt([
+            ocrLine([[10, 'Corner'], [80, 'Store']]),
+            ocrLine([[10, 'Bread'], [300, '45.00']]),
+            ocrLine([[10, 'Milk'], [300, '60.00']])
+        ]);
+        expect(transaction).toMatchObject({ amount: '60.00', date: '', description: 'Corner Store' });
+        expect(transaction.fieldConfidence.date).toBe(0);
+    });
+
+    it('should read an image as a receipt when it has no statement rows', () => {
+        const result = parseOcrLines(receipt);
+        expect(result.kind).toBe('receipt');
+        expect(result.transactions).toHaveLength(1);
+        expect(result.errors).toEqual([]);
+    });
+
+    it('should report images with no amounts', () => {
+        expect(parseOcrLines([ocrLine([[10, 'Hello'], [80, 'world']])])).toMatchObject({ transactions: [], kind: null, hasText: true });
+        expect(parseOcrLines([])).toMatchObject({ transactions: [], hasText: false });
+    });
+});
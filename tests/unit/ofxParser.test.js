@@ -0,0 +1,150 @@
+/**
+ * Unit Tests: OFX Parser Module
+ *
+ * Tests for OFX/QFX statement parsing (SGML 1.x and XML 2.x).
+ */
+
+import { describe, it, expect } from 'vitest';
+import { isOFXContent, parseOFX, parseOFXDate, toExpenseAmount } from '../../js/ofxParser.js';
+import { validateFile, validateTransaction } from '../../js/csvParser.js';
+
+const SGML_OFX = `OFXHEADER:100
+DATA:OFXSGML
+VERSION:102
+SECURITY:NONE
+ENCODING:USASCII
+
+<OFX>
+<BANKMSGSRSV1>
+<STMTTRNRS>
+<STMTRS>
+<CURDEF>INR
+<BANKACCTFROM>
+<ACCTID>001234567890
+<ACCTTYPE>SAVINGS
+</BANKACCTFROM>
+<BANKTRANLIST>
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20240105120000[+5:30:IST]
+<TRNAMT>-450.00
+<FITID>202401050001
+<NAME>SWIGGY
+<MEMO>UPI/401234/Food order
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20240110
+<TRNAMT>50000.00
+<FITID>202401100002
+<NAME>SALARY ACME &amp; CO
+</STMTTRN>
+</BANKTRANLIST>
+</STMTRS>
+</STMTTRNRS>
+</BANKMSGSRSV1>
+</OFX>`;
+
+const XML_OFX = `<?xml version="1.0" encoding="UTF-8"?>
+<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE"?>
+<OFX>
+  <CREDITCARDMSGSRSV1>
+    <CCSTMTTRNRS>
+      <CCSTMTRS>
+        <CURDEF>USD</CURDEF>
+        <BANKTRANLIST>
+          <STMTTRN>
+            <TRNTYPE>DEBIT</TRNTYPE>
+            <DTPOSTED>20240302</DTPOSTED>
+            <TRNAMT>-12.99</TRNAMT>
+            <FITID>CC-99</FITID>
+            <NAME>NETFLIX.COM</NAME>
+          </STMTTRN>
+        </BANKTRANLIST>
+      </CCSTMTRS>
+    </CCSTMTTRNRS>
+  </CREDITCARDMSGSRSV1>
+</OFX>`;
+
+describe('OFX Parser - Detection', () => {
+    it('should detect SGML and XML OFX content', () => {
+        expect(isOFXContent(SGML_OFX)).toBe(true);
+        expect(isOFXContent(XML_OFX)).toBe(true);
+    });
+
+    it('should not detect CSV content as OFX', () => {
+        expect(isOFXContent('date,amount,description\n2024-01-01,100,Test')).toBe(false);
+    });
+
+    it('should accept .ofx and .qfx files', () => {
+        expect(validateFile({ name: 'statement.ofx', size: 1024 }).fileType).toBe('ofx');
+        expect(validateFile({ name: 'statement.QFX', size: 1024 }).fileType).toBe('ofx');
+    });
+});
+
+describe('OFX Parser - Parsing', () => {
+    it('should parse SGML OFX 1.x transactions', () => {
+        const result = parseOFX(SGML_OFX);
+
+        expect(result.errors).toHaveLength(0);
+        expect(result.transactions).toHaveLength(2);
+        expect(result.transactions[0]).toEqual({
+            date: '2024-01-05',
+            amount: '450.00',
+            description: 'SWIGGY - UPI/401234/Food order',
+            rowNumber: 1,
+            fitId: '202401050001',
+            direction: 'debit'
+        });
+        expect(result.account).toEqual({ id: '001234567890', type: 'SAVINGS', currency: 'INR' });
+    });
+
+    it('should decode entities and mark credits', () => {
+        const result = parseOFX(SGML_OFX);
+        expect(result.transactions[1].description).toBe('SALARY ACME & CO');
+        expect(result.transactions[1].amount).toBe('-50000.00');
+        expect(result.transactions[1].direction).toBe('credit');
+    });
+
+    it('should parse XML OFX 2.x transactions', () => {
+        const result = parseOFX(XML_OFX);
+
+        expect(result.transactions).toHaveLength(1);
+        expect(result.transactions[0].date).toBe('2024-03-02');
+        expect(result.transactions[0].amount).toBe('12.99');
+        expect(result.transactions[0].description).toBe('NETFLIX.COM');
+        expect(result.transactions[0].fitId).toBe('CC-99');
+        expect(result.account.type).toBe('CREDITCARD');
+    });
+
+    it('should produce transactions that pass CSV validation', () => {
+        const [debit] = parseOFX(XML_OFX).transactions;
+        const result = validateTransaction(debit);
+        expect(result.valid).toBe(true);
+        expect(result.parsedAmount).toBe(12.99);
+    });
+
+    it('should report an error when no transactions are present', () => {
+        const result = parseOFX('OFXHEADER:100\n<OFX>\n</OFX>');
+        expect(result.transactions).toHaveLength(0);
+        expect(result.errors[0].message).toContain('No transactions');
+    });
+
+    it('should reject non-OFX content', () => {
+        const result = parseOFX('not an ofx file');
+        expect(result.transactions).toHaveLength(0);
+        expect(result.errors).toHaveLength(1);
+    });
+});
+
+describe('OFX Parser - Value Helpers', () => {
+    it('should convert OFX dates with time and timezone', () => {
+        expect(parseOFXDate('20231231235959.000[-5:EST]')).toBe('2023-12-31');
+    });
+
+    it('should flip amount signs', () => {
+        expect(toExpenseAmount('-10.50')).toBe('10.50');
+        expect(toExpenseAmount('+10.50')).toBe('-10.50');
+        expect(toExpenseAmount('')).toBe('');
+    });
+});
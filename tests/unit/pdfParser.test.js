@@ -0,0 +1,97 @@
+/**
+ * Unit Tests: PDF Statement Parser Module
+ *
+ * Tests for table-row reconstruction and statement layout heuristics.
+ * Text items are built by hand, so pdf.js itself is not loaded.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    reconstructRows,
+    parseStatementRows,
+    parsePdfStatement,
+    splitLeadingDate,
+    findAmounts
+} from '../../js/pdfParser.js';
+
+/**
+ * Build a line of text items at a given height
+ * Each cell is [x, text]; widths assume 5 points per character
+ */
+function line(y, cells) {
+    return cells.map(([x, str]) => ({ str, x, y, width: str.length * 5 }));
+}
+
+describe('PDF Parser - Row Reconstruction', () => {
+    it('should group items into lines and cells by position', () => {
+        const page = [
+            ...line(700, [[300, 'UPI/SWIGGY'], [40, '01/04/2024'], [355, 'BLR']]),
+            ...line(701.5, [[500, '450.00']]),
+            ...line(680, [[40, '02/04/2024']])
+        ];
+        const rows = reconstructRows([page]);
+
+        expect(rows).toHaveLength(2);
+        expect(rows[0].cells.map(c => c.text)).toEqual(['01/04/2024', 'UPI/SWIGGY BLR', '450.00']);
+        expect(rows[0]).toMatchObject({ page: 1, line: 1 });
+        expect(rows[1].line).toBe(2);
+    });
+
+    it('should split dates and amounts out of text', () => {
+        expect(splitLeadingDate('05 Jan 2024 AMAZON')).toEqual({ date: '05 Jan 2024', rest: 'AMAZON' });
+        expect(splitLeadingDate('Ref 1234')).toBeNull();
+        expect(findAmounts('UPI 401234 1,250.00 Dr 18,400.50')).toEqual(['1,250.00 Dr', '18,400.50']);
+    });
+});
+
+describe('PDF Parser - Statement Layouts', () => {
+    it('should read a table with withdrawal and deposit columns', () => {
+        const page = [
+            ...line(760, [[40, 'HDFC BANK LTD'], [400, 'Statement of account']]),
+            ...line(700, [[40, 'Date'], [110, 'Narration'], [320, 'Value Dt'], [400, 'Withdrawal Amt.'], [500, 'Deposit Amt.'], [580, 'Closing Balance']]),
+            ...line(680, [[40, '01/04/24'], [110, 'UPI-SWIGGY-401234'], [320, '01/04/24'], [420, '450.00'], [590, '9,550.00']]),
+            ...line(668, [[110, 'FOOD ORDER']]),
+            ...line(650, [[40, '02/04/24'], [110, 'NEFT SALARY ACME'], [320, '02/04/24'], [505, '85,000.00'], [590, '94,550.00']])
+        ];
+        const { transactions, errors } = parsePdfStatement([page]);
+
+        expect(errors).toHaveLength(0);
+        expect(transactions).toHaveLength(2);
+        expect(transactions[0]).toMatchObject({
+            date: '01/04/24',
+            amount: '450.00',
+            description: 'UPI-SWIGGY-401234 FOOD ORDER',
+            direction: 'debit',
+            rowLabel: 'Page 1, line 3'
+        });
+        expect(transactions[1]).toMatchObject({ amount: '85,000.00', direction: 'credit' });
+    });
+
+    it('should read headerless lines and infer direction from the balance', () => {
+        const rows = [
+            { page: 1, line: 1, text: 'Opening Balance 10,000.00', cells: [] },
+            { page: 1, line: 2, text: '05 Jan 2024 AMAZON PAY 1,000.00 9,000.00', cells: [] },
+            { page: 1, line: 3, text: '06 Jan 2024 AMAZON REFUND 500.00 9,500.00', cells: [] }
+        ];
+        const { transactions } = parseStatementRows(rows);
+
+        expect(transactions.map(t => t.direction)).toEqual(['debit', 'credit']);
+        expect(transactions[0].description).toBe('AMAZON PAY');
+    });
+
+    it('should report lines with amounts that cannot be read', () => {
+        const rows = [
+            { page: 2, line: 14, text: 'Ref 77 1,200.00 4,300.00', cells: [] },
+            { page: 2, line: 15, text: 'This is a computer generated statement', cells: [] }
+        ];
+        const { transactions, errors } = parseStatementRows(rows);
+
+        expect(transactions).toHaveLength(0);
+        expect(errors).toHaveLength(1);
+        expect(errors[0].message).toBe("Page 2, line 14: Could not read 'Ref 77 1,200.00 4,300.00'");
+    });
+
+    it('should report PDFs without a text layer', () => {
+        expect(parsePdfStatement([[]]).hasText).toBe(false);
+    });
+});
@@ -0,0 +1,70 @@
+/**
+ * Unit Tests: Recurrence Module
+ *
+ * Tests for working out when recurring expenses fall due.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getNextDate, getDueDates, getResumeDate, isFinished, describeFrequency } from '../../js/recurrence.js';
+
+describe('getNextDate', () => {
+    it('steps daily, weekly and custom day and week intervals', () => {
+        expect(getNextDate({ frequency: 'daily', start_date: '2024-02-28' }, '2024-02-28')).toBe('2024-02-29');
+        expect(getNextDate({ frequency: 'weekly', start_date: '2024-12-27' }, '2024-12-27')).toBe('2025-01-03');
+        expect(getNextDate({ frequency: 'custom', interval_count: 10, interval_unit: 'day', start_date: '2024-01-01' }, '2024-01-01')).toBe('2024-01-11');
+        expect(getNextDate({ frequency: 'custom', interval_count: 2, interval_unit: 'week', start_date: '2024-01-01' }, '2024-01-01')).toBe('2024-01-15');
+    });
+
+    it('keeps monthly templates on the start day, or the last day of shorter months', () => {
+        const rent = { frequency: 'monthly', start_date: '2024-01-31' };
+        expect(getNextDate(rent, '2024-01-31')).toBe('2024-02-29');
+        expect(getNextDate(rent, '2024-02-29')).toBe('2024-03-31');
+        expect(getNextDate(rent, '2024-11-30')).toBe('2024-12-31');
+        expect(getNextDate(rent, '2024-12-31')).toBe('2025-01-31');
+    });
+
+    it('steps quarterly and yearly templates', () => {
+        expect(getNextDate({ frequency: 'custom', interval_count: 3, interval_unit: 'month', start_date: '2024-11-15' }, '2024-11-15')).toBe('2025-02-15');
+        expect(getNextDate({ frequency: 'yearly', start_date: '2024-02-29' }, '2024-02-29')).toBe('2025-02-28');
+    });
+});
+
+describe('getDueDates', () => {
+    const netflix = { frequency: 'monthly', start_date: '2024-01-05', next_date: '2024-03-05', end_date: null };
+
+    it('lists occurrences due up to today and the one after', () => {
+        expect(getDueDates(netflix, '2024-05-04')).toEqual({ dates: ['2024-03-05', '2024-04-05'], nextDate: '2024-05-05' });
+        expect(getDueDates(netflix, '2024-05-05').dates).toHaveLength(3);
+    });
+
+    it('stops at the end date and the limit', () => {
+        const ending = { ...netflix, end_date: '2024-03-31' };
+        expect(getDueDates(ending, '2024-12-31')).toEqual({ dates: ['2024-03-05'], nextDate: '2024-04-05' });
+        expect(isFinished({ ...ending, next_date: '2024-04-05' })).toBe(true);
+
+        const daily = { frequency: 'daily', start_date: '2020-01-01' };
+        expect(getDueDates(daily, '2024-01-01', 10)).toEqual({ dates: expect.any(Array), nextDate: '2020-01-11' });
+    });
+
+    it('starts from the start date before anything was posted', () => {
+        expect(getDueDates({ frequency: 'weekly', start_date: '2024-06-03' }, '2024-06-10').dates).toEqual(['2024-06-03', '2024-06-10']);
+        expect(getDueDates({ frequency: 'weekly', start_date: '2024-06-11' }, '2024-06-10').dates).toEqual([]);
+    });
+});
+
+describe('getResumeDate', () => {
+    it('skips occurrences that fell while paused', () => {
+        const gym = { frequency: 'monthly', start_date: '2024-01-10', next_date: '2024-02-10' };
+        expect(getResumeDate(gym, '2024-06-11')).toBe('2024-07-10');
+        expect(getResumeDate(gym, '2024-06-10')).toBe('2024-06-10');
+        expect(getResumeDate(gym, '2024-01-01')).toBe('2024-02-10');
+    });
+});
+
+describe('describeFrequency', () => {
+    it('names fixed and custom frequencies', () => {
+        expect(describeFrequency({ frequency: 'monthly' })).toBe('Monthly');
+        expect(describeFrequency({ frequency: 'custom', interval_count: 3, interval_unit: 'month' })).toBe('Every 3 months');
+        expect(describeFrequency({ frequency: 'custom', interval_count: 1, interval_unit: 'week' })).toBe('Every week');
+    });
+});
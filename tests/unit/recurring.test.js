@@ -0,0 +1,174 @@
+/**
+ * Unit Tests: Recurring Expenses Module
+ *
+ * Tests for posting due occurrences, pausing and skipping templates, against
+ * a mocked Supabase client.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { db } from '../helpers/supabaseMock.js';
+import {
+    postDueRecurringExpenses,
+    postNextOccurrence,
+    setRecurringPaused,
+    skipNextOccurrence
+} from '../../js/recurring.js';
+
+vi.mock('../../js/supabaseConfig.js', () => import('../helpers/supabaseMock.js'));
+
+const rent = {
+    id: 'r1',
+    expense_name: 'Rent',
+    category: 'Housing',
+    amount: 25000,
+    frequency: 'monthly',
+    start_date: '2024-01-05',
+    next_date: '2024-02-05',
+    end_date: null,
+    mode: 'auto',
+    paused: false,
+    account_id: 'a1'
+};
+
+/**
+ * Answer the due templates query and save every occurrence sent that isn't
+ * already in savedDates
+ *
+ * @param {Array<Object>} templates - Templates due
+ * @param {Set<string>} [savedDates] - recurring_id|date pairs already saved
+ */
+function respondWith(templates, savedDates = new Set()) {
+    db.respond(query => {
+        if (query.table === 'recurring_expenses' && query.has('select') && !query.has('update')) {
+            return { data: templates, error: null };
+        }
+        if (query.table === 'expenses' && query.has('upsert')) {
+            const inserted = query.args('upsert')[0].filter(record => !savedDates.has(`${record.recurring_id}|${record.date}`));
+            inserted.forEach(record => savedDates.add(`${record.recurring_id}|${record.date}`));
+            return { data: inserted.map(record => ({ id: `${record.recurring_id}-${record.date}` })), error: null };
+        }
+        return undefined;
+    });
+}
+
+/**
+ * Get the next_date each schedule update set, in order
+ *
+ * @returns {string[]}
+ */
+function scheduledDates() {
+    return db.find('recurring_expenses', 'update').map(query => query.args('update')[0].next_date);
+}
+
+beforeEach(() => {
+    db.reset();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date(2024, 3, 15));
+});
+
+afterEach(() => {
+    vi.useRealTimers();
+});
+
+describe('postDueRecurringExpenses', () => {
+    it('catches up every period missed since the last run in one request', async () => {
+        respondWith([rent]);
+
+        const result = await postDueRecurringExpenses();
+
+        expect(result).toEqual({ posted: 3, reminders: [], error: null });
+        const [upsert] = db.find('expenses', 'upsert');
+        expect(upsert.args('upsert')[0].map(record => record.date)).toEqual(['2024-02-05', '2024-03-05', '2024-04-05']);
+        expect(upsert.args('upsert')[0][0]).toMatchObject({
+            expense_name: 'Rent',
+            category: 'Housing',
+            amount: 25000,
+            transaction_type: 'expense',
+            account_id: 'a1',
+            recurring_id: 'r1'
+        });
+        expect(upsert.args('upsert')[1]).toEqual({ onConflict: 'recurring_id,date', ignoreDuplicates: true });
+        expect(scheduledDates()).toEqual(['2024-05-05']);
+    });
+
+    it('only asks for templates that aren\'t paused', async () => {
+        respondWith([]);
+
+        await postDueRecurringExpenses();
+
+        const [query] = db.find('recurring_expenses', 'select');
+        expect(query.calls).toContainEqual(['eq', 'paused', false]);
+        expect(query.calls).toContainEqual(['lte', 'next_date', '2024-04-15']);
+        expect(db.find('expenses')).toHaveLength(0);
+    });
+
+    it('lists remind-mode templates instead of posting them', async () => {
+        respondWith([{ ...rent, mode: 'remind' }]);
+
+        const result = await postDueRecurringExpenses();
+
+        expect(result.posted).toBe(0);
+        expect(result.reminders).toEqual([{ template: expect.objectContaining({ id: 'r1' }), dates: ['2024-02-05', '2024-03-05', '2024-04-05'] }]);
+        expect(db.find('expenses', 'upsert')).toHaveLength(0);
+    });
+
+    it('counts nothing when another tab already posted the occurrences', async () => {
+        const saved = new Set();
+        respondWith([rent], saved);
+        await postDueRecurringExpenses();
+
+        // The second run still sees the old next_date, as a tab opened earlier would
+        const result = await postDueRecurringExpenses();
+
+        expect(result).toEqual({ posted: 0, reminders: [], error: null });
+        expect(db.find('expenses', 'upsert')).toHaveLength(2);
+    });
+
+    it('keeps the schedule where it was when posting fails', async () => {
+        db.respond(query => query.has('upsert') ? { data: null, error: { message: 'timeout' } } : undefined);
+        respondWith([rent]);
+
+        const result = await postDueRecurringExpenses();
+
+        expect(result.posted).toBe(0);
+        expect(result.error.message).toBe('Unable to add Rent.');
+        expect(scheduledDates()).toEqual([]);
+    });
+});
+
+describe('postNextOccurrence', () => {
+    it('posts only the next occurrence and moves past it', async () => {
+        respondWith([]);
+
+        const result = await postNextOccurrence({ ...rent, mode: 'remind' });
+
+        expect(result).toEqual({ posted: 1, error: null });
+        expect(db.find('expenses', 'upsert')[0].args('upsert')[0].map(record => record.date)).toEqual(['2024-02-05']);
+        expect(scheduledDates()).toEqual(['2024-03-05']);
+    });
+});
+
+describe('setRecurringPaused', () => {
+    it('pauses without moving the schedule', async () => {
+        await setRecurringPaused(rent, true);
+
+        expect(db.find('recurring_expenses', 'update')[0].args('update')[0]).toEqual({ paused: true });
+    });
+
+    it('resumes from the first occurrence from today, leaving out the ones missed', async () => {
+        await setRecurringPaused({ ...rent, paused: true }, false);
+
+        expect(db.find('recurring_expenses', 'update')[0].args('update')[0]).toEqual({ paused: false, next_date: '2024-05-05' });
+        expect(db.find('expenses')).toHaveLength(0);
+    });
+});
+
+describe('skipNextOccurrence', () => {
+    it('moves to the following occurrence without posting', async () => {
+        await skipNextOccurrence(rent);
+
+        expect(scheduledDates()).toEqual(['2024-03-05']);
+        expect(db.find('expenses')).toHaveLength(0);
+    });
+});
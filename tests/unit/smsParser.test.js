@@ -0,0 +1,126 @@
+/**
+ * Unit Tests: SMS Parser Module
+ *
+ * Tests for reading bank SMS and UPI alerts into raw transactions.
+ *
+ * Requirements covered:
+ * - 2.1: Extract transaction rows
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    parseSmsMessages,
+    splitSmsMessages,
+    isSmsText,
+    registerSmsTemplate,
+    toISODate
+} from '../../js/smsParser.js';
+
+describe('SMS Parser - Templates', () => {
+    it.each([
+        ['Rs.450 debited from A/c XX1234 to SWIGGY on 12-03-24', 'SWIGGY', '1234'],
+        ['Sent Rs.450.00\nFrom HDFC Bank A/C *1234\nTo SWIGGY\nOn 12/03/24\nRef 407212345678', 'SWIGGY', '1234'],
+        ['Rs 450.00 debited from a/c **1234 on 12-03-24 to VPA swiggy@axis (UPI Ref No 407212345678)', 'swiggy@axis', '1234'],
+        ['Dear UPI user A/C X1234 debited by 450.0 on date 12Mar24 trf to SWIGGY Refno 407212345678. -SBI', 'SWIGGY', '1234'],
+        ['ICICI Bank Acct XX123 debited for Rs 450.00 on 12-Mar-24; SWIGGY credited. UPI:407212345678.', 'SWIGGY', '123'],
+        ['INR 450.00 debited\nA/c no. XX1234\n12-03-24, 10:15:22\nUPI/P2M/407212345678/SWIGGY\nNot you? - Axis Bank', 'SWIGGY', '1234'],
+        ['INR 450.00 spent using ICICI Bank Card XX4321 on 12-Mar-24 on SWIGGY. Avl Limit: INR 50,000.00.', 'SWIGGY', '4321']
+    ])('should read the debit in "%s"', (text, merchant, account) => {
+        const { transactions } = parseSmsMessages(text);
+        expect(transactions).toHaveLength(1);
+        expect(transactions[0]).toMatchObject({
+            date: '2024-03-12',
+            description: merchant,
+            accountSuffix: account,
+            direction: 'debit'
+        });
+        expect(parseFloat(transactions[0].amount)).toBe(450);
+    });
+
+    it('should read an account debited towards a payee', () => {
+        const { transactions } = parseSmsMessages('Your a/c XX1234 is debited for Rs 99.00 on 01-Apr-24 towards NETFLIX');
+        expect(transactions).toEqual([expect.objectContaining({
+            date: '2024-04-01',
+            description: 'NETFLIX',
+            accountSuffix: '1234',
+            direction: 'debit'
+        })]);
+        expect(parseFloat(transactions[0].amount)).toBe(99);
+    });
+
+    it('should read credits as negative amounts', () => {
+        const { transactions } = parseSmsMessages(
+            'Rs.50,000.00 credited to A/c XX1234 on 01-04-24 by NEFT from ACME CORP\n' +
+            'Your A/c XX1234 is credited with INR 500.00 on 12-03-24 by UPI from RAHUL'
+        );
+        expect(transactions.map(t => [t.amount, t.description, t.direction])).toEqual([
+            ['-50000.00', 'ACME CORP', 'credit'],
+            ['-500.00', 'RAHUL', 'credit']
+        ]);
+    });
+
+    it('should keep the UPI reference as the bank transaction ID', () => {
+        const { transactions } = parseSmsMessages('Rs 450.00 debited from a/c **1234 on 12-03-24 to VPA swiggy@axis (UPI Ref No 407212345678)');
+        expect(transactions[0].fitId).toBe('407212345678');
+    });
+
+    it('should try registered templates first', () => {
+        const result = registerSmsTemplate({
+            name: 'Wallet payment',
+            direction: 'debit',
+            pattern: /wallet paid (?<amount>\d+) to (?<merchant>\w+) on (?<date>\S+)/i
+        });
+        expect(result.error).toBeNull();
+        expect(parseSmsMessages('Wallet paid 90 to UBER on 2024-03-12').transactions[0])
+            .toMatchObject({ amount: '90', description: 'UBER', smsTemplate: 'Wallet payment' });
+        expect(registerSmsTemplate({ name: 'Broken', direction: 'debit', pattern: /paid/ }).error).toBeTruthy();
+    });
+});
+
+describe('SMS Parser - Messages', () => {
+    it('should ignore OTPs and report unknown alerts', () => {
+        const result = parseSmsMessages([
+            '123456 is your OTP for a txn of Rs.450 at SWIGGY',
+            'Rs.450 was debited in an unusual way',
+            'Rs.450 debited from A/c XX1234 to SWIGGY on 12-03-24'
+        ].join('\n'));
+        expect(result.transactions).toHaveLength(1);
+        expect(result.ignored).toBe(1);
+        expect(result.errors).toEqual([expect.objectContaining({ row: 2, text: 'Rs.450 was debited in an unusual way' })]);
+    });
+
+    it('should read SMS Backup & Restore exports with the received date as a fallback', () => {
+        const xml = `<?xml version='1.0' encoding='UTF-8'?>
+            <smses count="2">
+              <sms address="VM-HDFCBK" date="1710230400000" body="Rs.450 debited from A/c XX1234 to SWIGGY &amp; CO on 12-03-24" />
+              <sms address="AD-KOTAK" date="1710230400000" body="Hello&#10;there" />
+            </smses>`;
+        const messages = splitSmsMessages(xml);
+        expect(messages).toHaveLength(2);
+        expect(messages[0]).toEqual({
+            text: 'Rs.450 debited from A/c XX1234 to SWIGGY & CO on 12-03-24',
+            receivedDate: '2024-03-12'
+        });
+        expect(messages[1].text).toBe('Hello there');
+    });
+
+    it('should keep alerts written over several lines whole', () => {
+        expect(splitSmsMessages('Sent Rs.1\nTo A\n\nSent Rs.2\nTo B')).toHaveLength(2);
+        expect(splitSmsMessages('Sent Rs.1\nTo A\nSent Rs.2\nTo B').map(m => m.text)).toEqual(['Sent Rs.1 To A', 'Sent Rs.2 To B']);
+        expect(splitSmsMessages([
+            'Rs.450 debited from A/c XX1234 to SWIGGY on 12-03-24',
+            'A/C X1234 debited by 90.0 on date 12Mar24 trf to UBER Refno 407212345678'
+        ].join('\n'))).toHaveLength(2);
+    });
+
+    it('should tell pasted alerts from pasted tables', () => {
+        expect(isSmsText('Rs.450 debited from A/c XX1234 to SWIGGY on 12-03-24')).toBe(true);
+        expect(isSmsText('Date\tDescription\tAmount\n12-03-24\tSWIGGY\t450')).toBe(false);
+    });
+
+    it('should read dates day first', () => {
+        expect(toISODate('05/04/24')).toBe('2024-04-05');
+        expect(toISODate('5Apr2024')).toBe('2024-04-05');
+        expect(toISODate('2024-04-05')).toBe('2024-04-05');
+    });
+});
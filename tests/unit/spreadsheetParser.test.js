@@ -0,0 +1,128 @@
+/**
+ * Unit Tests: Spreadsheet Parser Module
+ *
+ * Tests for turning XLSX/XLS sheets into CSV text for the import pipeline.
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as XLSX from 'xlsx';
+import {
+    readSpreadsheet,
+    sheetToRows,
+    sheetsToCSV,
+    findHeaderRow,
+    excelSerialToDate,
+    isDateFormat
+} from '../../js/spreadsheetParser.js';
+import { parseCSV, detectColumnMapping } from '../../js/csvParser.js';
+
+describe('Spreadsheet Parser - Cells', () => {
+    it('should convert Excel date serials in both date systems', () => {
+        expect(excelSerialToDate(45383)).toBe('2024-04-01');
+        expect(excelSerialToDate(45383.75)).toBe('2024-04-01');
+        expect(excelSerialToDate(43921, true)).toBe('2024-04-01');
+    });
+
+    it('should tell date formats from number and currency formats', () => {
+        expect(isDateFormat('dd/mm/yyyy')).toBe(true);
+        expect(isDateFormat('[$-409]d-mmm-yy;@')).toBe(true);
+        expect(isDateFormat('#,##0.00')).toBe(false);
+        expect(isDateFormat('"Rs." #,##0.00;[Red]-#,##0.00')).toBe(false);
+        expect(isDateFormat('General')).toBe(false);
+    });
+
+    it('should read dates, numbers and text as CSV row cells', () => {
+        const rows = sheetToRows({
+            '!ref': 'A1:C2',
+            A1: { t: 's', v: 'Date' }, B1: { t: 's', v: 'Narration' }, C1: { t: 's', v: 'Amount' },
+            A2: { t: 'n', v: 45383, z: 'dd-mmm-yyyy' },
+            B2: { t: 's', v: 'UPI/SWIGGY\nBangalore' },
+            C2: { t: 'n', v: 450.00000000000006, z: '#,##0.00' }
+        });
+        expect(rows).toEqual([['Date', 'Narration', 'Amount'], ['2024-04-01', 'UPI/SWIGGY Bangalore', '450']]);
+    });
+
+    it('should repeat merged header labels but not spread data across columns', () => {
+        const rows = sheetToRows({
+            '!ref': 'A1:D3',
+            '!merges': [
+                { s: { r: 0, c: 0 }, e: { r: 1, c: 0 } },
+                { s: { r: 0, c: 2 }, e: { r: 0, c: 3 } },
+                { s: { r: 2, c: 1 }, e: { r: 2, c: 2 } }
+            ],
+            A1: { t: 's', v: 'Date' }, B1: { t: 's', v: 'Narration' }, C1: { t: 's', v: 'Amount' },
+            B2: { t: 's', v: 'Details' }, C2: { t: 's', v: 'Withdrawal' }, D2: { t: 's', v: 'Deposit' },
+            A3: { t: 'n', v: 45383, z: 'dd/mm/yyyy' }, B3: { t: 's', v: 'SWIGGY' }, D3: { t: 'n', v: 90 }
+        });
+        expect(rows[0]).toEqual(['Date', 'Narration', 'Amount', 'Amount']);
+        expect(rows[1]).toEqual(['Date', 'Details', 'Withdrawal', 'Deposit']);
+        expect(rows[2]).toEqual(['2024-04-01', 'SWIGGY', '', '90']);
+        expect(findHeaderRow(rows)).toBe(1);
+    });
+
+    it('should drop empty rows and columns', () => {
+        const rows = sheetToRows({
+            '!ref': 'A1:C4',
+            B1: { t: 's', v: 'Date' }, C1: { t: 's', v: 'Amount' },
+            B4: { t: 's', v: '01/04/2024' }, C4: { t: 'n', v: 90 }
+        });
+        expect(rows).toEqual([['Date', 'Amount'], ['01/04/2024', '90']]);
+    });
+});
+
+describe('Spreadsheet Parser - Sheets', () => {
+    const statement = [
+        ['HDFC Bank Ltd'],
+        ['Account No', '50100012345678'],
+        [],
+        ['Date', 'Narration', 'Withdrawal Amt', 'Deposit Amt'],
+        ['01/04/2024', 'SWIGGY, BLR', '450.00', ''],
+        ['02/04/2024', 'SALARY', '', '50000.00']
+    ];
+
+    it('should start the CSV at the header row so the pipeline can read it', () => {
+        const { csv, sheetName, error } = sheetsToCSV([{ name: 'Statement', rows: statement }]);
+        expect(error).toBeNull();
+        expect(sheetName).toBe('Statement');
+
+        const parsed = parseCSV(csv);
+        expect(parsed.headers).toEqual(statement[3]);
+        expect(parsed.data[0][1]).toBe('SWIGGY, BLR');
+        expect(detectColumnMapping(parsed.headers).detected).toBe(true);
+    });
+
+    it('should pick the sheet with a transaction table unless one is chosen', () => {
+        const sheets = [
+            { name: 'Summary', rows: [['Opening balance', '1000']] },
+            { name: 'Transactions', rows: statement },
+            { name: 'Empty', rows: [] }
+        ];
+        expect(sheetsToCSV(sheets)).toMatchObject({ sheetName: 'Transactions', sheetNames: ['Summary', 'Transactions'] });
+        expect(sheetsToCSV(sheets, 'Summary').sheetName).toBe('Summary');
+        expect(sheetsToCSV([{ name: 'Empty', rows: [] }]).error).toMatch(/no data/);
+    });
+
+    it('should read a real XLSX workbook with date cells', async () => {
+        const sheet = XLSX.utils.aoa_to_sheet([
+            ['Statement of account'],
+            ['Txn Date', 'Description', 'Debit', 'Credit'],
+            [45383, 'UPI/SWIGGY', 450.5, null]
+        ]);
+        sheet.A3.z = 'dd/mm/yyyy';
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, sheet, 'Sheet1');
+        const buffer = XLSX.write(workbook, { type: 'array', bookType: 'xlsx' });
+
+        const { csv, error } = await readSpreadsheet(buffer);
+        expect(error).toBeNull();
+        expect(csv).toBe('Txn Date,Description,Debit,Credit\n2024-04-01,UPI/SWIGGY,450.5,');
+    });
+
+    it('should read HTML tables that banks save with an .xls extension', async () => {
+        const html = '<table><tr><td>Date</td><td>Description</td><td>Amount</td></tr>'
+            + '<tr><td>01/04/2024</td><td>SWIGGY</td><td>450.00</td></tr></table>';
+        const { csv, error } = await readSpreadsheet(new TextEncoder().encode(html).buffer);
+        expect(error).toBeNull();
+        expect(parseCSV(csv).data[0]).toEqual(['01/04/2024', 'SWIGGY', '450.00']);
+    });
+});
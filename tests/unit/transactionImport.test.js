@@ -0,0 +1,109 @@
+/**
+ * Unit Tests: Transaction Import Module
+ *
+ * Tests for importing previewed rows and retrying the ones that failed,
+ * against a mocked Supabase client.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { db } from '../helpers/supabaseMock.js';
+import { resetState, updateState, getState, importTransactions } from '../../js/transactionImport.js';
+
+vi.mock('../../js/supabaseConfig.js', () => import('../helpers/supabaseMock.js'));
+
+const row = (day, extra = {}) => ({
+    isValid: true,
+    selected: true,
+    source: 'april.csv',
+    date: new Date(2024, 3, day),
+    amount: day * 100,
+    description: `Shop ${day}`,
+    category: 'Shopping',
+    transactionType: 'expense',
+    direction: 'debit',
+    ...extra
+});
+
+/**
+ * Get the amounts sent by every expense insert, in order
+ *
+ * @returns {number[]}
+ */
+function insertedAmounts() {
+    return db.find('expenses', 'insert').flatMap(query => [].concat(query.args('insert')[0]).map(record => record.amount));
+}
+
+beforeEach(() => {
+    db.reset();
+    resetState();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    db.respond(query => query.table === 'import_batches' && query.has('insert')
+        ? { data: { id: 'b1' }, error: null }
+        : undefined);
+});
+
+describe('importTransactions', () => {
+    it('marks each row with its outcome and keeps failed rows selected', async () => {
+        db.respond(query => {
+            if (query.table !== 'expenses' || !query.has('insert')) return undefined;
+            const records = [].concat(query.args('insert')[0]);
+            if (records.length > 1) return { error: { code: '23514' } };
+            return records[0].amount === 200 ? { error: { code: '23514' } } : { error: null };
+        });
+        updateState({ transactions: [row(1), row(2), row(3)] });
+
+        const result = await importTransactions();
+
+        expect(result).toMatchObject({ success: false, imported: 2, failed: 1 });
+        const { transactions, step } = getState();
+        expect(step).toBe('error');
+        expect(transactions.map(t => [t.importStatus, t.selected])).toEqual([
+            ['imported', false],
+            ['failed', true],
+            ['imported', false]
+        ]);
+        expect(transactions[1].importError).toBe('Amount must be greater than zero');
+    });
+
+    it('sends only the failed rows again, into the same batch, without a second duplicate check', async () => {
+        let failing = true;
+        db.respond(query => {
+            if (query.table !== 'expenses' || !query.has('insert')) return undefined;
+            return failing ? { error: { code: 'PGRST000' } } : { error: null };
+        });
+        updateState({ transactions: [row(1), row(2)] });
+
+        await importTransactions();
+        expect(getState().transactions.map(t => t.importStatus)).toEqual(['failed', 'failed']);
+
+        // The first row is fixed up and imported; the second is left unselected
+        failing = false;
+        updateState({
+            step: 'preview',
+            transactions: getState().transactions.map((t, i) => (i === 1 ? { ...t, selected: false } : t))
+        });
+        db.queries = [];
+
+        const result = await importTransactions();
+
+        expect(result).toMatchObject({ success: true, imported: 1 });
+        expect(insertedAmounts()).toEqual([100]);
+        expect(db.find('expenses', 'insert')[0].args('insert')[0][0].import_batch_id).toBe('b1');
+        expect(db.find('import_batches', 'insert')).toHaveLength(0);
+        expect(db.find('expenses', 'select')).toHaveLength(0);
+        expect(getState().transactions.map(t => t.importStatus)).toEqual(['imported', 'failed']);
+    });
+
+    it('skips rows the duplicate check finds already saved', async () => {
+        db.respond(query => query.table === 'expenses' && query.has('select')
+            ? { data: [{ id: 'e1', date: '2024-04-01', amount: '100', expense_name: 'Shop 1', category: 'Shopping', transaction_type: 'expense' }], error: null }
+            : undefined);
+        updateState({ transactions: [row(1), row(2)] });
+
+        const result = await importTransactions();
+
+        expect(result).toMatchObject({ success: true, imported: 1, duplicates: 1 });
+        expect(insertedAmounts()).toEqual([200]);
+        expect(getState().transactions.map(t => t.importStatus)).toEqual(['skipped', 'imported']);
+    });
+});
@@ -0,0 +1,106 @@
+/**
+ * Unit Tests: Transaction Sources Module
+ *
+ * Tests for registering transaction sources and picking one by a file's content.
+ *
+ * Requirements covered:
+ * - 9.3: Separate parsing logic from import logic
+ * - 9.5: Swap data source implementations
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    registerTransactionSource,
+    getTransactionSource,
+    getTransactionSources,
+    createSample,
+    detectTransactionSource
+} from '../../js/transactionSources.js';
+import { csvSource } from '../../js/csvParser.js';
+import '../../js/ofxParser.js';
+import '../../js/pdfParser.js';
+import '../../js/ocrParser.js';
+import '../../js/spreadsheetParser.js';
+import '../../js/smsParser.js';
+
+/**
+ * Build a sample from text or bytes
+ */
+function sample(name, content) {
+    const bytes = typeof content === 'string' ? new TextEncoder().encode(content) : new Uint8Array(content);
+    return createSample(name, bytes);
+}
+
+const csvText = 'Date,Description,Amount\n2024-04-01,Coffee,4.50\n2024-04-02,Groceries,32.10\n';
+const ofxText = 'OFXHEADER:100\nDATA:OFXSGML\n<OFX><BANKMSGSRSV1><STMTTRNRS></STMTTRNRS></BANKMSGSRSV1></OFX>';
+const smsText = 'Rs.250.00 debited from A/c XX1234 on 01-04-24 to VPA shop@upi. Ref 412345678901';
+
+describe('registerTransactionSource', () => {
+    it('registers the built-in parsers', () => {
+        const ids = getTransactionSources().map(source => source.id);
+        expect(ids).toEqual(expect.arrayContaining(['csv', 'ofx', 'pdf', 'image', 'spreadsheet', 'sms']));
+    });
+
+    it('rejects a source missing an operation', () => {
+        const result = registerTransactionSource({ id: 'partial', extensions: [], read: 'text', detect: () => 0, parse: () => ({}) });
+        expect(result.error).toBeTruthy();
+        expect(getTransactionSource('partial')).toBeNull();
+    });
+
+    it('replaces a source registered with the same ID', () => {
+        const source = { id: 'bank-api', label: 'Bank API', extensions: ['bank'], read: 'text', detect: () => 0, parse: () => ({ transactions: [], error: null }), normalize: t => t };
+        expect(registerTransactionSource(source).error).toBeNull();
+        expect(registerTransactionSource({ ...source, label: 'Bank feed' }).error).toBeNull();
+
+        expect(getTransactionSources().filter(s => s.id === 'bank-api')).toHaveLength(1);
+        expect(getTransactionSource('bank-api').label).toBe('Bank feed');
+    });
+});
+
+describe('detectTransactionSource', () => {
+    it('recognises formats by content whatever the extension', () => {
+        expect(detectTransactionSource(sample('statement.csv', ofxText)).id).toBe('ofx');
+        expect(detectTransactionSource(sample('export.txt', csvText)).id).toBe('csv');
+        expect(detectTransactionSource(sample('alerts.txt', smsText)).id).toBe('sms');
+        expect(detectTransactionSource(sample('statement.xls', '%PDF-1.7\n')).id).toBe('pdf');
+        expect(detectTransactionSource(sample('receipt.jpg', [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A, 0, 0])).id).toBe('image');
+    });
+
+    it('tells real workbooks from text saved as XLS', () => {
+        expect(detectTransactionSource(sample('statement.xls', [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1, 0])).id).toBe('spreadsheet');
+        expect(detectTransactionSource(sample('statement.xls', '<html><body><table><tr><td>Date</td></tr></table>')).id).toBe('spreadsheet');
+        expect(detectTransactionSource(sample('statement.xls', csvText.replace(/,/g, '\t'))).id).toBe('csv');
+    });
+
+    it('falls back to the extension when no source recognises the content', () => {
+        expect(detectTransactionSource(sample('scan.pdf', [1, 0, 2, 0, 3])).id).toBe('pdf');
+    });
+});
+
+describe('csvSource', () => {
+    it('reads rows with a profile found through the injected lookup', async () => {
+        const profile = {
+            has_header: true,
+            column_mapping: { date: 0, description: 1, amount: 2 },
+            sign_convention: 'debit-negative',
+            date_format: 'YYYY-MM-DD'
+        };
+        const content = 'Date,Description,Amount\n2024-04-01,Coffee,-4.50\n2024-04-03,Salary,2500\n';
+
+        const result = await csvSource.parse(content, { findProfile: async (text, hasHeader) => hasHeader ? profile : null });
+        const transactions = csvSource.normalize(result.transactions, result);
+
+        expect(result.profile).toBe(profile);
+        expect(result.dateFormat).toBe('YYYY-MM-DD');
+        expect(transactions.map(t => [t.amount, t.direction])).toEqual([['4.50', 'debit'], ['-2500', 'credit']]);
+    });
+
+    it('hands unrecognised columns over for mapping with the text to re-parse', async () => {
+        const content = 'When,What,How much\n2024-04-01,Coffee,4.50\n';
+        const result = await csvSource.parse(content);
+
+        expect(result.needsMapping).toBe(true);
+        expect(result.text).toBe(content);
+        expect(result.parsedData.headers).toEqual(['When', 'What', 'How much']);
+    });
+});
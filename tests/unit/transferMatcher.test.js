@@ -0,0 +1,72 @@
+/**
+ * Unit Tests: Transfer Matcher Module
+ *
+ * Tests for pairing debits and credits in different accounts as transfers.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { findTransferPairs, findRecordedTransfers } from '../../js/transferMatcher.js';
+
+describe('findTransferPairs', () => {
+    it('pairs a savings debit with the card payment credit', () => {
+        const debits = [
+            { key: 'd1', accountId: 'savings', amount: 1200, date: '2024-04-01' },
+            { key: 'd2', accountId: 'savings', amount: 15000, date: '2024-04-05' }
+        ];
+        const credits = [{ key: 'c1', accountId: 'card', amount: '15000.00', date: '2024-04-07' }];
+
+        const pairs = findTransferPairs(debits, credits);
+
+        expect(pairs).toHaveLength(1);
+        expect(pairs[0]).toMatchObject({ debit: debits[1], credit: credits[0], days: 2 });
+    });
+
+    it('never pairs rows in the same account, without an account, too far apart or of different amounts', () => {
+        const debits = [
+            { key: 'd1', accountId: 'savings', amount: 500, date: '2024-04-01' },
+            { key: 'd2', accountId: null, amount: 500, date: '2024-04-01' }
+        ];
+        const credits = [
+            { key: 'c1', accountId: 'savings', amount: 500, date: '2024-04-01' },
+            { key: 'c2', accountId: 'card', amount: 500, date: '2024-04-10' },
+            { key: 'c3', accountId: 'card', amount: 501, date: '2024-04-01' }
+        ];
+
+        expect(findTransferPairs(debits, credits)).toEqual([]);
+    });
+
+    it('uses each row once, closest dates first', () => {
+        const debits = [
+            { key: 'd1', accountId: 'savings', amount: 2000, date: '2024-04-01' },
+            { key: 'd2', accountId: 'savings', amount: 2000, date: '2024-04-04' }
+        ];
+        const credits = [{ key: 'c1', accountId: 'wallet', amount: 2000, date: '2024-04-04' }];
+
+        const pairs = findTransferPairs(debits, credits);
+
+        expect(pairs.map(pair => [pair.debit.key, pair.credit.key])).toEqual([['d2', 'c1']]);
+    });
+});
+
+describe('findRecordedTransfers', () => {
+    const transfer = { id: 't1', account_id: 'savings', transfer_account_id: 'card', amount: '15000', date: '2024-04-05' };
+
+    it('matches either side of a saved transfer by its account', () => {
+        const legs = [
+            { key: 'a', accountId: 'savings', amount: 15000, date: '2024-04-05', direction: 'debit' },
+            { key: 'b', accountId: 'card', amount: 15000, date: '2024-04-06', direction: 'credit' },
+            { key: 'c', accountId: 'card', amount: 15000, date: '2024-04-05', direction: 'debit' }
+        ];
+
+        expect(findRecordedTransfers(legs, [transfer])).toEqual([transfer, transfer, null]);
+    });
+
+    it('matches each side of a transfer once', () => {
+        const legs = [
+            { key: 'a', accountId: 'savings', amount: 15000, date: '2024-04-03', direction: 'debit' },
+            { key: 'b', accountId: 'savings', amount: 15000, date: '2024-04-05', direction: 'debit' }
+        ];
+
+        expect(findRecordedTransfers(legs, [transfer])).toEqual([null, transfer]);
+    });
+});
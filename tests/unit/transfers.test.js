@@ -0,0 +1,128 @@
+/**
+ * Unit Tests: Transfers Module
+ *
+ * Tests for saving transfers and turning saved transactions into transfers,
+ * against a mocked Supabase client.
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { db } from '../helpers/supabaseMock.js';
+import { createTransfer, getTransferCandidates, markAsTransfer } from '../../js/transfers.js';
+import { resetState, updateState, getState, importTransactions } from '../../js/transactionImport.js';
+
+vi.mock('../../js/supabaseConfig.js', () => import('../helpers/supabaseMock.js'));
+
+beforeEach(() => {
+    db.reset();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('createTransfer', () => {
+    it('saves one transfer row from one account into the other', async () => {
+        const { error } = await createTransfer({ from_account_id: 'a1', to_account_id: 'a2', amount: 20000, date: '2024-04-05', description: ' Card bill ' });
+
+        expect(error).toBeNull();
+        expect(db.find('expenses', 'insert')[0].args('insert')[0]).toEqual({
+            user_id: 'user-1',
+            expense_name: 'Card bill',
+            amount: 20000,
+            date: '2024-04-05',
+            category: 'Transfer',
+            transaction_type: 'transfer',
+            account_id: 'a1',
+            transfer_account_id: 'a2'
+        });
+    });
+
+    it('rejects a transfer into the same account, or from no account, without saving', async () => {
+        const same = await createTransfer({ from_account_id: 'a1', to_account_id: 'a1', amount: 100, date: '2024-04-05' });
+        const none = await createTransfer({ from_account_id: '', to_account_id: 'a2', amount: 100, date: '2024-04-05' });
+
+        expect(same.error.message).toBe('Please choose two different accounts.');
+        expect(none.error.message).toBe('Please choose two different accounts.');
+        expect(db.queries).toHaveLength(0);
+    });
+});
+
+describe('getTransferCandidates', () => {
+    it('reads the values a transaction would need put back if it becomes a transfer', async () => {
+        await getTransferCandidates({ from: '2024-04-01', to: '2024-04-10' });
+
+        const [query] = db.find('expenses', 'select');
+        const columns = query.args('select')[0].split(',').map(column => column.trim());
+        expect(columns).toEqual(expect.arrayContaining(['id', 'transaction_type', 'category', 'account_id', 'transfer_account_id']));
+        expect(query.calls).toContainEqual(['not', 'account_id', 'is', null]);
+    });
+});
+
+describe('markAsTransfer', () => {
+    it('turns the user\'s transaction into a transfer between the accounts', async () => {
+        await markAsTransfer('e9', { account_id: 'a1', transfer_account_id: 'a2' });
+
+        const [query] = db.find('expenses', 'update');
+        expect(query.args('update')[0]).toEqual({
+            transaction_type: 'transfer',
+            category: 'Transfer',
+            account_id: 'a1',
+            transfer_account_id: 'a2'
+        });
+        expect(query.calls).toContainEqual(['eq', 'id', 'e9']);
+        expect(query.calls).toContainEqual(['eq', 'user_id', 'user-1']);
+    });
+});
+
+describe('importing the other side of a saved transaction', () => {
+    const saved = { id: 'e9', account_id: 'a2', transfer_account_id: null, category: 'Income', transaction_type: 'income' };
+    const row = {
+        isValid: true,
+        selected: true,
+        source: 'april.csv',
+        date: new Date(2024, 3, 5),
+        amount: 20000,
+        description: 'NEFT TO CARD',
+        category: 'Other',
+        transactionType: 'expense',
+        direction: 'debit',
+        transferMatch: { kind: 'saved', expense: saved, fromAccountId: 'a1', toAccountId: 'a2' }
+    };
+
+    beforeEach(() => {
+        resetState();
+        db.respond(query => query.table === 'import_batches' && query.has('insert')
+            ? { data: { id: 'b1' }, error: null }
+            : undefined);
+    });
+
+    it('stores the transaction\'s earlier values on the batch before marking it', async () => {
+        updateState({ transactions: [row] });
+
+        await importTransactions();
+
+        const stored = db.find('import_batches', 'update').find(query => query.args('update')[0].converted_transfers);
+        const marked = db.find('expenses', 'update')[0];
+        expect(stored.args('update')[0].converted_transfers).toEqual([saved]);
+        expect(db.queries.indexOf(stored)).toBeLessThan(db.queries.indexOf(marked));
+        expect(getState().transactions[0].importStatus).toBe('skipped');
+    });
+
+    it('stores a transaction once when marking it is retried', async () => {
+        let marks = 0;
+        db.respond(query => {
+            if (query.table !== 'expenses' || !query.has('update')) return undefined;
+            marks++;
+            return marks === 1 ? { data: null, error: { message: 'timeout' } } : { data: {}, error: null };
+        });
+        updateState({ transactions: [row] });
+
+        await importTransactions();
+        expect(getState().transactions[0].importStatus).toBe('failed');
+
+        updateState({ step: 'preview' });
+        await importTransactions();
+
+        const stores = db.find('import_batches', 'update').filter(query => query.args('update')[0].converted_transfers);
+        expect(stores).toHaveLength(1);
+        expect(db.find('import_batches', 'insert')).toHaveLength(1);
+        expect(getState().transactions[0].importStatus).toBe('skipped');
+    });
+});
@@ -0,0 +1,91 @@
+/**
+ * Unit Tests: UI Module
+ *
+ * Tests for editing transactions from the expense list, against the app's
+ * markup and a mocked Supabase client.
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { db } from '../helpers/supabaseMock.js';
+import { initEventListeners, renderExpenseList } from '../../js/ui.js';
+
+vi.mock('../../js/supabaseConfig.js', () => import('../helpers/supabaseMock.js'));
+
+const rows = [
+    { id: 'e1', expense_name: 'SWIGGY ORDER', category: 'Food', amount: '450', date: '2024-04-02', transaction_type: 'expense' },
+    { id: 'e2', expense_name: 'AMAZON REFUND', category: 'Shopping', amount: '999', date: '2024-04-03', transaction_type: 'refund' },
+    { id: 'e3', expense_name: 'Salary - Acme Corp', category: 'Income', amount: '85000', date: '2024-04-01', transaction_type: 'income' },
+    { id: 'e4', expense_name: 'Card bill', category: 'Transfer', amount: '20000', date: '2024-04-05', transaction_type: 'transfer', account_id: 'a1', transfer_account_id: 'a2' }
+];
+
+/**
+ * Wait for the click and submit handlers' requests to settle
+ */
+async function settle() {
+    for (let i = 0; i < 20; i++) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+    }
+}
+
+/**
+ * Open a row in the expense form, pick a category and save it
+ *
+ * @param {string} id - Row to edit
+ * @param {string} category - Category to pick
+ */
+async function editCategory(id, category) {
+    const button = document.createElement('button');
+    button.className = 'edit-expense-btn';
+    button.dataset.id = id;
+    document.getElementById('expense-list').appendChild(button);
+    button.click();
+    await settle();
+
+    document.getElementById('expense-category').value = category;
+    document.getElementById('expense-form').dispatchEvent(new Event('submit', { cancelable: true }));
+    await settle();
+}
+
+beforeAll(() => {
+    const html = readFileSync(resolve(__dirname, '../../index.html'), 'utf8');
+    document.body.innerHTML = html.slice(html.indexOf('<body>') + 6, html.indexOf('<!-- JavaScript Modules -->'));
+    window.scrollTo = () => {};
+    initEventListeners();
+});
+
+beforeEach(() => {
+    db.reset();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    db.respond(query => query.table === 'expenses' && query.has('select') && !query.has('update')
+        ? { data: rows, error: null }
+        : undefined);
+    db.respond(query => query.has('update') ? { data: rows[0], error: null } : undefined);
+});
+
+describe('expense list', () => {
+    it('offers Edit only for expenses and refunds', async () => {
+        await renderExpenseList(rows);
+
+        const editable = [...document.querySelectorAll('#expense-list .edit-expense-btn')].map(button => button.dataset.id);
+        expect(editable).toEqual(['e1', 'e2']);
+        expect(document.querySelectorAll('#expense-list .delete-expense-btn')).toHaveLength(4);
+    });
+});
+
+describe('editing a category', () => {
+    it('learns a rule when an expense or refund is moved to another category', async () => {
+        await editCategory('e2', 'Entertainment');
+
+        expect(db.find('expenses', 'update')).toHaveLength(1);
+        expect(db.find('category_rules').length).toBeGreaterThan(0);
+    });
+
+    it('learns nothing from income saved through the form', async () => {
+        await editCategory('e3', 'Other');
+
+        expect(db.find('expenses', 'update')).toHaveLength(1);
+        expect(db.find('category_rules')).toHaveLength(0);
+    });
+});
@@ -0,0 +1,75 @@
+/**
+ * Unit Tests: Validation Module
+ *
+ * Tests for validating income and recurring expenses before they are saved.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { validateIncome, validateRecurringExpense } from '../../js/validation.js';
+
+describe('validateIncome', () => {
+    it('accepts income with a source, a positive amount and a date', () => {
+        expect(validateIncome({ source: 'Salary - Acme Corp', amount: 85000, date: '2024-04-01' }))
+            .toEqual({ valid: true, errors: [] });
+    });
+
+    it('requires income data', () => {
+        expect(validateIncome(null)).toEqual({ valid: false, errors: ['Income data is required'] });
+    });
+
+    it('requires a source', () => {
+        expect(validateIncome({ source: '   ', amount: 100, date: '2024-04-01' }).errors)
+            .toEqual(['Please enter where the income came from']);
+    });
+
+    it('requires a positive number for the amount', () => {
+        const amountErrors = amount => validateIncome({ source: 'Salary', amount, date: '2024-04-01' }).errors;
+
+        expect(amountErrors(undefined)).toEqual(['Amount is required']);
+        expect(amountErrors('100')).toEqual(['Amount must be a valid number']);
+        expect(amountErrors(NaN)).toEqual(['Amount must be a valid number']);
+        expect(amountErrors(0)).toEqual(['Amount must be greater than zero']);
+        expect(amountErrors(-50)).toEqual(['Amount must be greater than zero']);
+    });
+
+    it('requires a date in YYYY-MM-DD format', () => {
+        const dateErrors = date => validateIncome({ source: 'Salary', amount: 100, date }).errors;
+
+        expect(dateErrors('01/04/2024')).toEqual(['Please select a valid date']);
+        expect(dateErrors('2024-13-45')).toEqual(['Please select a valid date']);
+        expect(dateErrors(undefined)).toEqual(['Please select a valid date']);
+    });
+
+    it('reports every problem at once', () => {
+        expect(validateIncome({}).errors).toHaveLength(3);
+    });
+});
+
+describe('validateRecurringExpense', () => {
+    const template = {
+        expense_name: 'Gym',
+        category: 'Health',
+        amount: 1500,
+        frequency: 'custom',
+        interval_count: 2,
+        interval_unit: 'week',
+        start_date: '2024-04-01'
+    };
+
+    it('accepts a custom frequency in days, weeks, months or years', () => {
+        for (const interval_unit of ['day', 'week', 'month', 'year']) {
+            expect(validateRecurringExpense({ ...template, interval_unit })).toEqual({ valid: true, errors: [] });
+        }
+    });
+
+    it('rejects a custom frequency in any other unit', () => {
+        for (const interval_unit of ['fortnight', '', undefined]) {
+            expect(validateRecurringExpense({ ...template, interval_unit }).errors)
+                .toEqual(['Please choose whether it repeats in days, weeks, months or years']);
+        }
+    });
+
+    it('ignores the unit of a fixed frequency', () => {
+        expect(validateRecurringExpense({ ...template, frequency: 'monthly', interval_unit: null }).valid).toBe(true);
+    });
+});
@@ -0,0 +1,46 @@
+/**
+ * Unit Tests: ZIP Reader Module
+ *
+ * Tests for unpacking statement files from a ZIP archive.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { zipSync, strToU8 } from 'fflate';
+import { isZipFile, unzipEntries } from '../../js/zipReader.js';
+
+describe('ZIP Reader', () => {
+    it('should recognise ZIP files by extension', () => {
+        expect(isZipFile({ name: 'Statements.ZIP' })).toBe(true);
+        expect(isZipFile({ name: 'statement.csv' })).toBe(false);
+    });
+
+    it('should keep supported files and skip the rest', async () => {
+        const archive = zipSync({
+            'hdfc.csv': strToU8('Date,Amount,Description\n01/04/2024,450,SWIGGY'),
+            'March/icici.pdf': strToU8('%PDF-1.4'),
+            'notes.docx': strToU8('read me'),
+            '__MACOSX/._hdfc.csv': strToU8('x'),
+            '.DS_Store': strToU8('x')
+        });
+
+        const { entries, skipped, error } = await unzipEntries(archive);
+        expect(error).toBeNull();
+        expect(entries.map(entry => entry.name)).toEqual(['icici.pdf', 'hdfc.csv']);
+        expect(new TextDecoder().decode(entries[1].data)).toContain('SWIGGY');
+        expect(skipped).toEqual(['notes.docx']);
+    });
+
+    it('should number files that share a name in different folders', async () => {
+        const archive = zipSync({
+            'HDFC/statement.csv': strToU8('a'),
+            'SBI/statement.csv': strToU8('b')
+        });
+        expect((await unzipEntries(archive)).entries.map(entry => entry.name)).toEqual(['statement.csv', 'statement (2).csv']);
+    });
+
+    it('should report archives that cannot be read', async () => {
+        const { entries, error } = await unzipEntries(strToU8('not a zip file'));
+        expect(entries).toEqual([]);
+        expect(error).toMatch(/could not be opened/);
+    });
+});